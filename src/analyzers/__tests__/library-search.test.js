@@ -0,0 +1,148 @@
+/**
+ * Tests for the shared library full-text search
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { SearchIndex, createSnippet, tokenize } from '../library-search.js';
+import { ResourceAnalyzer } from '../resource-analyzer.js';
+
+describe('tokenize', () => {
+  it('should split identifiers, drop stop words and stem English words', () => {
+    expect(tokenize('Which component uploads images with cropping?')).toEqual([
+      'component',
+      'upload',
+      'image',
+      'crop'
+    ]);
+    expect(tokenize('formatDate yb-image-uploader')).toEqual([
+      'format',
+      'date',
+      'yb',
+      'image',
+      'uploader'
+    ]);
+  });
+
+  it('should index Chinese text as character bigrams', () => {
+    expect(tokenize('图片上传')).toEqual(['图片', '片上', '上传']);
+  });
+});
+
+describe('SearchIndex', () => {
+  it('should rank rare terms and name matches first', () => {
+    const index = new SearchIndex();
+    index.add({ name: 'table' }, [{ text: 'table', weight: 3 }, { text: 'Shows rows of data' }]);
+    index.add({ name: 'uploader' }, [
+      { text: 'uploader', weight: 3 },
+      { text: 'Upload files and images of any size' }
+    ]);
+    index.add({ name: 'cropper' }, [
+      { text: 'cropper', weight: 3 },
+      { text: 'Crop images before upload' }
+    ]);
+
+    const hits = index.search('crop images');
+
+    expect(hits.map(hit => hit.document.name)).toEqual(['cropper', 'uploader']);
+    expect(hits[0].terms).toEqual(['crop', 'image']);
+    expect(index.search('crop images', { filter: doc => doc.name !== 'cropper' })).toHaveLength(1);
+    expect(index.search('nothing here')).toEqual([]);
+  });
+
+  it('should build snippets from the best matching line', () => {
+    const text = '## Usage\n\nRenders an avatar.\n\nCrops the uploaded image to a square.';
+
+    expect(createSnippet(text, ['crop', 'image'])).toBe('Crops the uploaded image to a square.');
+  });
+});
+
+describe('ResourceAnalyzer.searchLibrary', () => {
+  let workspace;
+  let analyzer;
+
+  const write = (relativePath, content) => {
+    const filePath = path.join(workspace, relativePath);
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileSync(filePath, content);
+  };
+
+  beforeEach(() => {
+    workspace = mkdtempSync(path.join(tmpdir(), 'balm-library-search-'));
+    write(
+      'src/scripts/components/yb-image-upload.vue',
+      `<template><div /></template>
+<script>
+export default {
+  props: {
+    aspectRatio: { type: Number, default: 1 },
+    maxSize: { type: Number, default: 2048 }
+  },
+  methods: {
+    done() { this.$emit('crop-complete'); }
+  }
+};
+</script>
+`
+    );
+    write(
+      'src/scripts/components/yb-table.vue',
+      '<template><table /></template>\n<script>\nexport default {};\n</script>\n'
+    );
+    write(
+      'src/scripts/components/README.md',
+      '## yb-image-upload\n\n上传图片，支持按比例裁剪。\n\n## yb-table\n\n数据表格。\n'
+    );
+    write('src/scripts/utils/date.js', 'export function formatDate(date) {}\n');
+    write(
+      'src/scripts/utils/README.md',
+      '# Utilities\n\n## Dates\n\nUse formatDate for display dates.\n'
+    );
+    write('src/scripts/plugins/http/README.md', 'Wraps axios with retry and auth headers.\n');
+
+    analyzer = new ResourceAnalyzer(workspace, { resourceIndex: { cache: false } });
+  });
+
+  afterEach(() => {
+    rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it('should find components by what they do', async () => {
+    const [hit] = await analyzer.searchLibrary('which component uploads images with cropping');
+
+    expect(hit).toMatchObject({
+      kind: 'component',
+      name: 'yb-image-upload',
+      filePath: path.join(workspace, 'src/scripts/components/yb-image-upload.vue')
+    });
+
+    const [chinese] = await analyzer.searchLibrary('图片裁剪');
+    expect(chinese.name).toBe('yb-image-upload');
+    expect(chinese.snippet).toBe('上传图片，支持按比例裁剪。');
+  });
+
+  it('should search utility functions, plugin docs and README sections', async () => {
+    const hits = await analyzer.searchLibrary('format date');
+
+    expect(hits.map(hit => `${hit.kind}:${hit.name}`)).toEqual([
+      'utility:date',
+      'documentation:Dates'
+    ]);
+    expect(hits[1].filePath).toBe(path.join(workspace, 'src/scripts/utils/README.md'));
+
+    const [plugin] = await analyzer.searchLibrary('retry requests', { kinds: ['plugin'] });
+    expect(plugin).toMatchObject({ kind: 'plugin', name: 'http' });
+  });
+
+  it('should rebuild the search index after the resource index changes', async () => {
+    expect(await analyzer.searchLibrary('signature')).toEqual([]);
+
+    write('src/scripts/components/yb-signature.vue', '<template><canvas /></template>\n');
+    await analyzer.refreshFiles([path.join(workspace, 'src/scripts/components')]);
+
+    const [hit] = await analyzer.searchLibrary('signature');
+    expect(hit.name).toBe('yb-signature');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for the shared library watcher and in-place index refreshes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ResourceAnalyzer } from '../resource-analyzer.js';
+import { LibraryWatcher } from '../library-watcher.js';
+
+const component = props => `<template><div /></template>
+<script>
+export default {
+  props: {
+${props.map(prop => `    ${prop}: { type: String, default: '' }`).join(',\n')}
+  }
+};
+</script>
+`;
+
+describe('LibraryWatcher', () => {
+  let workspace;
+  let sharedLibrary;
+  let analyzer;
+  let watcher;
+
+  const libraryPath = relativePath => path.join(sharedLibrary, relativePath);
+
+  const write = (relativePath, content) => {
+    mkdirSync(path.dirname(libraryPath(relativePath)), { recursive: true });
+    writeFileSync(libraryPath(relativePath), content);
+    return libraryPath(relativePath);
+  };
+
+  beforeEach(async () => {
+    workspace = mkdtempSync(path.join(tmpdir(), 'balm-library-watcher-'));
+    sharedLibrary = path.join(workspace, 'my-shared');
+
+    write('src/scripts/components/yb-avatar.vue', component(['size']));
+    write('src/scripts/components/yb-badge.vue', component(['count']));
+    write('src/scripts/utils/format.js', 'export function formatDate(date) {}\n');
+
+    analyzer = new ResourceAnalyzer(sharedLibrary, { workspaceRoot: workspace });
+    await analyzer.buildResourceIndex();
+  });
+
+  afterEach(() => {
+    watcher?.stop();
+    rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it('should update changed index entries in place', async () => {
+    const componentsIndex = analyzer.componentsIndex;
+    const format = analyzer.utilsIndex.get('format');
+    const extractApi = vi.spyOn(analyzer, '_extractComponentApi');
+
+    const changed = [
+      write('src/scripts/components/yb-avatar.vue', component(['size', 'shape'])),
+      write('src/scripts/components/form/yb-input.vue', component(['value'])),
+      libraryPath('src/scripts/components/yb-badge.vue')
+    ];
+    rmSync(changed[2]);
+
+    const changes = await analyzer.refreshFiles(changed);
+
+    expect(changes).toHaveLength(3);
+    expect(changes).toEqual(
+      expect.arrayContaining([
+        { index: 'componentsIndex', name: 'yb-avatar', change: 'updated' },
+        { index: 'componentsIndex', name: 'yb-input', change: 'added' },
+        { index: 'componentsIndex', name: 'yb-badge', change: 'removed' }
+      ])
+    );
+    expect(extractApi).toHaveBeenCalledTimes(2);
+    expect(analyzer.componentsIndex).toBe(componentsIndex);
+    expect(componentsIndex.get('yb-avatar').props.map(prop => prop.name)).toEqual([
+      'size',
+      'shape'
+    ]);
+    expect(analyzer.utilsIndex.get('format')).toBe(format);
+  });
+
+  it('should report documentation edits and ignore files outside the indexed sections', async () => {
+    const readme = write(
+      'src/scripts/components/README.md',
+      '## yb-avatar\n\nShows a user avatar.\n'
+    );
+
+    expect(await analyzer.refreshFiles([readme])).toEqual([
+      { index: 'componentsIndex', name: 'yb-avatar', change: 'updated' }
+    ]);
+    expect(analyzer.componentsIndex.get('yb-avatar').documentation).toContain('user avatar');
+    expect(await analyzer.refreshFiles([write('docs/guide.md', '# Guide\n')])).toEqual([]);
+  });
+
+  it('should not refresh before the index is built', async () => {
+    const fresh = new ResourceAnalyzer(sharedLibrary, { resourceIndex: { cache: false } });
+
+    expect(await fresh.refreshFiles([libraryPath('src/scripts/utils/format.js')])).toEqual([]);
+    expect(fresh.isIndexed).toBe(false);
+  });
+
+  it('should refresh the index when a watched file changes', async () => {
+    const onChange = vi.fn();
+    watcher = new LibraryWatcher(analyzer, { debounceMs: 20, onChange });
+    watcher.start();
+
+    write(
+      'src/scripts/utils/format.js',
+      'export function formatDate(date) {}\nexport const pad = 2;\n'
+    );
+
+    await vi.waitFor(() => expect(onChange).toHaveBeenCalled(), { timeout: 5000 });
+    expect(onChange.mock.calls[0][0]).toEqual([
+      { index: 'utilsIndex', name: 'format', change: 'updated' }
+    ]);
+    expect(analyzer.utilsIndex.get('format').exports).toContain('pad');
+  });
+
+  it('should only watch the indexed directories', () => {
+    write('node_modules/lodash/index.js', 'module.exports = {};\n');
+    watcher = new LibraryWatcher(analyzer, { recursive: true });
+    watcher.start();
+
+    expect([...watcher.watchers.keys()]).toEqual([
+      libraryPath('src/scripts/components'),
+      libraryPath('src/scripts/utils')
+    ]);
+  });
+
+  it('should start watching indexed directories created while running', async () => {
+    const onChange = vi.fn();
+    watcher = new LibraryWatcher(analyzer, { debounceMs: 20, onChange });
+    watcher.start();
+
+    expect([...watcher.parentWatchers.keys()]).toEqual([libraryPath('src/scripts')]);
+
+    write('src/scripts/plugins/http/README.md', 'HTTP client plugin.\n');
+
+    await vi.waitFor(
+      () =>
+        expect(onChange).toHaveBeenCalledWith([
+          { index: 'pluginsIndex', name: 'http', change: 'added' }
+        ]),
+      { timeout: 5000 }
+    );
+    expect(watcher.watchers.has(libraryPath('src/scripts/plugins'))).toBe(true);
+  });
+
+  it('should wait on the library root when no indexed directory exists yet', async () => {
+    const empty = path.join(workspace, 'empty-shared');
+    mkdirSync(empty);
+    const fresh = new ResourceAnalyzer(empty, { resourceIndex: { cache: false } });
+    await fresh.buildResourceIndex();
+    watcher = new LibraryWatcher(fresh, { debounceMs: 20 });
+    watcher.start();
+
+    expect([...watcher.parentWatchers.keys()]).toEqual([empty]);
+
+    mkdirSync(path.join(empty, 'src/scripts/utils'), { recursive: true });
+    writeFileSync(path.join(empty, 'src/scripts/utils/format.js'), 'export const pad = 2;\n');
+
+    await vi.waitFor(() => expect(fresh.utilsIndex.has('format')).toBe(true), {
+      timeout: 5000
+    });
+  });
+
+  it('should watch each directory and pick up new ones without recursive fs.watch', async () => {
+    const onChange = vi.fn();
+    watcher = new LibraryWatcher(analyzer, { debounceMs: 20, recursive: false, onChange });
+    watcher.start();
+
+    mkdirSync(libraryPath('src/scripts/components/form'));
+    await vi.waitFor(() =>
+      expect(watcher.watchers.has(libraryPath('src/scripts/components/form'))).toBe(true)
+    );
+    write('src/scripts/components/form/yb-input.vue', component(['value']));
+
+    await vi.waitFor(
+      () =>
+        expect(onChange).toHaveBeenCalledWith([
+          { index: 'componentsIndex', name: 'yb-input', change: 'added' }
+        ]),
+      { timeout: 5000 }
+    );
+  });
+});
@@ -318,6 +318,9 @@ Content for subsection.
       expect(result.category).toBe('components');
       expect(result.props).toHaveLength(2);
       expect(result.events).toHaveLength(1);
+      expect(result.models).toEqual([]);
+      expect(result.slots).toEqual([]);
+      expect(result.exposed).toEqual([]);
     });
 
     it('should return not found for non-existent component', async () => {
@@ -370,6 +373,56 @@ Content for subsection.
     });
   });
 
+  describe('queryConfig', () => {
+    beforeEach(async () => {
+      analyzer.configIndex.set('env', {
+        name: 'env',
+        filePath: '/mock/config/env.js',
+        exports: ['API_BASE_URL', 'TIMEOUT'],
+        constants: [
+          { name: 'API_BASE_URL', value: "'/api'", exported: true },
+          { name: 'TIMEOUT', value: '5000', exported: true }
+        ],
+        documentation: ''
+      });
+      analyzer.configIndex.set('_documentation', { name: 'configurations', documentation: '' });
+      analyzer.isIndexed = true;
+    });
+
+    it('should find a configuration module by name', async () => {
+      const result = await analyzer.queryConfig('env');
+
+      expect(result).toMatchObject({
+        found: true,
+        type: 'config',
+        filePath: '/mock/config/env.js'
+      });
+      expect(result.constants).toHaveLength(2);
+    });
+
+    it('should find a constant within a configuration module', async () => {
+      const result = await analyzer.queryConfig('timeout');
+
+      expect(result).toMatchObject({
+        found: true,
+        type: 'constant',
+        name: 'TIMEOUT',
+        value: '5000',
+        parentModule: 'env'
+      });
+    });
+
+    it('should suggest similar names and list modules without the README entry', async () => {
+      const result = await analyzer.queryConfig('API_BASE_URI');
+
+      expect(result.found).toBe(false);
+      expect(result.suggestions[0]).toEqual({ name: 'API_BASE_URL', parent: 'env' });
+      expect(await analyzer.getAllConfigs()).toEqual([
+        { name: 'env', constants: ['API_BASE_URL', 'TIMEOUT'], description: '' }
+      ]);
+    });
+  });
+
   describe('getBestPractices', () => {
     beforeEach(async () => {
       // Mock documentation with best practices
@@ -0,0 +1,115 @@
+/**
+ * Tests for the persistent resource index cache
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ResourceAnalyzer } from '../resource-analyzer.js';
+
+const component = props => `<template><div /></template>
+<script>
+export default {
+  props: {
+${props.map(prop => `    ${prop}: { type: String, default: '' }`).join(',\n')}
+  }
+};
+</script>
+`;
+
+describe('ResourceIndexCache', () => {
+  let workspace;
+  let sharedLibrary;
+  let cachePath;
+
+  const write = (relativePath, content) => {
+    const filePath = path.join(sharedLibrary, relativePath);
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  const createAnalyzer = (config = {}) =>
+    new ResourceAnalyzer(sharedLibrary, { workspaceRoot: workspace, ...config });
+
+  beforeEach(() => {
+    workspace = mkdtempSync(path.join(tmpdir(), 'balm-index-cache-'));
+    sharedLibrary = path.join(workspace, 'my-shared');
+    cachePath = path.join(workspace, '.balm-shared-mcp', 'resource-index.json');
+
+    write('src/scripts/components/yb-avatar.vue', component(['size']));
+    write('src/scripts/components/yb-badge.vue', component(['count']));
+    write('src/scripts/utils/format.js', 'export function formatDate(date) {}\n');
+    write('src/scripts/plugins/http/README.md', 'HTTP client plugin.\n');
+  });
+
+  afterEach(() => {
+    rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it('should reload the persisted index without re-parsing unchanged files', async () => {
+    await createAnalyzer().buildResourceIndex();
+    expect(JSON.parse(readFileSync(cachePath, 'utf-8')).files).toHaveProperty(
+      path.join(sharedLibrary, 'src/scripts/components/yb-avatar.vue')
+    );
+
+    const analyzer = createAnalyzer();
+    const extractApi = vi.spyOn(analyzer, '_extractComponentApi');
+    await analyzer.buildResourceIndex();
+
+    expect(extractApi).not.toHaveBeenCalled();
+    expect(analyzer.componentsIndex.get('yb-avatar').props.map(prop => prop.name)).toEqual([
+      'size'
+    ]);
+    expect(analyzer.utilsIndex.get('format').functions[0].name).toBe('formatDate');
+    expect(analyzer.pluginsIndex.get('http').documentation).toBe('HTTP client plugin.\n');
+  });
+
+  it('should re-parse only changed files and drop removed ones after invalidation', async () => {
+    const analyzer = createAnalyzer();
+    await analyzer.buildResourceIndex();
+
+    write('src/scripts/components/yb-avatar.vue', component(['size', 'shape']));
+    rmSync(path.join(sharedLibrary, 'src/scripts/components/yb-badge.vue'));
+    const extractApi = vi.spyOn(analyzer, '_extractComponentApi');
+
+    analyzer.invalidateIndex();
+    const result = await analyzer.queryComponent('yb-avatar');
+
+    expect(extractApi).toHaveBeenCalledTimes(1);
+    expect(result.props.map(prop => prop.name)).toEqual(['size', 'shape']);
+    expect(analyzer.componentsIndex.has('yb-badge')).toBe(false);
+    expect(Object.keys(JSON.parse(readFileSync(cachePath, 'utf-8')).files)).not.toContain(
+      path.join(sharedLibrary, 'src/scripts/components/yb-badge.vue')
+    );
+  });
+
+  it('should ignore a corrupt cache file or one written for another library', async () => {
+    mkdirSync(path.dirname(cachePath), { recursive: true });
+
+    for (const stored of ['{not json', JSON.stringify({ version: 1, sharedLibraryPath: '/x' })]) {
+      writeFileSync(cachePath, stored);
+      const analyzer = createAnalyzer();
+      const extractApi = vi.spyOn(analyzer, '_extractComponentApi');
+
+      await analyzer.buildResourceIndex();
+
+      expect(extractApi).toHaveBeenCalledTimes(2);
+      expect(analyzer.componentsIndex.size).toBe(2);
+    }
+  });
+
+  it('should not write a cache file when caching is disabled', async () => {
+    await createAnalyzer({ resourceIndex: { cache: false } }).buildResourceIndex();
+
+    expect(() => readFileSync(cachePath)).toThrow();
+  });
+
+  it('should keep the cache in memory in read-only mode', async () => {
+    await createAnalyzer({ tools: { readOnly: true } }).buildResourceIndex();
+    await createAnalyzer({ tools: { profile: 'read-only' } }).buildResourceIndex();
+
+    expect(existsSync(path.dirname(cachePath))).toBe(false);
+  });
+});
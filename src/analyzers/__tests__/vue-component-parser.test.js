@@ -0,0 +1,133 @@
+/**
+ * Tests for Vue single-file component API extraction
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseVueComponent } from '../vue-component-parser.js';
+
+describe('parseVueComponent', () => {
+  it('should read typed defineProps with defaults, emits, models, slots and exposed methods', () => {
+    const api = parseVueComponent(`<template>
+  <div>
+    <slot name="header" :title="title" />
+    <slot />
+  </div>
+</template>
+<script setup lang="ts">
+interface Props {
+  title: string;
+  size?: 'small' | 'medium';
+  tags?: string[];
+}
+
+const props = withDefaults(defineProps<Props>(), {
+  size: 'medium',
+  tags: () => []
+});
+const emit = defineEmits<{
+  (e: 'close' | 'open'): void;
+  (e: 'select', id: number): void;
+}>();
+const visible = defineModel<boolean>('visible');
+defineSlots<{ footer(props: { total: number }): any }>();
+
+function reset() {
+  emit('reset');
+}
+defineExpose({ reset });
+</script>
+`);
+
+    expect(api.props).toEqual([
+      { name: 'title', type: 'string', default: undefined, required: true },
+      { name: 'size', type: "'small' | 'medium'", default: "'medium'", required: false },
+      { name: 'tags', type: 'string[]', default: '() => []', required: false },
+      { name: 'visible', type: 'boolean', default: undefined, required: false }
+    ]);
+    expect(api.events.map(event => `${event.name}:${event.source}`)).toEqual([
+      'close:declared',
+      'open:declared',
+      'select:declared',
+      'update:visible:declared',
+      'reset:emit'
+    ]);
+    expect(api.models).toEqual([
+      { directive: 'v-model:visible', prop: 'visible', event: 'update:visible' }
+    ]);
+    expect(api.slots).toEqual([
+      { name: 'footer', props: [] },
+      { name: 'header', props: ['title'] },
+      { name: 'default', props: [] }
+    ]);
+    expect(api.exposed).toEqual([{ name: 'reset' }]);
+  });
+
+  it('should read runtime defineProps and defineEmits', () => {
+    const api = parseVueComponent(`<script setup>
+import { computed } from 'vue';
+
+defineProps({
+  modelValue: { type: [String, Number], required: true },
+  placeholder: String
+});
+const emit = defineEmits(['update:modelValue', 'blur']);
+const value = computed({ set: next => emit('update:modelValue', next) });
+</script>
+`);
+
+    expect(api.props).toEqual([
+      { name: 'modelValue', type: 'String | Number', default: undefined, required: true },
+      { name: 'placeholder', type: 'String', default: undefined, required: false }
+    ]);
+    expect(api.events).toEqual([
+      { name: 'update:modelValue', source: 'declared' },
+      { name: 'blur', source: 'declared' }
+    ]);
+    expect(api.models).toEqual([
+      { directive: 'v-model', prop: 'modelValue', event: 'update:modelValue' }
+    ]);
+  });
+
+  it('should read Options API components, including a custom model option', () => {
+    const api = parseVueComponent(`<template>
+  <label @click="$emit('click')"><slot v-if="$slots.label" name="label" /></label>
+</template>
+<script>
+import formMixin from '../mixins/form';
+
+export default {
+  name: 'YbSwitch',
+  mixins: [formMixin],
+  model: { prop: 'checked', event: 'change' },
+  props: {
+    checked: { type: Boolean, default: false },
+    options: { type: Array, default() { return []; } }
+  },
+  methods: {
+    toggle() {
+      this.$emit('change', !this.checked);
+    },
+    focus() {}
+  }
+};
+</script>
+`);
+
+    expect(api.props).toEqual([
+      { name: 'checked', type: 'Boolean', default: 'false', required: false },
+      { name: 'options', type: 'Array', default: 'default() { return []; }', required: false }
+    ]);
+    expect(api.events).toEqual([
+      { name: 'change', source: 'emit' },
+      { name: 'click', source: 'emit' }
+    ]);
+    expect(api.mixins).toEqual(['formMixin']);
+    expect(api.models).toEqual([{ directive: 'v-model', prop: 'checked', event: 'change' }]);
+    expect(api.slots).toEqual([{ name: 'label', props: [] }]);
+    expect(api.exposed).toEqual([{ name: 'toggle' }, { name: 'focus' }]);
+  });
+
+  it('should return null when a script block does not parse', () => {
+    expect(parseVueComponent('<script>\nexport default {\n</script>')).toBeNull();
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Library Search
+ *
+ * A small in-memory inverted index ranked with BM25, used to search the
+ * shared library by what components and utilities do rather than by name.
+ * Everything runs locally; no model or network access is involved.
+ *
+ * Tokens are lower-cased words (camelCase and kebab-case identifiers are
+ * split, common English suffixes stripped) and overlapping character
+ * bigrams for Chinese text.
+ */
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'can',
+  'do',
+  'does',
+  'for',
+  'how',
+  'i',
+  'in',
+  'is',
+  'it',
+  'of',
+  'on',
+  'or',
+  'that',
+  'the',
+  'to',
+  'what',
+  'which',
+  'with'
+]);
+
+const WORD_PATTERN = /[a-z0-9]+|[\u4e00-\u9fff]+/g;
+const CJK_PATTERN = /^[\u4e00-\u9fff]/;
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Reduce an English word to a rough stem, so "uploads", "uploaded" and
+ * "uploading" all match "upload"
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+
+  if (word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+  const singular = word.endsWith('s') && !/(ss|us|is)$/.test(word) ? word.slice(0, -1) : word;
+  if (/(ing|ed)$/.test(singular) && singular.length > 5) {
+    const stemmed = singular.replace(/(ing|ed)$/, '');
+    // cropping -> cropp -> crop
+    return /([^aeiouls])\1$/.test(stemmed) ? stemmed.slice(0, -1) : stemmed;
+  }
+  return singular;
+}
+
+/**
+ * Split text into search tokens
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const words =
+    String(text || '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .match(WORD_PATTERN) || [];
+  const tokens = [];
+
+  for (const word of words) {
+    if (CJK_PATTERN.test(word)) {
+      if (word.length === 1) {
+        tokens.push(word);
+      }
+      for (let i = 0; i < word.length - 1; i++) {
+        tokens.push(word.slice(i, i + 2));
+      }
+    } else if (!STOP_WORDS.has(word)) {
+      tokens.push(stem(word));
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Pick the line of `text` that contains the most of the matched terms and
+ * shorten it to a snippet
+ *
+ * @param {string} text
+ * @param {string[]} terms - tokens as returned by tokenize()
+ * @returns {string}
+ */
+export function createSnippet(text, terms) {
+  const wanted = new Set(terms);
+  let best = { line: '', matches: -1 };
+
+  for (const rawLine of String(text || '').split('\n')) {
+    const line = rawLine.replace(/^[#>*\-|\s]+/, '').trim();
+    if (!line || line.startsWith('```')) {
+      continue;
+    }
+
+    const matches = new Set(tokenize(line).filter(token => wanted.has(token))).size;
+    if (matches > best.matches) {
+      best = { line, matches };
+    }
+  }
+
+  return best.line.length > SNIPPET_LENGTH
+    ? `${best.line.slice(0, SNIPPET_LENGTH - 1)}…`
+    : best.line;
+}
+
+export class SearchIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.k1=1.2] - term frequency saturation
+   * @param {number} [options.b=0.75] - document length normalization
+   */
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.documents = [];
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Add a document. Each field's tokens count `weight` times, so a match in
+   * a name can outrank the same word in a long README section.
+   *
+   * @param {Object} document - returned as-is with the hits
+   * @param {Array<{text: string, weight?: number}>} fields
+   */
+  add(document, fields) {
+    const id = this.documents.length;
+    const frequencies = new Map();
+    let length = 0;
+
+    for (const { text, weight = 1 } of fields) {
+      for (const token of tokenize(text)) {
+        frequencies.set(token, (frequencies.get(token) || 0) + weight);
+        length += weight;
+      }
+    }
+
+    this.documents.push({ document, length });
+    this.totalLength += length;
+
+    for (const [token, frequency] of frequencies) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, []);
+      }
+      this.postings.get(token).push({ id, frequency });
+    }
+  }
+
+  /**
+   * Rank the documents matching any query term
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit=10]
+   * @param {Function} [options.filter] - receives each matching document
+   * @returns {Array<{document: Object, score: number, terms: string[]}>}
+   */
+  search(query, options = {}) {
+    const { limit = 10, filter } = options;
+    const averageLength = this.totalLength / (this.documents.length || 1);
+    const matches = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const postings = this.postings.get(term);
+      if (!postings) {
+        continue;
+      }
+
+      const idf = Math.log(
+        1 + (this.documents.length - postings.length + 0.5) / (postings.length + 0.5)
+      );
+
+      for (const { id, frequency } of postings) {
+        const { length } = this.documents[id];
+        const normalization = this.k1 * (1 - this.b + (this.b * length) / averageLength);
+        const match = matches.get(id) || { score: 0, terms: [] };
+
+        match.score += (idf * frequency * (this.k1 + 1)) / (frequency + normalization);
+        match.terms.push(term);
+        matches.set(id, match);
+      }
+    }
+
+    return [...matches]
+      .map(([id, match]) => ({ document: this.documents[id].document, ...match }))
+      .filter(hit => !filter || filter(hit.document))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Library Watcher
+ *
+ * Watches the shared library while the server runs and refreshes the
+ * ResourceAnalyzer index when components, utilities, configs, plugins or
+ * their READMEs change. Events are debounced, since a single editor save
+ * usually fires several of them.
+ *
+ * Only the directories the analyzer indexes are watched, so node_modules,
+ * .git and build output never take up inotify watches. An indexed directory
+ * that does not exist yet is waited for through a non-recursive watch on its
+ * nearest existing parent. Where recursive fs.watch is unavailable (Linux
+ * before Node 19.1) each directory below them is watched on its own, and
+ * directories created later are added as they appear.
+ */
+
+import { readdirSync, statSync, watch } from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_DEBOUNCE_MS = 200;
+const IGNORED_DIRS = new Set(['node_modules', '.git']);
+
+const [NODE_MAJOR, NODE_MINOR] = process.versions.node.split('.').map(Number);
+const RECURSIVE_WATCH =
+  process.platform !== 'linux' || NODE_MAJOR > 19 || (NODE_MAJOR === 19 && NODE_MINOR >= 1);
+
+function isDirectory(filePath) {
+  try {
+    return statSync(filePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The closest existing directory above `directory`, not leaving `root`
+ */
+function nearestExistingParent(directory, root) {
+  let current = path.dirname(directory);
+  while (!isDirectory(current)) {
+    if (current === root || !current.startsWith(`${root}${path.sep}`)) {
+      return null;
+    }
+    current = path.dirname(current);
+  }
+  return current;
+}
+
+export class LibraryWatcher {
+  /**
+   * @param {ResourceAnalyzer} resourceAnalyzer - analyzer whose library is watched
+   * @param {Object} [options]
+   * @param {number} [options.debounceMs] - quiet period before a refresh
+   * @param {boolean} [options.recursive] - use recursive fs.watch; defaults to
+   *   whether this Node version supports it on this platform
+   * @param {Function} [options.onChange] - receives the index changes of each refresh
+   */
+  constructor(resourceAnalyzer, options = {}) {
+    this.resourceAnalyzer = resourceAnalyzer;
+    this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    this.recursive = options.recursive ?? RECURSIVE_WATCH;
+    this.onChange = options.onChange || (() => {});
+    this.watchers = new Map();
+    this.parentWatchers = new Map();
+    this.active = false;
+    this.timer = null;
+    this.pending = new Set();
+    this.refreshing = Promise.resolve([]);
+  }
+
+  /**
+   * Start watching the indexed directories; a directory that cannot be
+   * watched is logged and skipped
+   */
+  start() {
+    if (this.active) {
+      return;
+    }
+
+    this.active = true;
+    this._syncDirectories({ refresh: false });
+
+    logger.info(`Watching shared library for changes: ${this.resourceAnalyzer.sharedLibraryPath}`, {
+      directories: this.watchers.size,
+      waitingFor: this.parentWatchers.size,
+      recursive: this.recursive
+    });
+  }
+
+  /**
+   * Stop watching and drop changes that were not refreshed yet
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+
+    for (const watcher of [...this.watchers.values(), ...this.parentWatchers.values()]) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    this.parentWatchers.clear();
+    this.active = false;
+  }
+
+  /**
+   * Refresh the index for the files changed since the last flush. Refreshes
+   * run one after another.
+   *
+   * @returns {Promise<Array>} the index changes
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const filePaths = [...this.pending];
+    this.pending.clear();
+
+    this.refreshing = this.refreshing.then(async () => {
+      if (filePaths.length === 0) {
+        return [];
+      }
+
+      try {
+        const changes = await this.resourceAnalyzer.refreshFiles(filePaths);
+        if (changes.length > 0) {
+          this.onChange(changes);
+        }
+        return changes;
+      } catch (error) {
+        logger.warn('Failed to refresh resource index', { error: error.message });
+        return [];
+      }
+    });
+    return this.refreshing;
+  }
+
+  /**
+   * Watch the indexed directories that exist and, for those that do not, their
+   * nearest existing parent. With `refresh`, directories that appeared since
+   * the last call are re-indexed.
+   */
+  _syncDirectories({ refresh }) {
+    const root = this.resourceAnalyzer.sharedLibraryPath;
+    const parents = new Set();
+
+    for (const directory of this.resourceAnalyzer.getRefreshableDirectories()) {
+      if (this.watchers.has(directory)) {
+        continue;
+      }
+      if (!isDirectory(directory)) {
+        const parent = nearestExistingParent(directory, root);
+        if (parent) {
+          parents.add(parent);
+        }
+        continue;
+      }
+
+      if (this.recursive) {
+        this._watch(directory);
+      } else {
+        this._watchTree(directory);
+      }
+      if (refresh) {
+        this._schedule(directory);
+      }
+    }
+
+    for (const [parent, watcher] of this.parentWatchers) {
+      if (!parents.has(parent)) {
+        watcher.close();
+        this.parentWatchers.delete(parent);
+      }
+    }
+    const added = [...parents].filter(
+      parent => !this.parentWatchers.has(parent) && this._watchParent(parent)
+    );
+
+    // A directory created below a parent before its watch started would be missed
+    if (added.length > 0) {
+      this._syncDirectories({ refresh });
+    }
+  }
+
+  _watchParent(directory) {
+    try {
+      const watcher = watch(directory, () => {
+        if (this.active) {
+          this._syncDirectories({ refresh: true });
+        }
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        this.parentWatchers.delete(directory);
+      });
+      this.parentWatchers.set(directory, watcher);
+      return true;
+    } catch (error) {
+      logger.warn('Cannot watch shared library directory, new sections need a restart', {
+        path: directory,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  _watch(directory) {
+    try {
+      const watcher = watch(directory, { recursive: this.recursive }, (eventType, fileName) => {
+        this._onEvent(directory, eventType, fileName);
+      });
+      watcher.on('error', error => {
+        logger.warn('Shared library watcher failed, index updates need a restart', {
+          path: directory,
+          error: error.message
+        });
+        this._unwatch(directory);
+      });
+      this.watchers.set(directory, watcher);
+    } catch (error) {
+      logger.warn('Cannot watch shared library directory, index updates need a restart', {
+        path: directory,
+        error: error.message
+      });
+    }
+  }
+
+  _watchTree(directory) {
+    if (this.watchers.has(directory)) {
+      return;
+    }
+    this._watch(directory);
+
+    let entries = [];
+    try {
+      entries = readdirSync(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORED_DIRS.has(entry.name)) {
+        this._watchTree(path.join(directory, entry.name));
+      }
+    }
+  }
+
+  // Close the watcher of a directory and of everything below it
+  _unwatch(directory) {
+    for (const [watched, watcher] of this.watchers) {
+      if (watched === directory || watched.startsWith(`${directory}${path.sep}`)) {
+        watcher.close();
+        this.watchers.delete(watched);
+      }
+    }
+  }
+
+  _onEvent(directory, eventType, fileName) {
+    if (!fileName || fileName.split(path.sep).some(segment => IGNORED_DIRS.has(segment))) {
+      return;
+    }
+
+    const filePath = path.join(directory, fileName);
+    if (!this.recursive && eventType === 'rename') {
+      if (isDirectory(filePath)) {
+        this._watchTree(filePath);
+      } else if (this.watchers.has(filePath)) {
+        this._unwatch(filePath);
+      }
+    }
+
+    this._schedule(filePath);
+  }
+
+  _schedule(filePath) {
+    this.pending.add(filePath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+}
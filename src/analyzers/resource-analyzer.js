@@ -6,9 +6,31 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { isDeepStrictEqual } from 'util';
 import { logger } from '../utils/logger.js';
+import { ResourceIndexCache } from './resource-index-cache.js';
+import { SearchIndex, createSnippet } from './library-search.js';
+import { parseVueComponent } from './vue-component-parser.js';
+import { resolveToolProfile } from '../core/tool-profiles.js';
 // import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
 
+const COMPONENT_DIRS = [
+  'src/scripts/components',
+  'src/scripts/form-components',
+  'src/scripts/chart-components'
+];
+
+/**
+ * Index sections that refreshFiles() rebuilds, with the library directories
+ * each one is built from
+ */
+const REFRESHABLE_SECTIONS = [
+  { index: 'componentsIndex', dirs: COMPONENT_DIRS, indexer: '_indexComponents' },
+  { index: 'utilsIndex', dirs: ['src/scripts/utils'], indexer: '_indexUtils' },
+  { index: 'configIndex', dirs: ['src/scripts/config'], indexer: '_indexConfigurations' },
+  { index: 'pluginsIndex', dirs: ['src/scripts/plugins'], indexer: '_indexPlugins' }
+];
+
 export class ResourceAnalyzer {
   constructor(sharedLibraryPath, config = {}) {
     this.sharedLibraryPath = sharedLibraryPath;
@@ -20,6 +42,28 @@ export class ResourceAnalyzer {
     this.pluginsIndex = new Map();
     this.examplesIndex = new Map();
     this.isIndexed = false;
+    this.indexing = null;
+    this.searchIndex = null;
+
+    // Parse results per file, persisted next to the operation journal unless
+    // disabled; read-only mode never touches disk, so the cache stays in memory
+    const indexOptions = config.resourceIndex || {};
+    const cachePath =
+      indexOptions.cachePath ||
+      (config.workspaceRoot &&
+        path.join(config.workspaceRoot, '.balm-shared-mcp', 'resource-index.json'));
+    const persist = indexOptions.cache !== false && !resolveToolProfile(config.tools).readOnly;
+    this.indexCache = new ResourceIndexCache(persist ? cachePath : null, {
+      sharedLibraryPath: sharedLibraryPath && path.resolve(sharedLibraryPath)
+    });
+  }
+
+  /**
+   * Mark the index as stale; the next query rebuilds it, re-parsing only the
+   * files that changed since they were cached
+   */
+  invalidateIndex() {
+    this.isIndexed = false;
   }
 
   /**
@@ -195,12 +239,36 @@ export class ResourceAnalyzer {
   }
 
   /**
-   * Build comprehensive resource index for shared-project
+   * Build comprehensive resource index for shared-project. Concurrent callers
+   * share the build in progress.
    */
-  async buildResourceIndex() {
+  buildResourceIndex() {
+    if (!this.indexing) {
+      this.indexing = this._buildResourceIndex().finally(() => {
+        this.indexing = null;
+      });
+    }
+    return this.indexing;
+  }
+
+  async _buildResourceIndex() {
     logger.info('Building shared-project resource index...');
 
     try {
+      await this.indexCache.load();
+      this.indexCache.beginBuild();
+
+      // Start from empty indexes so removed files disappear on a rebuild
+      for (const index of [
+        this.componentsIndex,
+        this.utilsIndex,
+        this.configIndex,
+        this.pluginsIndex,
+        this.examplesIndex
+      ]) {
+        index.clear();
+      }
+
       // Index components - continue on individual failures
       try {
         await this._indexComponents();
@@ -236,8 +304,15 @@ export class ResourceAnalyzer {
         logger.warn('Failed to index examples:', error.message);
       }
 
+      const stats = await this.indexCache.finishBuild();
+
       this.isIndexed = true;
-      logger.info('Resource index built successfully');
+      this.searchIndex = null;
+      logger.info('Resource index built successfully', {
+        parsedFiles: stats.parsed,
+        cachedFiles: stats.cached,
+        removedFiles: stats.removed
+      });
     } catch (error) {
       logger.error('Failed to build resource index:', error);
       this.isIndexed = false;
@@ -245,17 +320,113 @@ export class ResourceAnalyzer {
     }
   }
 
+  /**
+   * Absolute paths of the library directories refreshFiles() can re-index
+   *
+   * @returns {string[]}
+   */
+  getRefreshableDirectories() {
+    return REFRESHABLE_SECTIONS.flatMap(section =>
+      section.dirs.map(dir => path.join(this.sharedLibraryPath, dir))
+    );
+  }
+
+  /**
+   * Re-index the sections containing the given files and update their index
+   * entries in place. Only files that changed since they were cached are
+   * re-parsed. Before the first build there is nothing to update.
+   *
+   * @param {string[]} filePaths - changed files or directories in the shared library
+   * @returns {Promise<Array<{index: string, name: string, change: 'added'|'updated'|'removed'}>>}
+   */
+  async refreshFiles(filePaths) {
+    while (this.indexing) {
+      await this.indexing.catch(() => {});
+    }
+    if (!this.isIndexed) {
+      return [];
+    }
+
+    const relativePaths = filePaths.map(filePath =>
+      path.relative(this.sharedLibraryPath, filePath)
+    );
+    const sections = REFRESHABLE_SECTIONS.filter(section =>
+      section.dirs.some(dir =>
+        relativePaths.some(
+          relative =>
+            relative === dir ||
+            relative.startsWith(`${dir}${path.sep}`) ||
+            dir.startsWith(`${relative}${path.sep}`)
+        )
+      )
+    );
+    if (sections.length === 0) {
+      return [];
+    }
+
+    this.indexing = this._refreshSections(sections).finally(() => {
+      this.indexing = null;
+    });
+    return this.indexing;
+  }
+
+  async _refreshSections(sections) {
+    this.indexCache.beginBuild();
+
+    const changes = [];
+    for (const section of sections) {
+      // Index into a fresh map on a view of this analyzer, so queries keep
+      // reading the current entries until the differences are applied
+      const view = Object.create(this, { [section.index]: { value: new Map() } });
+      await view[section.indexer]();
+      changes.push(...this._applyIndexChanges(section.index, view[section.index]));
+    }
+    if (changes.length > 0) {
+      this.searchIndex = null;
+    }
+
+    const stats = await this.indexCache.finishBuild({
+      within: sections.flatMap(section =>
+        section.dirs.map(dir => path.join(this.sharedLibraryPath, dir))
+      )
+    });
+    logger.info('Resource index refreshed', {
+      sections: sections.map(section => section.index),
+      changes: changes.length,
+      parsedFiles: stats.parsed
+    });
+    return changes;
+  }
+
+  _applyIndexChanges(indexName, freshIndex) {
+    const index = this[indexName];
+    const changes = [];
+
+    for (const [name, entry] of freshIndex) {
+      if (!index.has(name)) {
+        changes.push({ index: indexName, name, change: 'added' });
+      } else if (!isDeepStrictEqual(index.get(name), entry)) {
+        changes.push({ index: indexName, name, change: 'updated' });
+      } else {
+        continue;
+      }
+      index.set(name, entry);
+    }
+
+    for (const name of [...index.keys()]) {
+      if (!freshIndex.has(name)) {
+        index.delete(name);
+        changes.push({ index: indexName, name, change: 'removed' });
+      }
+    }
+    return changes;
+  }
+
   /**
    * Index Vue components from components and form-components directories
    */
   async _indexComponents() {
-    const componentDirs = [
-      'src/scripts/components',
-      'src/scripts/form-components',
-      'src/scripts/chart-components'
-    ];
-
-    for (const dir of componentDirs) {
+    for (const dir of COMPONENT_DIRS) {
       const fullPath = path.join(this.sharedLibraryPath, dir);
 
       try {
@@ -272,6 +443,7 @@ export class ResourceAnalyzer {
   async _scanComponentDirectory(dirPath, category) {
     try {
       const entries = await fs.readdir(dirPath, { withFileTypes: true });
+      let readmePath = null;
 
       for (const entry of entries) {
         const fullPath = path.join(dirPath, entry.name);
@@ -283,10 +455,14 @@ export class ResourceAnalyzer {
           // Parse Vue component
           await this._parseVueComponent(fullPath, entry.name, category);
         } else if (entry.name === 'README.md') {
-          // Parse component documentation
-          await this._parseComponentDocumentation(fullPath, category);
+          readmePath = fullPath;
         }
       }
+
+      // Parse component documentation once the directory's components are indexed
+      if (readmePath) {
+        await this._parseComponentDocumentation(readmePath, category);
+      }
     } catch (error) {
       logger.warn(`Cannot access directory ${dirPath}:`, error.message);
     }
@@ -297,20 +473,17 @@ export class ResourceAnalyzer {
    */
   async _parseVueComponent(filePath, fileName, category) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
       const componentName = fileName.replace('.vue', '');
 
-      const componentInfo = {
+      const componentInfo = await this.indexCache.read(filePath, content => ({
         name: componentName,
         category,
         filePath,
-        props: this._extractProps(content),
-        events: this._extractEvents(content),
-        mixins: this._extractMixins(content),
+        ...this._extractComponentApi(content),
         imports: this._extractImports(content),
         template: this._extractTemplate(content),
         documentation: ''
-      };
+      }));
 
       this.componentsIndex.set(componentName, componentInfo);
       logger.debug(`Indexed component: ${componentName}`);
@@ -324,10 +497,10 @@ export class ResourceAnalyzer {
    */
   async _parseComponentDocumentation(filePath, category) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
-
       // Extract component documentation sections
-      const sections = this._parseMarkdownSections(content);
+      const sections = await this.indexCache.read(filePath, content =>
+        this._parseMarkdownSections(content)
+      );
 
       // Associate documentation with components
       for (const [componentName, componentInfo] of this.componentsIndex) {
@@ -379,17 +552,16 @@ export class ResourceAnalyzer {
    */
   async _parseUtilityFile(filePath, fileName) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
       const utilName = fileName.replace('.js', '');
 
-      const utilInfo = {
+      const utilInfo = await this.indexCache.read(filePath, content => ({
         name: utilName,
         filePath,
         functions: this._extractFunctions(content),
         exports: this._extractExports(content),
         imports: this._extractImports(content),
         documentation: ''
-      };
+      }));
 
       this.utilsIndex.set(utilName, utilInfo);
       logger.debug(`Indexed utility: ${utilName}`);
@@ -403,13 +575,14 @@ export class ResourceAnalyzer {
    */
   async _parseUtilsDocumentation(filePath) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
-
       // Store general utilities documentation
       this.utilsIndex.set('_documentation', {
-        name: 'utilities',
-        documentation: content,
-        examples: this._extractCodeExamples(content)
+        ...(await this.indexCache.read(filePath, content => ({
+          name: 'utilities',
+          documentation: content,
+          examples: this._extractCodeExamples(content)
+        }))),
+        filePath
       });
     } catch (error) {
       logger.warn('Failed to parse utils documentation:', error.message);
@@ -443,16 +616,15 @@ export class ResourceAnalyzer {
    */
   async _parseConfigFile(filePath, fileName) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
       const configName = fileName.replace('.js', '');
 
-      const configInfo = {
+      const configInfo = await this.indexCache.read(filePath, content => ({
         name: configName,
         filePath,
         exports: this._extractExports(content),
         constants: this._extractConstants(content),
         documentation: ''
-      };
+      }));
 
       this.configIndex.set(configName, configInfo);
       logger.debug(`Indexed config: ${configName}`);
@@ -466,12 +638,13 @@ export class ResourceAnalyzer {
    */
   async _parseConfigDocumentation(filePath) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
-
       this.configIndex.set('_documentation', {
-        name: 'configurations',
-        documentation: content,
-        examples: this._extractCodeExamples(content)
+        ...(await this.indexCache.read(filePath, content => ({
+          name: 'configurations',
+          documentation: content,
+          examples: this._extractCodeExamples(content)
+        }))),
+        filePath
       });
     } catch (error) {
       logger.warn('Failed to parse config documentation:', error.message);
@@ -520,17 +693,21 @@ export class ResourceAnalyzer {
         const fullPath = path.join(dirPath, entry.name);
 
         if (entry.name.endsWith('.js')) {
-          const content = await fs.readFile(fullPath, 'utf-8');
-          pluginInfo.files.push({
-            name: entry.name,
-            path: fullPath,
-            exports: this._extractExports(content),
-            functions: this._extractFunctions(content)
-          });
+          pluginInfo.files.push(
+            await this.indexCache.read(fullPath, content => ({
+              name: entry.name,
+              path: fullPath,
+              exports: this._extractExports(content),
+              functions: this._extractFunctions(content)
+            }))
+          );
         } else if (entry.name === 'README.md') {
-          const content = await fs.readFile(fullPath, 'utf-8');
-          pluginInfo.documentation = content;
-          pluginInfo.examples = this._extractCodeExamples(content);
+          const readme = await this.indexCache.read(fullPath, content => ({
+            documentation: content,
+            examples: this._extractCodeExamples(content)
+          }));
+          pluginInfo.documentation = readme.documentation;
+          pluginInfo.examples = readme.examples;
         }
       }
 
@@ -546,12 +723,13 @@ export class ResourceAnalyzer {
    */
   async _parsePluginsDocumentation(filePath) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
-
       this.pluginsIndex.set('_documentation', {
-        name: 'plugins',
-        documentation: content,
-        examples: this._extractCodeExamples(content)
+        ...(await this.indexCache.read(filePath, content => ({
+          name: 'plugins',
+          documentation: content,
+          examples: this._extractCodeExamples(content)
+        }))),
+        filePath
       });
     } catch (error) {
       logger.warn('Failed to parse plugins documentation:', error.message);
@@ -587,8 +765,7 @@ export class ResourceAnalyzer {
       let packageInfo = {};
 
       try {
-        const packageContent = await fs.readFile(packageJsonPath, 'utf-8');
-        packageInfo = JSON.parse(packageContent);
+        packageInfo = await this.indexCache.read(packageJsonPath, content => JSON.parse(content));
       } catch {
         logger.warn(`No package.json found for example ${projectName}`);
       }
@@ -648,6 +825,28 @@ export class ResourceAnalyzer {
     }
   }
 
+  /**
+   * Extract props, events, mixins, v-model bindings, slots and exposed
+   * methods. Components whose script does not parse fall back to the
+   * Options API patterns below.
+   */
+  _extractComponentApi(content) {
+    const api = parseVueComponent(content);
+    if (api) {
+      return api;
+    }
+
+    logger.debug('Component script did not parse, using pattern extraction');
+    return {
+      props: this._extractProps(content),
+      events: this._extractEvents(content),
+      mixins: this._extractMixins(content),
+      models: [],
+      slots: [],
+      exposed: []
+    };
+  }
+
   /**
    * Extract Vue component props from script section
    */
@@ -1049,6 +1248,9 @@ export class ResourceAnalyzer {
       props: this._mergePropsWithDocumentation(component.props, component.propsDoc),
       events: this._mergeEventsWithDocumentation(component.events, component.eventsDoc),
       mixins: component.mixins || [],
+      models: component.models || [],
+      slots: component.slots || [],
+      exposed: component.exposed || [],
       imports: component.imports || [],
       template: component.template || '',
       examples: component.examples || [],
@@ -1152,6 +1354,197 @@ export class ResourceAnalyzer {
     };
   }
 
+  /**
+   * Query a configuration module, or the module that defines a constant
+   */
+  async queryConfig(name) {
+    logger.info(`Querying config: ${name}`);
+
+    if (!this.isIndexed) {
+      await this.buildResourceIndex();
+    }
+
+    const config = name !== '_documentation' && this.configIndex.get(name);
+
+    if (config) {
+      return {
+        name: config.name,
+        type: 'config',
+        found: true,
+        filePath: config.filePath,
+        exports: config.exports || [],
+        constants: config.constants || [],
+        documentation: config.documentation || ''
+      };
+    }
+
+    // Fall back to the constants defined in each configuration file
+    for (const [configName, configInfo] of this.configIndex) {
+      if (configName === '_documentation') {
+        continue;
+      }
+
+      const constant = configInfo.constants.find(
+        item => item.name.toLowerCase() === name.toLowerCase()
+      );
+
+      if (constant) {
+        return {
+          name: constant.name,
+          type: 'constant',
+          found: true,
+          filePath: configInfo.filePath,
+          parentModule: configName,
+          value: constant.value,
+          exported: constant.exported,
+          documentation: configInfo.documentation || ''
+        };
+      }
+    }
+
+    return {
+      name,
+      type: 'config',
+      found: false,
+      suggestions: this._getSimilarConfigs(name)
+    };
+  }
+
+  /**
+   * Full-text search over component names, props and events, utility
+   * functions, plugins and the README sections of the library, ranked with
+   * BM25. The search index is rebuilt lazily after the resource index changes.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - maximum number of hits
+   * @param {string[]} [options.kinds] - only return these kinds of hits
+   *   (component, utility, plugin, documentation)
+   * @returns {Promise<Array<{kind: string, name: string, filePath: string, score: number, snippet: string, matchedTerms: string[]}>>}
+   */
+  async searchLibrary(query, options = {}) {
+    logger.info(`Searching shared library: ${query}`);
+
+    if (!this.isIndexed) {
+      await this.buildResourceIndex();
+    }
+    if (!this.searchIndex) {
+      this.searchIndex = this._buildSearchIndex();
+    }
+
+    const { limit = 10, kinds } = options;
+    const hits = this.searchIndex.search(query, {
+      limit,
+      filter: kinds?.length ? document => kinds.includes(document.kind) : undefined
+    });
+
+    return hits.map(({ document, score, terms }) => ({
+      kind: document.kind,
+      name: document.name,
+      ...(document.category && { category: document.category }),
+      filePath: document.filePath,
+      score: Math.round(score * 1000) / 1000,
+      snippet: createSnippet(document.text, terms),
+      matchedTerms: terms
+    }));
+  }
+
+  _buildSearchIndex() {
+    const searchIndex = new SearchIndex();
+    const names = items => items.map(item => item.name || item).join(' ');
+
+    for (const [name, component] of this.componentsIndex) {
+      const slots = component.slots || [];
+      const summary = [
+        component.props.length > 0 && `Props: ${names(component.props)}`,
+        component.events.length > 0 && `Events: ${names(component.events)}`,
+        slots.length > 0 && `Slots: ${names(slots)}`
+      ].filter(Boolean);
+
+      searchIndex.add(
+        {
+          kind: 'component',
+          name,
+          category: component.category,
+          filePath: component.filePath,
+          text: [...summary, component.documentation].join('\n')
+        },
+        [
+          { text: name, weight: 3 },
+          {
+            text: `${names(component.props)} ${names(component.events)} ${names(slots)}`,
+            weight: 2
+          },
+          { text: component.props.map(prop => prop.description || '').join('\n') },
+          { text: component.documentation }
+        ]
+      );
+    }
+
+    for (const [name, utility] of this.utilsIndex) {
+      if (name === '_documentation') {
+        continue;
+      }
+
+      const functions = `${names(utility.functions)} ${utility.exports.join(' ')}`;
+      searchIndex.add(
+        {
+          kind: 'utility',
+          name,
+          filePath: utility.filePath,
+          text: [`Functions: ${names(utility.functions)}`, utility.documentation].join('\n')
+        },
+        [{ text: name, weight: 3 }, { text: functions, weight: 2 }, { text: utility.documentation }]
+      );
+    }
+
+    for (const [name, plugin] of this.pluginsIndex) {
+      if (name === '_documentation') {
+        continue;
+      }
+
+      const exported = plugin.files.map(
+        file => `${file.exports.join(' ')} ${names(file.functions)}`
+      );
+      searchIndex.add(
+        {
+          kind: 'plugin',
+          name,
+          filePath: plugin.dirPath,
+          text: plugin.documentation
+        },
+        [
+          { text: name, weight: 3 },
+          { text: exported.join(' '), weight: 2 },
+          { text: plugin.documentation }
+        ]
+      );
+    }
+
+    // README files that are not tied to a single resource, one document per section
+    for (const index of [this.utilsIndex, this.configIndex, this.pluginsIndex]) {
+      const readme = index.get('_documentation');
+      if (!readme) {
+        continue;
+      }
+
+      for (const section of this._parseMarkdownSections(readme.documentation)) {
+        searchIndex.add(
+          {
+            kind: 'documentation',
+            name: section.title,
+            filePath: readme.filePath,
+            text: section.content
+          },
+          [{ text: section.title, weight: 2 }, { text: section.content }]
+        );
+      }
+    }
+
+    logger.debug(`Built shared library search index with ${searchIndex.size} document(s)`);
+    return searchIndex;
+  }
+
   /**
    * Get best practices for a specific topic
    */
@@ -1290,6 +1683,30 @@ export class ResourceAnalyzer {
     return plugins.sort((a, b) => a.name.localeCompare(b.name));
   }
 
+  /**
+   * Get all available configuration modules
+   */
+  async getAllConfigs() {
+    if (!this.isIndexed) {
+      await this.buildResourceIndex();
+    }
+
+    const configs = [];
+    for (const [name, info] of this.configIndex) {
+      if (name === '_documentation') {
+        continue;
+      }
+
+      configs.push({
+        name,
+        constants: info.constants.map(constant => constant.name),
+        description: this._extractDescriptionFromDoc(info.documentation)
+      });
+    }
+
+    return configs.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
   /**
    * Fuzzy search for components
    */
@@ -1390,6 +1807,37 @@ export class ResourceAnalyzer {
       .map(s => ({ name: s.name }));
   }
 
+  /**
+   * Get similar configuration modules and constants for suggestions
+   */
+  _getSimilarConfigs(name) {
+    const suggestions = [];
+    const searchTerm = name.toLowerCase();
+
+    for (const [configName, configInfo] of this.configIndex) {
+      if (configName === '_documentation') {
+        continue;
+      }
+
+      const configScore = this._calculateSimilarity(searchTerm, configName.toLowerCase());
+      if (configScore > 0.3) {
+        suggestions.push({ name: configName, score: configScore });
+      }
+
+      configInfo.constants.forEach(constant => {
+        const constantScore = this._calculateSimilarity(searchTerm, constant.name.toLowerCase());
+        if (constantScore > 0.3) {
+          suggestions.push({ name: constant.name, score: constantScore, parent: configName });
+        }
+      });
+    }
+
+    return suggestions
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 5)
+      .map(s => ({ name: s.name, parent: s.parent }));
+  }
+
   /**
    * Calculate string similarity using Levenshtein distance
    */
@@ -0,0 +1,170 @@
+/**
+ * Resource Index Cache
+ *
+ * Remembers what ResourceAnalyzer parsed out of each shared library file,
+ * keyed by file path and validated against the file's mtime and size, so a
+ * rebuild only re-parses files that changed. With a cache file the entries
+ * are persisted across server processes.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// Bump when the parsers change so entries written by older versions are dropped
+const CACHE_VERSION = 2;
+
+export class ResourceIndexCache {
+  /**
+   * @param {string|null} cachePath - JSON file to persist to; null keeps the cache in memory
+   * @param {Object} [options]
+   * @param {string} [options.sharedLibraryPath] - library the entries belong to
+   */
+  constructor(cachePath, options = {}) {
+    this.cachePath = cachePath ? path.resolve(cachePath) : null;
+    this.sharedLibraryPath = options.sharedLibraryPath || null;
+    this.entries = new Map();
+    this.loaded = false;
+    this.dirty = false;
+    this._resetBuild();
+  }
+
+  /**
+   * Load persisted entries once; a missing, corrupt or foreign cache file is ignored
+   */
+  async load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    if (!this.cachePath) {
+      return;
+    }
+
+    try {
+      const stored = JSON.parse(await fs.readFile(this.cachePath, 'utf-8'));
+
+      if (stored.version !== CACHE_VERSION || stored.sharedLibraryPath !== this.sharedLibraryPath) {
+        logger.info('Ignoring resource index cache written for another library or version', {
+          cachePath: this.cachePath
+        });
+        return;
+      }
+
+      this.entries = new Map(Object.entries(stored.files || {}));
+      logger.info(`Loaded resource index cache with ${this.entries.size} file(s)`, {
+        cachePath: this.cachePath
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load resource index cache, rebuilding it', {
+          cachePath: this.cachePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Start tracking which files a build reads
+   */
+  beginBuild() {
+    this._resetBuild();
+  }
+
+  /**
+   * Read a file through the cache: the stored parse result is returned when
+   * the file's mtime and size are unchanged, otherwise `parse(content)` runs.
+   * Callers get their own copy and may modify it.
+   */
+  async read(filePath, parse) {
+    const stat = await this._stat(filePath);
+    const cached = this.entries.get(filePath);
+
+    if (stat && cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      this.build.seen.add(filePath);
+      this.build.hits++;
+      return structuredClone(cached.data);
+    }
+
+    const content = await fs.readFile(filePath, 'utf-8');
+    const data = parse(content);
+    this.build.seen.add(filePath);
+    this.build.misses++;
+
+    if (stat) {
+      this.entries.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, data });
+      this.dirty = true;
+    }
+    return structuredClone(data);
+  }
+
+  /**
+   * Drop entries of files the build no longer read (deleted or moved) and
+   * persist the cache if anything changed
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.within] - directories a partial rebuild covered; entries
+   *   outside them are kept
+   * @returns {Promise<{parsed: number, cached: number, removed: number}>}
+   */
+  async finishBuild(options = {}) {
+    const within = options.within?.map(dir => `${dir}${path.sep}`);
+
+    let removed = 0;
+    for (const filePath of this.entries.keys()) {
+      const covered = !within || within.some(dir => filePath.startsWith(dir));
+      if (covered && !this.build.seen.has(filePath)) {
+        this.entries.delete(filePath);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      this.dirty = true;
+    }
+
+    await this.save();
+    return { parsed: this.build.misses, cached: this.build.hits, removed };
+  }
+
+  /**
+   * Write the entries to the cache file; failures only cost the next cold start
+   */
+  async save() {
+    if (!this.cachePath || !this.dirty) {
+      return;
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+      await fs.writeFile(
+        this.cachePath,
+        JSON.stringify({
+          version: CACHE_VERSION,
+          sharedLibraryPath: this.sharedLibraryPath,
+          files: Object.fromEntries(this.entries)
+        }),
+        'utf-8'
+      );
+      this.dirty = false;
+    } catch (error) {
+      logger.warn('Failed to save resource index cache', {
+        cachePath: this.cachePath,
+        error: error.message
+      });
+    }
+  }
+
+  async _stat(filePath) {
+    try {
+      return await fs.stat(filePath);
+    } catch {
+      return null;
+    }
+  }
+
+  _resetBuild() {
+    this.build = { seen: new Set(), hits: 0, misses: 0 };
+  }
+}
@@ -0,0 +1,498 @@
+/**
+ * Vue Component Parser
+ *
+ * Extracts the public API of a single-file component from the AST of its
+ * `<script>` blocks. Both styles are understood:
+ *
+ *   - Options API: `props`, `emits`, `model`, `mixins`, `expose`, `methods`
+ *     and `this.$emit(...)` calls
+ *   - `<script setup>`: `defineProps` (runtime object/array or TypeScript
+ *     type), `withDefaults`, `defineEmits`, `defineModel`, `defineExpose`,
+ *     `defineSlots` and calls through the emit function
+ *
+ * Slots also come from `<slot>` tags in the template and `$slots` usage,
+ * events from `$emit(...)` in template handlers.
+ */
+
+import { parse as babelParse } from '@babel/parser';
+import { walkAst } from '../utils/ast.js';
+
+const SCRIPT_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script>/g;
+const SLOT_TAG_PATTERN = /<slot\b([^>]*?)\/?>/g;
+const SLOTS_USAGE_PATTERN = /\$(?:scoped)?[sS]lots\.([A-Za-z_$][\w$]*)/g;
+const TEMPLATE_EMIT_PATTERN = /\$emit\(\s*['"`]([^'"`]+)['"`]/g;
+
+/**
+ * Parse the component API out of an SFC
+ *
+ * @param {string} content - the `.vue` file
+ * @returns {{props: Array, events: Array, mixins: string[], models: Array, slots: Array, exposed: Array}|null}
+ *   null when a script block does not parse
+ */
+export function parseVueComponent(content) {
+  const api = {
+    props: [],
+    events: [],
+    mixins: [],
+    models: [],
+    slots: [],
+    exposed: []
+  };
+
+  const blocks = [];
+  for (const match of content.matchAll(SCRIPT_PATTERN)) {
+    const ast = parseScript(match[2], /\blang=["']tsx?["']/.test(match[1]));
+    if (!ast) {
+      return null;
+    }
+    blocks.push({ setup: /\bsetup\b/.test(match[1]), source: match[2], ast });
+  }
+
+  const types = collectTypeDeclarations(blocks);
+  for (const block of blocks) {
+    const parser = new ScriptParser(block.source, types, api);
+    if (block.setup) {
+      parser.parseSetup(block.ast);
+    } else {
+      parser.parseOptions(block.ast);
+    }
+  }
+
+  const template = content.replace(SCRIPT_PATTERN, '');
+  for (const [, name] of template.matchAll(TEMPLATE_EMIT_PATTERN)) {
+    addUnique(api.events, { name, source: 'emit' });
+  }
+  collectTemplateSlots(content, api.slots);
+  api.models = collectModels(api);
+  return api;
+}
+
+function parseScript(source, isTypeScript) {
+  try {
+    return babelParse(source, {
+      sourceType: 'module',
+      plugins: isTypeScript ? ['typescript'] : ['jsx']
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Interfaces and type aliases by name, for `defineProps<Props>()`
+ */
+function collectTypeDeclarations(blocks) {
+  const types = new Map();
+
+  for (const { ast } of blocks) {
+    walkAst(ast.program, node => {
+      if (node.type === 'TSInterfaceDeclaration') {
+        types.set(node.id.name, node.body.body);
+      } else if (node.type === 'TSTypeAliasDeclaration' && node.typeAnnotation.members) {
+        types.set(node.id.name, node.typeAnnotation.members);
+      }
+    });
+  }
+  return types;
+}
+
+function propertyName(node) {
+  if (!node.key) {
+    return null;
+  }
+  if (node.computed) {
+    return node.key.type === 'StringLiteral' ? node.key.value : null;
+  }
+  return node.key.name ?? node.key.value ?? null;
+}
+
+function stringValue(node) {
+  if (node?.type === 'StringLiteral') {
+    return node.value;
+  }
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+function calleeName(node) {
+  return node?.type === 'CallExpression' && node.callee.type === 'Identifier'
+    ? node.callee.name
+    : null;
+}
+
+// The first definition wins, so declared emits are not overridden by emit calls
+function addUnique(list, item) {
+  if (!list.some(entry => entry.name === item.name)) {
+    list.push(item);
+  }
+}
+
+class ScriptParser {
+  constructor(source, types, api) {
+    this.source = source;
+    this.types = types;
+    this.api = api;
+  }
+
+  _text(node) {
+    return this.source.slice(node.start, node.end);
+  }
+
+  /**
+   * `export default { ... }`, optionally wrapped in defineComponent() or Vue.extend()
+   */
+  parseOptions(ast) {
+    const declaration = ast.program.body.find(
+      node => node.type === 'ExportDefaultDeclaration'
+    )?.declaration;
+    const options = declaration?.type === 'CallExpression' ? declaration.arguments[0] : declaration;
+
+    if (options?.type === 'ObjectExpression') {
+      let methods = [];
+      let expose = null;
+
+      for (const property of options.properties) {
+        if (property.type !== 'ObjectProperty') {
+          continue;
+        }
+
+        const { value } = property;
+        switch (propertyName(property)) {
+          case 'props':
+            this._runtimeProps(value);
+            break;
+          case 'emits':
+            this._runtimeEmits(value);
+            break;
+          case 'mixins':
+            if (value.type === 'ArrayExpression') {
+              this.api.mixins.push(...value.elements.map(item => this._text(item)));
+            }
+            break;
+          case 'model':
+            this._modelOption(value);
+            break;
+          case 'expose':
+            expose = value.type === 'ArrayExpression' ? value.elements.map(stringValue) : [];
+            break;
+          case 'methods':
+            if (value.type === 'ObjectExpression') {
+              methods = value.properties.map(propertyName);
+            }
+            break;
+          default:
+        }
+      }
+
+      // Without an `expose` option every method is reachable through a template ref
+      for (const name of (expose || methods).filter(Boolean)) {
+        addUnique(this.api.exposed, { name });
+      }
+    }
+
+    // setup(props, { emit }) in the Options API
+    this._emitCalls(ast, new Set(['emit']));
+  }
+
+  parseSetup(ast) {
+    const emitFunctions = new Set(['emit']);
+
+    walkAst(ast.program, node => {
+      if (node.type === 'VariableDeclarator' && calleeName(node.init) === 'defineEmits') {
+        if (node.id.type === 'Identifier') {
+          emitFunctions.add(node.id.name);
+        }
+      }
+      if (node.type !== 'CallExpression') {
+        return;
+      }
+
+      switch (calleeName(node)) {
+        case 'defineProps':
+          this._defineProps(node);
+          break;
+        case 'withDefaults':
+          if (calleeName(node.arguments[0]) === 'defineProps') {
+            this._defineProps(node.arguments[0], node.arguments[1]);
+          }
+          break;
+        case 'defineEmits':
+          if (node.arguments[0]) {
+            this._runtimeEmits(node.arguments[0]);
+          } else {
+            this._typeEmits(node.typeParameters?.params[0]);
+          }
+          break;
+        case 'defineModel':
+          this._defineModel(node);
+          break;
+        case 'defineExpose':
+          if (node.arguments[0]?.type === 'ObjectExpression') {
+            for (const property of node.arguments[0].properties) {
+              const name = property.type === 'SpreadElement' ? null : propertyName(property);
+              if (name) {
+                addUnique(this.api.exposed, { name });
+              }
+            }
+          }
+          break;
+        case 'defineSlots':
+          for (const member of this._typeMembers(node.typeParameters?.params[0])) {
+            addUnique(this.api.slots, { name: propertyName(member), props: [] });
+          }
+          break;
+        default:
+      }
+    });
+
+    this._emitCalls(ast, emitFunctions);
+  }
+
+  _defineProps(call, defaults) {
+    if (call.arguments[0]) {
+      this._runtimeProps(call.arguments[0]);
+    } else {
+      for (const member of this._typeMembers(call.typeParameters?.params[0])) {
+        addUnique(this.api.props, {
+          name: propertyName(member),
+          type: member.typeAnnotation
+            ? this._text(member.typeAnnotation.typeAnnotation)
+            : 'unknown',
+          default: undefined,
+          required: !member.optional
+        });
+      }
+    }
+
+    // withDefaults(defineProps<...>(), { size: 'medium' })
+    if (defaults?.type === 'ObjectExpression') {
+      for (const property of defaults.properties) {
+        const prop = this.api.props.find(item => item.name === propertyName(property));
+        if (prop) {
+          prop.default = this._text(property.type === 'ObjectMethod' ? property : property.value);
+          prop.required = false;
+        }
+      }
+    }
+  }
+
+  _runtimeProps(node) {
+    if (node.type === 'ArrayExpression') {
+      for (const element of node.elements) {
+        const name = stringValue(element);
+        if (name) {
+          addUnique(this.api.props, { name, type: 'unknown', default: undefined, required: false });
+        }
+      }
+      return;
+    }
+    if (node.type !== 'ObjectExpression') {
+      return;
+    }
+
+    for (const property of node.properties) {
+      const name = property.type === 'ObjectProperty' ? propertyName(property) : null;
+      if (name) {
+        addUnique(this.api.props, { name, ...this._propOptions(property.value) });
+      }
+    }
+  }
+
+  /**
+   * `String`, `[String, Number]` or `{ type, default, required }`
+   */
+  _propOptions(node) {
+    const options = { type: 'unknown', default: undefined, required: false };
+
+    if (node.type === 'ObjectExpression') {
+      for (const property of node.properties) {
+        const key = propertyName(property);
+        if (key === 'type' && property.value) {
+          options.type = this._runtimeType(property.value);
+        } else if (key === 'default') {
+          options.default = this._text(
+            property.type === 'ObjectMethod' ? property : property.value
+          );
+        } else if (key === 'required') {
+          options.required = property.value?.type === 'BooleanLiteral' && property.value.value;
+        }
+      }
+      return options;
+    }
+
+    return { ...options, type: this._runtimeType(node) };
+  }
+
+  _runtimeType(node) {
+    if (node.type === 'ArrayExpression') {
+      return node.elements.map(element => this._text(element)).join(' | ');
+    }
+    // `Object as PropType<User>` -> User
+    if (node.type === 'TSAsExpression') {
+      const typeArgument = node.typeAnnotation.typeParameters?.params[0];
+      return typeArgument ? this._text(typeArgument) : this._runtimeType(node.expression);
+    }
+    return this._text(node);
+  }
+
+  _runtimeEmits(node) {
+    if (node.type === 'ArrayExpression') {
+      node.elements.map(stringValue).forEach(name => {
+        if (name) {
+          addUnique(this.api.events, { name, source: 'declared' });
+        }
+      });
+    } else if (node.type === 'ObjectExpression') {
+      for (const property of node.properties) {
+        const name = property.type === 'SpreadElement' ? null : propertyName(property);
+        if (name) {
+          addUnique(this.api.events, { name, source: 'declared' });
+        }
+      }
+    }
+  }
+
+  /**
+   * `defineEmits<{ (e: 'change', value: string): void }>()` or
+   * `defineEmits<{ change: [value: string] }>()`
+   */
+  _typeEmits(typeNode) {
+    for (const member of this._typeMembers(typeNode)) {
+      if (member.type === 'TSCallSignatureDeclaration') {
+        const eventType = member.parameters[0]?.typeAnnotation?.typeAnnotation;
+        const literals =
+          eventType?.type === 'TSUnionType' ? eventType.types : eventType ? [eventType] : [];
+
+        for (const literal of literals) {
+          if (literal.type === 'TSLiteralType' && typeof literal.literal.value === 'string') {
+            addUnique(this.api.events, { name: literal.literal.value, source: 'declared' });
+          }
+        }
+      } else if (member.type === 'TSPropertySignature' && propertyName(member)) {
+        addUnique(this.api.events, { name: propertyName(member), source: 'declared' });
+      }
+    }
+  }
+
+  /**
+   * `defineModel()`, `defineModel('count', { type: Number })`, `defineModel<string>()`
+   */
+  _defineModel(call) {
+    const [first, second] = call.arguments;
+    const name = stringValue(first) || 'modelValue';
+    const options = first?.type === 'ObjectExpression' ? first : second;
+    const prop = options
+      ? this._propOptions(options)
+      : { type: 'unknown', default: undefined, required: false };
+    const typeArgument = call.typeParameters?.params[0];
+
+    addUnique(this.api.props, {
+      name,
+      ...prop,
+      type: typeArgument ? this._text(typeArgument) : prop.type
+    });
+    addUnique(this.api.events, { name: `update:${name}`, source: 'declared' });
+  }
+
+  /**
+   * Vue 2 `model: { prop: 'checked', event: 'change' }`
+   */
+  _modelOption(node) {
+    if (node.type !== 'ObjectExpression') {
+      return;
+    }
+
+    const model = {};
+    for (const property of node.properties) {
+      model[propertyName(property)] = stringValue(property.value);
+    }
+    this.api.models.push({
+      directive: 'v-model',
+      prop: model.prop || 'value',
+      event: model.event || 'input'
+    });
+  }
+
+  /**
+   * `this.$emit('x')`, `$emit('x')` in inline handlers and calls through the
+   * function returned by defineEmits() or passed to setup()
+   */
+  _emitCalls(ast, emitFunctions) {
+    walkAst(ast.program, node => {
+      if (node.type !== 'CallExpression') {
+        return;
+      }
+
+      const { callee } = node;
+      const isEmit =
+        (callee.type === 'MemberExpression' && callee.property.name === '$emit') ||
+        (callee.type === 'Identifier' &&
+          (callee.name === '$emit' || emitFunctions.has(callee.name)));
+      const name = isEmit ? stringValue(node.arguments[0]) : null;
+
+      if (name) {
+        addUnique(this.api.events, { name, source: 'emit' });
+      }
+    });
+  }
+
+  _typeMembers(typeNode) {
+    if (typeNode?.type === 'TSTypeLiteral') {
+      return typeNode.members;
+    }
+    if (typeNode?.type === 'TSTypeReference' && typeNode.typeName.type === 'Identifier') {
+      return this.types.get(typeNode.typeName.name) || [];
+    }
+    return [];
+  }
+}
+
+/**
+ * `<slot>` / `<slot name="header" :item="item">` in the template and
+ * `$slots.footer` checks
+ */
+function collectTemplateSlots(content, slots) {
+  for (const [, attributes] of content.matchAll(SLOT_TAG_PATTERN)) {
+    const name = /(?:^|\s)name=["']([^"']+)["']/.exec(attributes)?.[1] || 'default';
+    const props = [...attributes.matchAll(/(?:^|\s)(?::|v-bind:)([\w-]+)=/g)]
+      .map(binding => binding[1])
+      .filter(prop => prop !== 'name');
+
+    addUnique(slots, { name, props });
+  }
+
+  for (const match of content.matchAll(SLOTS_USAGE_PATTERN)) {
+    if (!slots.some(slot => slot.name === match[1])) {
+      slots.push({ name: match[1], props: [] });
+    }
+  }
+}
+
+/**
+ * v-model bindings: `modelValue` + `update:modelValue` (and `update:<prop>`
+ * for named models) in Vue 3, `value` + `input` in Vue 2 unless a `model`
+ * option says otherwise
+ */
+function collectModels(api) {
+  const models = [...api.models];
+  const hasProp = name => api.props.some(prop => prop.name === name);
+  const hasEvent = name => api.events.some(event => event.name === name);
+
+  for (const event of api.events) {
+    const prop = event.name.startsWith('update:') ? event.name.slice('update:'.length) : null;
+    if (prop && hasProp(prop)) {
+      models.push({
+        directive: prop === 'modelValue' ? 'v-model' : `v-model:${prop}`,
+        prop,
+        event: event.name
+      });
+    }
+  }
+
+  if (models.length === 0 && hasProp('value') && hasEvent('input')) {
+    models.push({ directive: 'v-model', prop: 'value', event: 'input' });
+  }
+  return models;
+}
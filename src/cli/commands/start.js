@@ -31,6 +31,10 @@ export async function startServer(options) {
       env.MCP_PORT = options.port;
     }
 
+    if (options.host) {
+      env.MCP_HOST = options.host;
+    }
+
     if (options.mode) {
       env.MCP_MODE = options.mode;
     }
@@ -36,6 +36,7 @@ program
   .description('Start the MCP server')
   .option('-c, --config <path>', 'Configuration file path')
   .option('-p, --port <number>', 'Server port (for HTTP mode)')
+  .option('-H, --host <address>', 'Bind address (for HTTP mode)')
   .option('-m, --mode <mode>', 'Server mode (stdio|http)', 'stdio')
   .option('-d, --daemon', 'Run as daemon process')
   .option('-v, --verbose', 'Enable verbose logging')
@@ -6,6 +6,7 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { ConfigurationManager, defaultConfig, configManager } from '../index.js';
+import { ResourceAnalyzer } from '../../analyzers/resource-analyzer.js';
 import { createMockProjectConfig } from '../../../tests/utils/mock-utilities.js';
 
 // Mock file system operations
@@ -74,6 +75,47 @@ describe('ConfigurationManager', () => {
       expect(config.logging.level).toBe('debug');
     });
 
+    it('should read transport settings from MCP_* environment variables', async () => {
+      process.env.MCP_MODE = 'http';
+      process.env.MCP_HOST = '0.0.0.0';
+      process.env.MCP_PORT = '8080';
+      process.env.MCP_SESSION_IDLE_TIMEOUT = '60000';
+      mockExistsSync.mockReturnValue(false);
+
+      try {
+        const config = await manager.loadConfig();
+
+        expect(config.server).toEqual({
+          mode: 'http',
+          host: '0.0.0.0',
+          port: 8080,
+          sessionIdleTimeout: 60000
+        });
+      } finally {
+        delete process.env.MCP_MODE;
+        delete process.env.MCP_HOST;
+        delete process.env.MCP_PORT;
+        delete process.env.MCP_SESSION_IDLE_TIMEOUT;
+      }
+    });
+
+    it('should read the tool profile and read-only mode from MCP_* environment variables', async () => {
+      process.env.MCP_TOOL_PROFILE = 'agentic';
+      process.env.MCP_READ_ONLY = 'true';
+      mockExistsSync.mockReturnValue(false);
+
+      try {
+        const config = await manager.loadConfig();
+
+        expect(config.tools).toEqual({ profile: 'agentic', profiles: {}, readOnly: true });
+        // Read-only mode keeps the resource index cache off disk
+        expect(new ResourceAnalyzer('/shared', config).indexCache.cachePath).toBeNull();
+      } finally {
+        delete process.env.MCP_TOOL_PROFILE;
+        delete process.env.MCP_READ_ONLY;
+      }
+    });
+
     it('should validate configuration schema', async () => {
       const invalidConfig = {
         logging: {
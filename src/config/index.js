@@ -33,6 +33,44 @@ const ConfigSchema = z.object({
     })
     .default({}),
   hotReload: z.boolean().default(true),
+  server: z
+    .object({
+      mode: z.enum(['stdio', 'http']).default('stdio'),
+      host: z.string().default('127.0.0.1'),
+      port: z.number().int().min(0).max(65535).default(3000),
+      // ms without requests before an HTTP session is closed; 0 disables
+      sessionIdleTimeout: z
+        .number()
+        .int()
+        .min(0)
+        .default(30 * 60 * 1000)
+    })
+    .default({}),
+  tools: z
+    .object({
+      profile: z.string().default('all'),
+      profiles: z
+        .record(
+          z.string(),
+          z.object({
+            categories: z.array(z.string()).optional(),
+            tags: z.array(z.string()).optional(),
+            include: z.array(z.string()).optional(),
+            exclude: z.array(z.string()).optional(),
+            readOnly: z.boolean().optional()
+          })
+        )
+        .default({}),
+      readOnly: z.boolean().default(false)
+    })
+    .default({}),
+  resourceIndex: z
+    .object({
+      cache: z.boolean().default(true),
+      cachePath: z.string().optional(),
+      watch: z.boolean().default(true)
+    })
+    .default({}),
   backup: z
     .object({
       enabled: z.boolean().default(true),
@@ -161,6 +199,37 @@ class ConfigurationManager extends EventEmitter {
       envConfig.hotReload = process.env.HOT_RELOAD === 'true';
     }
 
+    // Transport settings, also set by `balm-shared-mcp start --mode/--host/--port`
+    const server = {};
+    if (process.env.MCP_MODE) {
+      server.mode = process.env.MCP_MODE;
+    }
+    if (process.env.MCP_HOST) {
+      server.host = process.env.MCP_HOST;
+    }
+    if (process.env.MCP_PORT) {
+      server.port = Number(process.env.MCP_PORT);
+    }
+    if (process.env.MCP_SESSION_IDLE_TIMEOUT) {
+      server.sessionIdleTimeout = Number(process.env.MCP_SESSION_IDLE_TIMEOUT);
+    }
+    if (Object.keys(server).length > 0) {
+      envConfig.server = server;
+    }
+
+    // Tool profile and read-only mode; they pin `tools.profile` / `tools.readOnly`
+    // so config file reloads cannot switch them
+    const tools = {};
+    if (process.env.MCP_TOOL_PROFILE) {
+      tools.profile = process.env.MCP_TOOL_PROFILE;
+    }
+    if (process.env.MCP_READ_ONLY) {
+      tools.readOnly = process.env.MCP_READ_ONLY === 'true';
+    }
+    if (Object.keys(tools).length > 0) {
+      envConfig.tools = tools;
+    }
+
     return envConfig;
   }
 
@@ -379,6 +448,21 @@ export const defaultConfig = {
     level: 'info'
   },
   hotReload: true,
+  server: {
+    mode: 'stdio',
+    host: '127.0.0.1',
+    port: 3000,
+    sessionIdleTimeout: 30 * 60 * 1000
+  },
+  tools: {
+    profile: 'all',
+    profiles: {},
+    readOnly: false
+  },
+  resourceIndex: {
+    cache: true,
+    watch: true
+  },
   backup: {
     enabled: true,
     maxBackups: 5
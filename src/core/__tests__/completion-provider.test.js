@@ -0,0 +1,126 @@
+/**
+ * Tests for Completion Provider
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { CompletionProvider } from '../completion-provider.js';
+import { FileSystemHandler } from '../../handlers/file-system-handler.js';
+
+const resourceAnalyzer = {
+  getAllComponents: async () => [
+    { name: 'ui-detail-view' },
+    { name: 'ui-list-view' },
+    { name: 'view-tabs' },
+    { name: 'yb-avatar' }
+  ],
+  getAllUtilities: async () => [{ name: 'format' }],
+  getAllPlugins: async () => [{ name: 'http' }],
+  getAllConfigs: async () => [{ name: 'env' }]
+};
+
+describe('CompletionProvider', () => {
+  let workspaceRoot;
+  let provider;
+
+  const complete = (ref, name, value, filledArguments) =>
+    provider
+      .complete(ref, { name, value }, { arguments: filledArguments })
+      .then(result => result.completion.values);
+
+  beforeAll(() => {
+    workspaceRoot = mkdtempSync(path.join(tmpdir(), 'balm-completion-'));
+    for (const dir of [
+      'admin/app/scripts/pages/user',
+      'admin/app/scripts/pages/order',
+      'api-gateway',
+      'node_modules/vue',
+      '.git'
+    ]) {
+      mkdirSync(path.join(workspaceRoot, dir), { recursive: true });
+    }
+
+    provider = new CompletionProvider({
+      resourceAnalyzer,
+      fileSystemHandler: new FileSystemHandler({ workspaceRoot })
+    });
+  });
+
+  afterAll(() => {
+    rmSync(workspaceRoot, { recursive: true, force: true });
+  });
+
+  it('should complete component names for query_component, prefix matches first', async () => {
+    const values = await complete({ type: 'ref/tool', name: 'query_component' }, 'name', 'ui');
+
+    expect(values).toEqual(['ui-detail-view', 'ui-list-view']);
+    expect(await complete({ type: 'ref/tool', name: 'query_component' }, 'name', 'view')).toEqual([
+      'view-tabs',
+      'ui-detail-view',
+      'ui-list-view'
+    ]);
+  });
+
+  it('should complete names for the utility, plugin and config query tools', async () => {
+    const tool = name => ({ type: 'ref/tool', name });
+
+    expect(await complete(tool('query_utility'), 'name', 'fo')).toEqual(['format']);
+    expect(await complete(tool('query_plugin'), 'name', '')).toEqual(['http']);
+    expect(await complete(tool('query_config'), 'name', 'e')).toEqual(['env']);
+  });
+
+  it('should complete resource template parameters', async () => {
+    const ref = uri => ({ type: 'ref/resource', uri });
+
+    expect(await complete(ref('balm-shared://components/{name}'), 'name', 'yb')).toEqual([
+      'yb-avatar'
+    ]);
+    expect(await complete(ref('balm-shared://utils/{module}'), 'module', '')).toEqual(['format']);
+    expect(await complete(ref('balm-shared://plugins/{name}'), 'name', 'h')).toEqual(['http']);
+  });
+
+  it('should complete workspace directories, skipping hidden and dependency folders', async () => {
+    const ref = { type: 'ref/tool', name: 'extract_local_pattern' };
+
+    expect(await complete(ref, 'path', '')).toEqual([
+      path.join(workspaceRoot, 'admin'),
+      path.join(workspaceRoot, 'api-gateway')
+    ]);
+    expect(await complete(ref, 'path', 'ad')).toEqual([path.join(workspaceRoot, 'admin')]);
+    expect(await complete(ref, 'path', `${workspaceRoot}/admin/app/`)).toEqual([
+      path.join(workspaceRoot, 'admin/app/scripts')
+    ]);
+  });
+
+  it('should not complete directories outside the workspace root', async () => {
+    const values = await complete({ type: 'ref/prompt', name: 'add_api' }, 'projectPath', '/');
+
+    expect(values).toEqual([]);
+  });
+
+  it('should complete module names from the project pages directory', async () => {
+    const ref = { type: 'ref/tool', name: 'scaffold_module_structure' };
+
+    expect(await complete(ref, 'moduleName', '', { projectPath: 'admin' })).toEqual([
+      'order',
+      'user'
+    ]);
+    expect(
+      await complete({ type: 'ref/prompt', name: 'add_list_page' }, 'module', 'us', {
+        projectPath: path.join(workspaceRoot, 'admin')
+      })
+    ).toEqual(['user']);
+    expect(await complete(ref, 'moduleName', '')).toEqual([]);
+  });
+
+  it('should return no values for arguments without a completer', async () => {
+    const result = await provider.complete(
+      { type: 'ref/tool', name: 'write_component' },
+      { name: 'content', value: 'x' }
+    );
+
+    expect(result).toEqual({ completion: { values: [], total: 0, hasMore: false } });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the HTTP transport server
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { HttpServer } from '../http-server.js';
+import { createProtocolServer } from '../protocol-server.js';
+
+const mcpServer = {
+  listTools: async () => ({
+    tools: [{ name: 'query_component', inputSchema: { type: 'object' } }]
+  }),
+  callTool: async params => ({
+    content: [{ type: 'text', text: `called ${params.name}` }]
+  }),
+  onToolListChanged: () => () => {},
+  onResourcesChanged: () => () => {}
+};
+
+describe('HttpServer', () => {
+  let httpServer;
+  let baseUrl;
+  let clients;
+
+  const connect = async transport => {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(transport);
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(async () => {
+    clients = [];
+    httpServer = new HttpServer({
+      createServer: () => createProtocolServer(mcpServer),
+      host: '127.0.0.1',
+      port: 0
+    });
+    const { port } = await httpServer.start();
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(async () => {
+    for (const client of clients) {
+      await client.close();
+    }
+    await httpServer.stop();
+  });
+
+  it('should serve Streamable HTTP clients with separate sessions', async () => {
+    const first = await connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`)));
+    const second = await connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`)));
+
+    const { tools } = await first.listTools();
+    const result = await second.callTool({ name: 'query_component', arguments: {} });
+
+    expect(tools.map(tool => tool.name)).toEqual(['query_component']);
+    expect(result.content[0].text).toBe('called query_component');
+    expect(httpServer.sessions.size).toBe(2);
+  });
+
+  it('should fall back to the SSE transport', async () => {
+    const client = await connect(new SSEClientTransport(new URL(`${baseUrl}/sse`)));
+
+    const { tools } = await client.listTools();
+
+    expect(tools).toHaveLength(1);
+    expect([...httpServer.sessions.values()][0].type).toBe('sse');
+  });
+
+  it('should end the session when the client terminates it', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+    await connect(transport);
+
+    await transport.terminateSession();
+
+    expect(httpServer.sessions.size).toBe(0);
+  });
+
+  it('should reject requests without a session or initialize call', async () => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream'
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.code).toBe(-32000);
+  });
+
+  it('should reject unknown sessions and malformed JSON', async () => {
+    const unknown = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'missing' },
+      body: '{}'
+    });
+    const malformed = await fetch(`${baseUrl}/mcp`, { method: 'POST', body: '{' });
+
+    expect(unknown.status).toBe(404);
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json()).error.code).toBe(-32700);
+  });
+
+  it('should close sessions that stay idle past the timeout', async () => {
+    const initialize = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream'
+      },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: {
+          protocolVersion: '2025-03-26',
+          capabilities: {},
+          clientInfo: { name: 'gone-client', version: '1.0.0' }
+        }
+      })
+    });
+    const sessionId = initialize.headers.get('mcp-session-id');
+    await initialize.text();
+    const sse = await connect(new SSEClientTransport(new URL(`${baseUrl}/sse`)));
+
+    httpServer.sessionIdleTimeout = 20;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await httpServer._closeIdleSessions();
+
+    const expired = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Mcp-Session-Id': sessionId },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+    });
+    expect(expired.status).toBe(404);
+    // The open event stream keeps the SSE session alive
+    expect([...httpServer.sessions.values()].map(session => session.type)).toEqual(['sse']);
+    expect((await sse.listTools()).tools).toHaveLength(1);
+  });
+
+  it('should report health', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+
+    expect(await response.json()).toEqual({ status: 'ok', sessions: 0 });
+  });
+});
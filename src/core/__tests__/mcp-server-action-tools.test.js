@@ -0,0 +1,520 @@
+/**
+ * Tests for MCP Server Action Tools
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { MCPServer } from '../mcp-server.js';
+import { FileSystemHandler } from '../../handlers/file-system-handler.js';
+import { CodeGenerator } from '../../generators/code-generator.js';
+
+const mockFileSystemHandler = {
+  readFile: vi.fn(),
+  writeFile: vi.fn(),
+  runWithOperationContext: (_context, callback) => callback()
+};
+
+describe('MCPServer Action Tools', () => {
+  let mcpServer;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mcpServer = new MCPServer({
+      projectManager: {},
+      codeGenerator: {},
+      resourceAnalyzer: {},
+      fileSystemHandler: mockFileSystemHandler,
+      config: {}
+    });
+  });
+
+  describe('ast_update_object', () => {
+    it('should be registered next to ast_insert_import', () => {
+      const names = mcpServer.getToolsByCategory('code-generation').map(tool => tool.name);
+
+      expect(names).toContain('ast_insert_import');
+      expect(names).toContain('ast_update_object');
+    });
+
+    it('should insert a property through the AST handler', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue(
+        "export default {\n  crud: {\n    list: '/users'\n  }\n};\n"
+      );
+
+      const result = await mcpServer.callTool({
+        name: 'ast_update_object',
+        arguments: {
+          filePath: '/project/apis/user.js',
+          path: 'default.crud.detail',
+          operation: 'insert',
+          value: "'/user'"
+        }
+      });
+
+      expect(result.isError).toBeUndefined();
+      expect(mockFileSystemHandler.writeFile).toHaveBeenCalledWith(
+        '/project/apis/user.js',
+        "export default {\n  crud: {\n    list: '/users',\n    detail: '/user'\n  }\n};\n"
+      );
+    });
+
+    it('should report a missing object without writing', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue('export default {};\n');
+
+      const result = await mcpServer.astUpdateObject({
+        filePath: '/project/apis/user.js',
+        path: 'default.crud.list',
+        operation: 'remove'
+      });
+
+      expect(result.success).toBe(false);
+      expect(mockFileSystemHandler.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown operations', async () => {
+      const result = await mcpServer.callTool({
+        name: 'ast_update_object',
+        arguments: { filePath: '/project/a.js', path: 'default.a', operation: 'merge' }
+      });
+
+      expect(result.isError).toBe(true);
+    });
+  });
+
+  describe('ast_remove_import', () => {
+    it('should remove an import and its array element', async () => {
+      mockFileSystemHandler.readFile
+        .mockResolvedValueOnce(
+          "import userApis from './user';\nimport orderApis from './order';\n\nexport default [...userApis, ...orderApis];\n"
+        )
+        .mockResolvedValueOnce(
+          "import orderApis from './order';\n\nexport default [...userApis, ...orderApis];\n"
+        );
+
+      const result = await mcpServer.astRemoveImport({
+        filePath: '/project/apis/index.js',
+        importStatement: './user',
+        arrayName: 'default',
+        arrayElement: 'userApis'
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockFileSystemHandler.writeFile).toHaveBeenLastCalledWith(
+        '/project/apis/index.js',
+        "import orderApis from './order';\n\nexport default [...orderApis];\n"
+      );
+    });
+  });
+
+  describe('ast_rename_identifier', () => {
+    it('should rename through the AST handler', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue(
+        "import { userApi } from './user';\nexport default [userApi];\n"
+      );
+
+      const result = await mcpServer.callTool({
+        name: 'ast_rename_identifier',
+        arguments: { filePath: '/project/a.js', oldName: 'userApi', newName: 'memberApi' }
+      });
+
+      expect(result.isError).toBeUndefined();
+      expect(mockFileSystemHandler.writeFile).toHaveBeenCalledWith(
+        '/project/a.js',
+        "import { userApi as memberApi } from './user';\nexport default [memberApi];\n"
+      );
+    });
+
+    it('should surface conflicts as tool errors', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue('const a = 1;\nconst b = a;\n');
+
+      const result = await mcpServer.callTool({
+        name: 'ast_rename_identifier',
+        arguments: { filePath: '/project/a.js', oldName: 'a', newName: 'b' }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(mockFileSystemHandler.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dryRun', () => {
+    let workspace;
+    let server;
+
+    beforeEach(() => {
+      workspace = mkdtempSync(path.join(tmpdir(), 'balm-dry-run-'));
+      server = new MCPServer({
+        projectManager: {},
+        codeGenerator: { formatJavaScript: content => content },
+        resourceAnalyzer: {},
+        fileSystemHandler: new FileSystemHandler({ workspaceRoot: workspace }),
+        config: {}
+      });
+    });
+
+    afterEach(() => {
+      rmSync(workspace, { recursive: true, force: true });
+    });
+
+    it('should accept dryRun on every mutating tool', () => {
+      const tools = server.toolRegistry.list();
+      const withDryRun = tools
+        .filter(tool => tool.inputSchema.properties.dryRun)
+        .map(tool => tool.name);
+
+      expect(withDryRun).toEqual(
+        expect.arrayContaining([
+          'create_project',
+          'generate_crud_module',
+          'scaffold_module_structure',
+          'ast_insert_import',
+          'write_component'
+        ])
+      );
+      expect(withDryRun).not.toContain('query_component');
+    });
+
+    it('should return a unified diff instead of writing', async () => {
+      const filePath = path.join(workspace, 'routes', 'index.js');
+      await server.fileSystemHandler.writeFile(filePath, 'export default [userRoutes];\n');
+
+      const result = await server.callTool({
+        name: 'ast_insert_import',
+        arguments: {
+          filePath,
+          importStatement: "import orderRoutes from './order';",
+          arrayName: 'default',
+          arrayElement: 'orderRoutes',
+          dryRun: true
+        }
+      });
+
+      const summary = JSON.parse(result.content[0].text);
+      expect(summary.dryRun).toBe(true);
+      expect(summary.files).toEqual([{ path: filePath, status: 'modified' }]);
+      expect(result.content[1].text).toBe(
+        [
+          '--- a/routes/index.js',
+          '+++ b/routes/index.js',
+          '@@ -1 +1,3 @@',
+          '-export default [userRoutes];',
+          "+import orderRoutes from './order';",
+          '+',
+          '+export default [userRoutes, orderRoutes];',
+          ''
+        ].join('\n')
+      );
+      expect(readFileSync(filePath, 'utf-8')).toBe('export default [userRoutes];\n');
+    });
+
+    it('should list directories that would be created', async () => {
+      writeFileSync(path.join(workspace, 'package.json'), '{}');
+
+      const result = await server.callTool({
+        name: 'scaffold_module_structure',
+        arguments: { projectPath: workspace, moduleName: 'user', dryRun: true }
+      });
+
+      const summary = JSON.parse(result.content[0].text);
+      expect(summary.directories).toContain(
+        path.join(workspace, 'app', 'scripts', 'pages', 'user')
+      );
+      expect(result.content).toHaveLength(1);
+      expect(existsSync(path.join(workspace, 'app'))).toBe(false);
+    });
+  });
+
+  describe('change sets', () => {
+    let workspace;
+    let server;
+
+    beforeEach(() => {
+      workspace = mkdtempSync(path.join(tmpdir(), 'balm-change-set-'));
+      server = new MCPServer({
+        projectManager: {},
+        codeGenerator: { formatJavaScript: content => content },
+        resourceAnalyzer: {},
+        fileSystemHandler: new FileSystemHandler({ workspaceRoot: workspace }),
+        config: {}
+      });
+    });
+
+    afterEach(() => {
+      rmSync(workspace, { recursive: true, force: true });
+    });
+
+    const call = async (name, args) => {
+      const result = await server.callTool({ name, arguments: args });
+      return JSON.parse(result.content[0].text);
+    };
+
+    it('should stage several tool calls and write them on commit', async () => {
+      const indexPath = path.join(workspace, 'routes', 'index.js');
+      const routePath = path.join(workspace, 'routes', 'order.js');
+      writeFileSync(path.join(workspace, 'package.json'), '{}');
+      await server.fileSystemHandler.writeFile(indexPath, 'export default [];\n');
+
+      const { changeSetId } = await call('open_change_set', {});
+      const written = await call('write_component', {
+        filePath: routePath,
+        content: 'export default [];\n',
+        changeSetId
+      });
+      await call('ast_insert_import', {
+        filePath: indexPath,
+        importStatement: "import orderRoutes from './order';",
+        arrayName: 'default',
+        arrayElement: 'orderRoutes',
+        changeSetId
+      });
+
+      expect(written.staged).toBe(true);
+      expect(existsSync(routePath)).toBe(false);
+
+      const preview = await server.callTool({
+        name: 'commit_change_set',
+        arguments: { changeSetId, dryRun: true }
+      });
+      expect(preview.content[1].text).toContain("+import orderRoutes from './order';");
+
+      const committed = await call('commit_change_set', { changeSetId });
+
+      expect(committed.files).toEqual([routePath, indexPath]);
+      expect(readFileSync(indexPath, 'utf-8')).toBe(
+        "import orderRoutes from './order';\n\nexport default [\n  orderRoutes\n];\n"
+      );
+      expect(readFileSync(routePath, 'utf-8')).toBe('export default [];\n');
+    });
+
+    it('should discard staged writes on abort', async () => {
+      const filePath = path.join(workspace, 'a.js');
+      const { changeSetId } = await call('open_change_set', {});
+      await call('write_component', { filePath, content: 'const a = 1;\n', changeSetId });
+
+      const aborted = await call('abort_change_set', { changeSetId });
+      const reused = await server.callTool({
+        name: 'write_component',
+        arguments: { filePath, content: 'const a = 2;\n', changeSetId }
+      });
+
+      expect(aborted.success).toBe(true);
+      expect(existsSync(filePath)).toBe(false);
+      expect(reused.isError).toBe(true);
+    });
+  });
+
+  describe('apply_plan', () => {
+    let workspace;
+    let server;
+    let indexPath;
+    let routePath;
+
+    beforeEach(async () => {
+      workspace = mkdtempSync(path.join(tmpdir(), 'balm-plan-'));
+      server = new MCPServer({
+        projectManager: {},
+        codeGenerator: { formatJavaScript: content => content },
+        resourceAnalyzer: {},
+        fileSystemHandler: new FileSystemHandler({ workspaceRoot: workspace }),
+        config: {}
+      });
+      indexPath = path.join(workspace, 'app/scripts/routes/index.js');
+      routePath = path.join(workspace, 'app/scripts/routes/order.js');
+      writeFileSync(path.join(workspace, 'package.json'), '{}');
+      await server.fileSystemHandler.writeFile(indexPath, 'export default [];\n');
+    });
+
+    afterEach(() => {
+      rmSync(workspace, { recursive: true, force: true });
+    });
+
+    const applyPlan = (steps, options = {}) =>
+      server.callTool({ name: 'apply_plan', arguments: { steps, ...options } });
+
+    const moduleSteps = [
+      {
+        tool: 'scaffold_module_structure',
+        arguments: { projectPath: '', moduleName: 'order' }
+      },
+      { tool: 'write_component', arguments: { filePath: '', content: 'export default [];\n' } },
+      {
+        tool: 'ast_insert_import',
+        arguments: {
+          filePath: '',
+          importStatement: "import orderRoutes from './order';",
+          arrayName: 'default',
+          arrayElement: 'orderRoutes'
+        }
+      }
+    ];
+
+    const withPaths = () => [
+      { ...moduleSteps[0], arguments: { ...moduleSteps[0].arguments, projectPath: workspace } },
+      { ...moduleSteps[1], arguments: { ...moduleSteps[1].arguments, filePath: routePath } },
+      { ...moduleSteps[2], arguments: { ...moduleSteps[2].arguments, filePath: indexPath } }
+    ];
+
+    it('should run every step in one transaction and report each of them', async () => {
+      const result = await applyPlan(withPaths());
+
+      expect(result.isError).toBeUndefined();
+      expect(
+        result.structuredContent.steps.map(step => [step.step, step.tool, step.success])
+      ).toEqual([
+        [1, 'scaffold_module_structure', true],
+        [2, 'write_component', true],
+        [3, 'ast_insert_import', true]
+      ]);
+      expect(existsSync(path.join(workspace, 'app/scripts/pages/order'))).toBe(true);
+      expect(readFileSync(routePath, 'utf-8')).toBe('export default [];\n');
+      expect(readFileSync(indexPath, 'utf-8')).toContain("import orderRoutes from './order';");
+    });
+
+    it('should validate every step before running any of them', async () => {
+      const steps = withPaths();
+      steps[1] = { tool: 'write_component', arguments: { filePath: routePath } };
+      steps[2].arguments.dryRun = true;
+
+      const result = await applyPlan(steps);
+      const { message, details } = JSON.parse(result.content[0].text);
+
+      expect(result.isError).toBe(true);
+      expect(message).toContain('2 invalid step(s)');
+      expect(details.errors.map(error => error.step)).toEqual([2, 3]);
+      expect(details.errors[0].message).toContain('content');
+      expect(existsSync(path.join(workspace, 'app/scripts/pages'))).toBe(false);
+    });
+
+    it('should write nothing when a step fails', async () => {
+      const steps = withPaths();
+      steps.push({
+        tool: 'ast_update_object',
+        arguments: { filePath: indexPath, path: 'default.crud.list', operation: 'remove' }
+      });
+
+      const result = await applyPlan(steps);
+      const { message, details } = JSON.parse(result.content[0].text);
+
+      expect(result.isError).toBe(true);
+      expect(message).toContain('Step 4 (ast_update_object) failed');
+      expect(details.steps.map(step => step.success)).toEqual([true, true, true, false]);
+      expect(existsSync(routePath)).toBe(false);
+      expect(readFileSync(indexPath, 'utf-8')).toBe('export default [];\n');
+    });
+
+    it('should preview the whole plan as one diff', async () => {
+      const result = await applyPlan(withPaths(), { dryRun: true });
+
+      expect(result.structuredContent.files).toEqual([
+        { path: routePath, status: 'created' },
+        { path: indexPath, status: 'modified' }
+      ]);
+      expect(result.content[1].text).toContain("+import orderRoutes from './order';");
+      expect(existsSync(routePath)).toBe(false);
+    });
+  });
+
+  describe('operation history', () => {
+    let workspace;
+    let server;
+
+    beforeEach(() => {
+      workspace = mkdtempSync(path.join(tmpdir(), 'balm-history-'));
+      server = new MCPServer({
+        projectManager: {},
+        codeGenerator: { formatJavaScript: content => content },
+        resourceAnalyzer: {},
+        fileSystemHandler: new FileSystemHandler({ workspaceRoot: workspace }),
+        config: {}
+      });
+    });
+
+    afterEach(() => {
+      rmSync(workspace, { recursive: true, force: true });
+    });
+
+    it('should list and undo the last tool write', async () => {
+      const filePath = path.join(workspace, 'a.js');
+      writeFileSync(filePath, 'const a = 1;\n');
+
+      await server.callTool({
+        name: 'write_component',
+        arguments: { filePath, content: 'const a = 2;\n' }
+      });
+
+      const listed = await server.callTool({ name: 'list_operations', arguments: {} });
+      const { operations } = JSON.parse(listed.content[0].text);
+      expect(operations[0]).toMatchObject({
+        type: 'write',
+        path: filePath,
+        tool: 'write_component'
+      });
+
+      const undone = await server.callTool({ name: 'undo_last_operation', arguments: {} });
+      expect(JSON.parse(undone.content[0].text).reverted).toHaveLength(1);
+      expect(readFileSync(filePath, 'utf-8')).toBe('const a = 1;\n');
+    });
+
+    it('should undo every file of a multi-file generation at once', async () => {
+      const fileSystemHandler = new FileSystemHandler({ workspaceRoot: workspace });
+      server = new MCPServer({
+        projectManager: {},
+        codeGenerator: new CodeGenerator(fileSystemHandler, {}),
+        resourceAnalyzer: {},
+        fileSystemHandler,
+        config: {}
+      });
+      const before = await server.callTool({
+        name: 'write_component',
+        arguments: { filePath: path.join(workspace, 'keep.js'), content: 'const a = 1;\n' }
+      });
+      expect(before.isError).toBeUndefined();
+
+      const generated = await server.callTool({
+        name: 'generate_crud_module',
+        arguments: {
+          module: 'user',
+          model: 'user',
+          fields: [{ name: 'name', type: 'string', component: 'ui-textfield' }],
+          projectPath: workspace
+        }
+      });
+      expect(generated.isError).toBeUndefined();
+      const written = (await fileSystemHandler.listOperations({ limit: 100 })).filter(
+        entry => entry.tool === 'generate_crud_module' && entry.type === 'write'
+      );
+      expect(written.length).toBeGreaterThan(1);
+
+      const undone = await server.undoLastOperation({});
+
+      expect(undone.message).toMatch(/^Reverted 1 operation\(s\)/);
+      expect(written.filter(entry => existsSync(entry.path))).toEqual([]);
+      expect(existsSync(path.join(workspace, 'keep.js'))).toBe(true);
+    });
+
+    it('should name the directories an undo leaves in place', async () => {
+      const directory = path.join(workspace, 'pages');
+      await server.callTool({
+        name: 'write_component',
+        arguments: { filePath: path.join(directory, 'a.js'), content: 'const a = 2;\n' }
+      });
+      writeFileSync(path.join(directory, 'notes.md'), 'untracked');
+
+      const result = await server.undoLastOperation({});
+
+      expect(result.success).toBe(true);
+      expect(result.skipped).toEqual([expect.objectContaining({ path: directory })]);
+      expect(result.message).toContain('Left 1 directory(ies) in place');
+      expect(result.message).toContain(directory);
+    });
+
+    it('should report an empty journal', async () => {
+      const result = await server.undoLastOperation({});
+
+      expect(result.success).toBe(false);
+      expect(result.reverted).toEqual([]);
+    });
+  });
+});
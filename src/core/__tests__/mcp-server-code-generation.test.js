@@ -238,6 +238,158 @@ describe('MCPServer Code Generation Tools', () => {
     });
   });
 
+  describe('progress and cancellation', () => {
+    it('should pass the abort signal and progress reporter to long-running tools', async () => {
+      const signal = new AbortController().signal;
+      const reportProgress = vi.fn();
+      mockProjectManager.createProject.mockResolvedValue({ success: true });
+
+      await mcpServer.createProject(
+        { name: 'admin', type: 'frontend', path: '/test/admin' },
+        { signal, reportProgress }
+      );
+
+      expect(mockProjectManager.createProject).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'admin', signal, onProgress: reportProgress })
+      );
+    });
+
+    it('should send progress notifications when the client sent a progress token', () => {
+      const sendNotification = vi.fn().mockResolvedValue();
+      const reportProgress = mcpServer.createProgressReporter(
+        { progressToken: 'token-1', sendNotification },
+        1
+      );
+
+      reportProgress(2, 7, 'Generating API config');
+
+      expect(sendNotification).toHaveBeenCalledWith({
+        method: 'notifications/progress',
+        params: {
+          progressToken: 'token-1',
+          progress: 2,
+          total: 7,
+          message: 'Generating API config'
+        }
+      });
+    });
+
+    it('should ignore progress without a progress token', () => {
+      const sendNotification = vi.fn();
+
+      mcpServer.createProgressReporter({ sendNotification }, 1)(1, 2, 'step');
+
+      expect(sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('should pass the elicitation callback to create_project', async () => {
+      const elicitInput = vi
+        .fn()
+        .mockResolvedValue({ action: 'accept', content: { author: 'Jane' } });
+      const elicit = mcpServer.createElicitor({ elicitInput }, 1);
+      mockProjectManager.createProject.mockResolvedValue({ success: true });
+
+      await mcpServer.createProject({ name: 'admin', path: '/test/admin' }, { elicit });
+
+      expect(mockProjectManager.createProject).toHaveBeenCalledWith(
+        expect.objectContaining({ elicit })
+      );
+      expect(await elicit('作者?', { type: 'object', properties: {} })).toEqual({ author: 'Jane' });
+      expect(elicitInput).toHaveBeenCalledWith({
+        message: '作者?',
+        requestedSchema: { type: 'object', properties: {} }
+      });
+    });
+
+    it('should map declined and cancelled elicitations', async () => {
+      const elicitInput = vi
+        .fn()
+        .mockResolvedValueOnce({ action: 'decline' })
+        .mockResolvedValueOnce({ action: 'cancel' });
+      const elicit = mcpServer.createElicitor({ elicitInput }, 1);
+
+      expect(await elicit('?', {})).toBeNull();
+      await expect(elicit('?', {})).rejects.toMatchObject({
+        code: ErrorCodes.OPERATION_CANCELLED
+      });
+      expect(mcpServer.createElicitor({}, 1)).toBeNull();
+    });
+  });
+
+  describe('slot filling through sampling', () => {
+    const args = {
+      module: 'user',
+      model: 'User',
+      fields: [{ name: 'email', type: 'string', component: 'ui-textfield', required: true }],
+      projectPath: '/test/project',
+      fillSlots: true
+    };
+
+    beforeEach(() => {
+      mockCodeGenerator.generateCrudModule.mockResolvedValue({
+        success: true,
+        message: 'CRUD module generated successfully',
+        generatedFiles: []
+      });
+    });
+
+    it('should pass sampled labels, messages and handleAction to the generator', async () => {
+      const sample = vi.fn().mockResolvedValue(
+        JSON.stringify({
+          labels: { email: '邮箱' },
+          messages: { email: { required: '请输入邮箱' } },
+          handleAction: "this.$router.push({ name: 'user-' + action.type });"
+        })
+      );
+
+      const result = await mcpServer.generateCrudModule(args, { sample });
+
+      expect(mockCodeGenerator.generateCrudModule).toHaveBeenCalledWith(
+        expect.objectContaining({
+          fields: [
+            expect.objectContaining({ label: '邮箱', messages: { required: '请输入邮箱' } })
+          ],
+          patterns: expect.objectContaining({
+            handleAction: "this.$router.push({ name: 'user-' + action.type });"
+          })
+        })
+      );
+      expect(result.filledSlots).toEqual({
+        labels: ['email'],
+        messages: ['email'],
+        handleAction: true
+      });
+    });
+
+    it('should keep the template defaults when the client does not support sampling', async () => {
+      const result = await mcpServer.generateCrudModule(args, {});
+
+      expect(mockCodeGenerator.generateCrudModule).toHaveBeenCalledWith(
+        expect.objectContaining({ fields: args.fields })
+      );
+      expect(result.filledSlots).toBeUndefined();
+    });
+
+    it('should request text from the client model through sampling/createMessage', async () => {
+      const createMessage = vi.fn().mockResolvedValue({
+        role: 'assistant',
+        model: 'test-model',
+        content: { type: 'text', text: '{"labels":{}}' }
+      });
+      const sample = mcpServer.createSampler({ createMessage }, 1);
+
+      const text = await sample('Fill the slots', { systemPrompt: 'JSON only', maxTokens: 256 });
+
+      expect(text).toBe('{"labels":{}}');
+      expect(createMessage).toHaveBeenCalledWith({
+        messages: [{ role: 'user', content: { type: 'text', text: 'Fill the slots' } }],
+        systemPrompt: 'JSON only',
+        maxTokens: 256
+      });
+      expect(mcpServer.createSampler({}, 1)).toBeNull();
+    });
+  });
+
   describe('parameter validation edge cases', () => {
     it('should handle null and undefined parameters', async () => {
       await expect(mcpServer.generateCrudModule(null)).rejects.toThrow(BalmSharedMCPError);
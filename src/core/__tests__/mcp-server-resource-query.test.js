@@ -20,7 +20,14 @@ const mockCodeGenerator = {
 
 const mockResourceAnalyzer = {
   queryComponent: vi.fn(),
-  getBestPractices: vi.fn()
+  getBestPractices: vi.fn(),
+  searchLibrary: vi.fn(),
+  queryUtility: vi.fn(),
+  getAllUtilities: vi.fn(),
+  queryPlugin: vi.fn(),
+  getAllPlugins: vi.fn(),
+  queryConfig: vi.fn(),
+  getAllConfigs: vi.fn()
 };
 
 const mockFileSystemHandler = {};
@@ -68,6 +75,26 @@ describe('MCPServer Resource Query Tools', () => {
       expect(mockResourceAnalyzer.queryComponent).toHaveBeenCalledWith('yb-avatar', 'common');
     });
 
+    it('should render required props, v-model bindings, slots and exposed methods', async () => {
+      mockResourceAnalyzer.queryComponent.mockResolvedValue({
+        name: 'yb-dialog',
+        category: 'common',
+        found: true,
+        props: [{ name: 'title', type: 'string', default: undefined, required: true }],
+        events: [{ name: 'update:visible', source: 'declared' }],
+        models: [{ directive: 'v-model:visible', prop: 'visible', event: 'update:visible' }],
+        slots: [{ name: 'footer', props: ['close'] }],
+        exposed: [{ name: 'open' }]
+      });
+
+      const result = await mcpServer.queryComponent({ name: 'yb-dialog' });
+
+      expect(result).toContain('| `title` | `string` | `-` | ✓ | - |');
+      expect(result).toContain('| `v-model:visible` | `visible` | `update:visible` |');
+      expect(result).toContain('| `footer` | `close` |');
+      expect(result).toContain('## Exposed\n- `open`');
+    });
+
     it('should query component without category', async () => {
       const argsWithoutCategory = { name: 'yb-button' };
 
@@ -232,6 +259,149 @@ describe('MCPServer Resource Query Tools', () => {
     });
   });
 
+  describe('search_shared_library', () => {
+    it('should return ranked hits with snippets and file paths', async () => {
+      mockResourceAnalyzer.searchLibrary.mockResolvedValue([
+        {
+          kind: 'component',
+          name: 'yb-image-upload',
+          filePath: '/lib/src/scripts/components/yb-image-upload.vue',
+          score: 4.2,
+          snippet: '上传图片，支持按比例裁剪。',
+          matchedTerms: ['upload', 'image', 'crop']
+        }
+      ]);
+
+      const result = await mcpServer.callTool({
+        name: 'search_shared_library',
+        arguments: { query: ' upload images with cropping ', kinds: ['component'], limit: 5 }
+      });
+
+      expect(mockResourceAnalyzer.searchLibrary).toHaveBeenCalledWith(
+        'upload images with cropping',
+        { limit: 5, kinds: ['component'] }
+      );
+      expect(result.structuredContent.hits[0].name).toBe('yb-image-upload');
+      expect(result.content[0].text).toContain('1. **yb-image-upload** (component, score 4.2)');
+      expect(result.content[0].text).toContain('`/lib/src/scripts/components/yb-image-upload.vue`');
+    });
+
+    it('should reject a blank query', async () => {
+      const result = await mcpServer.callTool({
+        name: 'search_shared_library',
+        arguments: { query: '   ' }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('[VALIDATION_FAILED] Search query cannot be empty');
+      expect(mockResourceAnalyzer.searchLibrary).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('utility, plugin and config queries', () => {
+    it('should list every utility module when no name is given', async () => {
+      mockResourceAnalyzer.getAllUtilities.mockResolvedValue([
+        { name: 'crypto', functions: ['encrypted', 'decrypted'], description: '加解密' }
+      ]);
+
+      const result = await mcpServer.callTool({ name: 'query_utility', arguments: {} });
+
+      expect(result.structuredContent).toEqual({
+        mode: 'list',
+        items: [{ name: 'crypto', functions: ['encrypted', 'decrypted'], description: '加解密' }]
+      });
+      expect(result.content[0].text).toContain('- **crypto**: `encrypted`, `decrypted` — 加解密');
+      expect(mockResourceAnalyzer.queryUtility).not.toHaveBeenCalled();
+    });
+
+    it('should describe a utility function', async () => {
+      mockResourceAnalyzer.queryUtility.mockResolvedValue({
+        name: 'encrypted',
+        type: 'function',
+        found: true,
+        filePath: '/lib/utils/crypto.js',
+        parentModule: 'crypto',
+        exported: true,
+        functionType: 'function',
+        documentation: '',
+        examples: [{ language: 'javascript', code: "encrypted('secret')" }]
+      });
+
+      const result = await mcpServer.callTool({
+        name: 'query_utility',
+        arguments: { name: 'encrypted' }
+      });
+
+      expect(mockResourceAnalyzer.queryUtility).toHaveBeenCalledWith('encrypted');
+      expect(result.structuredContent).toMatchObject({
+        mode: 'detail',
+        query: 'encrypted',
+        parentModule: 'crypto'
+      });
+      expect(result.content[0].text).toContain(
+        '✅ **Function** `encrypted` in module `crypto` (exported)'
+      );
+      expect(result.content[0].text).toContain("encrypted('secret')");
+    });
+
+    it('should describe a plugin with its files and usage', async () => {
+      mockResourceAnalyzer.queryPlugin.mockResolvedValue({
+        name: 'http',
+        type: 'plugin',
+        found: true,
+        dirPath: '/lib/plugins/http',
+        files: [{ name: 'index.js', exports: ['install'], functions: [] }],
+        documentation: 'Options: `baseURL`, `timeout`',
+        examples: [],
+        usage: [{ title: 'Import', code: "import http from '@my-shared/plugins/http';" }]
+      });
+
+      const result = await mcpServer.callTool({
+        name: 'query_plugin',
+        arguments: { name: 'http' }
+      });
+      const text = result.content[0].text;
+
+      expect(text).toContain('- `index.js`: install');
+      expect(text).toContain('Options: `baseURL`, `timeout`');
+      expect(text).toContain('### Import');
+    });
+
+    it('should report missing config entries with suggestions', async () => {
+      mockResourceAnalyzer.queryConfig.mockResolvedValue({
+        name: 'TIMOUT',
+        type: 'config',
+        found: false,
+        suggestions: [{ name: 'TIMEOUT', parent: 'env' }]
+      });
+
+      const result = await mcpServer.callTool({
+        name: 'query_config',
+        arguments: { name: 'TIMOUT' }
+      });
+
+      expect(result.structuredContent).toMatchObject({ mode: 'detail', found: false });
+      expect(result.content[0].text).toContain("Could not find config 'TIMOUT'");
+      expect(result.content[0].text).toContain('- `TIMEOUT` (in env)');
+    });
+
+    it('should render config constants as a table', async () => {
+      mockResourceAnalyzer.queryConfig.mockResolvedValue({
+        name: 'env',
+        type: 'config',
+        found: true,
+        filePath: '/lib/config/env.js',
+        exports: ['TIMEOUT'],
+        constants: [{ name: 'TIMEOUT', value: '5000', exported: true }],
+        documentation: ''
+      });
+
+      const result = await mcpServer.callTool({ name: 'query_config', arguments: { name: 'env' } });
+
+      expect(result.content[0].text).toContain('| `TIMEOUT` | `5000` |');
+    });
+  });
+
   describe('parameter validation edge cases', () => {
     it('should provide helpful error messages for validation failures', async () => {
       try {
@@ -256,6 +426,62 @@ describe('MCPServer Resource Query Tools', () => {
     });
   });
 
+  describe('structured tool output', () => {
+    it('should declare an output schema for every tool', async () => {
+      const { tools } = await mcpServer.listTools();
+
+      expect(tools.filter(tool => !tool.outputSchema).map(tool => tool.name)).toEqual([]);
+    });
+
+    it('should return structured content with the Markdown as text', async () => {
+      mockResourceAnalyzer.queryComponent.mockResolvedValue({
+        name: 'yb-avatar',
+        category: 'common',
+        found: true,
+        props: [{ name: 'size', type: 'String', default: 'medium' }],
+        events: [],
+        documentation: 'Avatar component'
+      });
+
+      const result = await mcpServer.callTool({
+        name: 'query_component',
+        arguments: { name: 'yb-avatar' }
+      });
+
+      expect(result.structuredContent).toMatchObject({
+        query: 'yb-avatar',
+        found: true,
+        props: [{ name: 'size', type: 'String', default: 'medium' }]
+      });
+      expect(result.content[0].text).toContain('# Component Query: yb-avatar');
+      expect(result.content[0].text).toContain('| `size` | `String` | `medium` | - |');
+    });
+
+    it('should raise a server error when a result breaks its output schema', async () => {
+      mockResourceAnalyzer.getBestPractices.mockResolvedValue({ practices: 'none' });
+
+      await expect(
+        mcpServer.callTool({ name: 'get_best_practices', arguments: { topic: 'routing' } })
+      ).rejects.toMatchObject({ code: ErrorCodes.INVALID_TOOL_OUTPUT });
+    });
+  });
+
+  describe('MCP resources', () => {
+    it('should advertise resource templates', async () => {
+      const { resourceTemplates } = await mcpServer.listResourceTemplates();
+
+      expect(resourceTemplates.map(template => template.uriTemplate)).toContain(
+        'balm-shared://components/{name}'
+      );
+    });
+
+    it('should reject URIs outside the balm-shared scheme', async () => {
+      await expect(mcpServer.readResource({ uri: 'https://example.com/a' })).rejects.toThrow(
+        BalmSharedMCPError
+      );
+    });
+  });
+
   describe('logging and monitoring', () => {
     it('should log successful component query', async () => {
       const validArgs = { name: 'yb-avatar', category: 'common' };
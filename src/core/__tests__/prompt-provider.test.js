@@ -0,0 +1,64 @@
+/**
+ * Tests for Prompt Provider
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PromptProvider } from '../prompt-provider.js';
+
+describe('PromptProvider', () => {
+  const provider = new PromptProvider();
+
+  it('should list the workflow prompts with their arguments', () => {
+    const { prompts } = provider.listPrompts();
+
+    expect(prompts.map(prompt => prompt.name)).toEqual([
+      'create_crud_module',
+      'add_list_page',
+      'add_api'
+    ]);
+    expect(prompts[0].arguments).toContainEqual(
+      expect.objectContaining({ name: 'module', required: true })
+    );
+  });
+
+  it('should render the skill files followed by the task', async () => {
+    const { messages } = await provider.getPrompt('create_crud_module', {
+      module: 'user',
+      fields: 'name:string:姓名, age:number:年龄',
+      projectPath: '/workspace/admin'
+    });
+
+    expect(messages).toHaveLength(2);
+    expect(messages.every(message => message.role === 'user')).toBe(true);
+    expect(messages[0].content.text).toContain('标准工作流 (Standard Operating Procedures - SOP)');
+    expect(messages[0].content.text).toContain('BalmSharedMCP Action Tools Skill');
+
+    const task = messages[1].content.text;
+    expect(task).toContain('`/workspace/admin`');
+    expect(task).toContain('`user` 模块');
+    expect(task).toContain('模型: `user`');
+    expect(task).toContain('- name:string:姓名\n- age:number:年龄');
+  });
+
+  it('should read skills from a custom directory', async () => {
+    const custom = new PromptProvider({ skillsDirectory: '/nonexistent/skills' });
+
+    const { messages } = await custom.getPrompt('add_api', { module: 'order' });
+
+    expect(messages[0].content.text).toBe('');
+    expect(messages[1].content.text).toContain('list, detail, create, update, delete');
+  });
+
+  it('should require the module argument', async () => {
+    await expect(provider.getPrompt('add_list_page', { module: ' ' })).rejects.toMatchObject({
+      code: 'VALIDATION_FAILED',
+      details: { missing: ['module'] }
+    });
+  });
+
+  it('should reject unknown prompts', async () => {
+    await expect(provider.getPrompt('deploy')).rejects.toMatchObject({
+      code: 'PROMPT_NOT_FOUND'
+    });
+  });
+});
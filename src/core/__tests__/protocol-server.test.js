@@ -0,0 +1,269 @@
+/**
+ * Tests for the protocol server's client roots, tool list and resource notifications
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  ListRootsRequestSchema,
+  ResourceListChangedNotificationSchema,
+  ResourceUpdatedNotificationSchema,
+  ToolListChangedNotificationSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { MCPServer } from '../mcp-server.js';
+import { createProtocolServer } from '../protocol-server.js';
+import { FileSystemHandler } from '../../handlers/file-system-handler.js';
+
+describe('createProtocolServer client roots', () => {
+  let workspace;
+  let adminRoot;
+  let portalRoot;
+  let clientRoots;
+  let client;
+  let server;
+
+  const analyzeContext = async args => {
+    const result = await client.callTool({ name: 'analyze_project_context', arguments: args });
+    return result.isError ? result : result.structuredContent;
+  };
+
+  beforeEach(async () => {
+    workspace = mkdtempSync(path.join(tmpdir(), 'balm-roots-'));
+    adminRoot = path.join(workspace, 'admin');
+    portalRoot = path.join(workspace, 'portal');
+    mkdirSync(path.join(adminRoot, 'app/scripts/pages'), { recursive: true });
+    mkdirSync(path.join(portalRoot, 'src/scripts/pages/user'), { recursive: true });
+    clientRoots = [adminRoot, portalRoot];
+
+    const mcpServer = new MCPServer({
+      projectManager: { getSharedProjectPath: async () => '/shared' },
+      codeGenerator: {},
+      resourceAnalyzer: {},
+      fileSystemHandler: new FileSystemHandler({ workspaceRoot: workspace, journal: false }),
+      config: {}
+    });
+    server = createProtocolServer(mcpServer);
+
+    client = new Client(
+      { name: 'test-client', version: '1.0.0' },
+      { capabilities: { roots: { listChanged: true } } }
+    );
+    client.setRequestHandler(ListRootsRequestSchema, async () => ({
+      roots: clientRoots.map(root => ({ uri: pathToFileURL(root).href }))
+    }));
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.close();
+    rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it('should resolve a file path to the client root it belongs to', async () => {
+    const context = await analyzeContext({
+      path: path.join(portalRoot, 'src/scripts/pages/user/list.vue')
+    });
+
+    expect(context.projectPath).toBe(portalRoot);
+    expect(context.scriptsDir).toBe(path.join(portalRoot, 'src/scripts'));
+  });
+
+  it('should require a path while the client declares several roots', async () => {
+    const result = await analyzeContext({});
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Path is required');
+  });
+
+  it('should follow roots/list_changed notifications', async () => {
+    clientRoots = [adminRoot];
+    await client.sendRootsListChanged();
+
+    const context = await analyzeContext({});
+
+    expect(context.projectPath).toBe(adminRoot);
+    expect(context.scriptsDir).toBe(path.join(adminRoot, 'app/scripts'));
+  });
+
+  it('should complete directories under every client root', async () => {
+    const { completion } = await client.complete({
+      ref: { type: 'ref/prompt', name: 'add_api' },
+      argument: { name: 'projectPath', value: '' }
+    });
+
+    expect(completion.values).toEqual([path.join(adminRoot, 'app'), path.join(portalRoot, 'src')]);
+  });
+});
+
+describe('createProtocolServer tool profiles', () => {
+  let mcpServer;
+  let client;
+  let server;
+
+  beforeEach(async () => {
+    mcpServer = new MCPServer({
+      projectManager: {},
+      codeGenerator: {},
+      resourceAnalyzer: {},
+      fileSystemHandler: new FileSystemHandler({ journal: false }),
+      config: { tools: { profile: 'agentic' } }
+    });
+    server = createProtocolServer(mcpServer);
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  const toolNames = async () => (await client.listTools()).tools.map(tool => tool.name);
+
+  it('should list only the tools of the configured profile', async () => {
+    const names = await toolNames();
+
+    expect(client.getServerCapabilities().tools).toEqual({ listChanged: true });
+    expect(names).toContain('ast_insert_import');
+    expect(names).toContain('open_change_set');
+    expect(names).not.toContain('generate_crud_module');
+    expect(names).not.toContain('create_project');
+  });
+
+  it('should send tools/list_changed when the profile switches', async () => {
+    const notified = new Promise(resolve => {
+      client.setNotificationHandler(ToolListChangedNotificationSchema, resolve);
+    });
+
+    expect(mcpServer.setToolProfile({ profile: 'legacy' })).toBe(true);
+    await notified;
+
+    const names = await toolNames();
+    expect(names).toContain('generate_crud_module');
+    expect(names).not.toContain('ast_insert_import');
+
+    const result = await client.callTool({ name: 'ast_insert_import', arguments: {} });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("not enabled in the 'legacy' tool profile");
+  });
+
+  it('should annotate every tool', async () => {
+    mcpServer.setToolProfile({ profile: 'all' });
+    const { tools } = await client.listTools();
+    const annotations = Object.fromEntries(tools.map(tool => [tool.name, tool.annotations]));
+
+    expect(tools.every(tool => typeof tool.annotations?.readOnlyHint === 'boolean')).toBe(true);
+    expect(annotations.query_component).toEqual({ readOnlyHint: true, openWorldHint: false });
+    expect(annotations.write_component).toEqual({
+      readOnlyHint: false,
+      openWorldHint: false,
+      destructiveHint: true,
+      idempotentHint: true
+    });
+  });
+
+  it('should refuse every mutating tool in read-only mode', async () => {
+    mcpServer.setToolProfile({ profile: 'agentic', readOnly: true });
+
+    const { tools } = await client.listTools();
+    expect(tools.length).toBeGreaterThan(0);
+    expect(tools.every(tool => tool.annotations.readOnlyHint)).toBe(true);
+
+    const result = await client.callTool({
+      name: 'write_component',
+      arguments: { filePath: '/tmp/a.vue', content: '', dryRun: true }
+    });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('[PERMISSION_DENIED]');
+  });
+
+  it('should stop notifying a closed session', async () => {
+    await client.close();
+
+    expect(mcpServer.toolListListeners.size).toBe(0);
+    expect(mcpServer.resourceListeners.size).toBe(0);
+  });
+});
+
+describe('createProtocolServer resource notifications', () => {
+  let mcpServer;
+  let client;
+  let server;
+
+  beforeEach(async () => {
+    mcpServer = new MCPServer({
+      projectManager: {},
+      codeGenerator: {},
+      resourceAnalyzer: {},
+      fileSystemHandler: new FileSystemHandler({ journal: false }),
+      config: {}
+    });
+    server = createProtocolServer(mcpServer);
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('should notify subscribers of updated resources only', async () => {
+    const updated = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updated.push(notification.params.uri);
+    });
+    const listChanged = new Promise(resolve => {
+      client.setNotificationHandler(ResourceListChangedNotificationSchema, resolve);
+    });
+
+    expect(client.getServerCapabilities().resources).toEqual({
+      subscribe: true,
+      listChanged: true
+    });
+    await client.subscribeResource({ uri: 'balm-shared://components/yb-avatar' });
+    await client.subscribeResource({ uri: 'balm-shared://utils/format' });
+    await client.unsubscribeResource({ uri: 'balm-shared://utils/format' });
+
+    mcpServer.notifyResourcesChanged([
+      { index: 'componentsIndex', name: 'yb-avatar', change: 'updated' },
+      { index: 'utilsIndex', name: 'format', change: 'updated' },
+      { index: 'configIndex', name: 'app', change: 'updated' },
+      { index: 'pluginsIndex', name: 'http', change: 'added' }
+    ]);
+    await listChanged;
+
+    expect(updated).toEqual(['balm-shared://components/yb-avatar']);
+  });
+
+  it('should not send list_changed when resources were only edited', async () => {
+    let listChanged = false;
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+      listChanged = true;
+    });
+    const updated = new Promise(resolve => {
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, resolve);
+    });
+
+    await client.subscribeResource({ uri: 'balm-shared://plugins/http' });
+    mcpServer.notifyResourcesChanged([{ index: 'pluginsIndex', name: 'http', change: 'updated' }]);
+
+    expect((await updated).params.uri).toBe('balm-shared://plugins/http');
+    expect(listChanged).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for Resource Provider
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ResourceProvider } from '../resource-provider.js';
+import { ResourceAnalyzer } from '../../analyzers/resource-analyzer.js';
+
+const AVATAR_COMPONENT = `<template>
+  <img class="yb-avatar" @click="$emit('click')" />
+</template>
+
+<script>
+export default {
+  props: {
+    size: { type: String, default: 'medium' }
+  }
+};
+</script>
+`;
+
+describe('ResourceProvider', () => {
+  let sharedLibrary;
+  let provider;
+
+  const write = (relativePath, content) => {
+    const filePath = path.join(sharedLibrary, relativePath);
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileSync(filePath, content);
+  };
+
+  beforeAll(() => {
+    sharedLibrary = mkdtempSync(path.join(tmpdir(), 'balm-resources-'));
+    write('src/scripts/components/yb-avatar.vue', AVATAR_COMPONENT);
+    write('src/scripts/utils/format.js', 'export function formatDate(date) {}\n');
+    write('src/scripts/plugins/http/index.js', 'export const http = () => {};\n');
+    write('src/scripts/plugins/http/README.md', 'HTTP client plugin.\n');
+
+    provider = new ResourceProvider(new ResourceAnalyzer(sharedLibrary));
+  });
+
+  afterAll(() => {
+    rmSync(sharedLibrary, { recursive: true, force: true });
+  });
+
+  it('should list components, utilities and plugins with their URIs', async () => {
+    const { resources } = await provider.listResources();
+
+    expect(resources.map(resource => resource.uri)).toEqual([
+      'balm-shared://components/yb-avatar',
+      'balm-shared://utils/format',
+      'balm-shared://plugins/http'
+    ]);
+    expect(resources[2]).toMatchObject({
+      name: 'http',
+      description: 'HTTP client plugin',
+      mimeType: 'text/markdown'
+    });
+  });
+
+  it('should advertise a URI template per resource kind', () => {
+    const { resourceTemplates } = provider.listResourceTemplates();
+
+    expect(resourceTemplates.map(template => template.uriTemplate)).toEqual([
+      'balm-shared://components/{name}',
+      'balm-shared://utils/{module}',
+      'balm-shared://plugins/{name}'
+    ]);
+  });
+
+  it('should render a component as Markdown', async () => {
+    const { contents } = await provider.readResource('balm-shared://components/yb-avatar');
+
+    expect(contents).toHaveLength(1);
+    expect(contents[0].uri).toBe('balm-shared://components/yb-avatar');
+    expect(contents[0].text).toContain('# yb-avatar');
+    expect(contents[0].text).toContain("| size | String | 'medium' |");
+    expect(contents[0].text).toContain('- `click`');
+  });
+
+  it('should render utilities and plugins', async () => {
+    const utility = await provider.readResource('balm-shared://utils/format');
+    const plugin = await provider.readResource('balm-shared://plugins/http');
+
+    expect(utility.contents[0].text).toContain('- `formatDate` (function, exported)');
+    expect(plugin.contents[0].text).toContain('- `index.js`: http');
+    expect(plugin.contents[0].text).toContain('HTTP client plugin.');
+  });
+
+  it('should not fall back to fuzzy matches', async () => {
+    await expect(provider.readResource('balm-shared://components/avatar')).rejects.toMatchObject({
+      code: 'RESOURCE_NOT_FOUND'
+    });
+  });
+
+  it('should reject unknown schemes and kinds', async () => {
+    await expect(provider.readResource('file:///etc/passwd')).rejects.toMatchObject({
+      code: 'RESOURCE_NOT_FOUND'
+    });
+    await expect(provider.readResource('balm-shared://configs/app')).rejects.toMatchObject({
+      code: 'RESOURCE_NOT_FOUND'
+    });
+  });
+});
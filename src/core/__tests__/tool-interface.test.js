@@ -224,6 +224,81 @@ describe('ToolInterface', () => {
     });
   });
 
+  describe('output schema', () => {
+    const outputSchema = {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        found: { type: 'boolean' },
+        filePath: { type: ['string', 'null'] }
+      },
+      required: ['name', 'found', 'filePath']
+    };
+
+    const createTool = formatText =>
+      new ToolInterface('structured_tool', 'Structured tool', mockTool.inputSchema, vi.fn(), {
+        outputSchema,
+        formatText
+      });
+
+    it('should publish the output schema in the definition', () => {
+      expect(createTool().getDefinition().outputSchema).toEqual(outputSchema);
+      expect(toolInterface.getDefinition()).not.toHaveProperty('outputSchema');
+    });
+
+    it('should reject an output schema that is not an object schema', () => {
+      expect(
+        () =>
+          new ToolInterface('bad_tool', 'Bad tool', mockTool.inputSchema, vi.fn(), {
+            outputSchema: { type: 'array' }
+          })
+      ).toThrow("Tool output schema must have 'properties' property");
+    });
+
+    it('should return structured content alongside the rendered text', () => {
+      const data = { name: 'ui-button', found: true, filePath: null };
+
+      const result = createTool(value => `# ${value.name}`).formatResponse(data, 'test-123');
+
+      expect(result).toEqual({
+        content: [{ type: 'text', text: '# ui-button' }],
+        structuredContent: data
+      });
+    });
+
+    it('should fall back to JSON text without a formatter', () => {
+      const data = { name: 'ui-button', found: false, filePath: '/a.vue' };
+
+      const result = createTool().formatResponse(data, 'test-123');
+
+      expect(JSON.parse(result.content[0].text)).toEqual(data);
+    });
+
+    it('should reject output that violates the schema', () => {
+      const tool = createTool();
+
+      expect(() => tool.formatResponse({ name: 'ui-button', found: 'yes' }, 'test-123')).toThrow(
+        expect.objectContaining({ code: 'INVALID_TOOL_OUTPUT' })
+      );
+      expect(() => tool.formatResponse('plain text', 'test-123')).toThrow(
+        expect.objectContaining({ code: 'INVALID_TOOL_OUTPUT' })
+      );
+    });
+
+    it('should validate the structured content of MCP format responses', () => {
+      const tool = createTool();
+      const response = {
+        content: [{ type: 'text', text: 'preview' }],
+        structuredContent: { name: 'ui-button', found: true, filePath: null }
+      };
+
+      expect(tool.formatResponse(response, 'test-123')).toBe(response);
+      expect(() =>
+        tool.formatResponse({ content: [{ type: 'text', text: 'preview' }] }, 'test-123')
+      ).toThrow(expect.objectContaining({ code: 'INVALID_TOOL_OUTPUT' }));
+    });
+  });
+
   describe('validateJsonSchema', () => {
     it('should validate correct schema', () => {
       const schema = {
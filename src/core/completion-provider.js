@@ -0,0 +1,191 @@
+/**
+ * Completion Provider
+ *
+ * Answers `completion/complete` requests so clients can autocomplete prompt,
+ * resource template and tool arguments: component, utility and plugin names
+ * from the shared-library index, module names from the project's `pages/`
+ * directory, and directories under the client's roots (or WORKSPACE_ROOT).
+ */
+
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { RESOURCE_SCHEME } from './resource-provider.js';
+
+// The protocol caps a completion result at 100 values
+const MAX_VALUES = 100;
+
+const IGNORED_DIRECTORIES = new Set(['node_modules', 'dist', 'coverage']);
+
+const PROMPT_ARGUMENTS = {
+  module: 'modules',
+  projectPath: 'directories'
+};
+
+const RESOURCE_TEMPLATE_ARGUMENTS = {
+  [`${RESOURCE_SCHEME}://components/{name}`]: { name: 'components' },
+  [`${RESOURCE_SCHEME}://utils/{module}`]: { module: 'utilities' },
+  [`${RESOURCE_SCHEME}://plugins/{name}`]: { name: 'plugins' }
+};
+
+const TOOL_ARGUMENTS = {
+  query_component: { name: 'components' },
+  query_utility: { name: 'utilities' },
+  query_plugin: { name: 'plugins' },
+  query_config: { name: 'configs' },
+  analyze_project: { path: 'directories' },
+  analyze_project_context: { path: 'directories' },
+  extract_local_pattern: { path: 'directories' },
+  scaffold_module_structure: { projectPath: 'directories', moduleName: 'modules' },
+  generate_crud_module: { module: 'modules', projectPath: 'directories' },
+  generate_page_component: { projectPath: 'directories' },
+  generate_model_config: { projectPath: 'directories' }
+};
+
+export class CompletionProvider {
+  constructor(options) {
+    this.resourceAnalyzer = options.resourceAnalyzer;
+    this.fileSystemHandler = options.fileSystemHandler;
+  }
+
+  /**
+   * Complete an argument value
+   *
+   * @param {Object} ref - `ref/prompt` ({ name }), `ref/resource` ({ uri }) or `ref/tool` ({ name })
+   * @param {Object} argument - { name, value } of the argument being completed
+   * @param {Object} [context] - { arguments } already filled in by the client
+   */
+  async complete(ref, argument, context = {}) {
+    const source = this._resolveSource(ref, argument.name);
+    const value = argument.value || '';
+
+    let candidates = [];
+    if (source) {
+      try {
+        candidates = await this._loadCandidates(source, value, context.arguments || {});
+      } catch (error) {
+        logger.debug(`Completion for ${argument.name} failed`, { error: error.message });
+      }
+    }
+
+    // Directories are already filtered by their path prefix
+    const values = this._match(candidates, source === 'directories' ? '' : value);
+
+    return {
+      completion: {
+        values: values.slice(0, MAX_VALUES),
+        total: values.length,
+        hasMore: values.length > MAX_VALUES
+      }
+    };
+  }
+
+  _resolveSource(ref, argumentName) {
+    switch (ref?.type) {
+      case 'ref/prompt':
+        return PROMPT_ARGUMENTS[argumentName];
+      case 'ref/resource':
+        return RESOURCE_TEMPLATE_ARGUMENTS[ref.uri]?.[argumentName];
+      case 'ref/tool':
+        return TOOL_ARGUMENTS[ref.name]?.[argumentName];
+      default:
+        return undefined;
+    }
+  }
+
+  async _loadCandidates(source, value, filledArguments) {
+    switch (source) {
+      case 'components':
+        return (await this.resourceAnalyzer.getAllComponents()).map(item => item.name);
+      case 'utilities':
+        return (await this.resourceAnalyzer.getAllUtilities()).map(item => item.name);
+      case 'plugins':
+        return (await this.resourceAnalyzer.getAllPlugins()).map(item => item.name);
+      case 'configs':
+        return (await this.resourceAnalyzer.getAllConfigs()).map(item => item.name);
+      case 'modules':
+        return this._listModules(filledArguments.projectPath || filledArguments.path);
+      case 'directories':
+        return this._listDirectories(value);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Module names are the directories under `<scripts>/pages`
+   */
+  async _listModules(projectPath) {
+    if (!projectPath) {
+      return [];
+    }
+
+    const scriptsDir = await this.fileSystemHandler.getScriptsDir(
+      path.resolve(this._roots()[0], projectPath)
+    );
+    return this._subdirectories(path.join(scriptsDir, 'pages'));
+  }
+
+  /**
+   * Directories under the allowed roots whose path starts with `value`.
+   * Relative values are resolved against each root; results are absolute.
+   */
+  async _listDirectories(value) {
+    const results = [];
+    for (const root of this._roots()) {
+      results.push(...(await this._listDirectoriesUnder(root, value)));
+    }
+    return results;
+  }
+
+  async _listDirectoriesUnder(root, value) {
+    const target = path.resolve(root, value);
+    const endsWithSeparator = /[\\/]$/.test(value);
+    const parent = endsWithSeparator || !value ? target : path.dirname(target);
+    const prefix = endsWithSeparator || !value ? '' : path.basename(target);
+
+    const relativeParent = path.relative(root, parent);
+    if (relativeParent.startsWith('..') || path.isAbsolute(relativeParent)) {
+      return [];
+    }
+
+    const names = await this._subdirectories(parent);
+    return names
+      .filter(name => name.toLowerCase().startsWith(prefix.toLowerCase()))
+      .map(name => path.join(parent, name));
+  }
+
+  async _subdirectories(dirPath) {
+    if (!this.fileSystemHandler.exists(dirPath)) {
+      return [];
+    }
+
+    const items = await this.fileSystemHandler.listDirectory(dirPath);
+    return items
+      .filter(
+        item =>
+          item.isDirectory && !item.name.startsWith('.') && !IGNORED_DIRECTORIES.has(item.name)
+      )
+      .map(item => item.name)
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  _roots() {
+    const roots = this.fileSystemHandler.getAllowedRoots();
+    return roots.length > 0 ? roots : [process.cwd()];
+  }
+
+  /**
+   * Case-insensitive substring match with prefix matches first
+   */
+  _match(candidates, value) {
+    const query = value.toLowerCase();
+    const matches = [...new Set(candidates)].filter(candidate =>
+      candidate.toLowerCase().includes(query)
+    );
+
+    return [
+      ...matches.filter(candidate => candidate.toLowerCase().startsWith(query)),
+      ...matches.filter(candidate => !candidate.toLowerCase().startsWith(query))
+    ];
+  }
+}
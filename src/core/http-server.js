@@ -0,0 +1,304 @@
+/**
+ * HTTP Transport Server
+ *
+ * Serves MCP over Streamable HTTP (`/mcp`) with the legacy HTTP+SSE transport
+ * (`/sse` + `/messages`) as a fallback, so one long-running server can be
+ * shared by several clients. Every client session gets its own protocol server.
+ *
+ * Clients that disappear without ending their session are cleaned up: a
+ * session with no open request or stream for `sessionIdleTimeout` is closed.
+ */
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../utils/logger.js';
+import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+
+export const MCP_PATH = '/mcp';
+export const SSE_PATH = '/sse';
+export const SSE_MESSAGES_PATH = '/messages';
+export const HEALTH_PATH = '/health';
+
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+const DEFAULT_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+const MAX_SWEEP_INTERVAL = 60 * 1000;
+
+export class HttpServer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createServer - returns a new, unconnected SDK Server
+   * @param {string} [options.host] - bind address
+   * @param {number} [options.port] - port, 0 picks a free one
+   * @param {number} [options.sessionIdleTimeout] - ms before an inactive session
+   *   is closed; 0 keeps sessions until the client ends them
+   */
+  constructor(options) {
+    this.createServer = options.createServer;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 3000;
+    this.sessionIdleTimeout = options.sessionIdleTimeout ?? DEFAULT_SESSION_IDLE_TIMEOUT;
+    this.sessions = new Map();
+    this.httpServer = null;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Start listening; resolves once the port is bound
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch(error => {
+        logger.error('HTTP request failed', {
+          method: req.method,
+          url: req.url,
+          error: error.message
+        });
+
+        if (res.headersSent) {
+          res.end();
+        } else {
+          this._sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.port = this.httpServer.address().port;
+    if (this.sessionIdleTimeout > 0) {
+      this.sweepTimer = setInterval(
+        () => this._closeIdleSessions(),
+        Math.min(this.sessionIdleTimeout, MAX_SWEEP_INTERVAL)
+      );
+      this.sweepTimer.unref();
+    }
+    logger.info('HTTP transport listening', {
+      url: `http://${this.host}:${this.port}${MCP_PATH}`,
+      sseUrl: `http://${this.host}:${this.port}${SSE_PATH}`
+    });
+
+    return { host: this.host, port: this.port };
+  }
+
+  /**
+   * Close every session and stop listening
+   */
+  async stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+
+    const sessions = [...this.sessions.values()];
+    this.sessions.clear();
+
+    for (const session of sessions) {
+      try {
+        await session.transport.close();
+      } catch (error) {
+        logger.warn('Failed to close session transport', { error: error.message });
+      }
+    }
+
+    if (this.httpServer) {
+      const server = this.httpServer;
+      this.httpServer = null;
+
+      await new Promise(resolve => {
+        server.close(() => resolve());
+        // SSE streams would otherwise keep the server open
+        server.closeAllConnections();
+      });
+    }
+  }
+
+  async _handleRequest(req, res) {
+    const { pathname, searchParams } = new URL(
+      req.url,
+      `http://${req.headers.host || 'localhost'}`
+    );
+
+    try {
+      if (pathname === MCP_PATH) {
+        return await this._handleStreamableRequest(req, res);
+      }
+
+      if (pathname === SSE_PATH && req.method === 'GET') {
+        return await this._handleSseConnection(req, res);
+      }
+
+      if (pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+        return await this._handleSseMessage(req, res, searchParams.get('sessionId'));
+      }
+    } catch (error) {
+      if (error instanceof BalmSharedMCPError && error.code === ErrorCodes.INVALID_REQUEST) {
+        return this._sendJsonRpcError(
+          res,
+          error.details.status,
+          error.details.rpcCode,
+          error.message
+        );
+      }
+      throw error;
+    }
+
+    if (pathname === HEALTH_PATH && req.method === 'GET') {
+      return this._sendJson(res, 200, { status: 'ok', sessions: this.sessions.size });
+    }
+
+    return this._sendJson(res, 404, { error: `Not found: ${req.method} ${pathname}` });
+  }
+
+  async _handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await this._readBody(req) : undefined;
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.type !== 'streamable') {
+        return this._sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+      }
+      this._trackRequest(session, res);
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return this._sendJsonRpcError(
+        res,
+        400,
+        -32000,
+        'Bad Request: send an initialize request or an Mcp-Session-Id header'
+      );
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        const session = this._createSession('streamable', transport, server);
+        this._trackRequest(session, res);
+        this.sessions.set(id, session);
+        logger.info('MCP session opened', { sessionId: id, transport: 'streamable-http' });
+      }
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        logger.info('MCP session closed', { sessionId: transport.sessionId });
+      }
+    };
+
+    await server.connect(transport);
+    return transport.handleRequest(req, res, body);
+  }
+
+  async _handleSseConnection(req, res) {
+    const server = this.createServer();
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const { sessionId } = transport;
+
+    const session = this._createSession('sse', transport, server);
+    // The event stream stays open for the life of the session
+    this._trackRequest(session, res);
+    this.sessions.set(sessionId, session);
+    logger.info('MCP session opened', { sessionId, transport: 'sse' });
+
+    res.on('close', () => {
+      if (this.sessions.delete(sessionId)) {
+        logger.info('MCP session closed', { sessionId });
+      }
+    });
+
+    await server.connect(transport);
+  }
+
+  async _handleSseMessage(req, res, sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || session.type !== 'sse') {
+      return this._sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+    }
+
+    this._trackRequest(session, res);
+    const body = await this._readBody(req);
+    return session.transport.handlePostMessage(req, res, body);
+  }
+
+  _createSession(type, transport, server) {
+    return { type, transport, server, openRequests: 0, lastActivity: Date.now() };
+  }
+
+  /**
+   * Count a request (or stream) against its session until the response closes
+   */
+  _trackRequest(session, res) {
+    session.openRequests++;
+    session.lastActivity = Date.now();
+    res.on('close', () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  }
+
+  /**
+   * Close sessions with no open request or stream that saw no activity for
+   * `sessionIdleTimeout`
+   */
+  async _closeIdleSessions() {
+    const idleSince = Date.now() - this.sessionIdleTimeout;
+
+    for (const [sessionId, session] of this.sessions) {
+      if (session.openRequests > 0 || session.lastActivity > idleSince) {
+        continue;
+      }
+
+      this.sessions.delete(sessionId);
+      logger.info('Closing idle MCP session', { sessionId, transport: session.type });
+      try {
+        await session.transport.close();
+      } catch (error) {
+        logger.warn('Failed to close session transport', { sessionId, error: error.message });
+      }
+    }
+  }
+
+  async _readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        throw new BalmSharedMCPError(ErrorCodes.INVALID_REQUEST, 'Request body too large', {
+          status: 413,
+          rpcCode: -32600
+        });
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+    } catch {
+      throw new BalmSharedMCPError(ErrorCodes.INVALID_REQUEST, 'Parse error: invalid JSON', {
+        status: 400,
+        rpcCode: -32700
+      });
+    }
+  }
+
+  _sendJsonRpcError(res, status, code, message) {
+    this._sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+  }
+
+  _sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(payload));
+  }
+}
@@ -4,10 +4,75 @@
  * Handles MCP protocol implementation, tool registration, and request routing.
  */
 
+import path from 'path';
+import { randomUUID } from 'crypto';
 import { logger } from '../utils/logger.js';
-import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+import { BalmSharedMCPError, ErrorCodes, throwIfCancelled } from '../utils/errors.js';
+import { createUnifiedDiff } from '../utils/diff.js';
 import { ToolRegistry } from './tool-registry.js';
+import { resolveToolProfile } from './tool-profiles.js';
+import { ResourceProvider } from './resource-provider.js';
+import { PromptProvider } from './prompt-provider.js';
+import { CompletionProvider } from './completion-provider.js';
+import {
+  PROJECT_OUTPUT,
+  PROJECT_ANALYSIS_OUTPUT,
+  CRUD_MODULE_OUTPUT,
+  PAGE_COMPONENT_OUTPUT,
+  MODEL_CONFIG_OUTPUT,
+  COMPONENT_QUERY_OUTPUT,
+  LIBRARY_SEARCH_OUTPUT,
+  UTILITY_QUERY_OUTPUT,
+  PLUGIN_QUERY_OUTPUT,
+  CONFIG_QUERY_OUTPUT,
+  BEST_PRACTICES_OUTPUT,
+  LOCAL_PATTERN_OUTPUT,
+  PROJECT_CONTEXT_OUTPUT,
+  MODULE_STRUCTURE_OUTPUT,
+  FILE_EDIT_OUTPUT,
+  CHANGE_SET_OUTPUT,
+  PLAN_OUTPUT,
+  OPERATION_LIST_OUTPUT,
+  UNDO_OUTPUT
+} from './output-schemas.js';
 import { ASTHandler } from '../handlers/ast-handler.js';
+import { SlotFiller } from '../generators/slot-filler.js';
+
+const DRY_RUN_PROPERTY = {
+  type: 'boolean',
+  description: '(可选) 仅预览：返回 unified diff 及将创建的目录，不写入磁盘'
+};
+
+const CHANGE_SET_PROPERTY = {
+  type: 'string',
+  description: '(可选) open_change_set 返回的变更集 ID；写入将暂存到该变更集，直到提交'
+};
+
+const FILL_SLOTS_PROPERTY = {
+  type: 'boolean',
+  description:
+    '(可选) 通过客户端模型 (sampling) 补全模板中的字段标签、校验提示与 handleAction；客户端不支持 sampling 时保留模板默认值'
+};
+
+// Primitive write tools apply_plan can batch into one transaction
+const PLAN_STEP_TOOLS = [
+  'scaffold_module_structure',
+  'write_component',
+  'ast_insert_import',
+  'ast_update_object',
+  'ast_remove_import',
+  'ast_rename_identifier'
+];
+
+/**
+ * MCP tool annotations. Hints for clients deciding which calls to approve
+ * automatically; read-only mode refuses every tool not marked readOnlyHint.
+ */
+const READ_ONLY_ANNOTATIONS = { readOnlyHint: true, openWorldHint: false };
+
+const ADDITIVE_WRITE_ANNOTATIONS = { destructiveHint: false, idempotentHint: true };
+
+const OVERWRITE_ANNOTATIONS = { destructiveHint: true, idempotentHint: true };
 
 export class MCPServer {
   constructor(components) {
@@ -19,6 +84,14 @@ export class MCPServer {
     this.astHandler = new ASTHandler(this.fileSystemHandler);
 
     this.toolRegistry = new ToolRegistry();
+    this.resourceProvider = new ResourceProvider(this.resourceAnalyzer);
+    this.promptProvider = new PromptProvider();
+    this.completionProvider = new CompletionProvider({
+      resourceAnalyzer: this.resourceAnalyzer,
+      fileSystemHandler: this.fileSystemHandler
+    });
+    this.toolListListeners = new Set();
+    this.resourceListeners = new Set();
     this.requestCount = 0;
     this.startTime = Date.now();
 
@@ -38,6 +111,7 @@ export class MCPServer {
       });
 
       this.registerTools();
+      this.setToolProfile(this.config?.tools);
 
       const stats = this.toolRegistry.getStatistics();
       logger.info('MCP Server initialized successfully', {
@@ -60,25 +134,38 @@ export class MCPServer {
    */
   registerTools() {
     // Project management tools
-    this.toolRegistry.register(
+    this.registerMutatingTool(
       'create_project',
       '创建基于shared-project的新项目',
       {
         type: 'object',
         properties: {
           name: { type: 'string', description: '项目名称' },
-          type: { type: 'string', enum: ['frontend', 'backend'], description: '项目类型' },
+          type: {
+            type: 'string',
+            enum: ['frontend', 'backend'],
+            description: '项目类型（客户端支持 elicitation 时可省略，由用户选择）'
+          },
           path: { type: 'string', description: '项目路径' },
           referenceProject: {
             type: 'string',
             description:
               '参考项目路径（可选，相对于 WORKSPACE_ROOT 或绝对路径）。如果提供，将使用复制模式而非 balm init'
-          }
+          },
+          description: { type: 'string', description: '(可选) 项目描述' },
+          author: { type: 'string', description: '(可选) 作者' },
+          apiEndpoint: { type: 'string', description: '(可选) API 前缀，默认 /api' },
+          mock: { type: 'boolean', description: '(可选) 是否保留 mock-server，默认 true' }
         },
-        required: ['name', 'type', 'path']
+        required: ['name', 'path']
       },
       this.createProject.bind(this),
-      { category: 'project-management', tags: ['project', 'creation'] }
+      {
+        category: 'project-management',
+        tags: ['project', 'creation'],
+        annotations: { destructiveHint: false, idempotentHint: false },
+        outputSchema: PROJECT_OUTPUT
+      }
     );
 
     this.toolRegistry.register(
@@ -92,11 +179,16 @@ export class MCPServer {
         required: ['path']
       },
       this.analyzeProject.bind(this),
-      { category: 'project-management', tags: ['project', 'analysis'] }
+      {
+        category: 'project-management',
+        tags: ['project', 'analysis'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: PROJECT_ANALYSIS_OUTPUT
+      }
     );
 
     // Code generation tools
-    this.toolRegistry.register(
+    this.registerMutatingTool(
       'generate_crud_module',
       '生成完整的CRUD业务模块',
       {
@@ -111,20 +203,29 @@ export class MCPServer {
               properties: {
                 name: { type: 'string' },
                 type: { type: 'string' },
-                component: { type: 'string' }
+                component: { type: 'string' },
+                label: { type: 'string', description: '字段标签' },
+                required: { type: 'boolean', description: '是否必填' },
+                validation: { type: 'object', description: '验证规则' }
               },
               required: ['name', 'type', 'component']
             }
           },
-          projectPath: { type: 'string', description: '项目路径' }
+          projectPath: { type: 'string', description: '项目路径' },
+          fillSlots: FILL_SLOTS_PROPERTY
         },
         required: ['module', 'model', 'fields', 'projectPath']
       },
       this.generateCrudModule.bind(this),
-      { category: 'code-generation', tags: ['crud', 'module', 'generation'] }
+      {
+        category: 'code-generation',
+        tags: ['crud', 'module', 'generation'],
+        annotations: OVERWRITE_ANNOTATIONS,
+        outputSchema: CRUD_MODULE_OUTPUT
+      }
     );
 
-    this.toolRegistry.register(
+    this.registerMutatingTool(
       'generate_page_component',
       '生成页面组件',
       {
@@ -133,15 +234,21 @@ export class MCPServer {
           name: { type: 'string', description: '组件名称' },
           type: { type: 'string', enum: ['list', 'detail'], description: '组件类型' },
           model: { type: 'string', description: '关联的数据模型' },
-          projectPath: { type: 'string', description: '项目路径' }
+          projectPath: { type: 'string', description: '项目路径' },
+          fillSlots: FILL_SLOTS_PROPERTY
         },
         required: ['name', 'type', 'model', 'projectPath']
       },
       this.generatePageComponent.bind(this),
-      { category: 'code-generation', tags: ['component', 'page', 'generation'] }
+      {
+        category: 'code-generation',
+        tags: ['component', 'page', 'generation'],
+        annotations: OVERWRITE_ANNOTATIONS,
+        outputSchema: PAGE_COMPONENT_OUTPUT
+      }
     );
 
-    this.toolRegistry.register(
+    this.registerMutatingTool(
       'generate_model_config',
       '生成表单配置文件',
       {
@@ -174,7 +281,12 @@ export class MCPServer {
         required: ['name', 'fields', 'projectPath']
       },
       this.generateModelConfig.bind(this),
-      { category: 'code-generation', tags: ['model-config', 'form', 'generation'] }
+      {
+        category: 'code-generation',
+        tags: ['model-config', 'form', 'generation'],
+        annotations: OVERWRITE_ANNOTATIONS,
+        outputSchema: MODEL_CONFIG_OUTPUT
+      }
     );
 
     // Resource query tools
@@ -193,8 +305,106 @@ export class MCPServer {
         },
         required: ['name']
       },
-      this.queryComponent.bind(this),
-      { category: 'resource-query', tags: ['component', 'query'] }
+      this.queryComponentData.bind(this),
+      {
+        category: 'resource-query',
+        tags: ['component', 'query'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: COMPONENT_QUERY_OUTPUT,
+        formatText: this.renderComponentQuery.bind(this)
+      }
+    );
+
+    this.toolRegistry.register(
+      'search_shared_library',
+      '按功能描述全文检索共享库 (组件名、props、事件、README 章节、工具函数与插件文档)，返回按相关度排序的结果、摘要与文件路径',
+      {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            minLength: 1,
+            description: '检索内容，如 "上传图片并裁剪" 或 "upload image with cropping"'
+          },
+          kinds: {
+            type: 'array',
+            items: { type: 'string', enum: ['component', 'utility', 'plugin', 'documentation'] },
+            description: '(可选) 只返回这些类型的结果'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50,
+            description: '(可选) 最多返回的结果数，默认 10'
+          }
+        },
+        required: ['query']
+      },
+      this.searchSharedLibraryData.bind(this),
+      {
+        category: 'resource-query',
+        tags: ['search', 'query'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: LIBRARY_SEARCH_OUTPUT,
+        formatText: this.renderLibrarySearch.bind(this)
+      }
+    );
+
+    this.toolRegistry.register(
+      'query_utility',
+      '查询共享库工具模块或工具函数 (如 encrypted)；省略 name 时列出全部工具模块',
+      {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: '(可选) 工具模块名或函数名' }
+        }
+      },
+      this.queryUtilityData.bind(this),
+      {
+        category: 'resource-query',
+        tags: ['utility', 'query'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: UTILITY_QUERY_OUTPUT,
+        formatText: this.renderUtilityQuery.bind(this)
+      }
+    );
+
+    this.toolRegistry.register(
+      'query_plugin',
+      '查询共享库插件的文件、导出、文档与用法；省略 name 时列出全部插件',
+      {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: '(可选) 插件名称' }
+        }
+      },
+      this.queryPluginData.bind(this),
+      {
+        category: 'resource-query',
+        tags: ['plugin', 'query'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: PLUGIN_QUERY_OUTPUT,
+        formatText: this.renderPluginQuery.bind(this)
+      }
+    );
+
+    this.toolRegistry.register(
+      'query_config',
+      '查询共享库配置模块或配置常量的取值；省略 name 时列出全部配置模块',
+      {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: '(可选) 配置模块名或常量名' }
+        }
+      },
+      this.queryConfigData.bind(this),
+      {
+        category: 'resource-query',
+        tags: ['config', 'query'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: CONFIG_QUERY_OUTPUT,
+        formatText: this.renderConfigQuery.bind(this)
+      }
     );
 
     this.toolRegistry.register(
@@ -211,8 +421,14 @@ export class MCPServer {
         },
         required: ['topic']
       },
-      this.getBestPractices.bind(this),
-      { category: 'resource-query', tags: ['best-practices', 'documentation'] }
+      this.getBestPracticesData.bind(this),
+      {
+        category: 'resource-query',
+        tags: ['best-practices', 'documentation'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: BEST_PRACTICES_OUTPUT,
+        formatText: this.renderBestPractices.bind(this)
+      }
     );
 
     this.toolRegistry.register(
@@ -228,8 +444,14 @@ export class MCPServer {
         },
         required: ['path']
       },
-      this.extractLocalPattern.bind(this),
-      { category: 'resource-query', tags: ['pattern', 'example'] }
+      this.extractLocalPatternData.bind(this),
+      {
+        category: 'resource-query',
+        tags: ['pattern', 'example'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: LOCAL_PATTERN_OUTPUT,
+        formatText: this.renderLocalPattern.bind(this)
+      }
     );
 
     this.toolRegistry.register(
@@ -240,17 +462,23 @@ export class MCPServer {
         properties: {
           path: {
             type: 'string',
-            description: '项目根目录路径'
+            description:
+              '(可选) 项目根目录路径；传入项目内的文件或省略时，使用其所属的客户端根目录 (roots)'
           }
-        },
-        required: ['path']
+        }
       },
-      this.analyzeProjectContext.bind(this),
-      { category: 'resource-query', tags: ['context', 'analyze'] }
+      this.analyzeProjectContextData.bind(this),
+      {
+        category: 'resource-query',
+        tags: ['context', 'analyze'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: PROJECT_CONTEXT_OUTPUT,
+        formatText: this.renderProjectContext.bind(this)
+      }
     );
 
     // --- Action Tools (Phase 3) ---
-    this.toolRegistry.register(
+    this.registerMutatingTool(
       'scaffold_module_structure',
       '创建模块的基础空目录结构 (如 apis/, pages/, routes/)',
       {
@@ -262,27 +490,123 @@ export class MCPServer {
         required: ['projectPath', 'moduleName']
       },
       this.scaffoldModuleStructure.bind(this),
-      { category: 'code-generation', tags: ['scaffold', 'directory'] }
+      {
+        category: 'code-generation',
+        tags: ['scaffold', 'directory'],
+        annotations: ADDITIVE_WRITE_ANNOTATIONS,
+        outputSchema: MODULE_STRUCTURE_OUTPUT
+      }
     );
 
-    this.toolRegistry.register(
+    this.registerMutatingTool(
       'ast_insert_import',
-      '安全地向 JS/SCSS 索引文件中插入 import 语句或扩展数组',
+      '安全地向 JS/SCSS 索引文件或 Vue 单文件组件的 <script> 中插入 import 语句、扩展数组、注册组件或添加 data 键',
       {
         type: 'object',
         properties: {
           filePath: { type: 'string', description: '目标文件路径' },
           importStatement: { type: 'string', description: '要插入的 import 语句' },
           arrayName: { type: 'string', description: '(可选) 要扩展的数组名称，如 apis 或 routes' },
-          arrayElement: { type: 'string', description: '(可选) 要追加到数组中的元素' }
+          arrayElement: { type: 'string', description: '(可选) 要追加到数组中的元素' },
+          componentName: {
+            type: 'string',
+            description: '(可选, 仅 .vue) 要注册到 components 选项中的组件名，如 UserForm'
+          },
+          dataKey: {
+            type: 'string',
+            description: '(可选, 仅 .vue) 要添加到 data() 返回对象中的键'
+          },
+          dataValue: { type: 'string', description: '(可选) dataKey 的初始值表达式，默认 null' }
         },
         required: ['filePath']
       },
       this.astInsertImport.bind(this),
-      { category: 'code-generation', tags: ['ast', 'import', 'injection'] }
+      {
+        category: 'code-generation',
+        tags: ['ast', 'import', 'injection'],
+        annotations: ADDITIVE_WRITE_ANNOTATIONS,
+        outputSchema: FILE_EDIT_OUTPUT
+      }
     );
 
-    this.toolRegistry.register(
+    this.registerMutatingTool(
+      'ast_update_object',
+      '安全地在 JS/Vue 文件的对象字面量中插入、替换或删除属性 (如 default.crud.list)',
+      {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: '目标文件路径' },
+          path: {
+            type: 'string',
+            description:
+              '属性路径，首段为 default (默认导出) 或变量名，末段为要操作的键，如 default.crud.list'
+          },
+          operation: {
+            type: 'string',
+            enum: ['insert', 'replace', 'remove'],
+            description: '操作类型'
+          },
+          value: { type: 'string', description: '(insert/replace 必填) 属性值的 JS 表达式' }
+        },
+        required: ['filePath', 'path', 'operation']
+      },
+      this.astUpdateObject.bind(this),
+      {
+        category: 'code-generation',
+        tags: ['ast', 'object', 'injection'],
+        annotations: OVERWRITE_ANNOTATIONS,
+        outputSchema: FILE_EDIT_OUTPUT
+      }
+    );
+
+    this.registerMutatingTool(
+      'ast_remove_import',
+      '安全地从 JS/SCSS 索引文件或 Vue 单文件组件中移除 import 语句或数组元素 (ast_insert_import 的逆操作)',
+      {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: '目标文件路径' },
+          importStatement: {
+            type: 'string',
+            description:
+              '(可选) 要移除的 import 语句或模块路径；语句中列出的具名导入只移除对应项，模块路径会移除整条 import'
+          },
+          arrayName: { type: 'string', description: '(可选) 要移除元素的数组名称' },
+          arrayElement: { type: 'string', description: '(可选) 要从数组中移除的元素' }
+        },
+        required: ['filePath']
+      },
+      this.astRemoveImport.bind(this),
+      {
+        category: 'code-generation',
+        tags: ['ast', 'import', 'removal'],
+        annotations: OVERWRITE_ANNOTATIONS,
+        outputSchema: FILE_EDIT_OUTPUT
+      }
+    );
+
+    this.registerMutatingTool(
+      'ast_rename_identifier',
+      '在 JS/Vue 文件中安全地重命名变量/导入绑定及其所有引用，保留对象键和导出名',
+      {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: '目标文件路径' },
+          oldName: { type: 'string', description: '原标识符名称' },
+          newName: { type: 'string', description: '新标识符名称' }
+        },
+        required: ['filePath', 'oldName', 'newName']
+      },
+      this.astRenameIdentifier.bind(this),
+      {
+        category: 'code-generation',
+        tags: ['ast', 'rename', 'refactor'],
+        annotations: { destructiveHint: true, idempotentHint: false },
+        outputSchema: FILE_EDIT_OUTPUT
+      }
+    );
+
+    this.registerMutatingTool(
       'write_component',
       '写入组件代码并进行基础格式化',
       {
@@ -294,12 +618,286 @@ export class MCPServer {
         required: ['filePath', 'content']
       },
       this.writeComponent.bind(this),
-      { category: 'code-generation', tags: ['write', 'component'] }
+      {
+        category: 'code-generation',
+        tags: ['write', 'component'],
+        annotations: OVERWRITE_ANNOTATIONS,
+        outputSchema: FILE_EDIT_OUTPUT
+      }
+    );
+
+    // Change set tools
+    this.toolRegistry.register(
+      'open_change_set',
+      '开启一个变更集：之后带 changeSetId 的写入类工具调用都只暂存在内存中，提交时一次性原子落盘',
+      { type: 'object', properties: {} },
+      this.openChangeSet.bind(this),
+      {
+        category: 'change-set',
+        tags: ['transaction', 'change-set'],
+        annotations: {
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: false,
+          openWorldHint: false
+        },
+        outputSchema: CHANGE_SET_OUTPUT
+      }
+    );
+
+    this.toolRegistry.register(
+      'commit_change_set',
+      '提交变更集，将暂存的所有修改原子写入磁盘；任一文件写入失败时恢复全部原始文件。dryRun 为 true 时仅返回待提交的 unified diff',
+      {
+        type: 'object',
+        properties: {
+          changeSetId: { type: 'string', description: '变更集 ID' },
+          dryRun: {
+            type: 'boolean',
+            description: '(可选) 仅预览变更集中暂存的修改，不提交'
+          }
+        },
+        required: ['changeSetId']
+      },
+      this.commitChangeSet.bind(this),
+      {
+        category: 'change-set',
+        tags: ['transaction', 'change-set'],
+        annotations: {
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: false,
+          openWorldHint: false
+        },
+        outputSchema: CHANGE_SET_OUTPUT
+      }
+    );
+
+    this.toolRegistry.register(
+      'abort_change_set',
+      '放弃变更集，丢弃其中暂存的所有修改，磁盘上的文件保持不变',
+      {
+        type: 'object',
+        properties: {
+          changeSetId: { type: 'string', description: '变更集 ID' }
+        },
+        required: ['changeSetId']
+      },
+      this.abortChangeSet.bind(this),
+      {
+        category: 'change-set',
+        tags: ['transaction', 'change-set'],
+        annotations: {
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: true,
+          openWorldHint: false
+        },
+        outputSchema: CHANGE_SET_OUTPUT
+      }
+    );
+
+    // Plan tool
+    this.registerMutatingTool(
+      'apply_plan',
+      '按顺序执行多个写入步骤 (scaffold_module_structure、write_component、ast_* 等)：执行前按各工具的参数 Schema 校验全部步骤，在同一事务中执行并原子落盘，任一步骤失败时不写入任何文件，返回逐步报告',
+      {
+        type: 'object',
+        properties: {
+          steps: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                tool: { type: 'string', enum: PLAN_STEP_TOOLS, description: '步骤调用的工具' },
+                arguments: {
+                  type: 'object',
+                  description: '工具参数 (不含 dryRun / changeSetId，它们作用于整个计划)'
+                }
+              },
+              required: ['tool', 'arguments']
+            },
+            description: '按顺序执行的步骤'
+          }
+        },
+        required: ['steps']
+      },
+      this.applyPlan.bind(this),
+      {
+        category: 'code-generation',
+        tags: ['plan', 'batch', 'write'],
+        annotations: { destructiveHint: true, idempotentHint: false },
+        outputSchema: PLAN_OUTPUT
+      }
+    );
+
+    // Operation history tools
+    this.toolRegistry.register(
+      'list_operations',
+      '列出操作日志中最近的文件写入、删除和目录创建记录（最新的在前），用于确认可撤销的操作',
+      {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, description: '(可选) 返回的记录数，默认 20' }
+        }
+      },
+      this.listOperations.bind(this),
+      {
+        category: 'history',
+        tags: ['journal', 'undo'],
+        annotations: READ_ONLY_ANNOTATIONS,
+        outputSchema: OPERATION_LIST_OUTPUT
+      }
+    );
+
+    this.toolRegistry.register(
+      'undo_last_operation',
+      '撤销最近的一次或多次操作 (一次工具调用或一个变更集写入的全部文件)，恢复原始内容。若文件在操作之后又被修改，默认拒绝撤销',
+      {
+        type: 'object',
+        properties: {
+          count: {
+            type: 'integer',
+            minimum: 1,
+            description: '(可选) 要撤销的操作数，默认 1；可先用 list_operations 查看'
+          },
+          force: {
+            type: 'boolean',
+            description: '(可选) 即使文件在操作之后被修改也强制恢复'
+          }
+        }
+      },
+      this.undoLastOperation.bind(this),
+      {
+        category: 'history',
+        tags: ['journal', 'undo'],
+        annotations: {
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: false,
+          openWorldHint: false
+        },
+        outputSchema: UNDO_OUTPUT
+      }
     );
 
     const stats = this.toolRegistry.getStatistics();
     logger.info(`Registered ${stats.totalTools} tools across ${stats.categories} categories`);
   }
+
+  /**
+   * Register a tool that writes to disk. It accepts a `dryRun` argument which
+   * stages every write in memory and returns a unified diff instead, and a
+   * `changeSetId` argument which stages the writes into an open change set.
+   * Its annotations always carry `readOnlyHint: false`.
+   */
+  registerMutatingTool(name, description, inputSchema, handler, options = {}) {
+    const schema = {
+      ...inputSchema,
+      properties: {
+        ...inputSchema.properties,
+        dryRun: DRY_RUN_PROPERTY,
+        changeSetId: CHANGE_SET_PROPERTY
+      }
+    };
+
+    const run = (args, context) => {
+      if (args && args.dryRun) {
+        return this.previewChanges(name, handler, args, context);
+      }
+      return handler(args, context);
+    };
+
+    const execute = async (args, context) => {
+      if (!args || !args.changeSetId) {
+        return run(args, context);
+      }
+
+      const result = await this.fileSystemHandler.runInChangeSet(args.changeSetId, () =>
+        run(args, context)
+      );
+      if (args.dryRun || !result || typeof result !== 'object') {
+        return result;
+      }
+      return { ...result, staged: true, changeSetId: args.changeSetId };
+    };
+
+    this.toolRegistry.register(
+      name,
+      description,
+      schema,
+      (args, context = {}) =>
+        this.fileSystemHandler.runWithOperationContext(
+          { tool: name, requestId: context.requestId, operationId: randomUUID() },
+          () => execute(args, context)
+        ),
+      {
+        ...options,
+        annotations: { readOnlyHint: false, openWorldHint: false, ...options.annotations }
+      }
+    );
+  }
+
+  /**
+   * Run a mutating tool handler in dry-run mode and describe what it would change
+   */
+  async previewChanges(name, handler, args, context) {
+    const { result, changes } = await this.fileSystemHandler.runDryRun(() =>
+      handler(args, context)
+    );
+
+    logger.info(`Dry run completed for ${name}`, {
+      files: changes.files.length,
+      directories: changes.directories.length
+    });
+
+    return this.describeChanges(
+      changes,
+      {
+        success: result?.success ?? true,
+        dryRun: true,
+        message: `Dry run of ${name}: ${changes.files.length} file(s) would change and ${changes.directories.length} directory(ies) would be created. Nothing was written.`
+      },
+      { result }
+    );
+  }
+
+  /**
+   * Format staged changes as a JSON summary followed by a unified diff
+   */
+  describeChanges(changes, summary, details = {}) {
+    const baseDir = this.fileSystemHandler.workspaceRoot || process.cwd();
+    const diff = changes.files
+      .map(change => {
+        const relativePath = path.relative(baseDir, change.path);
+        const inBase = relativePath && !relativePath.startsWith('..');
+        return createUnifiedDiff(change.before, change.after, {
+          oldPath: inBase ? `a/${relativePath}` : change.path,
+          newPath: inBase ? `b/${relativePath}` : change.path
+        });
+      })
+      .join('');
+
+    const report = {
+      ...summary,
+      files: changes.files.map(change => ({
+        path: change.path,
+        status: change.before === null ? 'created' : change.after === null ? 'deleted' : 'modified'
+      })),
+      directories: changes.directories,
+      ...details
+    };
+
+    return {
+      content: [
+        { type: 'text', text: JSON.stringify(report, null, 2) },
+        ...(diff ? [{ type: 'text', text: diff }] : [])
+      ],
+      structuredContent: report
+    };
+  }
+
   /**
    * Register a tool with the server (legacy method for backward compatibility)
    */
@@ -311,18 +909,56 @@ export class MCPServer {
   }
 
   /**
-   * List all available tools
+   * Switch to the tool profile selected by the `tools` config section and
+   * notify the tool list listeners if the set of enabled tools changed
+   *
+   * @param {Object} [toolsConfig] - `{ profile, profiles }`
+   * @returns {boolean} whether the set of enabled tools changed
    */
-  async listTools() {
-    const tools = this.toolRegistry.list();
-    return { tools };
+  setToolProfile(toolsConfig) {
+    const profile = resolveToolProfile(toolsConfig);
+    const changed = this.toolRegistry.setProfile(profile);
+
+    if (changed) {
+      for (const listener of this.toolListListeners) {
+        listener(profile);
+      }
+    }
+    return changed;
   }
 
   /**
-   * Call a specific tool using the tool registry
+   * Listen for changes to the set of enabled tools
+   *
+   * @returns {Function} removes the listener
    */
-  async callTool(params) {
-    const requestId = ++this.requestCount;
+  onToolListChanged(listener) {
+    this.toolListListeners.add(listener);
+    return () => this.toolListListeners.delete(listener);
+  }
+
+  /**
+   * List the tools enabled by the active profile
+   */
+  async listTools() {
+    const tools = this.toolRegistry.list();
+    return { tools };
+  }
+
+  /**
+   * Call a specific tool using the tool registry
+   *
+   * @param {Object} params - tools/call params ({ name, arguments })
+   * @param {Object} [options] - request extras from the protocol layer
+   * @param {AbortSignal} [options.signal] - aborted when the client cancels
+   * @param {string|number} [options.progressToken] - token for notifications/progress
+   * @param {Function} [options.sendNotification] - sends a notification to the client
+   * @param {string[]} [options.roots] - the client's root directories
+   * @param {Function} [options.createMessage] - sends sampling/createMessage to the client
+   * @param {Function} [options.elicitInput] - sends a form elicitation/create to the client
+   */
+  async callTool(params, options = {}) {
+    const requestId = ++this.requestCount;
     const { name, arguments: args } = params;
 
     logger.info(`[Request ${requestId}] Tool call initiated`, {
@@ -333,11 +969,17 @@ export class MCPServer {
 
     try {
       // Execute tool through registry with enhanced context
-      const result = await this.toolRegistry.execute(name, args, {
-        requestId,
-        serverInstance: this,
-        timestamp: new Date().toISOString()
-      });
+      const result = await this.withClientRoots(options.roots, () =>
+        this.toolRegistry.execute(name, args, {
+          requestId,
+          serverInstance: this,
+          timestamp: new Date().toISOString(),
+          signal: options.signal,
+          reportProgress: this.createProgressReporter(options, requestId),
+          sample: this.createSampler(options, requestId),
+          elicit: this.createElicitor(options, requestId)
+        })
+      );
 
       logger.info(`[Request ${requestId}] Tool execution completed`, {
         requestId,
@@ -354,6 +996,12 @@ export class MCPServer {
         stack: error.stack
       });
 
+      // Output that breaks the declared schema is a server bug; let the
+      // protocol layer report it as a JSON-RPC error instead of a tool result
+      if (error.code === ErrorCodes.INVALID_TOOL_OUTPUT) {
+        throw error;
+      }
+
       // Return error as MCP content instead of throwing
       // Throwing causes generic "MCP ERROR" in clients with no useful info
       const errorMessage =
@@ -383,6 +1031,173 @@ export class MCPServer {
     }
   }
 
+  /**
+   * Run a callback with the client's roots as the allowed directories; without
+   * roots the file system handler falls back to WORKSPACE_ROOT
+   */
+  withClientRoots(roots, callback) {
+    return roots ? this.fileSystemHandler.runWithRoots(roots, callback) : callback();
+  }
+
+  /**
+   * Create the `reportProgress(progress, total, message)` callback tools receive.
+   * It is a no-op unless the client asked for progress with a progress token.
+   */
+  createProgressReporter(options, requestId) {
+    const { progressToken, sendNotification } = options;
+
+    if (progressToken === undefined || !sendNotification) {
+      return () => {};
+    }
+
+    return (progress, total, message) => {
+      sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      }).catch(error => {
+        logger.warn(`[Request ${requestId}] Failed to send progress notification`, {
+          error: error.message
+        });
+      });
+    };
+  }
+
+  /**
+   * Create the `sample(prompt, { systemPrompt, maxTokens })` callback tools use
+   * to ask the client's model for text. It is null unless the client supports
+   * sampling.
+   */
+  createSampler(options, requestId) {
+    const { createMessage } = options;
+
+    if (!createMessage) {
+      return null;
+    }
+
+    return async (prompt, { systemPrompt, maxTokens = 1024 } = {}) => {
+      logger.info(`[Request ${requestId}] Requesting sampling from the client`);
+
+      const result = await createMessage({
+        messages: [{ role: 'user', content: { type: 'text', text: prompt } }],
+        systemPrompt,
+        maxTokens
+      });
+      const contents = Array.isArray(result.content) ? result.content : [result.content];
+
+      return contents
+        .filter(content => content.type === 'text')
+        .map(content => content.text)
+        .join('');
+    };
+  }
+
+  /**
+   * Create the `elicit(message, requestedSchema)` callback tools use to ask the
+   * user for structured input mid-call. It resolves to the submitted content,
+   * or null when the user declines; cancelling the form throws
+   * OPERATION_CANCELLED. It is null unless the client supports form elicitation.
+   */
+  createElicitor(options, requestId) {
+    const { elicitInput } = options;
+
+    if (!elicitInput) {
+      return null;
+    }
+
+    return async (message, requestedSchema) => {
+      logger.info(`[Request ${requestId}] Requesting input from the user`, { message });
+
+      const result = await elicitInput({ message, requestedSchema });
+
+      if (result.action === 'cancel') {
+        throw new BalmSharedMCPError(
+          ErrorCodes.OPERATION_CANCELLED,
+          'The user cancelled the input request',
+          { requestId, message }
+        );
+      }
+      return result.action === 'accept' ? result.content || {} : null;
+    };
+  }
+
+  /**
+   * List shared-library resources (components, utilities and plugins)
+   */
+  async listResources() {
+    return this.resourceProvider.listResources();
+  }
+
+  /**
+   * Tell the resource listeners which shared-library resources changed
+   *
+   * @param {Array} changes - index changes reported by ResourceAnalyzer.refreshFiles()
+   */
+  notifyResourcesChanged(changes) {
+    const resources = this.resourceProvider.getChangedResources(changes);
+
+    if (resources.length > 0) {
+      for (const listener of this.resourceListeners) {
+        listener(resources);
+      }
+    }
+  }
+
+  /**
+   * Listen for changes to the shared-library resources
+   *
+   * @returns {Function} removes the listener
+   */
+  onResourcesChanged(listener) {
+    this.resourceListeners.add(listener);
+    return () => this.resourceListeners.delete(listener);
+  }
+
+  /**
+   * List resource URI templates
+   */
+  async listResourceTemplates() {
+    return this.resourceProvider.listResourceTemplates();
+  }
+
+  /**
+   * Read a shared-library resource by URI
+   */
+  async readResource(params) {
+    const { uri } = params;
+
+    try {
+      return await this.resourceProvider.readResource(uri);
+    } catch (error) {
+      logger.warn('Resource read failed', { uri, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List the Agentic workflow prompts
+   */
+  async listPrompts() {
+    return this.promptProvider.listPrompts();
+  }
+
+  /**
+   * Render a workflow prompt with its arguments
+   */
+  async getPrompt(params) {
+    const { name, arguments: args } = params;
+    return this.promptProvider.getPrompt(name, args);
+  }
+
+  /**
+   * Suggest values for a prompt, resource template or tool argument
+   */
+  async complete(params, options = {}) {
+    const { ref, argument, context } = params;
+    return this.withClientRoots(options.roots, () =>
+      this.completionProvider.complete(ref, argument, context)
+    );
+  }
+
   /**
    * Get server statistics including tool usage
    */
@@ -419,15 +1234,20 @@ export class MCPServer {
   }
 
   // Tool implementations (placeholders for now)
-  async createProject(args) {
-    return this.projectManager.createProject(args);
+  async createProject(args, context = {}) {
+    return this.projectManager.createProject({
+      ...args,
+      signal: context.signal,
+      onProgress: context.reportProgress,
+      elicit: context.elicit
+    });
   }
 
   async analyzeProject(args) {
     return this.projectManager.analyzeProject(args.path);
   }
 
-  async generateCrudModule(args) {
+  async generateCrudModule(args, context = {}) {
     try {
       // Handle null/undefined args
       if (!args || typeof args !== 'object') {
@@ -512,11 +1332,24 @@ export class MCPServer {
         logger.warn('Failed to extract idiomatic patterns:', error.message);
       }
 
+      const slots = await this.fillTemplateSlots(
+        { ...args, name: args.module, type: 'list' },
+        patterns,
+        context
+      );
+
       const result = await this.codeGenerator.generateCrudModule({
         ...args,
-        patterns
+        fields: slots.fields,
+        patterns: slots.patterns,
+        signal: context.signal,
+        onProgress: context.reportProgress
       });
 
+      if (slots.filled) {
+        result.filledSlots = slots.filled;
+      }
+
       // Add generation summary to result
       result.summary = {
         module: args.module,
@@ -547,7 +1380,7 @@ export class MCPServer {
     }
   }
 
-  async generatePageComponent(args) {
+  async generatePageComponent(args, context = {}) {
     try {
       // Handle null/undefined args
       if (!args || typeof args !== 'object') {
@@ -640,11 +1473,18 @@ export class MCPServer {
         logger.warn('Failed to extract idiomatic patterns:', error.message);
       }
 
+      const slots = await this.fillTemplateSlots(args, patterns, context);
+
       const result = await this.codeGenerator.generatePageComponent({
         ...args,
-        patterns
+        fields: slots.fields,
+        patterns: slots.patterns
       });
 
+      if (slots.filled) {
+        result.filledSlots = slots.filled;
+      }
+
       // Add generation summary to result
       result.summary = {
         name: args.name,
@@ -676,7 +1516,46 @@ export class MCPServer {
     }
   }
 
+  /**
+   * With `fillSlots`, ask the client's model to fill the template slots that
+   * are still open: missing field labels, validation messages and, for list
+   * pages without an extracted pattern, the handleAction body
+   */
+  async fillTemplateSlots(args, patterns, context = {}) {
+    const unchanged = { fields: args.fields, patterns, filled: null };
+
+    if (!args.fillSlots) {
+      return unchanged;
+    }
+
+    if (!context.sample) {
+      logger.warn('fillSlots requested but the client does not support sampling');
+      return unchanged;
+    }
+
+    const { fields, handleAction, filled } = await new SlotFiller(context.sample).fill({
+      module: args.name,
+      model: args.model,
+      title: args.title,
+      fields: args.fields,
+      handleAction: args.type === 'list' && !patterns.handleAction
+    });
+
+    return {
+      fields,
+      patterns: handleAction ? { ...patterns, handleAction } : patterns,
+      filled
+    };
+  }
+
   async queryComponent(args) {
+    return this.renderComponentQuery(await this.queryComponentData(args));
+  }
+
+  /**
+   * Query a component and return the analyzer result (query_component's structured output)
+   */
+  async queryComponentData(args) {
     try {
       // Handle null/undefined args
       if (!args || typeof args !== 'object') {
@@ -729,50 +1608,18 @@ export class MCPServer {
 
       const rawResult = await this.resourceAnalyzer.queryComponent(args.name, args.category);
 
-      // Format the result as Markdown for better LLM comprehension
-      let markdownOutput = `# Component Query: ${args.name}\n\n`;
-
-      if (!rawResult.found) {
-        markdownOutput += `❌ **Not Found**\n\nCould not find component '${args.name}'.\n`;
-        if (rawResult.suggestions && rawResult.suggestions.length > 0) {
-          markdownOutput += `**Did you mean?**\n${rawResult.suggestions.map(s => `- \`${s.name}\` (${s.category})`).join('\n')}\n`;
-        }
-        return markdownOutput;
-      }
-
-      markdownOutput += `✅ **Found** in category: \`${rawResult.category}\`\n\n`;
-
-      if (rawResult.documentation) {
-        markdownOutput += `## Description\n${rawResult.documentation}\n\n`;
-      }
-
-      if (rawResult.props && rawResult.props.length > 0) {
-        markdownOutput += '## Props\n| Name | Type | Default | Description |\n|---|---|---|---|\n';
-        rawResult.props.forEach(p => {
-          markdownOutput += `| \`${p.name}\` | \`${p.type}\` | \`${p.default || '-'}\` | ${p.description || '-'} |\n`;
-        });
-        markdownOutput += '\n';
-      }
-
-      if (rawResult.events && rawResult.events.length > 0) {
-        markdownOutput += '## Events\n| Name | Description |\n|---|---|\n';
-        rawResult.events.forEach(e => {
-          markdownOutput += `| \`${e.name}\` | ${e.description || '-'} |\n`;
-        });
-        markdownOutput += '\n';
-      }
-
-      if (rawResult.usage) {
-        markdownOutput += `## Usage Example\n\`\`\`vue\n${rawResult.usage}\n\`\`\`\n\n`;
-      }
-
       logger.info('Component query completed', {
         name: args.name,
         found: rawResult.found,
         category: rawResult.category
       });
 
-      return markdownOutput;
+      return {
+        query: args.name,
+        ...rawResult,
+        props: rawResult.props || [],
+        events: rawResult.events || []
+      };
     } catch (error) {
       logger.error('Failed to query component', {
         name: args?.name,
@@ -793,7 +1640,295 @@ export class MCPServer {
     }
   }
 
+  /**
+   * Format a component query result as Markdown for better LLM comprehension
+   */
+  renderComponentQuery(result) {
+    let markdownOutput = `# Component Query: ${result.query}\n\n`;
+
+    if (!result.found) {
+      markdownOutput += `❌ **Not Found**\n\nCould not find component '${result.query}'.\n`;
+      if (result.suggestions && result.suggestions.length > 0) {
+        markdownOutput += `**Did you mean?**\n${result.suggestions.map(s => `- \`${s.name}\` (${s.category})`).join('\n')}\n`;
+      }
+      return markdownOutput;
+    }
+
+    markdownOutput += `✅ **Found** in category: \`${result.category}\`\n\n`;
+
+    if (result.documentation) {
+      markdownOutput += `## Description\n${result.documentation}\n\n`;
+    }
+
+    if (result.props.length > 0) {
+      markdownOutput +=
+        '## Props\n| Name | Type | Default | Required | Description |\n|---|---|---|---|---|\n';
+      result.props.forEach(p => {
+        markdownOutput += `| \`${p.name}\` | \`${p.type}\` | \`${p.default || '-'}\` | ${p.required ? '✓' : '-'} | ${p.description || '-'} |\n`;
+      });
+      markdownOutput += '\n';
+    }
+
+    if (result.events.length > 0) {
+      markdownOutput += '## Events\n| Name | Description |\n|---|---|\n';
+      result.events.forEach(e => {
+        markdownOutput += `| \`${e.name}\` | ${e.description || '-'} |\n`;
+      });
+      markdownOutput += '\n';
+    }
+
+    if (result.models?.length > 0) {
+      markdownOutput += '## v-model\n| Directive | Prop | Event |\n|---|---|---|\n';
+      result.models.forEach(m => {
+        markdownOutput += `| \`${m.directive}\` | \`${m.prop}\` | \`${m.event}\` |\n`;
+      });
+      markdownOutput += '\n';
+    }
+
+    if (result.slots?.length > 0) {
+      markdownOutput += '## Slots\n| Name | Slot Props |\n|---|---|\n';
+      result.slots.forEach(s => {
+        markdownOutput += `| \`${s.name}\` | ${s.props.length > 0 ? s.props.map(p => `\`${p}\``).join(', ') : '-'} |\n`;
+      });
+      markdownOutput += '\n';
+    }
+
+    if (result.exposed?.length > 0) {
+      markdownOutput += `## Exposed\n${result.exposed.map(e => `- \`${e.name}\``).join('\n')}\n\n`;
+    }
+
+    if (result.usage) {
+      markdownOutput += `## Usage Example\n\`\`\`vue\n${result.usage}\n\`\`\`\n\n`;
+    }
+
+    return markdownOutput;
+  }
+
+  /**
+   * Rank shared-library resources against a free-text query (search_shared_library's structured output)
+   */
+  async searchSharedLibraryData(args) {
+    const query = args.query.trim();
+    if (!query) {
+      throw new BalmSharedMCPError(ErrorCodes.VALIDATION_FAILED, 'Search query cannot be empty', {
+        query: args.query
+      });
+    }
+
+    const hits = await this.resourceAnalyzer.searchLibrary(query, {
+      limit: args.limit,
+      kinds: args.kinds
+    });
+
+    logger.info('Shared library search completed', { query, hits: hits.length });
+    return { query, hits };
+  }
+
+  /**
+   * Format search hits as Markdown
+   */
+  renderLibrarySearch(result) {
+    let markdownOutput = `# Shared Library Search: ${result.query}\n\n`;
+
+    if (result.hits.length === 0) {
+      markdownOutput +=
+        'No matches found. Try other keywords or `query_component` for an exact name.\n';
+      return markdownOutput;
+    }
+
+    result.hits.forEach((hit, index) => {
+      markdownOutput += `${index + 1}. **${hit.name}** (${hit.kind}, score ${hit.score})\n`;
+      if (hit.filePath) {
+        markdownOutput += `   - File: \`${hit.filePath}\`\n`;
+      }
+      if (hit.snippet) {
+        markdownOutput += `   - ${hit.snippet}\n`;
+      }
+    });
+
+    return markdownOutput;
+  }
+
+  /**
+   * List utility modules, or describe a module or function (query_utility's structured output)
+   */
+  async queryUtilityData(args = {}) {
+    return this._queryListOrDetail('utility', args.name, {
+      list: () => this.resourceAnalyzer.getAllUtilities(),
+      detail: name => this.resourceAnalyzer.queryUtility(name)
+    });
+  }
+
+  /**
+   * List plugins, or describe one plugin (query_plugin's structured output)
+   */
+  async queryPluginData(args = {}) {
+    return this._queryListOrDetail('plugin', args.name, {
+      list: () => this.resourceAnalyzer.getAllPlugins(),
+      detail: name => this.resourceAnalyzer.queryPlugin(name)
+    });
+  }
+
+  /**
+   * List configuration modules, or describe a module or constant (query_config's structured output)
+   */
+  async queryConfigData(args = {}) {
+    return this._queryListOrDetail('config', args.name, {
+      list: () => this.resourceAnalyzer.getAllConfigs(),
+      detail: name => this.resourceAnalyzer.queryConfig(name)
+    });
+  }
+
+  async _queryListOrDetail(kind, name, { list, detail }) {
+    const query = name?.trim();
+
+    if (!query) {
+      const items = await list();
+      logger.info(`Listed shared library ${kind} entries`, { count: items.length });
+      return { mode: 'list', items };
+    }
+
+    const result = await detail(query);
+    logger.info(`Shared library ${kind} query completed`, { name: query, found: result.found });
+    return { mode: 'detail', query, ...result };
+  }
+
+  /**
+   * Format a query_utility result as Markdown
+   */
+  renderUtilityQuery(result) {
+    if (result.mode === 'list') {
+      return this._renderQueryList('Utilities', result.items, 'functions');
+    }
+
+    let markdownOutput = `# Utility Query: ${result.query}\n\n`;
+    if (!result.found) {
+      return markdownOutput + this._renderNotFound('utility', result);
+    }
+
+    if (result.type === 'function') {
+      markdownOutput += `✅ **Function** \`${result.name}\` in module \`${result.parentModule}\`${result.exported ? ' (exported)' : ''}\n\n`;
+    } else if (result.functions.length > 0) {
+      markdownOutput += '## Functions\n';
+      result.functions.forEach(func => {
+        markdownOutput += `- \`${func.name}\` (${func.type}${func.exported ? ', exported' : ''})\n`;
+      });
+      markdownOutput += '\n';
+    }
+
+    markdownOutput += `- File: \`${result.filePath}\`\n\n`;
+    return markdownOutput + this._renderQueryDetails(result.documentation, result.examples);
+  }
+
+  /**
+   * Format a query_plugin result as Markdown
+   */
+  renderPluginQuery(result) {
+    if (result.mode === 'list') {
+      return this._renderQueryList('Plugins', result.items);
+    }
+
+    let markdownOutput = `# Plugin Query: ${result.query}\n\n`;
+    if (!result.found) {
+      return markdownOutput + this._renderNotFound('plugin', result);
+    }
+
+    markdownOutput += `- Directory: \`${result.dirPath}\`\n\n`;
+    if (result.files.length > 0) {
+      markdownOutput += '## Files\n';
+      result.files.forEach(file => {
+        const exported = file.exports.length > 0 ? `: ${file.exports.join(', ')}` : '';
+        markdownOutput += `- \`${file.name}\`${exported}\n`;
+      });
+      markdownOutput += '\n';
+    }
+
+    return (
+      markdownOutput +
+      this._renderQueryDetails(result.documentation, [...result.examples, ...result.usage])
+    );
+  }
+
+  /**
+   * Format a query_config result as Markdown
+   */
+  renderConfigQuery(result) {
+    if (result.mode === 'list') {
+      return this._renderQueryList('Configurations', result.items, 'constants');
+    }
+
+    let markdownOutput = `# Config Query: ${result.query}\n\n`;
+    if (!result.found) {
+      return markdownOutput + this._renderNotFound('config', result);
+    }
+
+    if (result.type === 'constant') {
+      markdownOutput += `✅ **Constant** \`${result.name}\` in module \`${result.parentModule}\`\n\n`;
+      markdownOutput += `\`\`\`javascript\n${result.name} = ${result.value}\n\`\`\`\n\n`;
+    } else if (result.constants.length > 0) {
+      markdownOutput += '## Constants\n| Name | Value |\n|---|---|\n';
+      result.constants.forEach(constant => {
+        const value = (constant.value || '-').replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+        markdownOutput += `| \`${constant.name}\` | \`${value}\` |\n`;
+      });
+      markdownOutput += '\n';
+    }
+
+    markdownOutput += `- File: \`${result.filePath}\`\n\n`;
+    return markdownOutput + this._renderQueryDetails(result.documentation, []);
+  }
+
+  /**
+   * Render list mode; `namesKey` names the item field listing its members
+   */
+  _renderQueryList(title, items, namesKey) {
+    let markdownOutput = `# Shared Library ${title}\n\n`;
+
+    if (items.length === 0) {
+      return `${markdownOutput}No entries indexed.\n`;
+    }
+
+    items.forEach(item => {
+      const names = namesKey ? item[namesKey].map(name => `\`${name}\``).join(', ') : '';
+      const description = item.description ? ` — ${item.description}` : '';
+      markdownOutput += `- **${item.name}**${names ? `: ${names}` : ''}${description}\n`;
+    });
+    return markdownOutput;
+  }
+
+  _renderNotFound(kind, result) {
+    let markdownOutput = `❌ **Not Found**\n\nCould not find ${kind} '${result.query}'.\n`;
+
+    if (result.suggestions?.length > 0) {
+      const suggestions = result.suggestions.map(
+        s => `- \`${s.name}\`${s.parent ? ` (in ${s.parent})` : ''}`
+      );
+      markdownOutput += `**Did you mean?**\n${suggestions.join('\n')}\n`;
+    }
+    return markdownOutput;
+  }
+
+  _renderQueryDetails(documentation, examples = []) {
+    let markdownOutput = '';
+
+    if (documentation) {
+      markdownOutput += `## Documentation\n${documentation.trim()}\n\n`;
+    }
+    examples.forEach(example => {
+      const heading = example.title ? `### ${example.title}\n` : '';
+      markdownOutput += `${heading}\`\`\`${example.language || ''}\n${example.code}\n\`\`\`\n\n`;
+    });
+    return markdownOutput;
+  }
+
   async getBestPractices(args) {
+    return this.renderBestPractices(await this.getBestPracticesData(args));
+  }
+
+  /**
+   * Collect best practices for a topic (get_best_practices' structured output)
+   */
+  async getBestPracticesData(args) {
     try {
       // Handle null/undefined args
       if (!args || typeof args !== 'object') {
@@ -836,35 +1971,18 @@ export class MCPServer {
 
       const rawResult = await this.resourceAnalyzer.getBestPractices(args.topic);
 
-      // Format the result as Markdown for better LLM comprehension
-      let markdownOutput = `# Best Practices: ${args.topic}\n\n`;
-
-      if (!rawResult.practices || rawResult.practices.length === 0) {
-        return `${markdownOutput}No specific best practices found for topic '${args.topic}'.\n`;
-      }
-
-      rawResult.practices.forEach(p => {
-        if (p.practice) {
-          markdownOutput += `## ${p.name || 'General Practice'}\n`;
-          markdownOutput += `${p.practice}\n\n`;
-        }
-      });
-
-      if (rawResult.examples && rawResult.examples.length > 0) {
-        markdownOutput += '## Examples\n\n';
-        rawResult.examples.forEach(ex => {
-          markdownOutput += `### ${ex.title || 'Example'}\n`;
-          markdownOutput += `\`\`\`javascript\n${ex.code}\n\`\`\`\n\n`;
-        });
-      }
-
       logger.info('Best practices query completed', {
         topic: args.topic,
         practicesCount: rawResult.practices?.length || 0,
         examplesCount: rawResult.examples?.length || 0
       });
 
-      return markdownOutput;
+      return {
+        ...rawResult,
+        topic: args.topic,
+        practices: rawResult.practices || [],
+        examples: rawResult.examples || []
+      };
     } catch (error) {
       logger.error('Failed to get best practices', {
         topic: args?.topic,
@@ -884,11 +2002,46 @@ export class MCPServer {
     }
   }
 
+  /**
+   * Format a best practices result as Markdown for better LLM comprehension
+   */
+  renderBestPractices(result) {
+    let markdownOutput = `# Best Practices: ${result.topic}\n\n`;
+
+    if (result.practices.length === 0) {
+      return `${markdownOutput}No specific best practices found for topic '${result.topic}'.\n`;
+    }
+
+    result.practices.forEach(p => {
+      if (p.practice) {
+        markdownOutput += `## ${p.name || 'General Practice'}\n`;
+        markdownOutput += `${p.practice}\n\n`;
+      }
+    });
+
+    if (result.examples.length > 0) {
+      markdownOutput += '## Examples\n\n';
+      result.examples.forEach(ex => {
+        markdownOutput += `### ${ex.title || 'Example'}\n`;
+        markdownOutput += `\`\`\`javascript\n${ex.code}\n\`\`\`\n\n`;
+      });
+    }
+
+    return markdownOutput;
+  }
+
   async generateModelConfig(args) {
     return this.codeGenerator.generateModelConfig(args);
   }
 
   async extractLocalPattern(args) {
+    return this.renderLocalPattern(await this.extractLocalPatternData(args));
+  }
+
+  /**
+   * Extract the idiomatic snippets of a project (extract_local_pattern's structured output)
+   */
+  async extractLocalPatternData(args) {
     try {
       if (!args || !args.path) {
         throw new BalmSharedMCPError(ErrorCodes.VALIDATION_FAILED, 'Path is required');
@@ -897,57 +2050,116 @@ export class MCPServer {
       logger.info('Extracting local pattern', { path: args.path });
       const patterns = await this.resourceAnalyzer.extractProjectPatterns(args.path);
 
-      let markdownOutput = '# Local Patterns Extracted\n\n';
-
-      if (patterns.topActionConfig) {
-        markdownOutput += `## Top Action Config\n\`\`\`javascript\n${patterns.topActionConfig}\n\`\`\`\n\n`;
-      }
-      if (patterns.rowActionConfig) {
-        markdownOutput += `## Row Action Config\n\`\`\`javascript\n${patterns.rowActionConfig}\n\`\`\`\n\n`;
-      }
-      if (patterns.handleAction) {
-        markdownOutput += `## Handle Action Method\n\`\`\`javascript\n${patterns.handleAction}\n\`\`\`\n\n`;
-      }
-
-      if (!patterns.topActionConfig && !patterns.rowActionConfig && !patterns.handleAction) {
-        markdownOutput += 'No standard patterns found at the specified path.\n';
-      }
+      const result = {
+        path: args.path,
+        topActionConfig: patterns.topActionConfig || null,
+        rowActionConfig: patterns.rowActionConfig || null,
+        handleAction: patterns.handleAction || null
+      };
 
-      return markdownOutput;
+      return {
+        ...result,
+        found: Boolean(result.topActionConfig || result.rowActionConfig || result.handleAction)
+      };
     } catch (error) {
       logger.error('Failed to extract pattern', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Format extracted patterns as Markdown
+   */
+  renderLocalPattern(result) {
+    let markdownOutput = '# Local Patterns Extracted\n\n';
+
+    if (result.topActionConfig) {
+      markdownOutput += `## Top Action Config\n\`\`\`javascript\n${result.topActionConfig}\n\`\`\`\n\n`;
+    }
+    if (result.rowActionConfig) {
+      markdownOutput += `## Row Action Config\n\`\`\`javascript\n${result.rowActionConfig}\n\`\`\`\n\n`;
+    }
+    if (result.handleAction) {
+      markdownOutput += `## Handle Action Method\n\`\`\`javascript\n${result.handleAction}\n\`\`\`\n\n`;
+    }
+
+    if (!result.found) {
+      markdownOutput += 'No standard patterns found at the specified path.\n';
+    }
+
+    return markdownOutput;
+  }
+
   async analyzeProjectContext(args) {
-    try {
-      if (!args || !args.path) {
-        throw new BalmSharedMCPError(ErrorCodes.VALIDATION_FAILED, 'Path is required');
-      }
+    return this.renderProjectContext(await this.analyzeProjectContextData(args));
+  }
 
-      logger.info('Analyzing project context', { path: args.path });
+  /**
+   * Resolve the directories and index files of a project (analyze_project_context's structured output)
+   */
+  async analyzeProjectContextData(args = {}) {
+    try {
+      const projectPath = this.resolveProjectPath(args.path);
 
-      const scriptsDir = await this.fileSystemHandler.getScriptsDir(args.path);
-      const sharedProjectPath = await this.projectManager.getSharedProjectPath(args.path);
+      logger.info('Analyzing project context', { path: args.path, projectPath });
 
-      let markdownOutput = '# Project Context Analysis\n\n';
-      markdownOutput += `- **Target Project Path:** \`${args.path}\`\n`;
-      markdownOutput += `- **Detected Scripts Directory:** \`${scriptsDir}\`\n`;
-      markdownOutput += `- **Resolved Shared Project Path:** \`${sharedProjectPath}\`\n\n`;
-      markdownOutput += '## Structural Assumptions\n';
-      markdownOutput += `- API Index: \`${scriptsDir}/apis/index.js\`\n`;
-      markdownOutput += `- Routes Config: \`${scriptsDir}/routes/config.js\`\n`;
-      markdownOutput += `- Styles Index: \`${scriptsDir.replace('/scripts', '/styles')}/pages/_index.scss\`\n`;
-      markdownOutput += `- Mock Server: \`${args.path}/mock-server/apis/index.js\`\n`;
+      const scriptsDir = await this.fileSystemHandler.getScriptsDir(projectPath);
+      const sharedProjectPath = await this.projectManager.getSharedProjectPath(projectPath);
 
-      return markdownOutput;
+      return {
+        projectPath,
+        scriptsDir,
+        sharedProjectPath,
+        apiIndex: `${scriptsDir}/apis/index.js`,
+        routesConfig: `${scriptsDir}/routes/config.js`,
+        stylesIndex: `${scriptsDir.replace('/scripts', '/styles')}/pages/_index.scss`,
+        mockServer: `${projectPath}/mock-server/apis/index.js`
+      };
     } catch (error) {
       logger.error('Failed to analyze project context', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Resolve the project a path refers to. Directories are used as given; a
+   * file, or no path at all, resolves to the root it belongs to.
+   */
+  resolveProjectPath(targetPath) {
+    if (!targetPath) {
+      const roots = this.fileSystemHandler.getAllowedRoots();
+      if (roots.length !== 1) {
+        throw new BalmSharedMCPError(ErrorCodes.VALIDATION_FAILED, 'Path is required', {
+          roots
+        });
+      }
+      return roots[0];
+    }
+
+    if (this.fileSystemHandler.isDirectory(targetPath)) {
+      return targetPath;
+    }
+
+    return this.fileSystemHandler.findRoot(targetPath) || path.dirname(targetPath);
+  }
+
+  /**
+   * Format the project context as Markdown
+   */
+  renderProjectContext(result) {
+    let markdownOutput = '# Project Context Analysis\n\n';
+    markdownOutput += `- **Target Project Path:** \`${result.projectPath}\`\n`;
+    markdownOutput += `- **Detected Scripts Directory:** \`${result.scriptsDir}\`\n`;
+    markdownOutput += `- **Resolved Shared Project Path:** \`${result.sharedProjectPath}\`\n\n`;
+    markdownOutput += '## Structural Assumptions\n';
+    markdownOutput += `- API Index: \`${result.apiIndex}\`\n`;
+    markdownOutput += `- Routes Config: \`${result.routesConfig}\`\n`;
+    markdownOutput += `- Styles Index: \`${result.stylesIndex}\`\n`;
+    markdownOutput += `- Mock Server: \`${result.mockServer}\`\n`;
+
+    return markdownOutput;
+  }
+
   async scaffoldModuleStructure(args) {
     try {
       if (!args || !args.projectPath || !args.moduleName) {
@@ -979,6 +2191,8 @@ export class MCPServer {
 
       let importSuccess = false;
       let arraySuccess = false;
+      let componentSuccess = false;
+      let dataSuccess = false;
 
       if (args.importStatement) {
         importSuccess = await this.astHandler.insertImport(args.filePath, args.importStatement);
@@ -992,9 +2206,24 @@ export class MCPServer {
         );
       }
 
+      if (args.componentName) {
+        componentSuccess = await this.astHandler.registerComponent(
+          args.filePath,
+          args.componentName
+        );
+      }
+
+      if (args.dataKey) {
+        dataSuccess = await this.astHandler.addDataKey(
+          args.filePath,
+          args.dataKey,
+          args.dataValue ?? 'null'
+        );
+      }
+
       return {
-        success: importSuccess || arraySuccess,
-        message: `AST injection completed. Import inserted: ${importSuccess}, Array expanded: ${arraySuccess}`,
+        success: importSuccess || arraySuccess || componentSuccess || dataSuccess,
+        message: `AST injection completed. Import inserted: ${importSuccess}, Array expanded: ${arraySuccess}, Component registered: ${componentSuccess}, Data key added: ${dataSuccess}`,
         filePath: args.filePath
       };
     } catch (error) {
@@ -1003,6 +2232,95 @@ export class MCPServer {
     }
   }
 
+  async astUpdateObject(args) {
+    try {
+      if (!args || !args.filePath || !args.path || !args.operation) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.VALIDATION_FAILED,
+          'filePath, path and operation are required'
+        );
+      }
+
+      const success = await this.astHandler.updateObjectProperty(
+        args.filePath,
+        args.path,
+        args.operation,
+        args.value
+      );
+
+      return {
+        success,
+        message: success
+          ? `Object ${args.operation} completed for ${args.path}`
+          : `Could not find the object addressed by ${args.path}`,
+        filePath: args.filePath
+      };
+    } catch (error) {
+      logger.error('Failed to update object property', { error: error.message });
+      throw error;
+    }
+  }
+
+  async astRemoveImport(args) {
+    try {
+      if (!args || !args.filePath) {
+        throw new BalmSharedMCPError(ErrorCodes.VALIDATION_FAILED, 'filePath is required');
+      }
+
+      let importRemoved = false;
+      let arrayShrunk = false;
+
+      if (args.importStatement) {
+        importRemoved = await this.astHandler.removeImport(args.filePath, args.importStatement);
+      }
+
+      if (args.arrayName && args.arrayElement) {
+        arrayShrunk = await this.astHandler.removeArrayElement(
+          args.filePath,
+          args.arrayName,
+          args.arrayElement
+        );
+      }
+
+      return {
+        success: importRemoved || arrayShrunk,
+        message: `AST removal completed. Import removed: ${importRemoved}, Array element removed: ${arrayShrunk}`,
+        filePath: args.filePath
+      };
+    } catch (error) {
+      logger.error('Failed to execute AST removal', { error: error.message });
+      throw error;
+    }
+  }
+
+  async astRenameIdentifier(args) {
+    try {
+      if (!args || !args.filePath || !args.oldName || !args.newName) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.VALIDATION_FAILED,
+          'filePath, oldName and newName are required'
+        );
+      }
+
+      const success = await this.astHandler.renameIdentifier(
+        args.filePath,
+        args.oldName,
+        args.newName
+      );
+
+      return {
+        success,
+        message: success
+          ? `Renamed ${args.oldName} to ${args.newName}`
+          : `Could not find identifier ${args.oldName}`,
+        filePath: args.filePath
+      };
+    } catch (error) {
+      logger.error('Failed to rename identifier', { error: error.message });
+      throw error;
+    }
+  }
+
   async writeComponent(args) {
     try {
       if (!args || !args.filePath || !args.content) {
@@ -1030,4 +2348,221 @@ export class MCPServer {
       throw error;
     }
   }
+
+  async openChangeSet() {
+    const changeSetId = this.fileSystemHandler.openChangeSet();
+
+    return {
+      success: true,
+      changeSetId,
+      message: `Change set ${changeSetId} opened. Pass changeSetId to write tools, then commit_change_set or abort_change_set.`
+    };
+  }
+
+  async commitChangeSet(args, context = {}) {
+    try {
+      if (!args || !args.changeSetId) {
+        throw new BalmSharedMCPError(ErrorCodes.VALIDATION_FAILED, 'changeSetId is required');
+      }
+
+      if (args.dryRun) {
+        const pending = this.fileSystemHandler.getChangeSet(args.changeSetId);
+        return this.describeChanges(pending, {
+          success: true,
+          dryRun: true,
+          changeSetId: args.changeSetId,
+          message: `Change set ${args.changeSetId} has ${pending.files.length} pending file change(s). Nothing was written.`
+        });
+      }
+
+      const changes = await this.fileSystemHandler.runWithOperationContext(
+        { tool: 'commit_change_set', requestId: context.requestId },
+        () => this.fileSystemHandler.commitChangeSet(args.changeSetId)
+      );
+
+      return {
+        success: true,
+        changeSetId: args.changeSetId,
+        message: `Change set ${args.changeSetId} committed: ${changes.files.length} file(s) written, ${changes.directories.length} directory(ies) created`,
+        files: changes.files.map(change => change.path),
+        directories: changes.directories
+      };
+    } catch (error) {
+      logger.error('Failed to commit change set', { error: error.message });
+      throw error;
+    }
+  }
+
+  async abortChangeSet(args) {
+    try {
+      if (!args || !args.changeSetId) {
+        throw new BalmSharedMCPError(ErrorCodes.VALIDATION_FAILED, 'changeSetId is required');
+      }
+
+      const changes = this.fileSystemHandler.abortChangeSet(args.changeSetId);
+
+      return {
+        success: true,
+        changeSetId: args.changeSetId,
+        message: `Change set ${args.changeSetId} aborted; ${changes.files.length} staged file change(s) discarded`
+      };
+    } catch (error) {
+      logger.error('Failed to abort change set', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Run the steps of a plan in one transaction. Every step is validated
+   * before any of them runs; a step that throws or reports `success: false`
+   * discards the writes of the whole plan, and the error details carry the
+   * report of the steps run so far.
+   */
+  async applyPlan(args, context = {}) {
+    try {
+      const steps = this.validatePlanSteps(args.steps);
+      const report = [];
+
+      await this.fileSystemHandler.withChangeSet(async () => {
+        for (const [index, step] of steps.entries()) {
+          throwIfCancelled(context.signal, { completedSteps: index });
+          context.reportProgress?.(
+            index,
+            steps.length,
+            `Step ${index + 1}/${steps.length}: ${step.tool}`
+          );
+
+          let result;
+          try {
+            result = await step.handler(step.arguments, context);
+          } catch (error) {
+            if (error.code === ErrorCodes.OPERATION_CANCELLED) {
+              throw error;
+            }
+            result = { success: false, message: error.message };
+          }
+
+          report.push({
+            step: index + 1,
+            tool: step.tool,
+            success: result?.success !== false,
+            message: result?.message || `${step.tool} completed`,
+            result
+          });
+
+          // A step that did not do its part fails the plan, so nothing is written
+          if (result?.success === false) {
+            throw new BalmSharedMCPError(
+              ErrorCodes.TOOL_EXECUTION_FAILED,
+              `Step ${index + 1} (${step.tool}) failed: ${result.message}. No files were written.`,
+              { failedStep: index + 1, tool: step.tool, steps: report }
+            );
+          }
+        }
+      });
+
+      context.reportProgress?.(steps.length, steps.length, 'Plan applied');
+
+      return {
+        success: true,
+        message: `Applied ${steps.length} step(s) in one transaction`,
+        steps: report
+      };
+    } catch (error) {
+      logger.error('Failed to apply plan', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check every plan step against its tool's input schema up front and
+   * resolve the handlers to run
+   */
+  validatePlanSteps(steps = []) {
+    const errors = [];
+
+    const resolved = steps.map((step, index) => {
+      const fail = message => errors.push({ step: index + 1, tool: step.tool, message });
+
+      if (!this.toolRegistry.isEnabled(step.tool)) {
+        fail(`Tool '${step.tool}' is not enabled in the current tool profile`);
+        return null;
+      }
+      if ('dryRun' in step.arguments || 'changeSetId' in step.arguments) {
+        fail('dryRun and changeSetId apply to the whole plan, not to a single step');
+        return null;
+      }
+
+      const { interface: toolInterface } = this.toolRegistry.get(step.tool);
+      const parsed = toolInterface
+        .createZodSchema(toolInterface.inputSchema)
+        .safeParse(step.arguments);
+      if (!parsed.success) {
+        fail(
+          parsed.error.issues
+            .map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`)
+            .join('; ')
+        );
+        return null;
+      }
+
+      return { tool: step.tool, arguments: parsed.data, handler: toolInterface.handler };
+    });
+
+    if (errors.length > 0) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Plan validation failed: ${errors.length} invalid step(s); nothing was executed`,
+        { errors }
+      );
+    }
+    return resolved;
+  }
+
+  async listOperations(args = {}) {
+    try {
+      const operations = await this.fileSystemHandler.listOperations({ limit: args.limit });
+
+      return {
+        success: true,
+        count: operations.length,
+        operations
+      };
+    } catch (error) {
+      logger.error('Failed to list operations', { error: error.message });
+      throw error;
+    }
+  }
+
+  async undoLastOperation(args = {}) {
+    try {
+      const { operations, reverted, skipped } = await this.fileSystemHandler.undoOperations({
+        count: args.count,
+        force: args.force
+      });
+
+      const messages = [];
+      if (reverted.length > 0) {
+        messages.push(`Reverted ${operations} operation(s) (${reverted.length} file change(s))`);
+      }
+      if (skipped.length > 0) {
+        messages.push(
+          `Left ${skipped.length} directory(ies) in place because they are not empty: ${skipped.map(entry => entry.path).join(', ')}; they are retried on the next undo`
+        );
+      }
+
+      return {
+        success: reverted.length > 0,
+        message:
+          messages.length > 0
+            ? messages.join('. ')
+            : 'Nothing was reverted; the operation journal is empty',
+        reverted,
+        skipped
+      };
+    } catch (error) {
+      logger.error('Failed to undo operations', { error: error.message });
+      throw error;
+    }
+  }
 }
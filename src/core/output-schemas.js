@@ -0,0 +1,298 @@
+/**
+ * Tool Output Schemas
+ *
+ * JSON Schemas for the `structuredContent` each tool returns. They are
+ * published as `outputSchema` in tools/list and every result is validated
+ * against them before it leaves the server. Schemas only pin the fields
+ * clients rely on; extra properties are allowed.
+ */
+
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const OBJECT = { type: 'object' };
+const ARRAY = { type: 'array' };
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+const GENERATED_FILES = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { path: STRING, type: STRING, content: STRING },
+    required: ['path']
+  }
+};
+
+// Slots filled through sampling when a generator was called with `fillSlots`
+const FILLED_SLOTS = {
+  type: 'object',
+  properties: {
+    labels: { type: 'array', items: STRING },
+    messages: { type: 'array', items: STRING },
+    handleAction: BOOLEAN
+  },
+  required: ['labels', 'messages', 'handleAction']
+};
+
+/**
+ * Output of a write tool. Besides the tool's own fields it covers the dry-run
+ * report (`dryRun`, `files`, `directories`, `result`) and the `staged` flag
+ * added when the call ran inside a change set.
+ */
+function mutationOutput(properties = {}) {
+  return {
+    type: 'object',
+    properties: {
+      success: BOOLEAN,
+      message: STRING,
+      dryRun: BOOLEAN,
+      staged: BOOLEAN,
+      changeSetId: STRING,
+      ...properties
+    },
+    required: ['success', 'message']
+  };
+}
+
+export const PROJECT_OUTPUT = mutationOutput({
+  projectPath: STRING,
+  type: STRING,
+  template: STRING,
+  mode: STRING,
+  mock: BOOLEAN,
+  features: { type: 'array', items: STRING },
+  nextSteps: { type: 'array', items: STRING }
+});
+
+export const PROJECT_ANALYSIS_OUTPUT = {
+  type: 'object',
+  properties: {
+    projectPath: STRING,
+    isValid: BOOLEAN,
+    projectType: STRING,
+    hasSharedProject: BOOLEAN,
+    structure: OBJECT,
+    configuration: OBJECT,
+    dependencies: OBJECT,
+    recommendations: ARRAY,
+    issues: { type: 'array', items: STRING }
+  },
+  required: ['projectPath', 'isValid', 'projectType', 'issues']
+};
+
+export const CRUD_MODULE_OUTPUT = mutationOutput({
+  module: STRING,
+  model: STRING,
+  endpoint: STRING,
+  generatedFiles: GENERATED_FILES,
+  summary: OBJECT,
+  filledSlots: FILLED_SLOTS
+});
+
+export const PAGE_COMPONENT_OUTPUT = mutationOutput({
+  componentPath: STRING,
+  generatedFiles: GENERATED_FILES,
+  summary: OBJECT,
+  filledSlots: FILLED_SLOTS
+});
+
+export const MODEL_CONFIG_OUTPUT = mutationOutput({
+  filePath: STRING,
+  config: OBJECT,
+  generatedFiles: GENERATED_FILES
+});
+
+export const COMPONENT_QUERY_OUTPUT = {
+  type: 'object',
+  properties: {
+    query: STRING,
+    name: STRING,
+    found: BOOLEAN,
+    filePath: STRING,
+    documentation: STRING,
+    props: {
+      type: 'array',
+      items: { type: 'object', properties: { name: STRING }, required: ['name'] }
+    },
+    events: {
+      type: 'array',
+      items: { type: 'object', properties: { name: STRING }, required: ['name'] }
+    },
+    models: ARRAY,
+    slots: ARRAY,
+    exposed: ARRAY,
+    usage: ARRAY,
+    suggestions: ARRAY
+  },
+  required: ['query', 'name', 'found', 'props', 'events']
+};
+
+/**
+ * Output of a query tool that lists every entry when called without a name
+ * (`items`) and describes one entry otherwise
+ */
+function listOrDetailOutput(properties) {
+  return {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['list', 'detail'] },
+      items: {
+        type: 'array',
+        items: { type: 'object', properties: { name: STRING }, required: ['name'] }
+      },
+      query: STRING,
+      name: STRING,
+      found: BOOLEAN,
+      filePath: STRING,
+      documentation: STRING,
+      suggestions: ARRAY,
+      ...properties
+    },
+    required: ['mode']
+  };
+}
+
+export const UTILITY_QUERY_OUTPUT = listOrDetailOutput({
+  functions: ARRAY,
+  exports: ARRAY,
+  parentModule: STRING
+});
+
+export const PLUGIN_QUERY_OUTPUT = listOrDetailOutput({
+  dirPath: STRING,
+  files: ARRAY,
+  examples: ARRAY,
+  usage: ARRAY
+});
+
+export const CONFIG_QUERY_OUTPUT = listOrDetailOutput({
+  constants: ARRAY,
+  exports: ARRAY,
+  parentModule: STRING
+});
+
+export const LIBRARY_SEARCH_OUTPUT = {
+  type: 'object',
+  properties: {
+    query: STRING,
+    hits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          kind: STRING,
+          name: STRING,
+          filePath: STRING,
+          score: { type: 'number' },
+          snippet: STRING
+        },
+        required: ['kind', 'name', 'score', 'snippet']
+      }
+    }
+  },
+  required: ['query', 'hits']
+};
+
+export const BEST_PRACTICES_OUTPUT = {
+  type: 'object',
+  properties: {
+    topic: STRING,
+    practices: ARRAY,
+    examples: ARRAY
+  },
+  required: ['topic', 'practices', 'examples']
+};
+
+export const LOCAL_PATTERN_OUTPUT = {
+  type: 'object',
+  properties: {
+    path: STRING,
+    found: BOOLEAN,
+    topActionConfig: NULLABLE_STRING,
+    rowActionConfig: NULLABLE_STRING,
+    handleAction: NULLABLE_STRING
+  },
+  required: ['path', 'found', 'topActionConfig', 'rowActionConfig', 'handleAction']
+};
+
+export const PROJECT_CONTEXT_OUTPUT = {
+  type: 'object',
+  properties: {
+    projectPath: STRING,
+    scriptsDir: STRING,
+    sharedProjectPath: STRING,
+    apiIndex: STRING,
+    routesConfig: STRING,
+    stylesIndex: STRING,
+    mockServer: STRING
+  },
+  required: [
+    'projectPath',
+    'scriptsDir',
+    'sharedProjectPath',
+    'apiIndex',
+    'routesConfig',
+    'stylesIndex',
+    'mockServer'
+  ]
+};
+
+export const MODULE_STRUCTURE_OUTPUT = mutationOutput({
+  projectPath: STRING,
+  moduleName: STRING
+});
+
+export const FILE_EDIT_OUTPUT = mutationOutput({
+  filePath: STRING
+});
+
+export const PLAN_OUTPUT = mutationOutput({
+  steps: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        step: { type: 'integer', minimum: 1 },
+        tool: STRING,
+        success: BOOLEAN,
+        message: STRING,
+        result: OBJECT
+      },
+      required: ['step', 'tool', 'success', 'message']
+    }
+  }
+});
+
+export const CHANGE_SET_OUTPUT = {
+  type: 'object',
+  properties: {
+    success: BOOLEAN,
+    changeSetId: STRING,
+    message: STRING,
+    dryRun: BOOLEAN,
+    // Committed file paths, or { path, status } entries for a dry run
+    files: ARRAY,
+    directories: { type: 'array', items: STRING }
+  },
+  required: ['success', 'changeSetId', 'message']
+};
+
+export const OPERATION_LIST_OUTPUT = {
+  type: 'object',
+  properties: {
+    success: BOOLEAN,
+    count: { type: 'integer', minimum: 0 },
+    operations: { type: 'array', items: OBJECT }
+  },
+  required: ['success', 'count', 'operations']
+};
+
+export const UNDO_OUTPUT = {
+  type: 'object',
+  properties: {
+    success: BOOLEAN,
+    message: STRING,
+    reverted: { type: 'array', items: OBJECT },
+    skipped: { type: 'array', items: OBJECT }
+  },
+  required: ['success', 'message', 'reverted', 'skipped']
+};
@@ -0,0 +1,181 @@
+/**
+ * Prompt Provider
+ *
+ * Publishes the Agentic workflow described in `skills/` as MCP prompts. Skill
+ * files are read on every request, so edits to them apply without a restart.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SKILLS_DIRECTORY = path.resolve(__dirname, '../../skills');
+
+const WORKFLOW_SKILLS = [
+  'balm-developer-skill.md',
+  'balm-context-tools.md',
+  'balm-action-tools.md'
+];
+
+const MODULE_ARGUMENT = { name: 'module', description: '模块名称，如 user', required: true };
+const MODEL_ARGUMENT = {
+  name: 'model',
+  description: '(可选) 模型名称，默认与模块名相同',
+  required: false
+};
+const FIELDS_ARGUMENT = {
+  name: 'fields',
+  description: '(可选) 字段列表，逗号或换行分隔，如 "name:string:姓名, age:number:年龄"',
+  required: false
+};
+const PROJECT_PATH_ARGUMENT = {
+  name: 'projectPath',
+  description: '(可选) 项目路径，默认为当前工作区',
+  required: false
+};
+
+const PROMPTS = [
+  {
+    name: 'create_crud_module',
+    description:
+      '按标准 Agentic 工作流创建完整的 CRUD 业务模块（API、列表/详情页、路由、样式与 Mock）',
+    arguments: [MODULE_ARGUMENT, MODEL_ARGUMENT, FIELDS_ARGUMENT, PROJECT_PATH_ARGUMENT],
+    task: ({ module, model, fields, projectPath }) => [
+      `请在项目 ${projectPath} 中创建 \`${module}\` 模块的完整 CRUD 功能（模型: \`${model}\`）。`,
+      fields,
+      '需要产出：API 配置、列表页、详情页、路由定义、独立的 `.scss` 样式以及 Mock 数据，并在对应索引文件中完成注册。'
+    ]
+  },
+  {
+    name: 'add_list_page',
+    description: '按标准 Agentic 工作流为已有模块新增列表页（ui-list-view）并注册路由与样式',
+    arguments: [MODULE_ARGUMENT, MODEL_ARGUMENT, FIELDS_ARGUMENT, PROJECT_PATH_ARGUMENT],
+    task: ({ module, model, fields, projectPath }) => [
+      `请在项目 ${projectPath} 的 \`${module}\` 模块中新增 \`${model}\` 列表页。`,
+      fields,
+      '使用 `ui-list-view` 组件，参照本地范例配置 `topActionConfig` 与 `rowActionConfig`；将路由注册到 `routes/config.js`，样式收集到 `styles/pages/_index.scss`。'
+    ]
+  },
+  {
+    name: 'add_api',
+    description: '按标准 Agentic 工作流为模块新增 API 配置并注册到 apis/index.js 与 Mock',
+    arguments: [
+      MODULE_ARGUMENT,
+      MODEL_ARGUMENT,
+      {
+        name: 'operations',
+        description: '(可选) 需要的接口，逗号分隔，默认 "list,detail,create,update,delete"',
+        required: false
+      },
+      PROJECT_PATH_ARGUMENT
+    ],
+    task: ({ module, model, operations, projectPath }) => [
+      `请在项目 ${projectPath} 中为 \`${module}\` 模块新增 \`${model}\` 的 API 配置。`,
+      `需要的接口: ${operations || 'list, detail, create, update, delete'}`,
+      '将 API 注册到 `apis/index.js`，并在 `mock-server/apis/index.js` 中补充对应的 Mock 数据。'
+    ]
+  }
+];
+
+const WORKFLOW_STEPS = [
+  '严格按照上述 SOP 的三个阶段执行：',
+  '1. 先调用 `analyze_project_context` 与 `extract_local_pattern` 确认目录结构与本地写法；组件 API 不确定时使用 `query_component` / `get_best_practices`。',
+  '2. 结合项目路径、官方规范与本地范例，自行生成完整的文件内容。',
+  '3. 使用 `open_change_set` 合并本次所有写入，先以 `commit_change_set` 的 `dryRun` 预览 diff，确认后再提交；索引文件一律通过 `ast_insert_import` 注册。'
+].join('\n');
+
+export class PromptProvider {
+  constructor(options = {}) {
+    this.skillsDirectory = options.skillsDirectory || DEFAULT_SKILLS_DIRECTORY;
+  }
+
+  /**
+   * List the available workflow prompts
+   */
+  listPrompts() {
+    return {
+      prompts: PROMPTS.map(prompt => ({
+        name: prompt.name,
+        description: prompt.description,
+        arguments: prompt.arguments
+      }))
+    };
+  }
+
+  /**
+   * Render a prompt: the workflow skills followed by the concrete task
+   */
+  async getPrompt(name, args = {}) {
+    const prompt = PROMPTS.find(candidate => candidate.name === name);
+
+    if (!prompt) {
+      throw new BalmSharedMCPError(ErrorCodes.PROMPT_NOT_FOUND, `Prompt not found: ${name}`, {
+        name,
+        available: PROMPTS.map(candidate => candidate.name)
+      });
+    }
+
+    const missing = prompt.arguments
+      .filter(argument => argument.required && !args[argument.name]?.trim())
+      .map(argument => argument.name);
+
+    if (missing.length > 0) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Missing required prompt arguments: ${missing.join(', ')}`,
+        { name, missing }
+      );
+    }
+
+    const task = prompt.task({
+      ...args,
+      model: args.model || args.module,
+      projectPath: args.projectPath ? `\`${args.projectPath}\`` : '（当前工作区）',
+      fields: this._formatFields(args.fields)
+    });
+
+    return {
+      description: prompt.description,
+      messages: [
+        this._userMessage(await this._readSkills()),
+        this._userMessage(['## 任务 (Task)', ...task, WORKFLOW_STEPS].join('\n\n'))
+      ]
+    };
+  }
+
+  async _readSkills() {
+    const skills = [];
+
+    for (const fileName of WORKFLOW_SKILLS) {
+      try {
+        skills.push((await readFile(path.join(this.skillsDirectory, fileName), 'utf-8')).trim());
+      } catch (error) {
+        logger.warn(`Failed to read skill file ${fileName}:`, error.message);
+      }
+    }
+
+    return skills.join('\n\n---\n\n');
+  }
+
+  _formatFields(fields) {
+    const items = (fields || '')
+      .split(/[,，\n]/)
+      .map(field => field.trim())
+      .filter(Boolean);
+
+    if (items.length === 0) {
+      return '字段：未指定，请参考 `extract_local_pattern` 的范例或向用户确认。';
+    }
+
+    return ['字段：', ...items.map(field => `- ${field}`)].join('\n');
+  }
+
+  _userMessage(text) {
+    return { role: 'user', content: { type: 'text', text } };
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * MCP Protocol Server Factory
+ *
+ * Creates SDK `Server` instances bound to a shared MCPServer. Stdio uses a
+ * single instance; the HTTP transport creates one per client session.
+ */
+
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  CompleteRequestSchema,
+  PromptReferenceSchema,
+  ResourceTemplateReferenceSchema,
+  ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  RootsListChangedNotificationSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../utils/logger.js';
+
+export const SERVER_INFO = {
+  name: 'balm-shared-mcp',
+  version: '1.0.0'
+};
+
+/**
+ * completion/complete only defines prompt and resource template references.
+ * We also accept `{ type: 'ref/tool', name }` so clients that know about it
+ * can autocomplete tool arguments.
+ */
+const CompleteRequestWithToolsSchema = CompleteRequestSchema.extend({
+  params: CompleteRequestSchema.shape.params.extend({
+    ref: z.union([
+      PromptReferenceSchema,
+      ResourceTemplateReferenceSchema,
+      z.object({ type: z.literal('ref/tool'), name: z.string() })
+    ])
+  })
+});
+
+/**
+ * Track the client's roots: fetched with `roots/list` once the session is
+ * initialized and again on every `notifications/roots/list_changed`. Returns
+ * a function resolving to the root directories, or null when the client does
+ * not declare roots (WORKSPACE_ROOT applies then).
+ */
+function trackClientRoots(server) {
+  let roots = null;
+  let pending = null;
+
+  const refresh = () => {
+    pending = server
+      .listRoots()
+      .then(result => {
+        roots = result.roots
+          .filter(root => root.uri.startsWith('file://'))
+          .map(root => fileURLToPath(root.uri));
+        logger.info('Client roots updated', { roots });
+        return roots;
+      })
+      .catch(error => {
+        logger.warn('Failed to list client roots', { error: error.message });
+        return roots;
+      });
+    return pending;
+  };
+
+  server.oninitialized = () => {
+    if (server.getClientCapabilities()?.roots) {
+      refresh();
+    }
+  };
+
+  server.setNotificationHandler(RootsListChangedNotificationSchema, async () => {
+    await refresh();
+  });
+
+  return () => pending || Promise.resolve(null);
+}
+
+/**
+ * Create a protocol server that routes requests to the given MCPServer
+ */
+export function createProtocolServer(mcpServer) {
+  const server = new Server(SERVER_INFO, {
+    capabilities: {
+      tools: { listChanged: true },
+      resources: { subscribe: true, listChanged: true },
+      prompts: {},
+      completions: {}
+    }
+  });
+
+  const getClientRoots = trackClientRoots(server);
+
+  // Tell the client to refetch tools/list when the tool profile changes
+  const stopToolListUpdates = mcpServer.onToolListChanged(() => {
+    server.sendToolListChanged().catch(error => {
+      logger.warn('Failed to send tools/list_changed', { error: error.message });
+    });
+  });
+
+  // Forward shared-library edits: resources/updated for the URIs this client
+  // subscribed to, resources/list_changed when resources appear or disappear
+  const subscriptions = new Set();
+  const stopResourceUpdates = mcpServer.onResourcesChanged(resources => {
+    const warn = error => {
+      logger.warn('Failed to send resource notification', { error: error.message });
+    };
+
+    for (const { uri } of resources) {
+      if (subscriptions.has(uri)) {
+        server.sendResourceUpdated({ uri }).catch(warn);
+      }
+    }
+    if (resources.some(({ change }) => change !== 'updated')) {
+      server.sendResourceListChanged().catch(warn);
+    }
+  });
+
+  server.onclose = () => {
+    stopToolListUpdates();
+    stopResourceUpdates();
+  };
+
+  // Register tool handlers
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return mcpServer.listTools();
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const related = { signal: extra.signal, relatedRequestId: extra.requestId };
+    const createMessage = params => server.createMessage(params, related);
+    const elicitInput = params => server.elicitInput(params, related);
+    const clientCapabilities = server.getClientCapabilities();
+
+    return mcpServer.callTool(request.params, {
+      signal: extra.signal,
+      progressToken: request.params._meta?.progressToken,
+      sendNotification: extra.sendNotification,
+      roots: await getClientRoots(),
+      createMessage: clientCapabilities?.sampling ? createMessage : undefined,
+      elicitInput: clientCapabilities?.elicitation?.form ? elicitInput : undefined
+    });
+  });
+
+  // Register resource handlers
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return mcpServer.listResources();
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return mcpServer.listResourceTemplates();
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async request => {
+    return mcpServer.readResource(request.params);
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async request => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  // Register prompt handlers
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return mcpServer.listPrompts();
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async request => {
+    return mcpServer.getPrompt(request.params);
+  });
+
+  // Register completion handler
+  server.setRequestHandler(CompleteRequestWithToolsSchema, async request => {
+    return mcpServer.complete(request.params, { roots: await getClientRoots() });
+  });
+
+  return server;
+}
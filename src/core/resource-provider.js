@@ -0,0 +1,301 @@
+/**
+ * Resource Provider
+ *
+ * Publishes the shared-library index built by ResourceAnalyzer as MCP resources,
+ * so clients can attach component, utility and plugin docs without a tool call.
+ */
+
+import { logger } from '../utils/logger.js';
+import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+
+export const RESOURCE_SCHEME = 'balm-shared';
+
+const MARKDOWN = 'text/markdown';
+
+/**
+ * Resource kinds keyed by the first URI segment
+ */
+const RESOURCE_KINDS = {
+  components: {
+    index: 'componentsIndex',
+    parameter: 'name',
+    title: '共享库组件',
+    description: '组件的 props、事件、文档与用法示例'
+  },
+  utils: {
+    index: 'utilsIndex',
+    parameter: 'module',
+    title: '共享库工具模块',
+    description: '工具模块的函数、导出与文档'
+  },
+  plugins: {
+    index: 'pluginsIndex',
+    parameter: 'name',
+    title: '共享库插件',
+    description: '插件的文件、导出、文档与用法示例'
+  }
+};
+
+export class ResourceProvider {
+  constructor(resourceAnalyzer) {
+    this.resourceAnalyzer = resourceAnalyzer;
+  }
+
+  /**
+   * Build the URI of a single resource
+   */
+  static createUri(kind, name) {
+    return `${RESOURCE_SCHEME}://${kind}/${encodeURIComponent(name)}`;
+  }
+
+  /**
+   * List every indexed component, utility module and plugin
+   */
+  async listResources() {
+    const [components, utilities, plugins] = await Promise.all([
+      this.resourceAnalyzer.getAllComponents(),
+      this.resourceAnalyzer.getAllUtilities(),
+      this.resourceAnalyzer.getAllPlugins()
+    ]);
+
+    const describe = (kind, item, fallback) => ({
+      uri: ResourceProvider.createUri(kind, item.name),
+      name: item.name,
+      description: item.description || fallback,
+      mimeType: MARKDOWN
+    });
+
+    return {
+      resources: [
+        ...components.map(item => describe('components', item, `组件 (${item.category})`)),
+        ...utilities.map(item => describe('utils', item, `工具模块: ${item.functions.join(', ')}`)),
+        ...plugins.map(item => describe('plugins', item, '插件'))
+      ]
+    };
+  }
+
+  /**
+   * Translate index changes reported by ResourceAnalyzer.refreshFiles() into
+   * the published resources they affect; other index entries are skipped
+   *
+   * @returns {Array<{uri: string, change: 'added'|'updated'|'removed'}>}
+   */
+  getChangedResources(changes) {
+    return changes.flatMap(({ index, name, change }) => {
+      const kind = Object.keys(RESOURCE_KINDS).find(key => RESOURCE_KINDS[key].index === index);
+
+      if (!kind || name === '_documentation') {
+        return [];
+      }
+      return [{ uri: ResourceProvider.createUri(kind, name), change }];
+    });
+  }
+
+  /**
+   * List the URI templates clients can fill in themselves
+   */
+  listResourceTemplates() {
+    return {
+      resourceTemplates: Object.entries(RESOURCE_KINDS).map(([kind, definition]) => ({
+        uriTemplate: `${RESOURCE_SCHEME}://${kind}/{${definition.parameter}}`,
+        name: definition.title,
+        description: definition.description,
+        mimeType: MARKDOWN
+      }))
+    };
+  }
+
+  /**
+   * Read a resource by URI and render it as Markdown
+   */
+  async readResource(uri) {
+    const { kind, name } = this._parseUri(uri);
+    logger.debug(`Reading resource: ${uri}`);
+
+    if (!this.resourceAnalyzer.isIndexed) {
+      await this.resourceAnalyzer.buildResourceIndex();
+    }
+
+    // Exact lookups only; the query methods fall back to fuzzy matches
+    const index = this.resourceAnalyzer[RESOURCE_KINDS[kind].index];
+    if (name === '_documentation' || !index?.has(name)) {
+      throw new BalmSharedMCPError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, {
+        uri
+      });
+    }
+
+    let text;
+    if (kind === 'components') {
+      text = this._renderComponent(await this.resourceAnalyzer.queryComponent(name));
+    } else if (kind === 'utils') {
+      text = this._renderUtility(await this.resourceAnalyzer.queryUtility(name));
+    } else {
+      text = this._renderPlugin(await this.resourceAnalyzer.queryPlugin(name));
+    }
+
+    return {
+      contents: [{ uri, mimeType: MARKDOWN, text }]
+    };
+  }
+
+  _parseUri(uri) {
+    const match = /^([a-z-]+):\/\/([^/]+)\/([^/?#]+)$/.exec(uri || '');
+
+    if (!match || match[1] !== RESOURCE_SCHEME || !RESOURCE_KINDS[match[2]]) {
+      throw new BalmSharedMCPError(ErrorCodes.RESOURCE_NOT_FOUND, `Unknown resource URI: ${uri}`, {
+        uri,
+        supported: Object.keys(RESOURCE_KINDS).map(kind => `${RESOURCE_SCHEME}://${kind}/{name}`)
+      });
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(match[3]);
+    } catch {
+      throw new BalmSharedMCPError(
+        ErrorCodes.RESOURCE_NOT_FOUND,
+        `Malformed resource URI: ${uri}`,
+        {
+          uri
+        }
+      );
+    }
+
+    return { kind: match[2], name };
+  }
+
+  _renderComponent(component) {
+    const sections = [
+      `# ${component.name}`,
+      `- Category: ${component.category}\n- File: ${component.filePath}`
+    ];
+
+    if (component.props.length > 0) {
+      sections.push(
+        '## Props',
+        [
+          '| Name | Type | Default | Required | Description |',
+          '| --- | --- | --- | --- | --- |',
+          ...component.props.map(
+            prop =>
+              `| ${prop.name} | ${prop.type} | ${prop.default ?? ''} | ${prop.required ? 'yes' : ''} | ${prop.description || ''} |`
+          )
+        ].join('\n')
+      );
+    }
+
+    if (component.events.length > 0) {
+      sections.push(
+        '## Events',
+        component.events
+          .map(event => `- \`${event.name}\`${event.description ? `: ${event.description}` : ''}`)
+          .join('\n')
+      );
+    }
+
+    if (component.models.length > 0) {
+      sections.push(
+        '## v-model',
+        component.models
+          .map(
+            model => `- \`${model.directive}\`: prop \`${model.prop}\`, event \`${model.event}\``
+          )
+          .join('\n')
+      );
+    }
+
+    if (component.slots.length > 0) {
+      sections.push(
+        '## Slots',
+        component.slots
+          .map(
+            slot =>
+              `- \`${slot.name}\`${slot.props.length > 0 ? ` (${slot.props.join(', ')})` : ''}`
+          )
+          .join('\n')
+      );
+    }
+
+    if (component.exposed.length > 0) {
+      sections.push('## Exposed', component.exposed.map(item => `- \`${item.name}\``).join('\n'));
+    }
+
+    if (component.mixins.length > 0) {
+      sections.push('## Mixins', component.mixins.map(mixin => `- ${mixin}`).join('\n'));
+    }
+
+    this._pushDocumentation(sections, component.documentation);
+    this._pushExamples(sections, 'Usage', component.usage);
+
+    return this._join(sections);
+  }
+
+  _renderUtility(utility) {
+    const sections = [`# ${utility.name}`, `- File: ${utility.filePath}`];
+
+    if (utility.functions.length > 0) {
+      sections.push(
+        '## Functions',
+        utility.functions
+          .map(func => `- \`${func.name}\` (${func.type}${func.exported ? ', exported' : ''})`)
+          .join('\n')
+      );
+    }
+
+    if (utility.exports.length > 0) {
+      sections.push('## Exports', utility.exports.map(name => `- \`${name}\``).join('\n'));
+    }
+
+    this._pushDocumentation(sections, utility.documentation);
+    this._pushExamples(sections, 'Examples', utility.examples);
+
+    return this._join(sections);
+  }
+
+  _renderPlugin(plugin) {
+    const sections = [`# ${plugin.name}`, `- Directory: ${plugin.dirPath}`];
+
+    if (plugin.files.length > 0) {
+      sections.push(
+        '## Files',
+        plugin.files
+          .map(file => {
+            const exported = file.exports.length > 0 ? `: ${file.exports.join(', ')}` : '';
+            return `- \`${file.name}\`${exported}`;
+          })
+          .join('\n')
+      );
+    }
+
+    this._pushDocumentation(sections, plugin.documentation);
+    this._pushExamples(sections, 'Usage', plugin.usage);
+
+    return this._join(sections);
+  }
+
+  _pushDocumentation(sections, documentation) {
+    if (documentation) {
+      sections.push('## Documentation', documentation.trim());
+    }
+  }
+
+  _pushExamples(sections, title, examples = []) {
+    if (examples.length === 0) {
+      return;
+    }
+
+    sections.push(
+      `## ${title}`,
+      examples
+        .map(example => {
+          const heading = example.title ? `### ${example.title}\n\n` : '';
+          return `${heading}\`\`\`${example.language || ''}\n${example.code}\n\`\`\``;
+        })
+        .join('\n\n')
+    );
+  }
+
+  _join(sections) {
+    return `${sections.join('\n\n')}\n`;
+  }
+}
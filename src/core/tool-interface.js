@@ -2,7 +2,7 @@
  * MCP Tool Interface Specification
  *
  * Defines the standard interface for MCP tools, including JSON Schema validation,
- * parameter validation, and response formatting.
+ * parameter validation, output validation, and response formatting.
  */
 
 import { z } from 'zod';
@@ -13,11 +13,24 @@ import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
  * Base tool interface that all MCP tools must implement
  */
 export class ToolInterface {
-  constructor(name, description, inputSchema, handler) {
+  /**
+   * @param {string} name
+   * @param {string} description
+   * @param {Object} inputSchema - JSON Schema of the arguments
+   * @param {Function} handler - (args, context) => result
+   * @param {Object} [options]
+   * @param {Object} [options.outputSchema] - JSON Schema of the structured result
+   * @param {Function} [options.formatText] - renders the structured result as text
+   * @param {Object} [options.annotations] - MCP tool annotations (readOnlyHint, destructiveHint, ...)
+   */
+  constructor(name, description, inputSchema, handler, options = {}) {
     this.name = name;
     this.description = description;
     this.inputSchema = inputSchema;
     this.handler = handler;
+    this.outputSchema = options.outputSchema || null;
+    this.formatText = options.formatText || null;
+    this.annotations = options.annotations || null;
     this.metadata = {
       createdAt: new Date().toISOString(),
       version: '1.0.0'
@@ -61,19 +74,23 @@ export class ToolInterface {
 
     // Validate JSON Schema structure
     this.validateJsonSchema(this.inputSchema);
+
+    if (this.outputSchema) {
+      this.validateJsonSchema(this.outputSchema, 'output');
+    }
   }
 
   /**
    * Validate JSON Schema structure
    */
-  validateJsonSchema(schema) {
+  validateJsonSchema(schema, kind = 'input') {
     const requiredFields = ['type', 'properties'];
 
     for (const field of requiredFields) {
       if (!schema[field]) {
         throw new BalmSharedMCPError(
           ErrorCodes.INVALID_TOOL_DEFINITION,
-          `Tool input schema must have '${field}' property`
+          `Tool ${kind} schema must have '${field}' property`
         );
       }
     }
@@ -81,14 +98,14 @@ export class ToolInterface {
     if (schema.type !== 'object') {
       throw new BalmSharedMCPError(
         ErrorCodes.INVALID_TOOL_DEFINITION,
-        'Tool input schema type must be "object"'
+        `Tool ${kind} schema type must be "object"`
       );
     }
 
     if (typeof schema.properties !== 'object') {
       throw new BalmSharedMCPError(
         ErrorCodes.INVALID_TOOL_DEFINITION,
-        'Tool input schema properties must be an object'
+        `Tool ${kind} schema properties must be an object`
       );
     }
   }
@@ -101,6 +118,8 @@ export class ToolInterface {
       name: this.name,
       description: this.description,
       inputSchema: this.inputSchema,
+      ...(this.outputSchema && { outputSchema: this.outputSchema }),
+      ...(this.annotations && { annotations: this.annotations }),
       metadata: this.metadata
     };
   }
@@ -176,6 +195,12 @@ export class ToolInterface {
    * Create Zod type from JSON Schema property
    */
   createZodTypeFromProperty(prop) {
+    // e.g. { type: ['string', 'null'] }
+    if (Array.isArray(prop.type)) {
+      const types = prop.type.map(type => this.createZodTypeFromProperty({ ...prop, type }));
+      return types.length > 1 ? z.union(types) : types[0];
+    }
+
     switch (prop.type) {
       case 'string': {
         let stringType = z.string();
@@ -219,6 +244,9 @@ export class ToolInterface {
       case 'boolean':
         return z.boolean();
 
+      case 'null':
+        return z.null();
+
       case 'array':
         if (prop.items) {
           const itemType = this.createZodTypeFromProperty(prop.items);
@@ -255,10 +283,40 @@ export class ToolInterface {
     }
   }
 
+  /**
+   * Check a structured result against the declared output schema. A mismatch
+   * is a server bug, not a tool failure, so it uses its own error code.
+   */
+  validateOutput(structuredContent, requestId) {
+    const isObject =
+      structuredContent !== null &&
+      typeof structuredContent === 'object' &&
+      !Array.isArray(structuredContent);
+    const parsed = isObject
+      ? this.createZodSchema(this.outputSchema).safeParse(structuredContent)
+      : { success: false, error: { message: 'structured content must be an object' } };
+
+    if (!parsed.success) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.INVALID_TOOL_OUTPUT,
+        `Tool ${this.name} returned output that does not match its output schema: ${parsed.error.message}`,
+        {
+          toolName: this.name,
+          requestId,
+          validationError: parsed.error.message
+        }
+      );
+    }
+  }
+
   /**
    * Format response according to MCP protocol
    */
-  formatResponse(result, _requestId) {
+  formatResponse(result, requestId) {
+    if (this.outputSchema) {
+      return this.formatStructuredResponse(result, requestId);
+    }
+
     if (result === null || result === undefined) {
       return {
         content: [
@@ -309,4 +367,29 @@ export class ToolInterface {
       ]
     };
   }
+
+  /**
+   * Format the result of a tool with an output schema: the structured result
+   * goes to `structuredContent`, and the text content carries `formatText`
+   * output (or the JSON) for clients that only read text. Handlers that build
+   * their own MCP response must include `structuredContent` themselves.
+   */
+  formatStructuredResponse(result, requestId) {
+    if (result && Array.isArray(result.content)) {
+      this.validateOutput(result.structuredContent, requestId);
+      return result;
+    }
+
+    this.validateOutput(result, requestId);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.formatText ? this.formatText(result) : JSON.stringify(result, null, 2)
+        }
+      ],
+      structuredContent: result
+    };
+  }
 }
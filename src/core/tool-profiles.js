@@ -0,0 +1,90 @@
+/**
+ * Tool Profiles
+ *
+ * Named selections of the registered tools. A profile picks tools by the
+ * category and tags they were registered with, plus explicit tool names:
+ *
+ *   { categories: [...], tags: [...], include: [...], exclude: [...], readOnly }
+ *
+ * A tool is enabled when it matches any of `categories`, `tags` or `include`
+ * (a profile without them enables every tool) and is not listed in `exclude`.
+ * With `readOnly` only tools annotated `readOnlyHint: true` are enabled.
+ */
+
+import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+
+export const DEFAULT_TOOL_PROFILE = 'all';
+
+export const BUILTIN_TOOL_PROFILES = {
+  all: {},
+  agentic: {
+    categories: ['resource-query', 'change-set', 'history'],
+    tags: ['scaffold', 'ast', 'write'],
+    include: ['analyze_project']
+  },
+  legacy: {
+    categories: ['project-management', 'resource-query'],
+    tags: ['generation']
+  },
+  'read-only': {
+    readOnly: true
+  }
+};
+
+/**
+ * Resolve the active profile from the `tools` configuration section. Profiles
+ * defined in config take precedence over the built-in ones of the same name;
+ * `readOnly: true` in the section restricts any profile to read-only tools.
+ *
+ * @param {Object} [toolsConfig] - `{ profile, profiles, readOnly }`
+ * @returns {{name: string, readOnly: boolean, categories?: string[], tags?: string[], include?: string[], exclude?: string[]}}
+ */
+export function resolveToolProfile(toolsConfig = {}) {
+  const name = toolsConfig.profile || DEFAULT_TOOL_PROFILE;
+  const profiles = { ...BUILTIN_TOOL_PROFILES, ...toolsConfig.profiles };
+
+  if (!Object.hasOwn(profiles, name)) {
+    throw new BalmSharedMCPError(
+      ErrorCodes.INVALID_CONFIGURATION,
+      `Unknown tool profile: ${name}. Must be one of: ${Object.keys(profiles).join(', ')}`,
+      { profile: name, availableProfiles: Object.keys(profiles) }
+    );
+  }
+
+  const profile = profiles[name];
+  return { name, ...profile, readOnly: Boolean(toolsConfig.readOnly || profile.readOnly) };
+}
+
+/**
+ * Check whether a tool is annotated as not modifying its environment
+ *
+ * @param {{annotations?: Object}} tool
+ * @returns {boolean}
+ */
+export function isReadOnlyTool(tool) {
+  return tool.annotations?.readOnlyHint === true;
+}
+
+/**
+ * Check whether a registered tool belongs to a profile
+ *
+ * @param {Object} profile - resolved profile
+ * @param {{name: string, category: string, tags: string[], annotations?: Object}} tool
+ * @returns {boolean}
+ */
+export function matchesToolProfile(profile, tool) {
+  const { categories = [], tags = [], include = [], exclude = [] } = profile;
+
+  if (exclude.includes(tool.name) || (profile.readOnly && !isReadOnlyTool(tool))) {
+    return false;
+  }
+  if (categories.length === 0 && tags.length === 0 && include.length === 0) {
+    return true;
+  }
+
+  return (
+    categories.includes(tool.category) ||
+    tags.some(tag => tool.tags.includes(tag)) ||
+    include.includes(tool.name)
+  );
+}
@@ -7,11 +7,13 @@
 import { logger } from '../utils/logger.js';
 import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
 import { ToolInterface } from './tool-interface.js';
+import { isReadOnlyTool, matchesToolProfile } from './tool-profiles.js';
 
 export class ToolRegistry {
   constructor() {
     this.tools = new Map();
     this.categories = new Map();
+    this.profile = null;
     this.metadata = {
       createdAt: new Date().toISOString(),
       totalRegistrations: 0,
@@ -25,7 +27,11 @@ export class ToolRegistry {
   register(name, description, inputSchema, handler, options = {}) {
     try {
       // Create tool interface
-      const toolInterface = new ToolInterface(name, description, inputSchema, handler);
+      const toolInterface = new ToolInterface(name, description, inputSchema, handler, {
+        outputSchema: options.outputSchema,
+        formatText: options.formatText,
+        annotations: options.annotations
+      });
 
       // Check for duplicate registration
       if (this.tools.has(name)) {
@@ -119,13 +125,61 @@ export class ToolRegistry {
   }
 
   /**
-   * List all registered tools
+   * Check if a registered tool is enabled by the active profile
+   */
+  isEnabled(name) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return false;
+    }
+    return (
+      !this.profile ||
+      matchesToolProfile(this.profile, { name, ...tool, annotations: tool.interface.annotations })
+    );
+  }
+
+  /**
+   * Activate a tool profile (null enables every tool)
+   *
+   * @returns {boolean} whether the set of enabled tools changed
+   */
+  setProfile(profile) {
+    const enabledBefore = this.getEnabledNames();
+    this.profile = profile;
+    const enabledAfter = this.getEnabledNames();
+
+    const changed =
+      enabledBefore.length !== enabledAfter.length ||
+      enabledBefore.some(name => !enabledAfter.includes(name));
+
+    logger.info(`Tool profile activated: ${profile?.name || 'all'}`, {
+      enabledTools: enabledAfter.length,
+      totalTools: this.tools.size,
+      changed
+    });
+
+    return changed;
+  }
+
+  /**
+   * Get the names of the tools enabled by the active profile
+   */
+  getEnabledNames() {
+    return Array.from(this.tools.keys()).filter(name => this.isEnabled(name));
+  }
+
+  /**
+   * List registered tools enabled by the active profile
    */
   list(options = {}) {
-    const { category, tags, includeUsage = false } = options;
+    const { category, tags, includeUsage = false, includeDisabled = false } = options;
 
     let tools = Array.from(this.tools.entries());
 
+    if (!includeDisabled) {
+      tools = tools.filter(([name]) => this.isEnabled(name));
+    }
+
     // Filter by category
     if (category) {
       tools = tools.filter(([, tool]) => tool.category === category);
@@ -143,6 +197,8 @@ export class ToolRegistry {
         name,
         description: definition.description,
         inputSchema: definition.inputSchema,
+        ...(definition.outputSchema && { outputSchema: definition.outputSchema }),
+        ...(definition.annotations && { annotations: definition.annotations }),
         category: tool.category,
         tags: tool.tags,
         registeredAt: tool.registeredAt
@@ -187,6 +243,20 @@ export class ToolRegistry {
    */
   async execute(name, args, context = {}) {
     const tool = this.get(name);
+    if (!this.isEnabled(name)) {
+      if (this.profile.readOnly && !isReadOnlyTool(tool.interface)) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.PERMISSION_DENIED,
+          `Tool '${name}' modifies files and is refused in read-only mode`,
+          { toolName: name, profile: this.profile.name }
+        );
+      }
+      throw new BalmSharedMCPError(
+        ErrorCodes.TOOL_NOT_FOUND,
+        `Tool '${name}' is not enabled in the '${this.profile.name}' tool profile`,
+        { toolName: name, profile: this.profile.name }
+      );
+    }
     const startTime = Date.now();
 
     try {
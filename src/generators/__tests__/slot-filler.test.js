@@ -0,0 +1,103 @@
+/**
+ * Tests for Slot Filler
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { SlotFiller } from '../slot-filler.js';
+
+const fields = [
+  { name: 'name', type: 'string', component: 'ui-textfield', label: '姓名' },
+  {
+    name: 'email',
+    type: 'string',
+    component: 'ui-textfield',
+    required: true,
+    validation: { email: true }
+  }
+];
+
+describe('SlotFiller', () => {
+  it('should fill missing labels and validation messages from the sampled JSON', async () => {
+    const answer = {
+      labels: { name: 'Name', email: '邮箱' },
+      messages: { email: { required: '请输入邮箱', email: '邮箱格式不正确', min: 'x' } }
+    };
+    const sample = vi.fn().mockResolvedValue(`\`\`\`json\n${JSON.stringify(answer)}\n\`\`\``);
+
+    const result = await new SlotFiller(sample).fill({ module: 'user', fields });
+
+    expect(result.fields[0]).toEqual(fields[0]);
+    expect(result.fields[1]).toMatchObject({
+      label: '邮箱',
+      messages: { required: '请输入邮箱', email: '邮箱格式不正确' }
+    });
+    expect(result.filled).toEqual({ labels: ['email'], messages: ['email'], handleAction: false });
+    expect(sample.mock.calls[0][0]).toContain('["email"]');
+  });
+
+  it('should drop slot values that would break the generated code', async () => {
+    const sample = vi.fn().mockResolvedValue(
+      JSON.stringify({
+        labels: { email: "E'mail" },
+        handleAction: 'switch (action.type) {'
+      })
+    );
+
+    const result = await new SlotFiller(sample).fill({
+      module: 'user',
+      fields,
+      handleAction: true
+    });
+
+    expect(result.fields[1].label).toBe('Email');
+    expect(result.handleAction).toBeNull();
+    expect(result.filled.handleAction).toBe(false);
+  });
+
+  it('should reject a handleAction body that closes the method early', async () => {
+    const body = "}\nconsole.log('escaped');\nfunction other() {";
+    const sample = vi.fn().mockResolvedValue(JSON.stringify({ handleAction: body }));
+
+    const result = await new SlotFiller(sample).fill({
+      module: 'user',
+      fields: [fields[0]],
+      handleAction: true
+    });
+
+    expect(result.handleAction).toBeNull();
+    expect(result.filled.handleAction).toBe(false);
+  });
+
+  it('should accept a handleAction body that parses', async () => {
+    const body = "if (action.type === 'delete') {\n  this.handleDelete(data);\n}";
+    const sample = vi.fn().mockResolvedValue(JSON.stringify({ handleAction: body }));
+
+    const result = await new SlotFiller(sample).fill({
+      module: 'user',
+      fields: [fields[0]],
+      handleAction: true
+    });
+
+    expect(result.handleAction).toBe(body);
+    expect(result.filled.handleAction).toBe(true);
+  });
+
+  it('should keep the template defaults when sampling fails or returns no JSON', async () => {
+    const failing = new SlotFiller(vi.fn().mockRejectedValue(new Error('declined')));
+    const chatty = new SlotFiller(vi.fn().mockResolvedValue('Sure, here are the labels'));
+
+    for (const filler of [failing, chatty]) {
+      const result = await filler.fill({ module: 'user', fields });
+      expect(result.fields).toBe(fields);
+      expect(result.filled).toEqual({ labels: [], messages: [], handleAction: false });
+    }
+  });
+
+  it('should not sample when no slot is open', async () => {
+    const sample = vi.fn();
+
+    await new SlotFiller(sample).fill({ module: 'user', fields: [fields[0]] });
+
+    expect(sample).not.toHaveBeenCalled();
+  });
+});
@@ -6,8 +6,12 @@
 
 import path from 'path';
 import { logger } from '../utils/logger.js';
-import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+import { BalmSharedMCPError, ErrorCodes, throwIfCancelled } from '../utils/errors.js';
 import { ModelConfigManager } from '../managers/model-config-manager.js';
+import { ASTHandler } from '../handlers/ast-handler.js';
+
+// Steps reported through onProgress by generateCrudModule, including the final write
+const CRUD_MODULE_STEPS = 7;
 
 export class CodeGenerator {
   constructor(fileSystemHandler, config) {
@@ -18,6 +22,7 @@ export class CodeGenerator {
 
     // Initialize model config manager
     this.modelConfigManager = new ModelConfigManager(fileSystemHandler, config);
+    this.astHandler = new ASTHandler(fileSystemHandler);
 
     // Initialize built-in templates
     this.initializeTemplates();
@@ -863,9 +868,17 @@ export const {{camelCase name}}Config = {
   }
 
   /**
-   * Generate a complete CRUD module
+   * Generate a complete CRUD module. All files are staged and written together,
+   * so a failure in any step leaves the project untouched.
+   *
+   * `options.signal` cancels between steps (before anything is written) and
+   * `options.onProgress(progress, total, message)` is called as each step starts.
    */
   async generateCrudModule(options) {
+    return this.fileSystemHandler.withChangeSet(() => this._generateCrudModuleFiles(options));
+  }
+
+  async _generateCrudModuleFiles(options) {
     const {
       module,
       model,
@@ -876,11 +889,19 @@ export const {{camelCase name}}Config = {
       requiresAuth = true,
       permissions = [],
       patterns = {},
+      signal,
+      onProgress = () => {},
       ...otherOptions
     } = options;
 
     logger.info(`Generating CRUD module: ${module} for model: ${model}`);
 
+    let completedSteps = 0;
+    const startStep = message => {
+      throwIfCancelled(signal, { module, completedSteps });
+      onProgress(completedSteps++, CRUD_MODULE_STEPS, message);
+    };
+
     try {
       // Validate required parameters
       if (!module || !model || !Array.isArray(fields) || !projectPath) {
@@ -906,6 +927,7 @@ export const {{camelCase name}}Config = {
       const apiEndpoint = endpoint || `/api/${this.templateHelpers.get('kebabCase')(model)}`;
 
       // 1. Generate model configuration
+      startStep('Generating model config');
       logger.info(`Generating model config for module: ${module}`);
       const modelConfigResult = await this.generateModelConfig({
         name: this.templateHelpers.get('pascalCase')(model),
@@ -916,6 +938,7 @@ export const {{camelCase name}}Config = {
       generatedFiles.push(...modelConfigResult.generatedFiles);
 
       // 2. Generate page components (list and detail)
+      startStep('Generating list and detail pages');
       logger.info(`Generating page components for module: ${module}`);
       const pageModuleResult = await this.generatePageModule({
         name: module,
@@ -930,6 +953,7 @@ export const {{camelCase name}}Config = {
       generatedFiles.push(...pageModuleResult.generatedFiles);
 
       // 3. Generate API configuration
+      startStep('Generating API config');
       logger.info(`Generating API config for module: ${module}`);
       const apiConfigResult = await this.generateApiConfig({
         name: module,
@@ -942,6 +966,7 @@ export const {{camelCase name}}Config = {
       generatedFiles.push(...apiConfigResult.generatedFiles);
 
       // 4. Generate route configuration
+      startStep('Generating routes');
       logger.info(`Generating routes for module: ${module}`);
       const routeConfigResult = await this.generateRouteConfig({
         name: module,
@@ -954,6 +979,7 @@ export const {{camelCase name}}Config = {
       generatedFiles.push(...routeConfigResult.generatedFiles);
 
       // 5. Generate mock data
+      startStep('Generating mock data');
       logger.info(`Generating mock data for module: ${module}`);
       const mockDataResult = await this.generateMockData({
         name: module,
@@ -966,12 +992,14 @@ export const {{camelCase name}}Config = {
       generatedFiles.push(...mockDataResult.generatedFiles);
 
       // 6. Update project structure and dependencies
+      startStep('Updating project structure');
       await this.updateProjectStructureForModule(projectPath, module, {
         hasRoutes: true,
         hasApi: true,
         hasMock: true
       });
 
+      startStep(`Writing ${generatedFiles.length} files`);
       logger.info(`Generated complete CRUD module: ${module} with ${generatedFiles.length} files`);
 
       return {
@@ -1334,23 +1362,15 @@ ${exports}
     const importStatement = `@import '${kebabName}';`;
 
     try {
-      let content = '';
-      if (await this.fileSystemHandler.exists(indexPath)) {
-        content = await this.fileSystemHandler.readFile(indexPath);
+      const content = (await this.fileSystemHandler.exists(indexPath))
+        ? await this.fileSystemHandler.readFile(indexPath)
+        : '';
 
-        // Check if already imported
-        if (
-          content.includes(`@import '${kebabName}'`) ||
-          content.includes(`@import "${kebabName}"`)
-        ) {
-          return;
-        }
+      const updatedContent = this.astHandler.transformInsertScssImport(content, importStatement);
+      if (updatedContent === content) {
+        return;
       }
 
-      // Add to index
-      const updatedContent = content.trim()
-        ? `${content.trim()}\n${importStatement}\n`
-        : `${importStatement}\n`;
       await this.fileSystemHandler.writeFile(indexPath, updatedContent);
       logger.debug(`Updated style index: ${indexPath}`);
     } catch (error) {
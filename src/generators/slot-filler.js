@@ -0,0 +1,222 @@
+/**
+ * Slot Filler
+ *
+ * Fills the free-text slots the legacy generator templates leave as
+ * placeholders (field labels, validation messages and the list page's
+ * handleAction body) by asking the client's model through MCP sampling.
+ * The templates still produce the code skeleton; answers that do not fit a
+ * slot are dropped and the template defaults are kept.
+ */
+
+import { parse as babelParse } from '@babel/parser';
+import { logger } from '../utils/logger.js';
+
+const MAX_TEXT_LENGTH = 50;
+
+const SYSTEM_PROMPT =
+  'You fill text slots in generated Vue 2 + BalmUI Pro admin pages. Reply with a single JSON object and nothing else.';
+
+export class SlotFiller {
+  /**
+   * @param {Function} sample - `sample(prompt, options)` resolving to the model's text
+   */
+  constructor(sample) {
+    this.sample = sample;
+  }
+
+  /**
+   * Fill the slots of a module's fields, and the handleAction body if requested
+   *
+   * @param {Object} options
+   * @param {string} options.module - module name
+   * @param {string} [options.model] - data model name
+   * @param {string} [options.title] - module title
+   * @param {Object[]} [options.fields] - field definitions
+   * @param {boolean} [options.handleAction] - whether the list page needs a handleAction body
+   * @returns {Promise<{fields: Object[], handleAction: string|null, filled: Object}>}
+   */
+  async fill(options) {
+    const { fields = [], handleAction: needsHandleAction = false } = options;
+    const slots = this._collectSlots(fields, needsHandleAction);
+    const empty = {
+      fields,
+      handleAction: null,
+      filled: { labels: [], messages: [], handleAction: false }
+    };
+
+    if (slots.labels.length === 0 && slots.messages.length === 0 && !needsHandleAction) {
+      return empty;
+    }
+
+    let answer;
+    try {
+      const text = await this.sample(this._buildPrompt(options, slots), {
+        systemPrompt: SYSTEM_PROMPT,
+        maxTokens: 2048
+      });
+      answer = this._parseAnswer(text);
+    } catch (error) {
+      logger.warn('Slot filling through sampling failed, keeping template defaults', {
+        module: options.module,
+        error: error.message
+      });
+      return empty;
+    }
+
+    return this._applyAnswer(fields, slots, answer);
+  }
+
+  /**
+   * Labels are filled only where missing; messages for every rule a field has
+   */
+  _collectSlots(fields, needsHandleAction) {
+    const labels = fields.filter(field => !field.label).map(field => field.name);
+    const messages = fields
+      .map(field => ({ field: field.name, rules: this._rules(field) }))
+      .filter(entry => entry.rules.length > 0);
+
+    return { labels, messages, handleAction: needsHandleAction };
+  }
+
+  _rules(field) {
+    const rules = Object.keys(field.validation || {});
+    return field.required ? ['required', ...rules] : rules;
+  }
+
+  _buildPrompt(options, slots) {
+    const { module, model, title, fields = [] } = options;
+    const keys = [];
+
+    if (slots.labels.length > 0) {
+      keys.push(`- "labels": { field: short Chinese label } for ${JSON.stringify(slots.labels)}`);
+    }
+    if (slots.messages.length > 0) {
+      const rules = Object.fromEntries(slots.messages.map(entry => [entry.field, entry.rules]));
+      keys.push(
+        `- "messages": { field: { rule: Chinese validation message } } for ${JSON.stringify(rules)}`
+      );
+    }
+    if (slots.handleAction) {
+      keys.push(
+        '- "handleAction": body (without the signature) of the list page method ' +
+          "`handleAction(action, data)`. `action.type` is 'add', 'view', 'edit' or 'delete'; " +
+          `navigate with this.$router.push to the '${module}-create', '${module}-detail' and ` +
+          `'${module}-edit' routes and call this.handleDelete(data) for delete`
+      );
+    }
+
+    const fieldSummary = fields.map(({ name, type, component, label }) => ({
+      name,
+      type,
+      component,
+      label
+    }));
+
+    return [
+      `Module: ${module}${title ? ` (${title})` : ''}`,
+      model ? `Model: ${model}` : null,
+      `Fields: ${JSON.stringify(fieldSummary)}`,
+      '',
+      'Return a JSON object with these keys:',
+      ...keys
+    ]
+      .filter(line => line !== null)
+      .join('\n');
+  }
+
+  /**
+   * Parse the JSON object from the model's reply, tolerating a Markdown code fence
+   */
+  _parseAnswer(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const json = (fenced ? fenced[1] : text).trim();
+    const answer = JSON.parse(json);
+
+    if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+      throw new Error('Sampling answer is not a JSON object');
+    }
+    return answer;
+  }
+
+  _applyAnswer(fields, slots, answer) {
+    const labels = answer.labels || {};
+    const messages = answer.messages || {};
+    const filled = { labels: [], messages: [], handleAction: false };
+
+    const filledFields = fields.map(field => {
+      const result = { ...field };
+
+      const label = slots.labels.includes(field.name) && this._cleanText(labels[field.name]);
+      if (label) {
+        result.label = label;
+        filled.labels.push(field.name);
+      }
+
+      const fieldMessages = {};
+      for (const rule of this._rules(field)) {
+        const message = this._cleanText(messages[field.name]?.[rule]);
+        if (message) {
+          fieldMessages[rule] = message;
+        }
+      }
+      if (Object.keys(fieldMessages).length > 0) {
+        result.messages = { ...fieldMessages, ...field.messages };
+        filled.messages.push(field.name);
+      }
+
+      return result;
+    });
+
+    const handleAction = slots.handleAction ? this._cleanMethodBody(answer.handleAction) : null;
+    filled.handleAction = !!handleAction;
+
+    return { fields: filledFields, handleAction, filled };
+  }
+
+  /**
+   * Slot text ends up inside single-quoted string literals, so quotes,
+   * backslashes and line breaks are removed
+   */
+  _cleanText(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const text = value.replace(/['"`\\\r\n]/g, '').trim();
+    return text && text.length <= MAX_TEXT_LENGTH ? text : null;
+  }
+
+  /**
+   * Accept a method body only if it parses as the body of handleAction(action, data)
+   * and stays inside it: a body like `}\nfoo();\nfunction x() {` parses too, but
+   * closes the method early and runs code at module level
+   */
+  _cleanMethodBody(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return null;
+    }
+
+    const body = value.trim();
+    const wrapper = `function handleAction(action, data) {\n${body}\n}`;
+    let ast;
+    try {
+      ast = babelParse(wrapper, { sourceType: 'module' });
+    } catch (error) {
+      logger.warn('Discarding sampled handleAction body that does not parse', {
+        error: error.message
+      });
+      return null;
+    }
+
+    const statements = ast.program.body;
+    if (
+      statements.length !== 1 ||
+      statements[0].type !== 'FunctionDeclaration' ||
+      statements[0].end !== wrapper.length
+    ) {
+      logger.warn('Discarding sampled handleAction body that escapes the method');
+      return null;
+    }
+    return body;
+  }
+}
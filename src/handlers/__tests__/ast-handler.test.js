@@ -0,0 +1,603 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ASTHandler } from '../ast-handler.js';
+import { BalmSharedMCPError } from '../../utils/errors.js';
+
+describe('ASTHandler', () => {
+  let handler;
+  let mockFileSystemHandler;
+
+  beforeEach(() => {
+    mockFileSystemHandler = {
+      readFile: vi.fn(),
+      writeFile: vi.fn().mockResolvedValue(undefined)
+    };
+    handler = new ASTHandler(mockFileSystemHandler);
+  });
+
+  describe('transformInsertImport', () => {
+    it('should insert after the last import', () => {
+      const source = "import a from './a';\nimport b from './b';\n\nexport default [a, b];\n";
+
+      const result = handler.transformInsertImport(source, "import c from './c';");
+
+      expect(result).toBe(
+        "import a from './a';\nimport b from './b';\nimport c from './c';\n\nexport default [a, b];\n"
+      );
+    });
+
+    it('should treat multi-line imports as a single statement', () => {
+      const source = "import {\n  a,\n  b\n} from './ab';\n\nconsole.log(a, b);\n";
+
+      const result = handler.transformInsertImport(source, "import c from './c';");
+
+      expect(result).toBe(
+        "import {\n  a,\n  b\n} from './ab';\nimport c from './c';\n\nconsole.log(a, b);\n"
+      );
+    });
+
+    it('should insert at the top when there are no imports', () => {
+      const result = handler.transformInsertImport('export default {};\n', "import c from './c';");
+
+      expect(result).toBe("import c from './c';\n\nexport default {};\n");
+    });
+
+    it('should insert after directives', () => {
+      const result = handler.transformInsertImport(
+        "'use strict';\nconst a = 1;\n",
+        "import c from './c';"
+      );
+
+      expect(result).toBe("'use strict';\nimport c from './c';\nconst a = 1;\n");
+    });
+
+    it('should not duplicate an existing import', () => {
+      const source = "import c from './c';\n";
+
+      expect(handler.transformInsertImport(source, 'import c from "./c";')).toBe(source);
+    });
+
+    it('should merge missing named specifiers into an existing import', () => {
+      const source = "import {\n  a,\n  b\n} from './ab';\n";
+
+      const result = handler.transformInsertImport(source, "import { c } from './ab';");
+
+      expect(result).toBe("import {\n  a,\n  b,\n  c\n} from './ab';\n");
+    });
+
+    it('should reject a binding imported from another source', () => {
+      expect(() =>
+        handler.transformInsertImport("import a from './a';\n", "import a from './other';")
+      ).toThrow(BalmSharedMCPError);
+    });
+
+    it('should reject statements that are not imports', () => {
+      expect(() => handler.transformInsertImport('', 'const a = 1;')).toThrow(
+        'Not a valid import statement'
+      );
+    });
+  });
+
+  describe('transformExpandArray', () => {
+    it('should append to nested route arrays without corrupting children', () => {
+      const source = [
+        'export const routes = [',
+        '  {',
+        "    path: '/a',",
+        "    children: [{ path: 'b' }]",
+        '  }, // first',
+        '  userRoutes',
+        '];',
+        ''
+      ].join('\n');
+
+      const result = handler.transformExpandArray(source, 'routes', 'orderRoutes');
+
+      expect(result).toBe(
+        [
+          'export const routes = [',
+          '  {',
+          "    path: '/a',",
+          "    children: [{ path: 'b' }]",
+          '  }, // first',
+          '  userRoutes,',
+          '  orderRoutes',
+          '];',
+          ''
+        ].join('\n')
+      );
+    });
+
+    it('should keep a trailing comment on the element it belongs to', () => {
+      const source = 'const apis = [\n  userApi // users\n];\n';
+
+      const result = handler.transformExpandArray(source, 'apis', 'orderApi');
+
+      expect(result).toBe('const apis = [\n  userApi, // users\n  orderApi\n];\n');
+    });
+
+    it('should expand object property arrays on a single line', () => {
+      const result = handler.transformExpandArray(
+        'export default { apis: [a, b] };\n',
+        'apis',
+        'c'
+      );
+
+      expect(result).toBe('export default { apis: [a, b, c] };\n');
+    });
+
+    it('should expand empty arrays onto their own lines', () => {
+      const result = handler.transformExpandArray(
+        'export default {\n  apis: []\n};\n',
+        'apis',
+        'a'
+      );
+
+      expect(result).toBe('export default {\n  apis: [\n    a\n  ]\n};\n');
+    });
+
+    it('should indent multi-line elements', () => {
+      const result = handler.transformExpandArray(
+        'const routes = [\n  a\n];\n',
+        'routes',
+        "{\n  path: '/b'\n}"
+      );
+
+      expect(result).toBe("const routes = [\n  a,\n  {\n    path: '/b'\n  }\n];\n");
+    });
+
+    it('should not add an element that already exists', () => {
+      const source = "const routes = [{ path: '/a' }];\n";
+
+      expect(handler.transformExpandArray(source, 'routes', '{ path: "/a" }')).toBe(source);
+    });
+
+    it('should return null when the array is missing', () => {
+      expect(handler.transformExpandArray('const a = 1;\n', 'routes', 'b')).toBeNull();
+    });
+
+    it('should reject invalid elements', () => {
+      expect(() => handler.transformExpandArray('const a = [];\n', 'a', 'b c')).toThrow(
+        'Not a valid expression'
+      );
+    });
+  });
+
+  describe('insertImport', () => {
+    it('should write the updated file', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue("import a from './a';\n");
+
+      const result = await handler.insertImport('/test/index.js', "import b from './b';");
+
+      expect(result).toBe(true);
+      expect(mockFileSystemHandler.writeFile).toHaveBeenCalledWith(
+        '/test/index.js',
+        "import a from './a';\nimport b from './b';\n"
+      );
+    });
+
+    it('should skip writing when the import exists', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue("import a from './a';\n");
+
+      await handler.insertImport('/test/index.js', "import a from './a';");
+
+      expect(mockFileSystemHandler.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should surface parse errors without writing', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue('export default {');
+
+      await expect(handler.insertImport('/test/index.js', "import a from './a';")).rejects.toThrow(
+        'Failed to parse /test/index.js'
+      );
+      expect(mockFileSystemHandler.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expandArray', () => {
+    it('should return false when the array cannot be found', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue('export default {};\n');
+
+      const result = await handler.expandArray('/test/index.js', 'apis', 'userApi');
+
+      expect(result).toBe(false);
+      expect(mockFileSystemHandler.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Vue single-file components', () => {
+    const sfc = [
+      '<template>',
+      '  <div>',
+      '    <template v-if="ready"><user-form /></template>',
+      '  </div>',
+      '</template>',
+      '',
+      '<script>',
+      "import api from './api';",
+      '',
+      'export default {',
+      "  name: 'UserPage',",
+      '  data() {',
+      '    return {',
+      '      list: []',
+      '    };',
+      '  }',
+      '};',
+      '</script>',
+      '',
+      '<style lang="scss">',
+      '.page { color: red; }',
+      '</style>',
+      ''
+    ].join('\n');
+
+    it('should split top-level blocks with nested templates', () => {
+      const blocks = handler.splitSFC(sfc);
+
+      expect(blocks.map(block => block.type)).toEqual(['template', 'script', 'style']);
+      expect(sfc.slice(blocks[0].contentStart, blocks[0].contentEnd)).toContain(
+        '<template v-if="ready"><user-form /></template>'
+      );
+      expect(blocks[2].attrs).toEqual({ lang: 'scss' });
+    });
+
+    it('should insert imports inside the script block', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue(sfc);
+
+      await handler.insertImport('/test/page.vue', "import UserForm from './user-form.vue';");
+
+      const [, written] = mockFileSystemHandler.writeFile.mock.calls[0];
+      expect(written).toBe(
+        sfc.replace(
+          "import api from './api';",
+          "import api from './api';\nimport UserForm from './user-form.vue';"
+        )
+      );
+    });
+
+    it('should prefer <script setup> for imports', () => {
+      const source = '<script setup lang="ts">\nconst count: number = 0;\n</script>\n';
+
+      const result = handler.transformSFCScript(
+        source,
+        (script, options) =>
+          handler.transformInsertImport(script, "import A from './a.vue';", options),
+        { preferSetup: true }
+      );
+
+      expect(result).toBe(
+        '<script setup lang="ts">\nimport A from \'./a.vue\';\n\nconst count: number = 0;\n</script>\n'
+      );
+    });
+
+    it('should create the components option after name', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue(sfc);
+
+      await handler.registerComponent('/test/page.vue', 'UserForm');
+
+      const [, written] = mockFileSystemHandler.writeFile.mock.calls[0];
+      expect(written).toContain(
+        "  name: 'UserPage',\n  components: {\n    UserForm\n  },\n  data() {"
+      );
+      expect(written.startsWith(sfc.slice(0, sfc.indexOf('<script>')))).toBe(true);
+      expect(written.endsWith(sfc.slice(sfc.indexOf('</script>')))).toBe(true);
+    });
+
+    it('should append to an existing components option once', () => {
+      const script = 'export default {\n  components: {\n    A\n  }\n};\n';
+
+      const result = handler.transformRegisterComponent(script, 'B');
+
+      expect(result).toBe('export default {\n  components: {\n    A,\n    B\n  }\n};\n');
+      expect(handler.transformRegisterComponent(result, 'B')).toBe(result);
+    });
+
+    it('should leave <script setup> only components untouched when registering', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue('<script setup>\nconst a = 1;\n</script>\n');
+
+      const result = await handler.registerComponent('/test/page.vue', 'UserForm');
+
+      expect(result).toBe(true);
+      expect(mockFileSystemHandler.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should add data keys to the returned object', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue(sfc);
+
+      await handler.addDataKey('/test/page.vue', 'loading', 'false');
+
+      const [, written] = mockFileSystemHandler.writeFile.mock.calls[0];
+      expect(written).toContain('    return {\n      list: [],\n      loading: false\n    };');
+    });
+
+    it('should create data() when missing', () => {
+      const script = "export default {\n  name: 'A',\n  methods: {}\n};\n";
+
+      const result = handler.transformAddDataKey(script, 'visible', 'false');
+
+      expect(result).toBe(
+        "export default {\n  name: 'A',\n  data() {\n    return {\n      visible: false\n    };\n  },\n  methods: {}\n};\n"
+      );
+    });
+
+    it('should fail when the component has no script block', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue('<template><div /></template>\n');
+
+      await expect(
+        handler.insertImport('/test/page.vue', "import A from './a.vue';")
+      ).rejects.toThrow('No script block found');
+    });
+  });
+
+  describe('SCSS imports', () => {
+    it('should keep alphabetical ordering', () => {
+      const result = handler.transformInsertScssImport(
+        "@import 'article';\n@import 'user';\n",
+        "@import 'order';"
+      );
+
+      expect(result).toBe("@import 'article';\n@import 'order';\n@import 'user';\n");
+    });
+
+    it('should append when existing rules are not sorted', () => {
+      const result = handler.transformInsertScssImport(
+        "@import 'user';\n@import 'article';\n",
+        "@import 'order';"
+      );
+
+      expect(result).toBe("@import 'user';\n@import 'article';\n@import 'order';\n");
+    });
+
+    it('should detect duplicates by resolved partial name', () => {
+      const source = "@import 'pages/_user.scss';\n@use 'theme/index';\n";
+
+      expect(handler.transformInsertScssImport(source, "@import 'pages/user';")).toBe(source);
+      expect(handler.transformInsertScssImport(source, "@use 'theme';")).toBe(source);
+    });
+
+    it('should place @use rules before other rules', () => {
+      const result = handler.transformInsertScssImport(
+        "// Pages\n@charset 'utf-8';\n.page {\n  color: red;\n}\n",
+        "@use 'sass:math';"
+      );
+
+      expect(result).toBe(
+        "// Pages\n@charset 'utf-8';\n@use 'sass:math';\n.page {\n  color: red;\n}\n"
+      );
+    });
+
+    it('should ignore nested rules and comments', () => {
+      const result = handler.transformInsertScssImport(
+        "// @import 'order';\n.page { @import 'order'; }\n",
+        "@import 'order';"
+      );
+
+      expect(result).toBe("// @import 'order';\n.page { @import 'order'; }\n@import 'order';\n");
+    });
+
+    it('should reject JavaScript imports', () => {
+      expect(() => handler.transformInsertScssImport('', "import a from './a';")).toThrow(
+        'Not a valid SCSS'
+      );
+    });
+
+    it('should route .scss files to the SCSS mode', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue("@import 'user';\n");
+
+      await handler.insertImport('/test/styles/pages/_index.scss', "@import 'user';");
+
+      expect(mockFileSystemHandler.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transformUpdateObjectProperty', () => {
+    const source = [
+      'export default {',
+      '  ...apis,',
+      '  crud: {',
+      '    // collection',
+      "    list: '/users',",
+      "    detail: '/user' // single",
+      '  },',
+      "  meta: { title: 'Users', keep: true }",
+      '};',
+      ''
+    ].join('\n');
+
+    it('should insert a key into a nested object', () => {
+      const result = handler.transformUpdateObjectProperty(
+        source,
+        'default.crud.create',
+        'insert',
+        "'/user/create'"
+      );
+
+      expect(result).toContain("    detail: '/user', // single\n    create: '/user/create'\n  },");
+    });
+
+    it('should replace only the value of a key', () => {
+      const result = handler.transformUpdateObjectProperty(
+        source,
+        'default.meta.title',
+        'replace',
+        "'Members'"
+      );
+
+      expect(result).toContain("meta: { title: 'Members', keep: true }");
+    });
+
+    it('should remove a key with its comment and separator', () => {
+      const result = handler.transformUpdateObjectProperty(source, 'default.crud.list', 'remove');
+
+      expect(result).toContain("  crud: {\n    detail: '/user' // single\n  },");
+    });
+
+    it('should remove the last key and its orphaned comma', () => {
+      const result = handler.transformUpdateObjectProperty(source, 'default.crud.detail', 'remove');
+
+      expect(result).toContain("    // collection\n    list: '/users'\n  },");
+    });
+
+    it('should walk array indexes and call arguments', () => {
+      expect(
+        handler.transformUpdateObjectProperty(
+          'export const apis = [{ crud: {} }];\n',
+          'apis.0.crud.list',
+          'insert',
+          "'/a'"
+        )
+      ).toBe("export const apis = [{ crud: {\n  list: '/a'\n} }];\n");
+      expect(
+        handler.transformUpdateObjectProperty(
+          'export default defineComponent({ props: { a: String } });\n',
+          'default.props.a',
+          'remove'
+        )
+      ).toBe('export default defineComponent({ props: {} });\n');
+    });
+
+    it('should refuse to insert over an existing key', () => {
+      expect(() =>
+        handler.transformUpdateObjectProperty(source, 'default.crud.list', 'insert', "'/all'")
+      ).toThrow('already exists');
+    });
+
+    it('should refuse to replace a missing key', () => {
+      expect(() =>
+        handler.transformUpdateObjectProperty(source, 'default.crud.create', 'replace', "'/c'")
+      ).toThrow('does not exist');
+    });
+
+    it('should return null when the object is missing', () => {
+      expect(
+        handler.transformUpdateObjectProperty(source, 'default.routes.list', 'insert', '1')
+      ).toBeNull();
+    });
+  });
+
+  describe('transformRemoveImport', () => {
+    const source = [
+      "import userApis from './user';",
+      "import orderApis from './order'; // orders",
+      'import {',
+      '  a,',
+      '  b',
+      "} from './ab';",
+      "import d, { e, f } from './def';",
+      '',
+      'export default [...userApis, ...orderApis];',
+      ''
+    ].join('\n');
+
+    it('should remove a whole declaration by source', () => {
+      const result = handler.transformRemoveImport(source, './order');
+
+      expect(result).not.toContain('orderApis from');
+      expect(result).toContain("import userApis from './user';\nimport {");
+    });
+
+    it('should remove only the listed specifiers', () => {
+      expect(handler.transformRemoveImport(source, "import { b } from './ab';")).toContain(
+        "import {\n  a\n} from './ab';"
+      );
+      expect(handler.transformRemoveImport(source, "import d from './def';")).toContain(
+        "import { e, f } from './def';"
+      );
+      expect(handler.transformRemoveImport(source, "import { e, f } from './def';")).toContain(
+        "import d from './def';"
+      );
+    });
+
+    it('should drop the declaration with its last specifier', () => {
+      const result = handler.transformRemoveImport(source, "import { a, b } from './ab';");
+
+      expect(result).not.toContain("'./ab'");
+      expect(result).toContain("// orders\nimport d, { e, f } from './def';");
+    });
+
+    it('should leave the source untouched when the import is absent', () => {
+      expect(handler.transformRemoveImport(source, './missing')).toBe(source);
+    });
+
+    it('should treat package names starting with "import" as sources', () => {
+      const script = "import importer from 'importer';\nimport x from 'import-x';\n";
+
+      expect(handler.transformRemoveImport(script, 'importer')).toBe("import x from 'import-x';\n");
+      expect(handler.transformRemoveImport(script, 'import-x')).toBe(
+        "import importer from 'importer';\n"
+      );
+    });
+  });
+
+  describe('transformRemoveArrayElement', () => {
+    const source =
+      'export default [...userApis, ...orderApis];\nexport const routes = [\n  userRoutes,\n  orderRoutes\n];\n';
+
+    it('should remove spread and multiline elements', () => {
+      expect(handler.transformRemoveArrayElement(source, 'default', 'userApis')).toContain(
+        'export default [...orderApis];'
+      );
+      expect(handler.transformRemoveArrayElement(source, 'routes', 'orderRoutes')).toContain(
+        'export const routes = [\n  userRoutes\n];'
+      );
+    });
+
+    it('should return null for an unknown array', () => {
+      expect(handler.transformRemoveArrayElement(source, 'missing', 'a')).toBeNull();
+    });
+  });
+
+  describe('transformRenameIdentifier', () => {
+    const source = [
+      "import { userApi } from './user';",
+      "import UserForm from './user-form.vue';",
+      'const x = { userApi, other: userApi.list, userApi: 1 };',
+      'export { userApi };',
+      'export default { components: { UserForm } };',
+      ''
+    ].join('\n');
+
+    it('should rename bindings while keeping keys and exported names', () => {
+      const result = handler.transformRenameIdentifier(source, 'userApi', 'memberApi');
+
+      expect(result).toContain("import { userApi as memberApi } from './user';");
+      expect(result).toContain(
+        'const x = { userApi: memberApi, other: memberApi.list, userApi: 1 };'
+      );
+      expect(result).toContain('export { memberApi as userApi };');
+    });
+
+    it('should expand shorthand component registrations', () => {
+      const result = handler.transformRenameIdentifier(source, 'UserForm', 'MemberForm');
+
+      expect(result).toContain("import MemberForm from './user-form.vue';");
+      expect(result).toContain('components: { UserForm: MemberForm }');
+    });
+
+    it('should refuse ambiguous or conflicting renames', () => {
+      expect(() =>
+        handler.transformRenameIdentifier('const a = 1; function f(a) { return a; }', 'a', 'b')
+      ).toThrow(/more than one scope/);
+      expect(() =>
+        handler.transformRenameIdentifier('const a = 1; const b = a;', 'a', 'b')
+      ).toThrow(BalmSharedMCPError);
+    });
+
+    it('should return null when the identifier does not occur', () => {
+      expect(handler.transformRenameIdentifier(source, 'missing', 'other')).toBeNull();
+    });
+  });
+
+  describe('transformRemoveScssImport', () => {
+    it('should remove a path from a rule or the whole rule', () => {
+      const source = "@import 'a';\n@import 'b', 'c';\n@import '_d.scss';\n";
+
+      expect(handler.transformRemoveScssImport(source, 'b')).toBe(
+        "@import 'a';\n@import 'c';\n@import '_d.scss';\n"
+      );
+      expect(handler.transformRemoveScssImport(source, "@import 'd';")).toBe(
+        "@import 'a';\n@import 'b', 'c';\n"
+      );
+    });
+  });
+});
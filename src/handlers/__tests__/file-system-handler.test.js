@@ -593,4 +593,156 @@ describe('FileSystemHandler', () => {
       );
     });
   });
+
+  describe('runDryRun', () => {
+    it('should stage writes and directories without touching the disk', async () => {
+      const existing = path.resolve('/project/index.js');
+      existsSync.mockImplementation(
+        target => target === existing || target === path.resolve('/project')
+      );
+      mockFsPromises.readFile.mockResolvedValue('export default [];\n');
+
+      const { result, changes } = await handler.runDryRun(async () => {
+        await handler.writeFile('/project/index.js', 'export default [a];\n');
+        await handler.writeFile('/project/pages/user/list.vue', '<template />\n');
+        return handler.readFile('/project/pages/user/list.vue');
+      });
+
+      expect(result).toBe('<template />\n');
+      expect(mockFsPromises.writeFile).not.toHaveBeenCalled();
+      expect(mockFsPromises.mkdir).not.toHaveBeenCalled();
+      expect(changes.directories).toEqual([
+        path.resolve('/project/pages'),
+        path.resolve('/project/pages/user')
+      ]);
+      expect(changes.files).toEqual([
+        { path: existing, before: 'export default [];\n', after: 'export default [a];\n' },
+        {
+          path: path.resolve('/project/pages/user/list.vue'),
+          before: null,
+          after: '<template />\n'
+        }
+      ]);
+    });
+
+    it('should drop writes that leave a file unchanged', async () => {
+      existsSync.mockReturnValue(true);
+      mockFsPromises.readFile.mockResolvedValue('same');
+
+      const { changes } = await handler.runDryRun(() => handler.writeFile('/project/a.js', 'same'));
+
+      expect(changes.files).toEqual([]);
+    });
+
+    it('should only apply inside the callback', async () => {
+      existsSync.mockReturnValue(true);
+      mockFsPromises.writeFile.mockResolvedValue();
+
+      await handler.runDryRun(() => expect(handler.isDryRun()).toBe(true));
+      await handler.writeFile('/project/a.js', 'content');
+
+      expect(handler.isDryRun()).toBe(false);
+      expect(mockFsPromises.writeFile).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('change sets', () => {
+    const filePath = path.resolve('/project/index.js');
+
+    beforeEach(() => {
+      existsSync.mockImplementation(target => target === filePath);
+      mockFsPromises.readFile.mockResolvedValue('original');
+      mockFsPromises.writeFile.mockResolvedValue();
+      mockFsPromises.mkdir.mockResolvedValue();
+    });
+
+    it('should stage writes across calls and write them on commit', async () => {
+      const changeSetId = handler.openChangeSet();
+
+      await handler.runInChangeSet(changeSetId, () => handler.writeFile(filePath, 'first'));
+      await handler.runInChangeSet(changeSetId, async () => {
+        expect(await handler.readFile(filePath)).toBe('first');
+        await handler.writeFile('/project/pages/list.vue', '<template />');
+      });
+
+      expect(mockFsPromises.writeFile).not.toHaveBeenCalled();
+
+      const changes = await handler.commitChangeSet(changeSetId);
+
+      expect(changes.files.map(change => change.path)).toEqual([
+        filePath,
+        path.resolve('/project/pages/list.vue')
+      ]);
+      expect(mockFsPromises.mkdir).toHaveBeenCalledWith(path.resolve('/project/pages'), {
+        recursive: true
+      });
+      expect(mockFsPromises.writeFile).toHaveBeenCalledWith(filePath, 'first', 'utf-8');
+      expect(() => handler.getChangeSet(changeSetId)).toThrow(BalmSharedMCPError);
+    });
+
+    it('should discard the writes of a failing call only', async () => {
+      const changeSetId = handler.openChangeSet();
+      await handler.runInChangeSet(changeSetId, () => handler.writeFile(filePath, 'kept'));
+
+      await expect(
+        handler.runInChangeSet(changeSetId, async () => {
+          await handler.writeFile('/project/other.js', 'dropped');
+          throw new Error('step failed');
+        })
+      ).rejects.toThrow('step failed');
+
+      expect(handler.getChangeSet(changeSetId).files).toEqual([
+        { path: filePath, before: 'original', after: 'kept' }
+      ]);
+    });
+
+    it('should restore original files when a commit fails', async () => {
+      const changeSetId = handler.openChangeSet();
+      await handler.runInChangeSet(changeSetId, async () => {
+        await handler.writeFile(filePath, 'changed');
+        await handler.writeFile('/project/new.js', 'new');
+      });
+      mockFsPromises.writeFile
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('disk full'))
+        .mockResolvedValue();
+
+      await expect(handler.commitChangeSet(changeSetId)).rejects.toThrow(
+        /original files were restored/
+      );
+
+      expect(mockFsPromises.writeFile).toHaveBeenCalledWith(filePath, 'original', 'utf-8');
+      expect(mockFsPromises.unlink).toHaveBeenCalledWith(path.resolve('/project/new.js'));
+    });
+
+    it('should refuse to commit over files changed on disk', async () => {
+      const changeSetId = handler.openChangeSet();
+      await handler.runInChangeSet(changeSetId, () => handler.writeFile(filePath, 'changed'));
+      mockFsPromises.readFile.mockResolvedValue('edited elsewhere');
+
+      await expect(handler.commitChangeSet(changeSetId)).rejects.toMatchObject({
+        code: 'CHANGE_SET_CONFLICT'
+      });
+      expect(mockFsPromises.writeFile).not.toHaveBeenCalled();
+      expect(handler.abortChangeSet(changeSetId).files).toHaveLength(1);
+    });
+
+    it('should leave the disk untouched when withChangeSet fails', async () => {
+      await expect(
+        handler.withChangeSet(async () => {
+          await handler.writeFile(filePath, 'changed');
+          throw new Error('generation failed');
+        })
+      ).rejects.toThrow('generation failed');
+
+      expect(mockFsPromises.writeFile).not.toHaveBeenCalled();
+      expect(handler.changeSets.size).toBe(0);
+    });
+
+    it('should reject unknown change sets', async () => {
+      await expect(handler.runInChangeSet('cs_missing', () => {})).rejects.toMatchObject({
+        code: 'CHANGE_SET_NOT_FOUND'
+      });
+    });
+  });
 });
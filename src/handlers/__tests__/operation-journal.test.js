@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  mkdirSync,
+  mkdtempSync,
+  rmSync,
+  readFileSync,
+  writeFileSync,
+  existsSync,
+  readdirSync
+} from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { OperationJournal } from '../operation-journal.js';
+import { FileSystemHandler } from '../file-system-handler.js';
+
+describe('OperationJournal', () => {
+  let workspace;
+  let journalDirectory;
+  let journal;
+
+  beforeEach(() => {
+    workspace = mkdtempSync(path.join(tmpdir(), 'balm-journal-'));
+    journalDirectory = path.join(workspace, '.balm-shared-mcp', 'journal');
+    journal = new OperationJournal(journalDirectory);
+  });
+
+  afterEach(() => {
+    rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it('should list entries newest first without their content', async () => {
+    await journal.record({ type: 'write', path: '/a.js', before: null, after: 'a' });
+    await journal.record({ type: 'write', path: '/b.js', before: 'old', after: 'b', tool: 'x' });
+
+    const entries = await journal.list();
+
+    expect(entries.map(entry => entry.path)).toEqual(['/b.js', '/a.js']);
+    expect(entries[0]).toMatchObject({ type: 'write', tool: 'x', hasPriorContent: true });
+    expect(entries[0]).not.toHaveProperty('before');
+  });
+
+  it('should restore prior content and remove created files', async () => {
+    const existing = path.join(workspace, 'index.js');
+    const created = path.join(workspace, 'new.js');
+    writeFileSync(existing, 'changed');
+    writeFileSync(created, 'new');
+    await journal.record({ type: 'write', path: existing, before: 'original', after: 'changed' });
+    await journal.record({ type: 'write', path: created, before: null, after: 'new' });
+
+    const result = await journal.undo({ count: 2 });
+
+    expect(result.reverted).toHaveLength(2);
+    expect(readFileSync(existing, 'utf-8')).toBe('original');
+    expect(existsSync(created)).toBe(false);
+    expect(await journal.list()).toEqual([]);
+  });
+
+  it('should refuse to undo over later edits unless forced', async () => {
+    const filePath = path.join(workspace, 'index.js');
+    writeFileSync(filePath, 'edited by hand');
+    await journal.record({ type: 'write', path: filePath, before: 'original', after: 'generated' });
+
+    await expect(journal.undo()).rejects.toMatchObject({ code: 'UNDO_CONFLICT' });
+    expect(readFileSync(filePath, 'utf-8')).toBe('edited by hand');
+
+    await journal.undo({ force: true });
+    expect(readFileSync(filePath, 'utf-8')).toBe('original');
+  });
+
+  it('should keep directories holding untracked files, even when forced', async () => {
+    const directory = path.join(workspace, 'pages');
+    const untracked = path.join(directory, 'notes.md');
+    mkdirSync(directory);
+    writeFileSync(untracked, 'keep me');
+    await journal.record({ type: 'mkdir', path: directory });
+
+    const result = await journal.undo({ force: true });
+
+    expect(result.reverted).toEqual([]);
+    expect(result.skipped).toEqual([expect.objectContaining({ type: 'mkdir', path: directory })]);
+    expect(readFileSync(untracked, 'utf-8')).toBe('keep me');
+  });
+
+  it('should keep skipped entries for a later undo without blocking older operations', async () => {
+    const directory = path.join(workspace, 'pages');
+    const older = path.join(workspace, 'older.js');
+    writeFileSync(older, 'generated');
+    await journal.record({ type: 'write', path: older, before: 'original', after: 'generated' });
+    mkdirSync(directory);
+    writeFileSync(path.join(directory, 'notes.md'), 'keep me');
+    await journal.record({ type: 'mkdir', path: directory });
+
+    expect((await journal.undo()).skipped).toHaveLength(1);
+    expect((await journal.list())[0]).toMatchObject({ path: directory, skipped: true });
+
+    rmSync(path.join(directory, 'notes.md'));
+    const result = await journal.undo();
+
+    expect(result.reverted.map(entry => entry.path)).toEqual([directory, older]);
+    expect(result.operations).toBe(2);
+    expect(existsSync(directory)).toBe(false);
+    expect(readFileSync(older, 'utf-8')).toBe('original');
+    expect(await journal.list()).toEqual([]);
+  });
+
+  it('should undo repeated writes to the same file in order', async () => {
+    const filePath = path.join(workspace, 'index.js');
+    writeFileSync(filePath, 'v3');
+    await journal.record({ type: 'write', path: filePath, before: 'v1', after: 'v2' });
+    await journal.record({ type: 'write', path: filePath, before: 'v2', after: 'v3' });
+
+    await journal.undo({ count: 2 });
+
+    expect(readFileSync(filePath, 'utf-8')).toBe('v1');
+  });
+
+  it('should undo every entry of an operation together', async () => {
+    const files = ['a.js', 'b.js', 'c.js'].map(name => path.join(workspace, name));
+    files.forEach(filePath => writeFileSync(filePath, 'generated'));
+    await journal.record({ type: 'write', path: files[0], before: null, after: 'generated' });
+    for (const filePath of files.slice(1)) {
+      await journal.record({
+        type: 'write',
+        path: filePath,
+        before: null,
+        after: 'generated',
+        changeSetId: 'cs-1'
+      });
+    }
+
+    const result = await journal.undo();
+
+    expect(result.operations).toBe(1);
+    expect(result.reverted.map(entry => entry.path)).toEqual([files[2], files[1]]);
+    expect(files.map(filePath => existsSync(filePath))).toEqual([true, false, false]);
+  });
+
+  it('should keep at most maxEntries entries', async () => {
+    journal = new OperationJournal(journalDirectory, { maxEntries: 2 });
+
+    for (const name of ['a', 'b', 'c']) {
+      await journal.record({ type: 'write', path: `/${name}.js`, before: null, after: name });
+    }
+
+    expect(readdirSync(journalDirectory)).toHaveLength(2);
+    expect((await journal.list()).map(entry => entry.path)).toEqual(['/c.js', '/b.js']);
+  });
+
+  describe('FileSystemHandler integration', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = new FileSystemHandler({ workspaceRoot: workspace });
+    });
+
+    it('should journal writes, directories and deletions under the workspace', async () => {
+      const filePath = path.join(workspace, 'pages', 'user', 'list.vue');
+
+      await handler.runWithOperationContext({ tool: 'write_component' }, () =>
+        handler.writeFile(filePath, '<template />')
+      );
+      await handler.deleteFile(filePath);
+
+      const entries = await handler.listOperations();
+      expect(entries.map(entry => [entry.type, path.relative(workspace, entry.path)])).toEqual([
+        ['delete', 'pages/user/list.vue'],
+        ['write', 'pages/user/list.vue'],
+        ['mkdir', 'pages/user'],
+        ['mkdir', 'pages']
+      ]);
+      expect(entries[1].tool).toBe('write_component');
+
+      await handler.undoOperations({ count: 4 });
+      expect(existsSync(path.join(workspace, 'pages'))).toBe(false);
+    });
+
+    it('should not journal dry runs', async () => {
+      await handler.runDryRun(() => handler.writeFile(path.join(workspace, 'a.js'), 'a'));
+
+      expect(await handler.listOperations()).toEqual([]);
+    });
+
+    it('should be disabled without a workspace root', async () => {
+      await expect(new FileSystemHandler().listOperations()).rejects.toMatchObject({
+        code: 'INVALID_CONFIGURATION'
+      });
+    });
+  });
+});
@@ -1,12 +1,22 @@
 /**
- * Pseudo-AST Handler
+ * AST Handler
  *
- * Provides safe, structured injection of imports and array elements
- * without the full overhead of Babel/jscodeshift.
+ * Provides safe, structured injection of imports and array elements backed by
+ * a real JavaScript parser (@babel/parser). Target nodes are located on the
+ * syntax tree and the edit is applied at their exact source offsets, so code
+ * that is not touched keeps its original formatting and comments.
  */
 
+import { parse as babelParse } from '@babel/parser';
 import { logger } from '../utils/logger.js';
 import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+import { NON_CHILD_KEYS, walkAst } from '../utils/ast.js';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+// `import x from`, `import {`, `import * as`, `import './x'`, but not a package named `importer`
+const IMPORT_STATEMENT_PATTERN = /^import[\s{*'"]/;
+
+const OBJECT_OPERATIONS = ['insert', 'replace', 'remove'];
 
 export class ASTHandler {
   constructor(fileSystemHandler) {
@@ -16,78 +26,1909 @@ export class ASTHandler {
   /**
    * Safe import insertion
    * Inserts an import statement after the last existing import, or at the top of the file.
+   * Imports from a source that is already imported are merged or skipped.
+   * In `.vue` files the import goes into `<script setup>` when present, else `<script>`;
+   * `.scss` files accept `@import`, `@use` and `@forward` rules.
    */
   async insertImport(filePath, importStatement) {
     try {
-      const content = await this.fileSystemHandler.readFile(filePath);
+      const transform = this._isScssFile(filePath)
+        ? (source, options) => this.transformInsertScssImport(source, importStatement, options)
+        : (script, options) => this.transformInsertImport(script, importStatement, options);
+      const result = await this._modifyFile(filePath, transform, { preferSetup: true });
 
-      // If already imported, do nothing
-      const importSource = importStatement.match(/from\s+['"]([^'"]+)['"]/);
-      if (importSource && content.includes(importSource[1])) {
-        logger.debug(`Import from ${importSource[1]} already exists in ${filePath}`);
-        return true;
+      if (result.changed) {
+        logger.info(`Successfully inserted import into ${filePath}`);
+      } else {
+        logger.debug(`Import already satisfied in ${filePath}`);
+      }
+      return true;
+    } catch (error) {
+      if (error instanceof BalmSharedMCPError) {
+        throw error;
+      }
+      throw new BalmSharedMCPError(
+        ErrorCodes.FILE_OPERATION_FAILED,
+        `AST injection failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Expands a named array (e.g. `apis: []` or `export const routes = []`)
+   */
+  async expandArray(filePath, arrayName, newElement) {
+    try {
+      const result = await this._modifyFile(filePath, (script, options) =>
+        this.transformExpandArray(script, arrayName, newElement, options)
+      );
+
+      if (!result.found) {
+        logger.warn(`Could not find array ${arrayName} in ${filePath}`);
+        return false;
       }
 
-      const lines = content.split('\n');
-      let lastImportIndex = -1;
+      if (result.changed) {
+        logger.info(`Successfully expanded array ${arrayName} in ${filePath}`);
+      }
+      return true;
+    } catch (error) {
+      if (error instanceof BalmSharedMCPError) {
+        throw error;
+      }
+      throw new BalmSharedMCPError(
+        ErrorCodes.FILE_OPERATION_FAILED,
+        `AST array expansion failed: ${error.message}`
+      );
+    }
+  }
 
-      for (let i = 0; i < lines.length; i++) {
-        if (lines[i].startsWith('import ')) {
-          lastImportIndex = i;
+  /**
+   * Register a component in the `components: {}` option of a Vue SFC.
+   * Components imported in `<script setup>` are registered automatically,
+   * so setup-only files are left untouched.
+   */
+  async registerComponent(filePath, componentName) {
+    try {
+      if (this._isVueFile(filePath)) {
+        const content = await this.fileSystemHandler.readFile(filePath);
+        const blocks = this.splitSFC(content);
+        if (!this._findScriptBlock(blocks, { setup: false }) && this._findScriptBlock(blocks)) {
+          logger.debug(`${componentName} is auto-registered by <script setup> in ${filePath}`);
+          return true;
         }
       }
 
-      lines.splice(lastImportIndex + 1, 0, importStatement);
-      await this.fileSystemHandler.writeFile(filePath, lines.join('\n'));
+      const result = await this._modifyFile(
+        filePath,
+        (script, options) => this.transformRegisterComponent(script, componentName, options),
+        { setup: false }
+      );
+
+      if (!result.found) {
+        logger.warn(`Could not find a component definition in ${filePath}`);
+        return false;
+      }
 
-      logger.info(`Successfully inserted import into ${filePath}`);
+      if (result.changed) {
+        logger.info(`Successfully registered component ${componentName} in ${filePath}`);
+      }
       return true;
     } catch (error) {
+      if (error instanceof BalmSharedMCPError) {
+        throw error;
+      }
       throw new BalmSharedMCPError(
         ErrorCodes.FILE_OPERATION_FAILED,
-        `AST injection failed: ${error.message}`
+        `AST component registration failed: ${error.message}`
       );
     }
   }
 
   /**
-   * Expands a named array (e.g. `apis: []` or `export const routes = []`)
+   * Add a key to the object returned by a component's `data()` option
    */
-  async expandArray(filePath, arrayName, newElement) {
+  async addDataKey(filePath, key, value) {
     try {
-      let content = await this.fileSystemHandler.readFile(filePath);
+      const result = await this._modifyFile(
+        filePath,
+        (script, options) => this.transformAddDataKey(script, key, value, options),
+        { setup: false }
+      );
 
-      // Try to find array assignment: arrayName: [...] or arrayName = [...]
-      const regex = new RegExp(`(?:${arrayName}\\s*[:=]\\s*\\[)([^]*?)(?=\\])`);
-      const match = content.match(regex);
+      if (!result.found) {
+        logger.warn(`Could not find a component definition in ${filePath}`);
+        return false;
+      }
 
-      if (match) {
-        // Check if element already exists
-        if (match[1].includes(newElement)) {
-          return true;
-        }
+      if (result.changed) {
+        logger.info(`Successfully added data key ${key} in ${filePath}`);
+      }
+      return true;
+    } catch (error) {
+      if (error instanceof BalmSharedMCPError) {
+        throw error;
+      }
+      throw new BalmSharedMCPError(
+        ErrorCodes.FILE_OPERATION_FAILED,
+        `AST data injection failed: ${error.message}`
+      );
+    }
+  }
 
-        const innerContent = match[1].trim();
-        const separator = innerContent && !innerContent.endsWith(',') ? ',\n    ' : '\n    ';
-        const newInnerContent = innerContent
-          ? `${innerContent}${separator}${newElement}`
-          : `\n    ${newElement}`;
+  /**
+   * Insert, replace or remove a key of an object literal addressed by a dotted
+   * path such as `default.crud.list` (the last segment is the key)
+   */
+  async updateObjectProperty(filePath, propertyPath, operation, value) {
+    try {
+      const result = await this._modifyFile(filePath, (script, options) =>
+        this.transformUpdateObjectProperty(script, propertyPath, operation, value, options)
+      );
 
-        content = content.replace(
-          regex,
-          `${arrayName}${content.match(new RegExp(`${arrayName}\\s*[:=]`))[0].replace(arrayName, '')}[${newInnerContent}\n  `
-        );
-        await this.fileSystemHandler.writeFile(filePath, content);
-        return true;
+      if (!result.found) {
+        logger.warn(`Could not find object for ${propertyPath} in ${filePath}`);
+        return false;
       }
 
-      logger.warn(`Could not find array ${arrayName} in ${filePath}`);
-      return false;
+      if (result.changed) {
+        logger.info(`Successfully applied ${operation} on ${propertyPath} in ${filePath}`);
+      }
+      return true;
     } catch (error) {
+      if (error instanceof BalmSharedMCPError) {
+        throw error;
+      }
       throw new BalmSharedMCPError(
         ErrorCodes.FILE_OPERATION_FAILED,
-        `AST array expansion failed: ${error.message}`
+        `AST object update failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Remove an import, given either its source (`./user`) or an import statement.
+   * A statement with specifiers only removes those specifiers; the declaration
+   * goes away with its last specifier. `.scss` files remove matching rules.
+   */
+  async removeImport(filePath, importTarget) {
+    try {
+      const transform = this._isScssFile(filePath)
+        ? (source, options) => this.transformRemoveScssImport(source, importTarget, options)
+        : (script, options) => this.transformRemoveImport(script, importTarget, options);
+      const result = await this._modifyFile(filePath, transform, { preferSetup: true });
+
+      if (result.changed) {
+        logger.info(`Successfully removed import from ${filePath}`);
+      } else {
+        logger.debug(`Import not present in ${filePath}`);
+      }
+      return true;
+    } catch (error) {
+      if (error instanceof BalmSharedMCPError) {
+        throw error;
+      }
+      throw new BalmSharedMCPError(
+        ErrorCodes.FILE_OPERATION_FAILED,
+        `AST import removal failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Remove an element from a named array (the inverse of expandArray)
+   */
+  async removeArrayElement(filePath, arrayName, element) {
+    try {
+      const result = await this._modifyFile(filePath, (script, options) =>
+        this.transformRemoveArrayElement(script, arrayName, element, options)
+      );
+
+      if (!result.found) {
+        logger.warn(`Could not find array ${arrayName} in ${filePath}`);
+        return false;
+      }
+
+      if (result.changed) {
+        logger.info(`Successfully removed ${element} from array ${arrayName} in ${filePath}`);
+      }
+      return true;
+    } catch (error) {
+      if (error instanceof BalmSharedMCPError) {
+        throw error;
+      }
+      throw new BalmSharedMCPError(
+        ErrorCodes.FILE_OPERATION_FAILED,
+        `AST array element removal failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Rename a binding and every reference to it within a file
+   */
+  async renameIdentifier(filePath, oldName, newName) {
+    try {
+      const result = await this._modifyFile(filePath, (script, options) =>
+        this.transformRenameIdentifier(script, oldName, newName, options)
+      );
+
+      if (!result.found) {
+        logger.warn(`Could not find identifier ${oldName} in ${filePath}`);
+        return false;
+      }
+
+      if (result.changed) {
+        logger.info(`Successfully renamed ${oldName} to ${newName} in ${filePath}`);
+      }
+      return true;
+    } catch (error) {
+      if (error instanceof BalmSharedMCPError) {
+        throw error;
+      }
+      throw new BalmSharedMCPError(
+        ErrorCodes.FILE_OPERATION_FAILED,
+        `AST rename failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Read a file, apply a source transform (to the script block for `.vue`
+   * files) and write it back when the content changed
+   */
+  async _modifyFile(filePath, transform, scriptOptions = {}) {
+    const content = await this.fileSystemHandler.readFile(filePath);
+    const updated = this._isVueFile(filePath)
+      ? this.transformSFCScript(content, transform, { ...scriptOptions, filePath })
+      : transform(content, { filePath });
+
+    if (updated === null) {
+      return { found: false, changed: false };
+    }
+
+    const changed = updated !== content;
+    if (changed) {
+      await this.fileSystemHandler.writeFile(filePath, updated);
+    }
+
+    return { found: true, changed };
+  }
+
+  /**
+   * Insert an import statement into source code and return the new source
+   */
+  transformInsertImport(source, importStatement, options = {}) {
+    const ast = this.parse(source, options);
+    const newImports = this._parseImportStatement(importStatement, options);
+    const existingImports = ast.program.body.filter(node => node.type === 'ImportDeclaration');
+    const edits = [];
+    const pending = [];
+
+    for (const newImport of newImports) {
+      const importSource = newImport.source.value;
+      this._assertNoBindingConflict(existingImports, newImport);
+
+      const existing = existingImports.find(node => node.source.value === importSource);
+      if (!existing) {
+        pending.push(importStatement.slice(newImport.start, newImport.end));
+        continue;
+      }
+
+      const merge = this._mergeImportSpecifiers(source, existing, newImport);
+      if (merge === null) {
+        pending.push(importStatement.slice(newImport.start, newImport.end));
+      } else if (merge) {
+        edits.push(merge);
+      } else {
+        logger.debug(`Import from ${importSource} already exists`);
+      }
+    }
+
+    if (pending.length > 0) {
+      edits.push(this._createImportInsertion(source, ast, pending.join('\n')));
+    }
+
+    return this._applyEdits(source, edits, options);
+  }
+
+  /**
+   * Append an element to a named array and return the new source,
+   * or null when the array cannot be found
+   */
+  transformExpandArray(source, arrayName, newElement, options = {}) {
+    const ast = this.parse(source, options);
+    const arrayNode = this.findArray(ast, arrayName);
+
+    if (!arrayNode) {
+      return null;
+    }
+
+    const element = String(newElement).trim();
+    this._parseExpression(element, options);
+
+    const normalized = this._normalizeCode(element);
+    const exists = arrayNode.elements.some(
+      node => node && this._normalizeCode(source.slice(node.start, node.end)) === normalized
+    );
+    if (exists) {
+      logger.debug(`Element ${element} already exists in array ${arrayName}`);
+      return source;
+    }
+
+    const edit = this._createListInsertion(
+      source,
+      arrayNode.start,
+      arrayNode.end - 1,
+      arrayNode.elements.filter(Boolean),
+      element
+    );
+
+    return this._applyEdits(source, [edit], options);
+  }
+
+  /**
+   * Add a component to the `components` option of a component definition
+   * and return the new source, or null when no definition is found
+   */
+  transformRegisterComponent(source, componentName, options = {}) {
+    if (!IDENTIFIER_PATTERN.test(componentName || '')) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Component name must be a valid identifier: ${componentName}`
+      );
+    }
+
+    const ast = this.parse(source, options);
+    const component = this.findComponentObject(ast);
+    if (!component) {
+      return null;
+    }
+
+    const indentUnit = this._detectIndentUnit(source);
+    const components = this._findProperty(component, 'components');
+    let edit;
+
+    if (!components) {
+      edit = this._createPropertyInsertion(
+        source,
+        component,
+        `components: {\n${indentUnit}${componentName}\n}`,
+        ['name']
+      );
+    } else if (components.value.type !== 'ObjectExpression') {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        'The components option is not an object literal'
+      );
+    } else if (this._findProperty(components.value, componentName)) {
+      logger.debug(`Component ${componentName} is already registered`);
+      return source;
+    } else {
+      edit = this._createListInsertion(
+        source,
+        components.value.start,
+        components.value.end - 1,
+        components.value.properties,
+        componentName
+      );
+    }
+
+    return this._applyEdits(source, [edit], options);
+  }
+
+  /**
+   * Add a key to the object returned by `data()` and return the new source,
+   * or null when no component definition is found
+   */
+  transformAddDataKey(source, key, value, options = {}) {
+    if (!key || typeof key !== 'string') {
+      throw new BalmSharedMCPError(ErrorCodes.VALIDATION_FAILED, 'Data key must be a string');
+    }
+
+    const valueText = String(value).trim();
+    this._parseExpression(valueText, options);
+
+    const ast = this.parse(source, options);
+    const component = this.findComponentObject(ast);
+    if (!component) {
+      return null;
+    }
+
+    const keyText = IDENTIFIER_PATTERN.test(key) ? key : `'${key.replace(/'/g, "\\'")}'`;
+    const indentUnit = this._detectIndentUnit(source);
+    const dataProperty = this._findProperty(component, 'data');
+    let edit;
+
+    if (!dataProperty) {
+      const entry = `${keyText}: ${this._reindent(valueText, indentUnit.repeat(2))}`;
+      edit = this._createPropertyInsertion(
+        source,
+        component,
+        `data() {\n${indentUnit}return {\n${indentUnit.repeat(2)}${entry}\n${indentUnit}};\n}`,
+        ['name', 'components', 'mixins', 'props']
+      );
+    } else {
+      const returned = this._getReturnedObject(dataProperty);
+      if (!returned) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.VALIDATION_FAILED,
+          'Cannot locate the object literal returned by data()'
+        );
+      }
+      if (this._findProperty(returned, key)) {
+        logger.debug(`Data key ${key} already exists`);
+        return source;
+      }
+      edit = this._createListInsertion(
+        source,
+        returned.start,
+        returned.end - 1,
+        returned.properties,
+        `${keyText}: ${valueText}`
+      );
+    }
+
+    return this._applyEdits(source, [edit], options);
+  }
+
+  /**
+   * Insert, replace or remove an object property and return the new source,
+   * or null when the object addressed by the path cannot be found
+   */
+  transformUpdateObjectProperty(source, propertyPath, operation, value, options = {}) {
+    const segments = String(propertyPath || '')
+      .split('.')
+      .filter(Boolean);
+
+    if (segments.length < 2) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Property path must address a key inside an object, e.g. default.crud.list: ${propertyPath}`
+      );
+    }
+    if (!OBJECT_OPERATIONS.includes(operation)) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Invalid operation: ${operation}. Must be one of: ${OBJECT_OPERATIONS.join(', ')}`
+      );
+    }
+
+    const key = segments.pop();
+    const valueText = operation === 'remove' ? null : String(value ?? '').trim();
+    if (valueText !== null) {
+      if (!valueText) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.VALIDATION_FAILED,
+          `A value is required for the ${operation} operation`
+        );
+      }
+      this._parseExpression(valueText, options);
+    }
+
+    const ast = this.parse(source, options);
+    const target = this.resolvePath(ast, segments);
+    if (!target) {
+      return null;
+    }
+    if (target.type !== 'ObjectExpression') {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `${segments.join('.')} is not an object literal`,
+        { nodeType: target.type }
+      );
+    }
+
+    const property = this._findProperty(target, key);
+    const keyText = IDENTIFIER_PATTERN.test(key) ? key : `'${key.replace(/'/g, "\\'")}'`;
+    let edit;
+
+    if (operation === 'remove') {
+      if (!property) {
+        logger.debug(`Property ${propertyPath} does not exist`);
+        return source;
+      }
+      edit = this._createListRemoval(
+        source,
+        target.start,
+        target.end - 1,
+        target.properties,
+        target.properties.indexOf(property)
+      );
+    } else if (operation === 'insert') {
+      if (property) {
+        const current = property.value
+          ? source.slice(property.value.start, property.value.end)
+          : null;
+        if (current !== null && this._normalizeCode(current) === this._normalizeCode(valueText)) {
+          return source;
+        }
+        throw new BalmSharedMCPError(
+          ErrorCodes.VALIDATION_FAILED,
+          `Property ${propertyPath} already exists, use the replace operation instead`
+        );
+      }
+      edit = this._createListInsertion(
+        source,
+        target.start,
+        target.end - 1,
+        target.properties,
+        `${keyText}: ${valueText}`
+      );
+    } else {
+      if (!property) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.VALIDATION_FAILED,
+          `Property ${propertyPath} does not exist, use the insert operation instead`
+        );
+      }
+
+      const itemIndent = this._getLineIndent(source, property.start);
+      const replacement = this._reindent(valueText, itemIndent);
+      edit =
+        property.type === 'ObjectProperty' && !property.shorthand
+          ? { start: property.value.start, end: property.value.end, text: replacement }
+          : { start: property.start, end: property.end, text: `${keyText}: ${replacement}` };
+    }
+
+    return this._applyEdits(source, [edit], options);
+  }
+
+  /**
+   * Remove an import (by source or statement) and return the new source
+   */
+  transformRemoveImport(source, importTarget, options = {}) {
+    const target = String(importTarget || '').trim();
+    if (!target) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        'An import source or statement is required'
+      );
+    }
+
+    const toRequest = node => ({
+      source: node.source.value,
+      names: node.specifiers.map(specifier => specifier.local.name)
+    });
+    const requests = IMPORT_STATEMENT_PATTERN.test(target)
+      ? this._parseImportStatement(target, options).map(toRequest)
+      : [{ source: target.replace(/^['"]|['"]$/g, ''), names: [] }];
+
+    let result = source;
+    for (const request of requests) {
+      // One edit at a time: each removal changes the offsets of the next
+      let edit;
+      while ((edit = this._createImportRemoval(result, request, options))) {
+        result = this._applyEdits(result, [edit], options);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove an element from a named array and return the new source,
+   * or null when the array cannot be found
+   */
+  transformRemoveArrayElement(source, arrayName, element, options = {}) {
+    const ast = this.parse(source, options);
+    const arrayNode = this.findArray(ast, arrayName);
+
+    if (!arrayNode) {
+      return null;
+    }
+
+    const normalized = this._normalizeCode(String(element || ''));
+    const items = arrayNode.elements.filter(Boolean);
+    const index = items.findIndex(node => {
+      const code = this._normalizeCode(source.slice(node.start, node.end));
+      return code === normalized || code === `...${normalized}`;
+    });
+
+    if (index === -1) {
+      logger.debug(`Element ${element} not found in array ${arrayName}`);
+      return source;
+    }
+
+    const edit = this._createListRemoval(source, arrayNode.start, arrayNode.end - 1, items, index);
+    return this._applyEdits(source, [edit], options);
+  }
+
+  /**
+   * Rename a binding and its references and return the new source, or null when
+   * the name does not occur. Property keys and imported/exported names are kept,
+   * so `{ a }` becomes `{ a: b }` and `import { a }` becomes `import { a as b }`.
+   */
+  transformRenameIdentifier(source, oldName, newName, options = {}) {
+    for (const name of [oldName, newName]) {
+      if (!IDENTIFIER_PATTERN.test(name || '')) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.VALIDATION_FAILED,
+          `Not a valid identifier: ${name}`
+        );
+      }
+    }
+
+    const ast = this.parse(source, options);
+    const { references, bindings } = this._collectReferences(ast, oldName);
+
+    if (references.length === 0) {
+      return null;
+    }
+    if (oldName === newName) {
+      return source;
+    }
+    if (bindings > 1) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `'${oldName}' is declared in more than one scope; rename it manually`,
+        { bindings }
+      );
+    }
+    if (this._collectReferences(ast, newName).references.length > 0) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `'${newName}' is already used in this file`
       );
     }
+
+    const edits = references.map(({ node, kind }) => {
+      switch (kind) {
+        case 'shorthand-property':
+          return { start: node.end, end: node.end, text: `: ${newName}` };
+        case 'shorthand-import':
+          return { start: node.end, end: node.end, text: ` as ${newName}` };
+        case 'shorthand-export':
+          return { start: node.start, end: node.start, text: `${newName} as ` };
+        default:
+          return { start: node.start, end: node.end, text: newName };
+      }
+    });
+
+    return this._applyEdits(source, edits, options);
+  }
+
+  /**
+   * Resolve a dotted path to a node. The first segment is `default` (the default
+   * export) or a variable name; the following ones are object keys or array indexes.
+   * Call expressions such as `defineComponent({})` resolve to their object argument.
+   */
+  resolvePath(ast, segments) {
+    const [root, ...rest] = segments;
+    let node = null;
+
+    if (root === 'default') {
+      node =
+        ast.program.body.find(item => item.type === 'ExportDefaultDeclaration')?.declaration ||
+        null;
+    } else {
+      walkAst(ast.program, item => {
+        if (item.type === 'VariableDeclarator' && item.id.name === root) {
+          node = item.init;
+          return true;
+        }
+        return false;
+      });
+    }
+
+    for (const segment of rest) {
+      node = this._unwrapCall(node);
+      if (!node) {
+        return null;
+      }
+
+      if (node.type === 'ObjectExpression') {
+        const property = this._findProperty(node, segment);
+        node = property?.type === 'ObjectProperty' ? property.value : null;
+      } else if (node.type === 'ArrayExpression' && /^\d+$/.test(segment)) {
+        node = node.elements[Number(segment)] || null;
+      } else {
+        return null;
+      }
+    }
+
+    return this._unwrapCall(node);
+  }
+
+  /**
+   * Split a Vue single-file component into its top-level blocks.
+   * Offsets refer to the original source so blocks can be edited in place.
+   */
+  splitSFC(source) {
+    const blocks = [];
+    const openTag = /<!--[\s\S]*?-->|<(template|script|style)(\s[^>]*)?>/g;
+    let match;
+
+    while ((match = openTag.exec(source))) {
+      const [tag, type, attrs = ''] = match;
+      if (!type) {
+        continue;
+      }
+
+      const contentStart = match.index + tag.length;
+      const contentEnd =
+        type === 'template'
+          ? this._findTemplateEnd(source, contentStart)
+          : source.indexOf(`</${type}`, contentStart);
+
+      if (contentEnd === -1) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.VALIDATION_FAILED,
+          `Unclosed <${type}> block in single-file component`
+        );
+      }
+
+      const end = source.indexOf('>', contentEnd) + 1;
+      blocks.push({
+        type,
+        attrs: this._parseAttributes(attrs),
+        start: match.index,
+        end,
+        contentStart,
+        contentEnd
+      });
+      openTag.lastIndex = end;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Apply a transform to the `<script>` block of a Vue SFC and reassemble the file.
+   * `preferSetup` targets `<script setup>` when present; `setup: false` only
+   * accepts a regular `<script>` block.
+   */
+  transformSFCScript(source, transform, options = {}) {
+    const blocks = this.splitSFC(source);
+    const block = options.preferSetup
+      ? this._findScriptBlock(blocks, { setup: true }) || this._findScriptBlock(blocks)
+      : this._findScriptBlock(blocks, { setup: options.setup });
+
+    if (!block) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `No ${options.setup === false ? '<script>' : 'script'} block found in ${options.filePath || 'component'}`
+      );
+    }
+
+    const script = source.slice(block.contentStart, block.contentEnd);
+    const updated = transform(script, { filePath: options.filePath, lang: block.attrs.lang });
+
+    if (updated === null) {
+      return null;
+    }
+
+    return source.slice(0, block.contentStart) + updated + source.slice(block.contentEnd);
+  }
+
+  /**
+   * Find the options object of a component: `export default {}`
+   * or `export default defineComponent({})`
+   */
+  findComponentObject(ast) {
+    const exportDefault = ast.program.body.find(node => node.type === 'ExportDefaultDeclaration');
+    if (!exportDefault) {
+      return null;
+    }
+
+    const { declaration } = exportDefault;
+    if (declaration.type === 'ObjectExpression') {
+      return declaration;
+    }
+    if (
+      declaration.type === 'CallExpression' &&
+      declaration.arguments[0]?.type === 'ObjectExpression'
+    ) {
+      return declaration.arguments[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Insert `@import`, `@use` or `@forward` rules into SCSS source and return the new source.
+   * Rules are deduplicated by resolved partial name (`_foo.scss` equals `foo`) and
+   * placed alphabetically when the existing rules are sorted, otherwise after them.
+   */
+  transformInsertScssImport(source, statement, _options = {}) {
+    const newRules = this._scanScssRules(String(statement || ''));
+    const leftover = newRules
+      .reduceRight(
+        (text, rule) => text.slice(0, rule.start) + text.slice(rule.end),
+        statement || ''
+      )
+      .replace(/\/\/.*$|\/\*[\s\S]*?\*\//gm, '')
+      .trim();
+
+    if (newRules.length === 0 || leftover) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Not a valid SCSS @import, @use or @forward rule: ${statement}`
+      );
+    }
+
+    let result = source;
+    for (const newRule of newRules) {
+      const existingRules = this._scanScssRules(result);
+      const loaded = new Set(
+        existingRules
+          .filter(rule => rule.type === newRule.type)
+          .flatMap(rule => rule.paths.map(item => this._resolveScssPartial(item.value)))
+      );
+      const missing = newRule.paths.filter(
+        item => !loaded.has(this._resolveScssPartial(item.value))
+      );
+
+      if (missing.length === 0) {
+        logger.debug(`SCSS ${newRule.type} of ${newRule.paths[0].value} already exists`);
+        continue;
+      }
+
+      const text =
+        missing.length === newRule.paths.length
+          ? newRule.text
+          : `@import ${missing.map(item => item.raw).join(', ')};`;
+      const edit = this._createScssRuleInsertion(
+        result,
+        existingRules,
+        newRule.type,
+        text,
+        missing
+      );
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove SCSS rules loading a partial (given as a rule or a load path)
+   * and return the new source
+   */
+  transformRemoveScssImport(source, target, _options = {}) {
+    const text = String(target || '').trim();
+    const rules = text.startsWith('@') ? this._scanScssRules(text) : [];
+    const requested = rules.length
+      ? rules.flatMap(rule => rule.paths.map(item => ({ type: rule.type, value: item.value })))
+      : [{ type: null, value: text.replace(/^['"]|['"]$/g, '') }];
+
+    if (!requested[0].value) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        'An SCSS rule or load path is required'
+      );
+    }
+
+    let result = source;
+    for (const { type, value } of requested) {
+      const resolved = this._resolveScssPartial(value);
+      const rule = this._scanScssRules(result).find(
+        item =>
+          (!type || item.type === type) &&
+          item.paths.some(loadPath => this._resolveScssPartial(loadPath.value) === resolved)
+      );
+
+      if (!rule) {
+        continue;
+      }
+
+      const remaining = rule.paths.filter(
+        loadPath => this._resolveScssPartial(loadPath.value) !== resolved
+      );
+      if (remaining.length > 0) {
+        const replacement = `@${rule.type} ${remaining.map(item => item.raw).join(', ')};`;
+        result = result.slice(0, rule.start) + replacement + result.slice(rule.end);
+      } else {
+        const { start, end } = this._getStatementLineRange(result, rule.start, rule.end);
+        result = result.slice(0, start) + result.slice(end);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse JavaScript source into a Babel AST
+   */
+  parse(source, options = {}) {
+    const isTypeScript =
+      ['ts', 'tsx'].includes(options.lang) || /\.tsx?$/.test(options.filePath || '');
+    const plugins = isTypeScript ? ['typescript'] : ['jsx'];
+
+    try {
+      return babelParse(source, {
+        sourceType: 'module',
+        allowImportExportEverywhere: true,
+        allowReturnOutsideFunction: true,
+        errorRecovery: false,
+        plugins
+      });
+    } catch (error) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.FILE_OPERATION_FAILED,
+        `Failed to parse ${options.filePath || 'source'}: ${error.message}`,
+        { filePath: options.filePath, loc: error.loc }
+      );
+    }
+  }
+
+  /**
+   * Find the array literal bound to a name.
+   * Supports `name = [...]`, `name: [...]`, `const name = [...]`
+   * and `export default [...]` (via the name `default`).
+   */
+  findArray(ast, arrayName) {
+    let found = null;
+
+    walkAst(ast.program, node => {
+      const value = this._getBoundValue(node, arrayName);
+      if (value && value.type === 'ArrayExpression') {
+        found = value;
+        return true;
+      }
+      return false;
+    });
+
+    return found;
+  }
+
+  /**
+   * Return the value node bound to `name` by a declaration, property or assignment
+   */
+  _getBoundValue(node, name) {
+    switch (node.type) {
+      case 'VariableDeclarator':
+        return node.id.type === 'Identifier' && node.id.name === name ? node.init : null;
+      case 'ObjectProperty':
+        return this._getPropertyName(node) === name ? node.value : null;
+      case 'AssignmentExpression': {
+        const { left } = node;
+        if (left.type === 'Identifier' && left.name === name) {
+          return node.right;
+        }
+        if (left.type === 'MemberExpression' && this._getPropertyName(left) === name) {
+          return node.right;
+        }
+        return null;
+      }
+      case 'ExportDefaultDeclaration':
+        return name === 'default' ? node.declaration : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the static name of an object property or member expression
+   */
+  _getPropertyName(node) {
+    const key = node.type === 'MemberExpression' ? node.property : node.key;
+    if (!key) {
+      return null;
+    }
+    if (node.computed && key.type !== 'StringLiteral') {
+      return null;
+    }
+    if (key.type === 'Identifier') {
+      return key.name;
+    }
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') {
+      return String(key.value);
+    }
+    return null;
+  }
+
+  /**
+   * Find a property of an object literal by its static name
+   */
+  _findProperty(objectNode, name) {
+    return (
+      objectNode.properties.find(
+        property =>
+          (property.type === 'ObjectProperty' || property.type === 'ObjectMethod') &&
+          this._getPropertyName(property) === name
+      ) || null
+    );
+  }
+
+  /**
+   * Resolve `fn({...})` to its first object literal argument
+   */
+  _unwrapCall(node) {
+    if (node?.type === 'CallExpression') {
+      return node.arguments.find(arg => arg.type === 'ObjectExpression') || node;
+    }
+    return node;
+  }
+
+  /**
+   * Get the object literal returned by a function-valued property such as `data`
+   */
+  _getReturnedObject(property) {
+    const fn = property.type === 'ObjectMethod' ? property : property.value;
+    if (
+      !fn ||
+      !['ObjectMethod', 'FunctionExpression', 'ArrowFunctionExpression'].includes(fn.type)
+    ) {
+      return null;
+    }
+
+    if (fn.body.type === 'ObjectExpression') {
+      return fn.body;
+    }
+
+    const returnStatement = fn.body.body?.find(node => node.type === 'ReturnStatement');
+    return returnStatement?.argument?.type === 'ObjectExpression' ? returnStatement.argument : null;
+  }
+
+  /**
+   * Build the edit that adds a property to an object literal, placed after the
+   * last of the anchor properties present, or first when none is present
+   */
+  _createPropertyInsertion(source, objectNode, text, anchorNames) {
+    const anchors = objectNode.properties.filter(property =>
+      anchorNames.includes(this._getPropertyName(property))
+    );
+    const after = anchors[anchors.length - 1];
+
+    return this._createListInsertion(
+      source,
+      objectNode.start,
+      objectNode.end - 1,
+      objectNode.properties,
+      text,
+      after ? { after } : { atStart: true }
+    );
+  }
+
+  /**
+   * Find top-level `@import`, `@use` and `@forward` rules, skipping comments and strings
+   */
+  _scanScssRules(source) {
+    const rules = [];
+    let depth = 0;
+    let index = 0;
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (source.startsWith('//', index)) {
+        const newline = source.indexOf('\n', index);
+        index = newline === -1 ? source.length : newline;
+      } else if (source.startsWith('/*', index)) {
+        const close = source.indexOf('*/', index + 2);
+        index = close === -1 ? source.length : close + 2;
+      } else if (char === '"' || char === "'") {
+        index = this._skipString(source, index);
+      } else if (char === '{') {
+        depth++;
+        index++;
+      } else if (char === '}') {
+        depth = Math.max(0, depth - 1);
+        index++;
+      } else if (depth === 0 && char === '@') {
+        const match = source.slice(index).match(/^@(import|use|forward)\b/);
+        if (!match) {
+          index++;
+          continue;
+        }
+
+        let end = index + match[0].length;
+        while (end < source.length && source[end] !== ';' && source[end] !== '\n') {
+          end =
+            source[end] === '"' || source[end] === "'" ? this._skipString(source, end) : end + 1;
+        }
+        if (source[end] === ';') {
+          end++;
+        }
+
+        const text = source.slice(index, end);
+        const paths = [...text.matchAll(/(["'])(.*?)\1/g)].map(([raw, , value]) => ({
+          raw,
+          value
+        }));
+        if (paths.length > 0) {
+          rules.push({ type: match[1], start: index, end, text, paths });
+        }
+        index = end;
+      } else {
+        index++;
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * Return the index just past a quoted string starting at `position`
+   */
+  _skipString(source, position) {
+    const quote = source[position];
+    let index = position + 1;
+
+    while (index < source.length && source[index] !== quote && source[index] !== '\n') {
+      index += source[index] === '\\' ? 2 : 1;
+    }
+
+    return index + 1;
+  }
+
+  /**
+   * Normalize a Sass load path: `./pages/_foo.scss`, `pages/foo` and
+   * `pages/foo/_index.scss` all resolve to `pages/foo`
+   */
+  _resolveScssPartial(loadPath) {
+    const segments = loadPath
+      .replace(/^\.\//, '')
+      .replace(/\.(scss|sass|css)$/, '')
+      .split('/');
+    const basename = segments.pop().replace(/^_/, '');
+
+    if (basename === 'index' && segments.length > 0) {
+      return segments.join('/');
+    }
+
+    return [...segments, basename].join('/');
+  }
+
+  /**
+   * Build the edit that places a new SCSS rule among the existing ones
+   */
+  _createScssRuleInsertion(source, rules, type, text, paths) {
+    const peers = rules.filter(rule => rule.type === type);
+    const sortKey = rule => this._resolveScssPartial(rule.paths[0].value).toLowerCase();
+
+    if (
+      peers.length >= 2 &&
+      peers.every((rule, i) => i === 0 || sortKey(peers[i - 1]) <= sortKey(rule))
+    ) {
+      const key = this._resolveScssPartial(paths[0].value).toLowerCase();
+      const next = peers.find(rule => sortKey(rule) > key);
+      if (next) {
+        const lineStart = source.lastIndexOf('\n', next.start - 1) + 1;
+        const indent = this._getLineIndent(source, next.start);
+        return { start: lineStart, end: lineStart, text: `${indent}${text}\n` };
+      }
+    }
+
+    // Module rules must precede other rules, so they anchor on each other
+    const anchors = peers.length > 0 || type === 'import' ? peers : rules;
+    const fallbackAnchors = type === 'import' ? rules : [];
+    const anchor = anchors[anchors.length - 1] || fallbackAnchors[fallbackAnchors.length - 1];
+
+    if (anchor) {
+      const position = this._skipLineTail(source, anchor.end).end;
+      return {
+        start: position,
+        end: position,
+        text: `\n${this._getLineIndent(source, anchor.start)}${text}`
+      };
+    }
+
+    if (type !== 'import') {
+      let firstCode = this._skipScssComments(source);
+      if (source.startsWith('@charset', firstCode)) {
+        firstCode = this._skipLineTail(source, source.indexOf(';', firstCode) + 1).end + 1;
+      }
+      if (firstCode < source.length) {
+        const lineStart = source.lastIndexOf('\n', firstCode - 1) + 1;
+        return { start: lineStart, end: lineStart, text: `${text}\n` };
+      }
+    }
+
+    const trimmedEnd = source.trimEnd().length;
+    const prefix = trimmedEnd > 0 ? '\n' : '';
+    return { start: trimmedEnd, end: source.length, text: `${prefix}${text}\n` };
+  }
+
+  /**
+   * Return the offset of the first character that is not whitespace or a comment
+   */
+  _skipScssComments(source) {
+    let index = 0;
+
+    while (index < source.length) {
+      if (/\s/.test(source[index])) {
+        index++;
+      } else if (source.startsWith('//', index)) {
+        const newline = source.indexOf('\n', index);
+        index = newline === -1 ? source.length : newline;
+      } else if (source.startsWith('/*', index)) {
+        const close = source.indexOf('*/', index + 2);
+        index = close === -1 ? source.length : close + 2;
+      } else {
+        break;
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Check whether a path points to an SCSS stylesheet
+   */
+  _isScssFile(filePath) {
+    return typeof filePath === 'string' && filePath.endsWith('.scss');
+  }
+
+  /**
+   * Check whether a path points to a Vue single-file component
+   */
+  _isVueFile(filePath) {
+    return typeof filePath === 'string' && filePath.endsWith('.vue');
+  }
+
+  /**
+   * Find a script block; `setup` selects `<script setup>` (true), a regular
+   * `<script>` (false) or either (undefined)
+   */
+  _findScriptBlock(blocks, { setup } = {}) {
+    return (
+      blocks.find(
+        block => block.type === 'script' && (setup === undefined || !!block.attrs.setup === setup)
+      ) || null
+    );
+  }
+
+  /**
+   * Find the offset of the `</template>` closing the root template,
+   * accounting for nested `<template>` tags
+   */
+  _findTemplateEnd(source, position) {
+    const tag = /<template(\s[^>]*)?>|<\/template\s*>/g;
+    tag.lastIndex = position;
+    let depth = 1;
+    let match;
+
+    while ((match = tag.exec(source))) {
+      if (match[0].startsWith('</')) {
+        depth--;
+        if (depth === 0) {
+          return match.index;
+        }
+      } else if (!match[0].endsWith('/>')) {
+        depth++;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Parse the attributes of a block's opening tag
+   */
+  _parseAttributes(attrString) {
+    const attrs = {};
+    const attr = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = attr.exec(attrString))) {
+      const [, name, doubleQuoted, singleQuoted, unquoted] = match;
+      attrs[name] = doubleQuoted ?? singleQuoted ?? unquoted ?? true;
+    }
+
+    return attrs;
+  }
+
+  /**
+   * Parse one or more import declarations
+   */
+  _parseImportStatement(importStatement, options) {
+    if (!importStatement || typeof importStatement !== 'string') {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        'importStatement must be a non-empty string'
+      );
+    }
+
+    let body;
+    try {
+      ({ body } = this.parse(importStatement, { filePath: options.filePath }).program);
+    } catch (error) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Not a valid import statement: ${importStatement}`,
+        { parseError: error.message }
+      );
+    }
+
+    if (body.length === 0 || body.some(node => node.type !== 'ImportDeclaration')) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Not a valid import statement: ${importStatement}`
+      );
+    }
+
+    return body;
+  }
+
+  /**
+   * Parse a single expression, used to validate injected array elements
+   */
+  _parseExpression(expression, options) {
+    let body;
+    try {
+      ({ body } = this.parse(`(${expression}\n);`, { filePath: options.filePath }).program);
+    } catch (error) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Not a valid expression: ${expression}`,
+        { parseError: error.message }
+      );
+    }
+
+    if (body.length !== 1 || body[0].type !== 'ExpressionStatement') {
+      throw new BalmSharedMCPError(
+        ErrorCodes.VALIDATION_FAILED,
+        `Not a valid expression: ${expression}`
+      );
+    }
+
+    return body[0].expression;
+  }
+
+  /**
+   * Refuse imports that would redeclare a binding imported from another source
+   */
+  _assertNoBindingConflict(existingImports, newImport) {
+    for (const specifier of newImport.specifiers) {
+      const localName = specifier.local.name;
+      const conflict = existingImports.find(
+        node =>
+          node.source.value !== newImport.source.value &&
+          node.specifiers.some(existing => existing.local.name === localName)
+      );
+
+      if (conflict) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.VALIDATION_FAILED,
+          `Binding '${localName}' is already imported from '${conflict.source.value}'`,
+          { localName, source: conflict.source.value }
+        );
+      }
+    }
+  }
+
+  /**
+   * Merge missing specifiers into an existing import from the same source.
+   * Returns an edit, false when nothing is missing, or null when the
+   * declarations cannot be merged and a separate import is required.
+   */
+  _mergeImportSpecifiers(source, existing, newImport) {
+    const existingNames = new Set(existing.specifiers.map(specifier => specifier.local.name));
+    const missing = newImport.specifiers.filter(
+      specifier => !existingNames.has(specifier.local.name)
+    );
+
+    if (missing.length === 0) {
+      return false;
+    }
+
+    if (missing.some(specifier => specifier.type !== 'ImportSpecifier')) {
+      return null;
+    }
+    if (existing.specifiers.some(specifier => specifier.type === 'ImportNamespaceSpecifier')) {
+      return null;
+    }
+
+    const missingText = missing.map(specifier => this._printSpecifier(specifier));
+    const named = existing.specifiers.filter(specifier => specifier.type === 'ImportSpecifier');
+
+    if (named.length > 0) {
+      const open = source.lastIndexOf('{', named[0].start);
+      const close = source.indexOf('}', named[named.length - 1].end);
+      return this._createListInsertion(source, open, close, named, missingText.join(', '));
+    }
+
+    const [defaultSpecifier] = existing.specifiers;
+    if (!defaultSpecifier) {
+      return null;
+    }
+
+    return {
+      start: defaultSpecifier.end,
+      end: defaultSpecifier.end,
+      text: `, { ${missingText.join(', ')} }`
+    };
+  }
+
+  /**
+   * Print a named import specifier
+   */
+  _printSpecifier(specifier) {
+    const imported =
+      specifier.imported.type === 'StringLiteral'
+        ? `'${specifier.imported.value}'`
+        : specifier.imported.name;
+    return imported === specifier.local.name ? imported : `${imported} as ${specifier.local.name}`;
+  }
+
+  /**
+   * Build the edit that inserts new import declarations after the last import,
+   * or before the first statement (after any hashbang or directives)
+   */
+  _createImportInsertion(source, ast, text) {
+    const { program } = ast;
+    const imports = program.body.filter(node => node.type === 'ImportDeclaration');
+
+    if (imports.length > 0) {
+      const position = this._skipLineTail(source, imports[imports.length - 1].end).end;
+      return { start: position, end: position, text: `\n${text}` };
+    }
+
+    const anchors = [program.interpreter, ...program.directives].filter(Boolean);
+    if (anchors.length > 0) {
+      const position = this._skipLineTail(source, anchors[anchors.length - 1].end).end;
+      return { start: position, end: position, text: `\n${text}` };
+    }
+
+    // Start of the first non-blank line, so a script block's leading newline is kept
+    const firstCode = source.length - source.trimStart().length;
+    const position = source.lastIndexOf('\n', firstCode - 1) + 1;
+    const separator = source.trim().length > 0 ? '\n' : '';
+    return { start: position, end: position, text: `${text}\n${separator}` };
+  }
+
+  /**
+   * Build the edit that adds an item to a bracketed, comma separated list
+   * (array elements, object properties or import specifiers), following the
+   * list's existing layout. Appends by default; `options.after` inserts after
+   * a given item and `options.atStart` before the first one.
+   */
+  _createListInsertion(source, openPos, closePos, items, text, options = {}) {
+    const indentUnit = this._detectIndentUnit(source);
+
+    if (items.length === 0) {
+      const inner = source.slice(openPos + 1, closePos);
+      const baseIndent = this._getLineIndent(source, openPos);
+      const itemIndent = baseIndent + indentUnit;
+
+      if (inner.trim() === '') {
+        return {
+          start: openPos + 1,
+          end: closePos,
+          text: `\n${itemIndent}${this._reindent(text, itemIndent)}\n${baseIndent}`
+        };
+      }
+
+      // Only comments inside: keep them and add the item before the closing bracket
+      const lineStart = source.lastIndexOf('\n', closePos - 1);
+      const closingOnOwnLine =
+        lineStart > openPos && source.slice(lineStart, closePos).trim() === '';
+      const position = closingOnOwnLine ? lineStart : closePos;
+      return {
+        start: position,
+        end: position,
+        text: `\n${itemIndent}${this._reindent(text, itemIndent)}${closingOnOwnLine ? '' : '\n'}`
+      };
+    }
+
+    const multiline = source.slice(openPos, items[0].start).includes('\n');
+
+    if (options.atStart) {
+      const [firstItem] = items;
+      if (!multiline) {
+        return { start: firstItem.start, end: firstItem.start, text: `${text}, ` };
+      }
+      const itemIndent = this._getLineIndent(source, firstItem.start);
+      const lineStart = source.lastIndexOf('\n', firstItem.start - 1) + 1;
+      return {
+        start: lineStart,
+        end: lineStart,
+        text: `${itemIndent}${this._reindent(text, itemIndent)},\n`
+      };
+    }
+
+    const lastItem = options.after || items[items.length - 1];
+    const tail = this._skipLineTail(source, lastItem.end);
+
+    if (!multiline) {
+      const position = tail.comma === -1 ? lastItem.end : tail.comma + 1;
+      const prefix = tail.comma === -1 ? ', ' : ' ';
+      const suffix = tail.comma === -1 ? '' : ',';
+      return { start: position, end: position, text: `${prefix}${text}${suffix}` };
+    }
+
+    const itemIndent = this._getLineIndent(source, lastItem.start);
+    const itemText = `\n${itemIndent}${this._reindent(text, itemIndent)}`;
+
+    if (tail.comma !== -1) {
+      return { start: tail.end, end: tail.end, text: `${itemText},` };
+    }
+    if (tail.end === lastItem.end) {
+      return { start: lastItem.end, end: lastItem.end, text: `,${itemText}` };
+    }
+
+    // Keep a trailing line comment attached to the element it follows
+    return {
+      compound: [
+        { start: lastItem.end, end: lastItem.end, text: ',' },
+        { start: tail.end, end: tail.end, text: itemText }
+      ]
+    };
+  }
+
+  /**
+   * Build the next edit removing (part of) an import declaration, or null when done
+   */
+  _createImportRemoval(source, request, options) {
+    const ast = this.parse(source, options);
+    const declaration = ast.program.body.find(
+      node =>
+        node.type === 'ImportDeclaration' &&
+        node.source.value === request.source &&
+        (request.names.length === 0 ||
+          node.specifiers.some(specifier => request.names.includes(specifier.local.name)))
+    );
+
+    if (!declaration) {
+      return null;
+    }
+
+    const remaining = declaration.specifiers.filter(
+      specifier => !request.names.includes(specifier.local.name)
+    );
+
+    if (request.names.length === 0 || remaining.length === 0) {
+      const { start, end } = this._getStatementLineRange(
+        source,
+        declaration.start,
+        declaration.end
+      );
+      return { start, end, text: '' };
+    }
+
+    const named = declaration.specifiers.filter(specifier => specifier.type === 'ImportSpecifier');
+    const removable = named.find(specifier => request.names.includes(specifier.local.name));
+    if (removable && named.length > 1) {
+      return this._createListRemoval(
+        source,
+        source.lastIndexOf('{', named[0].start),
+        source.indexOf('}', named[named.length - 1].end),
+        named,
+        named.indexOf(removable)
+      );
+    }
+
+    // Default/namespace changes or the last named specifier: rebuild the clause
+    const [first] = remaining;
+    const remainingNamed = remaining.filter(specifier => specifier.type === 'ImportSpecifier');
+    const clause = [
+      first.type !== 'ImportSpecifier' ? source.slice(first.start, first.end) : null,
+      remainingNamed.length
+        ? `{ ${remainingNamed.map(specifier => source.slice(specifier.start, specifier.end)).join(', ')} }`
+        : null
+    ]
+      .filter(Boolean)
+      .join(', ');
+
+    return {
+      start: declaration.specifiers[0].start,
+      end: source.indexOf('from', declaration.specifiers[declaration.specifiers.length - 1].end),
+      text: `${clause} `
+    };
+  }
+
+  /**
+   * Range covering a statement, its trailing comment and its line break
+   * when the statement sits on its own line(s)
+   */
+  _getStatementLineRange(source, start, end) {
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    const tail = this._skipLineTail(source, end).end;
+    const ownLine =
+      source.slice(lineStart, start).trim() === '' &&
+      (tail === source.length || source[tail] === '\n');
+
+    if (!ownLine) {
+      return { start, end: tail };
+    }
+
+    return { start: lineStart, end: tail < source.length ? tail + 1 : tail };
+  }
+
+  /**
+   * Collect the identifiers referring to `name` and count its declarations
+   */
+  _collectReferences(ast, name) {
+    const references = [];
+    let bindings = 0;
+
+    const countBinding = pattern => {
+      if (this._collectPatternNames(pattern).includes(name)) {
+        bindings++;
+      }
+    };
+
+    const visit = (node, parent, key) => {
+      if (!node || typeof node.type !== 'string') {
+        return;
+      }
+
+      switch (node.type) {
+        case 'VariableDeclarator':
+          countBinding(node.id);
+          break;
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+        case 'ObjectMethod':
+        case 'ClassMethod':
+          if (node.type === 'FunctionDeclaration' && node.id) {
+            countBinding(node.id);
+          }
+          node.params.forEach(countBinding);
+          break;
+        case 'ClassDeclaration':
+          if (node.id) {
+            countBinding(node.id);
+          }
+          break;
+        case 'CatchClause':
+          if (node.param) {
+            countBinding(node.param);
+          }
+          break;
+        case 'ImportDefaultSpecifier':
+        case 'ImportNamespaceSpecifier':
+          countBinding(node.local);
+          break;
+        case 'ImportSpecifier':
+          countBinding(node.local);
+          if (node.local.name === name) {
+            const shorthand = node.imported.start === node.local.start;
+            references.push({ node: node.local, kind: shorthand ? 'shorthand-import' : 'local' });
+          }
+          return;
+        case 'ExportSpecifier':
+          if (node.local.name === name) {
+            const shorthand = node.exported.start === node.local.start;
+            references.push({ node: node.local, kind: shorthand ? 'shorthand-export' : 'local' });
+          }
+          return;
+        case 'ObjectProperty':
+          if (node.shorthand && node.value.type === 'Identifier' && node.value.name === name) {
+            references.push({ node: node.value, kind: 'shorthand-property' });
+            return;
+          }
+          break;
+        case 'Identifier':
+          if (node.name === name && !this._isNonReferenceKey(parent, key)) {
+            references.push({ node, kind: 'reference' });
+          }
+          return;
+        default:
+          break;
+      }
+
+      for (const childKey of Object.keys(node)) {
+        if (NON_CHILD_KEYS.has(childKey)) {
+          continue;
+        }
+        const child = node[childKey];
+        if (Array.isArray(child)) {
+          child.forEach(item => visit(item, node, childKey));
+        } else if (child && typeof child === 'object') {
+          visit(child, node, childKey);
+        }
+      }
+    };
+
+    visit(ast.program, null, null);
+    return { references, bindings };
+  }
+
+  /**
+   * Check whether an identifier is a property name or label rather than a reference
+   */
+  _isNonReferenceKey(parent, key) {
+    if (!parent) {
+      return false;
+    }
+
+    switch (parent.type) {
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        return key === 'property' && !parent.computed;
+      case 'ObjectProperty':
+      case 'ObjectMethod':
+      case 'ClassProperty':
+      case 'ClassMethod':
+      case 'ClassPrivateProperty':
+        return key === 'key' && !parent.computed;
+      case 'LabeledStatement':
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        return key === 'label';
+      case 'MetaProperty':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Names bound by a declaration pattern
+   */
+  _collectPatternNames(pattern) {
+    if (!pattern) {
+      return [];
+    }
+
+    switch (pattern.type) {
+      case 'Identifier':
+        return [pattern.name];
+      case 'ObjectPattern':
+        return pattern.properties.flatMap(property =>
+          this._collectPatternNames(property.type === 'RestElement' ? property : property.value)
+        );
+      case 'ArrayPattern':
+        return pattern.elements.flatMap(element => this._collectPatternNames(element));
+      case 'RestElement':
+        return this._collectPatternNames(pattern.argument);
+      case 'AssignmentPattern':
+        return this._collectPatternNames(pattern.left);
+      case 'TSParameterProperty':
+        return this._collectPatternNames(pattern.parameter);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Build the edits that remove one item from a bracketed, comma separated
+   * list together with its separator, its own line and its leading comments
+   */
+  _createListRemoval(source, openPos, closePos, items, index) {
+    const item = items[index];
+
+    if (items.length === 1) {
+      return { start: openPos + 1, end: closePos, text: '' };
+    }
+
+    const previous = items[index - 1];
+    const tail = this._skipLineTail(source, item.end);
+    const multiline = source.slice(openPos, items[0].start).includes('\n');
+
+    if (!multiline) {
+      // `a, b, c`: drop `b, ` or, for the last item, `, c`
+      return index < items.length - 1
+        ? { start: item.start, end: items[index + 1].start, text: '' }
+        : { start: this._skipLineTail(source, previous.end).comma, end: item.end, text: '' };
+    }
+
+    const previousEnd = previous ? this._skipLineTail(source, previous.end).end : openPos + 1;
+    const ownComments = (item.leadingComments || []).filter(
+      comment => comment.start >= previousEnd
+    );
+    const first = ownComments.length > 0 ? ownComments[0].start : item.start;
+    const lineStart = source.lastIndexOf('\n', first - 1) + 1;
+    const start = source.slice(lineStart, first).trim() === '' ? lineStart : first;
+    const end = source[tail.end] === '\n' ? tail.end + 1 : tail.end;
+    const edits = [{ start, end, text: '' }];
+
+    // Removing the last item of a list without trailing commas orphans the previous comma
+    if (tail.comma === -1 && previous) {
+      const previousComma = this._skipLineTail(source, previous.end).comma;
+      if (previousComma !== -1) {
+        edits.push({ start: previousComma, end: previousComma + 1, text: '' });
+      }
+    }
+
+    return { compound: edits };
+  }
+
+  /**
+   * Scan the rest of a line after `position`: an optional comma and a
+   * trailing comment belong to the preceding node
+   */
+  _skipLineTail(source, position) {
+    let index = position;
+    let end = position;
+    let comma = -1;
+
+    const skipSpaces = () => {
+      while (index < source.length && (source[index] === ' ' || source[index] === '\t')) {
+        index++;
+      }
+    };
+
+    skipSpaces();
+    if (source[index] === ',') {
+      comma = index;
+      end = ++index;
+      skipSpaces();
+    }
+    if (source[index] === ';') {
+      end = ++index;
+      skipSpaces();
+    }
+
+    if (source.startsWith('//', index)) {
+      const newline = source.indexOf('\n', index);
+      end = newline === -1 ? source.length : newline;
+    } else if (source.startsWith('/*', index)) {
+      const close = source.indexOf('*/', index);
+      if (close !== -1 && !source.slice(index, close).includes('\n')) {
+        end = close + 2;
+      }
+    }
+
+    return { comma, end };
+  }
+
+  /**
+   * Leading whitespace of the line containing `position`
+   */
+  _getLineIndent(source, position) {
+    const lineStart = source.lastIndexOf('\n', position - 1) + 1;
+    const match = source.slice(lineStart).match(/^[ \t]*/);
+    return match ? match[0] : '';
+  }
+
+  /**
+   * Guess the indentation unit used by the file
+   */
+  _detectIndentUnit(source) {
+    let smallest = 0;
+
+    for (const line of source.split('\n')) {
+      if (line.startsWith('\t')) {
+        return '\t';
+      }
+      const match = line.match(/^( +)\S/);
+      if (match && (smallest === 0 || match[1].length < smallest)) {
+        smallest = match[1].length;
+      }
+    }
+
+    return ' '.repeat(smallest || 2);
+  }
+
+  /**
+   * Indent every line but the first of a multi-line snippet
+   */
+  _reindent(text, indent) {
+    return text.replace(/\n/g, `\n${indent}`);
+  }
+
+  /**
+   * Collapse whitespace and trailing commas for structural comparison
+   */
+  _normalizeCode(code) {
+    return code
+      .replace(/\s+/g, '')
+      .replace(/,(?=[\]}])/g, '')
+      .replace(/"/g, "'");
+  }
+
+  /**
+   * Apply edits from last to first and verify the result still parses
+   */
+  _applyEdits(source, edits, options = {}) {
+    const flat = edits
+      .flatMap(edit => edit.compound || [edit])
+      .sort((a, b) => b.start - a.start || b.end - a.end);
+
+    if (flat.length === 0) {
+      return source;
+    }
+
+    let result = source;
+    for (const edit of flat) {
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+
+    try {
+      this.parse(result, options);
+    } catch (error) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.FILE_OPERATION_FAILED,
+        `Edit would produce invalid syntax: ${error.message}`,
+        { filePath: options.filePath }
+      );
+    }
+
+    return result;
   }
 }
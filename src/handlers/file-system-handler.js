@@ -6,9 +6,11 @@
  */
 
 import { promises as fs, existsSync, statSync } from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
 import { logger } from '../utils/logger.js';
-import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+import { BalmSharedMCPError, ErrorCodes, throwIfCancelled } from '../utils/errors.js';
+import { OperationJournal } from './operation-journal.js';
 
 export class FileSystemHandler {
   constructor(options = {}) {
@@ -25,6 +27,428 @@ export class FileSystemHandler {
     ];
     this.restrictedPaths = options.restrictedPaths || ['node_modules', '.git', '.env'];
     this.workspaceRoot = options.workspaceRoot ? path.resolve(options.workspaceRoot) : null;
+    this.stagingStorage = new AsyncLocalStorage();
+    this.changeSets = new Map();
+
+    // Journal real writes under the workspace so they can be undone later
+    const journalDirectory =
+      options.journalDirectory ||
+      (this.workspaceRoot && path.join(this.workspaceRoot, '.balm-shared-mcp', 'journal'));
+    this.journal =
+      options.journal !== false && journalDirectory
+        ? new OperationJournal(journalDirectory, { encoding: this.encoding })
+        : null;
+    this.operationContext = new AsyncLocalStorage();
+    this.rootsContext = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a callback with the client's declared roots as the allowed directories.
+   * Outside such a callback (or without roots) WORKSPACE_ROOT applies.
+   */
+  runWithRoots(roots, callback) {
+    return this.rootsContext.run(
+      roots.map(root => path.resolve(root)),
+      callback
+    );
+  }
+
+  /**
+   * Directories every path must stay within: the client's roots, or WORKSPACE_ROOT
+   */
+  getAllowedRoots() {
+    const roots = this.rootsContext.getStore();
+    if (roots && roots.length > 0) {
+      return roots;
+    }
+    return this.workspaceRoot ? [this.workspaceRoot] : [];
+  }
+
+  /**
+   * Find the allowed root that contains a path; the innermost one if roots are nested
+   */
+  findRoot(filePath) {
+    const resolvedPath = path.resolve(filePath);
+
+    return (
+      this.getAllowedRoots()
+        .filter(root => {
+          const relativePath = path.relative(root, resolvedPath);
+          return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+        })
+        .sort((a, b) => b.length - a.length)[0] || null
+    );
+  }
+
+  /**
+   * Run a callback with context (e.g. the tool name) attached to its journal entries
+   */
+  runWithOperationContext(context, callback) {
+    return this.operationContext.run(context, callback);
+  }
+
+  /**
+   * List journaled operations, newest first
+   */
+  async listOperations(options = {}) {
+    return this._requireJournal().list(options);
+  }
+
+  /**
+   * Revert the most recent journaled operations
+   */
+  async undoOperations(options = {}) {
+    return this._requireJournal().undo(options);
+  }
+
+  _requireJournal() {
+    if (!this.journal) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.INVALID_CONFIGURATION,
+        'Operation journal is disabled (no workspace root configured)'
+      );
+    }
+    return this.journal;
+  }
+
+  /**
+   * Append an entry to the journal; journaling problems never fail the write itself
+   */
+  async _recordOperation(entry) {
+    if (!this.journal) {
+      return;
+    }
+
+    try {
+      await this.journal.record({ ...entry, ...this.operationContext.getStore() });
+    } catch (error) {
+      logger.warn(`Failed to journal ${entry.type} of ${entry.path}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Read the current content of a file for the journal (null when absent)
+   */
+  async _readForJournal(filePath) {
+    if (!this.journal || !existsSync(filePath)) {
+      return null;
+    }
+    return fs.readFile(filePath, this.encoding);
+  }
+
+  /**
+   * Create a directory on disk and journal every directory that did not exist
+   */
+  async _makeDirectory(dirPath, options = { recursive: true }) {
+    const missing = [];
+    if (this.journal) {
+      let current = path.resolve(dirPath);
+      while (!existsSync(current) && path.dirname(current) !== current) {
+        missing.unshift(current);
+        current = path.dirname(current);
+      }
+    }
+
+    await fs.mkdir(dirPath, options);
+
+    for (const dir of missing) {
+      await this._recordOperation({ type: 'mkdir', path: dir });
+    }
+  }
+
+  /**
+   * Run a callback with all writes staged in memory instead of hitting the disk.
+   * Reads and existence checks inside the callback see the staged state.
+   *
+   * @returns {Promise<{result: *, changes: {files: Array, directories: Array}}>}
+   */
+  async runDryRun(callback) {
+    const staging = this._createStaging('dry-run', this.stagingStorage.getStore());
+    const result = await this.stagingStorage.run(staging, callback);
+
+    return { result, changes: this._summarizeStaging(staging) };
+  }
+
+  /**
+   * Check whether the current call runs inside runDryRun
+   */
+  isDryRun() {
+    return this.stagingStorage.getStore()?.kind === 'dry-run';
+  }
+
+  /**
+   * Check whether writes of the current call are staged (dry run or change set)
+   */
+  isStaging() {
+    return this.stagingStorage.getStore() !== undefined;
+  }
+
+  /**
+   * Open a change set that stages writes across several calls until it is
+   * committed or aborted
+   *
+   * @returns {string} change set id
+   */
+  openChangeSet() {
+    const changeSetId = `cs_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    const staging = this._createStaging('change-set');
+    staging.createdAt = new Date().toISOString();
+
+    this.changeSets.set(changeSetId, staging);
+    logger.info(`Opened change set: ${changeSetId}`);
+    return changeSetId;
+  }
+
+  /**
+   * Run a callback with its writes staged into an open change set. Writes of a
+   * failing callback are discarded; the change set keeps its earlier changes.
+   */
+  async runInChangeSet(changeSetId, callback) {
+    const changeSet = this._getChangeSet(changeSetId);
+    const staging = this._createStaging('change-set', changeSet);
+    const result = await this.stagingStorage.run(staging, callback);
+
+    this._mergeStaging(changeSet, staging);
+    return result;
+  }
+
+  /**
+   * Describe the pending changes of an open change set
+   */
+  getChangeSet(changeSetId) {
+    const changeSet = this._getChangeSet(changeSetId);
+    return {
+      changeSetId,
+      createdAt: changeSet.createdAt,
+      ...this._summarizeStaging(changeSet)
+    };
+  }
+
+  /**
+   * Write all staged changes of a change set to disk. If any write fails the
+   * files and directories touched so far are restored to their original state.
+   */
+  async commitChangeSet(changeSetId) {
+    const changeSet = this._getChangeSet(changeSetId);
+    const changes = this._summarizeStaging(changeSet);
+
+    // Refuse to clobber edits made outside the change set; it stays open so it can be aborted
+    for (const change of changes.files) {
+      const current = existsSync(change.path)
+        ? await fs.readFile(change.path, this.encoding)
+        : null;
+      if (current !== change.before) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.CHANGE_SET_CONFLICT,
+          `File changed on disk after it was staged: ${change.path}`,
+          { changeSetId, path: change.path }
+        );
+      }
+    }
+
+    this.changeSets.delete(changeSetId);
+    const createdDirectories = [];
+    const touchedFiles = [];
+
+    try {
+      for (const dir of changes.directories) {
+        if (!existsSync(dir)) {
+          await fs.mkdir(dir, { recursive: true });
+          createdDirectories.push(dir);
+        }
+      }
+
+      for (const change of changes.files) {
+        touchedFiles.push(change);
+        if (change.after === null) {
+          await fs.unlink(change.path);
+        } else {
+          await fs.writeFile(change.path, change.after, this.encoding);
+        }
+      }
+    } catch (error) {
+      await this._rollbackChanges(touchedFiles, createdDirectories);
+      throw new BalmSharedMCPError(
+        ErrorCodes.FILE_OPERATION_FAILED,
+        `Failed to commit change set ${changeSetId}; original files were restored`,
+        { changeSetId, originalError: error.message }
+      );
+    }
+
+    for (const dir of createdDirectories) {
+      await this._recordOperation({ type: 'mkdir', path: dir, changeSetId });
+    }
+    for (const change of changes.files) {
+      await this._recordOperation({
+        type: change.after === null ? 'delete' : 'write',
+        path: change.path,
+        before: change.before,
+        after: change.after,
+        changeSetId
+      });
+    }
+
+    logger.info(`Committed change set: ${changeSetId}`, {
+      files: changes.files.length,
+      directories: changes.directories.length
+    });
+    return changes;
+  }
+
+  /**
+   * Discard an open change set without writing anything
+   */
+  abortChangeSet(changeSetId) {
+    const changes = this._summarizeStaging(this._getChangeSet(changeSetId));
+    this.changeSets.delete(changeSetId);
+
+    logger.info(`Aborted change set: ${changeSetId}`, { files: changes.files.length });
+    return changes;
+  }
+
+  /**
+   * Run a callback so that its writes land on disk all together or not at all.
+   * Inside an existing dry run or change set the callback simply joins it.
+   */
+  async withChangeSet(callback) {
+    if (this.isStaging()) {
+      return callback();
+    }
+
+    const changeSetId = this.openChangeSet();
+    try {
+      const result = await this.runInChangeSet(changeSetId, callback);
+      await this.commitChangeSet(changeSetId);
+      return result;
+    } catch (error) {
+      this.changeSets.delete(changeSetId);
+      throw error;
+    }
+  }
+
+  _getChangeSet(changeSetId) {
+    const changeSet = this.changeSets.get(changeSetId);
+    if (!changeSet) {
+      throw new BalmSharedMCPError(
+        ErrorCodes.CHANGE_SET_NOT_FOUND,
+        `Change set not found or already closed: ${changeSetId}`,
+        { changeSetId }
+      );
+    }
+    return changeSet;
+  }
+
+  /**
+   * Create a staging area, optionally layered on top of another one
+   */
+  _createStaging(kind, base) {
+    const staging = {
+      kind,
+      files: new Map(),
+      directories: new Set(),
+      baseDirectories: new Set()
+    };
+
+    if (base) {
+      for (const [filePath, change] of base.files) {
+        staging.files.set(filePath, { before: change.after, after: change.after });
+      }
+      base.directories.forEach(dir => staging.baseDirectories.add(dir));
+      base.baseDirectories.forEach(dir => staging.baseDirectories.add(dir));
+    }
+
+    return staging;
+  }
+
+  /**
+   * Fold the changes of a layered staging area back into its base
+   */
+  _mergeStaging(target, source) {
+    for (const [filePath, change] of source.files) {
+      const existing = target.files.get(filePath);
+      if (existing) {
+        existing.after = change.after;
+      } else if (change.before !== change.after) {
+        target.files.set(filePath, { ...change });
+      }
+    }
+    source.directories.forEach(dir => target.directories.add(dir));
+  }
+
+  _summarizeStaging(staging) {
+    const files = [];
+    for (const [filePath, change] of staging.files) {
+      if (change.before !== change.after) {
+        files.push({ path: filePath, before: change.before, after: change.after });
+      }
+    }
+
+    return { files, directories: Array.from(staging.directories) };
+  }
+
+  /**
+   * Best-effort restore of files and directories touched by a failed commit
+   */
+  async _rollbackChanges(files, directories) {
+    for (const change of [...files].reverse()) {
+      try {
+        if (change.before === null) {
+          await fs.unlink(change.path);
+        } else {
+          await fs.writeFile(change.path, change.before, this.encoding);
+        }
+      } catch (error) {
+        logger.warn(`Failed to restore ${change.path}`, { error: error.message });
+      }
+    }
+
+    for (const dir of [...directories].reverse()) {
+      try {
+        await fs.rmdir(dir, { recursive: true });
+      } catch (error) {
+        logger.warn(`Failed to remove ${dir}`, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Record a file change in the active staging area
+   */
+  async _stageFile(staging, filePath, content) {
+    const resolvedPath = path.resolve(filePath);
+    const staged = staging.files.get(resolvedPath);
+
+    if (staged) {
+      staged.after = content;
+      return;
+    }
+
+    const before = existsSync(resolvedPath) ? await fs.readFile(resolvedPath, this.encoding) : null;
+    staging.files.set(resolvedPath, { before, after: content });
+  }
+
+  /**
+   * Record a directory (and any missing parents) in the active staging area
+   */
+  _stageDirectory(staging, dirPath) {
+    const missing = [];
+    let current = path.resolve(dirPath);
+
+    while (!this.exists(current)) {
+      missing.unshift(current);
+      const parent = path.dirname(current);
+      if (parent === current) {
+        break;
+      }
+      current = parent;
+    }
+
+    missing.forEach(dir => staging.directories.add(dir));
+  }
+
+  _hasStagedDirectory(staging, dirPath) {
+    const resolvedPath = path.resolve(dirPath);
+    return staging.directories.has(resolvedPath) || staging.baseDirectories.has(resolvedPath);
   }
 
   /**
@@ -49,11 +473,15 @@ export class FileSystemHandler {
       }
     }
 
-    // Enforce workspace root restriction if configured
-    if (this.workspaceRoot && !resolvedPath.startsWith(this.workspaceRoot)) {
+    // Enforce the client roots, or the workspace root if configured
+    const roots = this.getAllowedRoots();
+    if (roots.length > 0 && !this.findRoot(resolvedPath)) {
       throw new BalmSharedMCPError(
         ErrorCodes.RESTRICTED_PATH,
-        `Access denied: Path must be within workspace root (${this.workspaceRoot})`
+        roots.length === 1
+          ? `Access denied: Path must be within workspace root (${roots[0]})`
+          : `Access denied: Path must be within one of the workspace roots (${roots.join(', ')})`,
+        { path: resolvedPath, roots }
       );
     }
 
@@ -86,6 +514,18 @@ export class FileSystemHandler {
    * Check if a path exists
    */
   exists(filePath) {
+    const staging = this.stagingStorage.getStore();
+    if (staging) {
+      const resolvedPath = path.resolve(filePath);
+      const staged = staging.files.get(resolvedPath);
+      if (staged) {
+        return staged.after !== null;
+      }
+      if (this._hasStagedDirectory(staging, resolvedPath)) {
+        return true;
+      }
+    }
+
     return existsSync(filePath);
   }
 
@@ -93,6 +533,11 @@ export class FileSystemHandler {
    * Check if path is a directory
    */
   isDirectory(filePath) {
+    const staging = this.stagingStorage.getStore();
+    if (staging && this._hasStagedDirectory(staging, filePath)) {
+      return true;
+    }
+
     try {
       return this.exists(filePath) && statSync(filePath).isDirectory();
     } catch {
@@ -104,6 +549,12 @@ export class FileSystemHandler {
    * Check if path is a file
    */
   isFile(filePath) {
+    const staging = this.stagingStorage.getStore();
+    const staged = staging && staging.files.get(path.resolve(filePath));
+    if (staged) {
+      return staged.after !== null;
+    }
+
     try {
       return this.exists(filePath) && statSync(filePath).isFile();
     } catch {
@@ -122,6 +573,11 @@ export class FileSystemHandler {
         throw new BalmSharedMCPError(ErrorCodes.FILE_NOT_FOUND, `File not found: ${filePath}`);
       }
 
+      const staged = this.stagingStorage.getStore()?.files.get(validatedPath);
+      if (staged) {
+        return staged.after;
+      }
+
       const content = await fs.readFile(validatedPath, this.encoding);
       logger.debug(`Read file: ${filePath}`, { size: content.length });
       return content;
@@ -155,7 +611,16 @@ export class FileSystemHandler {
       const dir = path.dirname(validatedPath);
       await this.ensureDirectory(dir);
 
+      const staging = this.stagingStorage.getStore();
+      if (staging) {
+        await this._stageFile(staging, validatedPath, content);
+        logger.debug(`Staged file write: ${filePath}`, { size: content.length });
+        return;
+      }
+
+      const before = await this._readForJournal(validatedPath);
       await fs.writeFile(validatedPath, content, this.encoding);
+      await this._recordOperation({ type: 'write', path: validatedPath, before, after: content });
       logger.debug(`Wrote file: ${filePath}`, { size: content.length });
     } catch (error) {
       if (error instanceof BalmSharedMCPError) {
@@ -174,8 +639,14 @@ export class FileSystemHandler {
    */
   async ensureDirectory(dirPath) {
     try {
+      const staging = this.stagingStorage.getStore();
+      if (staging) {
+        this._stageDirectory(staging, dirPath);
+        return;
+      }
+
       if (!this.exists(dirPath)) {
-        await fs.mkdir(dirPath, { recursive: true });
+        await this._makeDirectory(dirPath);
         logger.debug(`Created directory: ${dirPath}`);
       }
     } catch (error) {
@@ -253,8 +724,14 @@ export class FileSystemHandler {
    */
   async createDirectory(dirPath, options = {}) {
     try {
+      const staging = this.stagingStorage.getStore();
+      if (staging) {
+        this._stageDirectory(staging, dirPath);
+        return;
+      }
+
       const recursive = options.recursive !== false; // Default to true
-      await fs.mkdir(dirPath, { recursive });
+      await this._makeDirectory(dirPath, { recursive });
       logger.debug(`Created directory: ${dirPath}`);
     } catch (error) {
       throw new BalmSharedMCPError(
@@ -275,6 +752,11 @@ export class FileSystemHandler {
         return;
       }
 
+      if (this.isStaging()) {
+        logger.warn(`Skipped directory deletion while staging writes: ${dirPath}`);
+        return;
+      }
+
       const recursive = options.recursive === true;
       if (recursive) {
         await fs.rmdir(dirPath, { recursive: true });
@@ -307,7 +789,25 @@ export class FileSystemHandler {
       const targetDir = path.dirname(targetPath);
       await this.ensureDirectory(targetDir);
 
+      const staging = this.stagingStorage.getStore();
+      if (staging) {
+        const content = staging.files.get(path.resolve(sourcePath))?.after;
+        await this._stageFile(
+          staging,
+          targetPath,
+          content ?? (await fs.readFile(sourcePath, this.encoding))
+        );
+        return;
+      }
+
+      const before = await this._readForJournal(targetPath);
       await fs.copyFile(sourcePath, targetPath);
+      await this._recordOperation({
+        type: 'write',
+        path: path.resolve(targetPath),
+        before,
+        after: await this._readForJournal(targetPath)
+      });
       logger.debug(`Copied file: ${sourcePath} -> ${targetPath}`);
     } catch (error) {
       if (error instanceof BalmSharedMCPError) {
@@ -331,7 +831,20 @@ export class FileSystemHandler {
         return;
       }
 
+      const staging = this.stagingStorage.getStore();
+      if (staging) {
+        await this._stageFile(staging, filePath, null);
+        return;
+      }
+
+      const before = await this._readForJournal(filePath);
       await fs.unlink(filePath);
+      await this._recordOperation({
+        type: 'delete',
+        path: path.resolve(filePath),
+        before,
+        after: null
+      });
       logger.debug(`Deleted file: ${filePath}`);
     } catch (error) {
       throw new BalmSharedMCPError(
@@ -482,6 +995,8 @@ export class FileSystemHandler {
       const items = await this.listDirectory(validatedSourcePath);
 
       for (const item of items) {
+        throwIfCancelled(options.signal, { sourcePath, targetPath });
+
         const sourceItemPath = item.path;
         const targetItemPath = path.join(validatedTargetPath, item.name);
 
@@ -0,0 +1,226 @@
+/**
+ * Operation Journal
+ *
+ * Persists every file write, deletion and directory creation together with the
+ * content it replaced, so that operations can be listed and reverted later.
+ * Each entry is stored as its own JSON file; the journal behaves as a stack.
+ *
+ * Entries written by one change set (`changeSetId`) or one tool call
+ * (`operationId`) belong to the same operation and are undone together.
+ */
+
+import { promises as fs, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+
+const ENTRY_EXTENSION = '.json';
+
+// Entries without a change set or tool call are operations of their own
+const operationOf = entry => entry.changeSetId || entry.operationId || entry.id;
+
+export class OperationJournal {
+  constructor(directory, options = {}) {
+    this.directory = path.resolve(directory);
+    this.encoding = options.encoding || 'utf-8';
+    this.maxEntries = options.maxEntries || 200;
+    this.sequence = 0;
+  }
+
+  /**
+   * Hash file content so undo can tell whether a file changed since it was written
+   */
+  hash(content) {
+    return content === null ? null : createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Append an entry: { type: 'write' | 'delete' | 'mkdir', path, before, after }
+   */
+  async record(entry) {
+    const timestamp = new Date();
+    const id = `${String(timestamp.getTime()).padStart(13, '0')}-${String(++this.sequence).padStart(6, '0')}`;
+    const { after, ...rest } = entry;
+    const stored = {
+      id,
+      timestamp: timestamp.toISOString(),
+      ...rest,
+      before: entry.before ?? null,
+      afterHash: this.hash(after ?? null)
+    };
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this._entryPath(id), JSON.stringify(stored), this.encoding);
+    await this._prune();
+
+    return stored;
+  }
+
+  /**
+   * List the most recent entries, newest first, without their stored content
+   */
+  async list(options = {}) {
+    const { limit = 20 } = options;
+    const ids = (await this._listIds()).slice(0, limit);
+    const entries = await Promise.all(ids.map(id => this._readEntry(id)));
+
+    return entries.map(({ before, afterHash: _afterHash, ...entry }) => ({
+      ...entry,
+      hasPriorContent: before !== null
+    }));
+  }
+
+  /**
+   * Revert the entries of the most recent `count` operations. Files changed
+   * since the journaled operation are left alone (and nothing is reverted)
+   * unless `force` is set. Directories that are not empty are skipped; their
+   * entries stay in the journal and are retried by later undos.
+   */
+  async undo(options = {}) {
+    const { count = 1, force = false } = options;
+    const entries = await this._readOperations(count);
+
+    if (!force) {
+      const conflicts = [];
+      const predicted = new Map();
+
+      for (const entry of entries) {
+        if (entry.type === 'mkdir') {
+          continue;
+        }
+
+        // Earlier entries for the same file see the content restored by later ones
+        const current = predicted.has(entry.path)
+          ? predicted.get(entry.path)
+          : await this._readCurrent(entry.path);
+        if (this.hash(current) !== entry.afterHash) {
+          conflicts.push(entry.path);
+        }
+        predicted.set(entry.path, entry.before);
+      }
+
+      if (conflicts.length > 0) {
+        throw new BalmSharedMCPError(
+          ErrorCodes.UNDO_CONFLICT,
+          `Files changed after the journaled operation: ${conflicts.join(', ')}`,
+          { conflicts, hint: 'Pass force: true to overwrite them' }
+        );
+      }
+    }
+
+    const reverted = [];
+    const skipped = [];
+
+    for (const entry of entries) {
+      if (await this._revert(entry)) {
+        reverted.push(entry);
+        await fs.unlink(this._entryPath(entry.id));
+      } else {
+        skipped.push(entry);
+        await fs.writeFile(
+          this._entryPath(entry.id),
+          JSON.stringify({ ...entry, skipped: true }),
+          this.encoding
+        );
+      }
+    }
+
+    const operations = new Set(reverted.map(operationOf)).size;
+    logger.info('Reverted journaled operations', {
+      operations,
+      reverted: reverted.length,
+      skipped: skipped.length
+    });
+
+    const describe = ({ id, type, path: entryPath }) => ({ id, type, path: entryPath });
+    return { operations, reverted: reverted.map(describe), skipped: skipped.map(describe) };
+  }
+
+  /**
+   * Read the entries of the most recent `count` operations, newest first.
+   * Entries skipped by an earlier undo come along without counting as an
+   * operation, so they cannot keep undo from reaching older operations.
+   */
+  async _readOperations(count) {
+    const entries = [];
+    const operations = new Set();
+
+    for (const id of await this._listIds()) {
+      const entry = await this._readEntry(id);
+      const operation = operationOf(entry);
+
+      if (!entry.skipped && !operations.has(operation)) {
+        if (operations.size === count) {
+          break;
+        }
+        operations.add(operation);
+      }
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  async _revert(entry) {
+    // Directories are only removed once empty, even with `force`: anything left
+    // in them was not written by the journaled operation
+    if (entry.type === 'mkdir') {
+      try {
+        await fs.rmdir(entry.path);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return true;
+        }
+        logger.warn(`Left directory in place during undo: ${entry.path}`, {
+          error: error.message
+        });
+        return false;
+      }
+    }
+
+    if (entry.before === null) {
+      if (existsSync(entry.path)) {
+        await fs.unlink(entry.path);
+      }
+      return true;
+    }
+
+    await fs.mkdir(path.dirname(entry.path), { recursive: true });
+    await fs.writeFile(entry.path, entry.before, this.encoding);
+    return true;
+  }
+
+  async _readCurrent(filePath) {
+    return existsSync(filePath) ? fs.readFile(filePath, this.encoding) : null;
+  }
+
+  async _listIds() {
+    if (!existsSync(this.directory)) {
+      return [];
+    }
+
+    const names = await fs.readdir(this.directory);
+    return names
+      .filter(name => name.endsWith(ENTRY_EXTENSION))
+      .map(name => name.slice(0, -ENTRY_EXTENSION.length))
+      .sort()
+      .reverse();
+  }
+
+  async _readEntry(id) {
+    return JSON.parse(await fs.readFile(this._entryPath(id), this.encoding));
+  }
+
+  async _prune() {
+    const ids = await this._listIds();
+    for (const id of ids.slice(this.maxEntries)) {
+      await fs.unlink(this._entryPath(id));
+    }
+  }
+
+  _entryPath(id) {
+    return path.join(this.directory, `${id}${ENTRY_EXTENSION}`);
+  }
+}
@@ -7,18 +7,22 @@
  * capabilities with the shared-project frontend resource library.
  */
 
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 
 import { MCPServer } from './core/mcp-server.js';
+import { createProtocolServer } from './core/protocol-server.js';
+import { HttpServer } from './core/http-server.js';
 import { ProjectManager } from './managers/project-manager.js';
 import { CodeGenerator } from './generators/code-generator.js';
 import { ResourceAnalyzer } from './analyzers/resource-analyzer.js';
+import { LibraryWatcher } from './analyzers/library-watcher.js';
 import { FileSystemHandler } from './handlers/file-system-handler.js';
-import { loadConfig } from './config/index.js';
+import { loadConfig, runtimeConfigManager } from './config/index.js';
 import { logger } from './utils/logger.js';
 
+// Set in HTTP mode so shutdown can close the open sessions
+let httpServer = null;
+
 /**
  * Initialize and start the MCP server
  */
@@ -43,49 +47,62 @@ async function main() {
       config
     });
 
-    // Create and configure the server
-    const server = new Server(
-      {
-        name: 'balm-shared-mcp',
-        version: '1.0.0'
-      },
-      {
-        capabilities: {
-          tools: {}
-        }
+    // Switch the tool profile when the configuration changes; connected
+    // clients receive notifications/tools/list_changed
+    const applyToolProfile = newConfig => {
+      try {
+        mcpServer.setToolProfile(newConfig.tools);
+      } catch (error) {
+        logger.error('Failed to switch tool profile, keeping the current one', {
+          error: error.message
+        });
       }
-    );
-
-    // Register tool handlers
-    server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return mcpServer.listTools();
-    });
+    };
+    runtimeConfigManager.on('config:changed', applyToolProfile);
+    runtimeConfigManager.on('config:updated', applyToolProfile);
 
-    server.setRequestHandler(CallToolRequestSchema, async request => {
-      return mcpServer.callTool(request.params);
-    });
+    // Refresh the resource index when the shared library is edited; clients
+    // subscribed to a resource receive notifications/resources/updated
+    if (config.resourceIndex?.watch !== false) {
+      new LibraryWatcher(resourceAnalyzer, {
+        onChange: changes => mcpServer.notifyResourcesChanged(changes)
+      }).start();
+    }
 
-    // Start the server
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+    // Start the configured transport
+    if (config.server.mode === 'http') {
+      httpServer = new HttpServer({
+        createServer: () => createProtocolServer(mcpServer),
+        host: config.server.host,
+        port: config.server.port,
+        sessionIdleTimeout: config.server.sessionIdleTimeout
+      });
+      await httpServer.start();
+    } else {
+      const server = createProtocolServer(mcpServer);
+      await server.connect(new StdioServerTransport());
+    }
 
-    logger.info('BalmSharedMCP server started successfully');
+    logger.info('BalmSharedMCP server started successfully', { mode: config.server.mode });
   } catch (error) {
     logger.error('Failed to start BalmSharedMCP server', { error: error.message });
     process.exit(1);
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('Received SIGINT, shutting down gracefully...');
+// Handle graceful shutdown: close HTTP sessions before exiting
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down gracefully...`);
+  try {
+    await httpServer?.stop();
+  } catch (error) {
+    logger.error('Failed to stop HTTP server', { error: error.message });
+  }
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  logger.info('Received SIGTERM, shutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the server
 main().catch(error => {
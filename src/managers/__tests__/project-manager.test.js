@@ -14,6 +14,8 @@ const mockFileSystemHandler = {
   writeFile: vi.fn(),
   copyDirectory: vi.fn(),
   updateJsonFile: vi.fn(),
+  isDryRun: vi.fn().mockReturnValue(false),
+  isStaging: vi.fn().mockReturnValue(false),
   getScriptsDir: vi
     .fn()
     .mockImplementation(projectPath => Promise.resolve(path.join(projectPath, 'src/scripts')))
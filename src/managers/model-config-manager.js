@@ -250,15 +250,19 @@ export class ModelConfigManager {
   }
 
   /**
-   * Generate validation configuration
+   * Generate validation configuration. `field.messages` ({ rule: message })
+   * overrides the default message of a rule.
    */
   generateValidationConfig(field) {
-    const { validation = {}, required = false } = field;
+    const { validation = {}, required = false, messages = {} } = field;
     const validationRules = [];
+    const withMessage = (rule, config) => {
+      return messages[rule] ? { ...config, message: messages[rule] } : config;
+    };
 
     // Required validation
     if (required) {
-      validationRules.push(this.validationMapping.required);
+      validationRules.push(withMessage('required', this.validationMapping.required));
     }
 
     // Type-specific validation
@@ -267,12 +271,12 @@ export class ModelConfigManager {
 
       if (this.validationMapping[rule]) {
         if (typeof this.validationMapping[rule] === 'function') {
-          validationRules.push(this.validationMapping[rule](value));
+          validationRules.push(withMessage(rule, this.validationMapping[rule](value)));
         } else {
-          validationRules.push(this.validationMapping[rule]);
+          validationRules.push(withMessage(rule, this.validationMapping[rule]));
         }
       } else if (rule === 'custom' && typeof value === 'object') {
-        validationRules.push(value);
+        validationRules.push(withMessage(rule, value));
       }
     });
 
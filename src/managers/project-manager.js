@@ -6,7 +6,7 @@
 
 import path from 'path';
 import { logger } from '../utils/logger.js';
-import { BalmSharedMCPError, ErrorCodes } from '../utils/errors.js';
+import { BalmSharedMCPError, ErrorCodes, throwIfCancelled } from '../utils/errors.js';
 
 export class ProjectManager {
   constructor(fileSystemHandler, config) {
@@ -190,16 +190,20 @@ export class ProjectManager {
   /**
    * Copy template files with variable substitution
    */
-  async copyTemplate(templatePath, targetPath, variables) {
+  async copyTemplate(templatePath, targetPath, variables, options = {}) {
     try {
       logger.info(`Copying template from ${templatePath} to ${targetPath}`);
 
       await this.fileSystemHandler.copyDirectory(templatePath, targetPath, variables, {
-        processTemplates: true
+        processTemplates: true,
+        signal: options.signal
       });
 
       logger.info(`Template copied successfully to ${targetPath}`);
     } catch (error) {
+      if (error.code === ErrorCodes.OPERATION_CANCELLED) {
+        throw error;
+      }
       throw new BalmSharedMCPError(
         ErrorCodes.PROJECT_CREATION_FAILED,
         `Failed to copy template: ${error.message}`,
@@ -209,30 +213,16 @@ export class ProjectManager {
   }
 
   /**
-   * Run balm init command to create project from official template
+   * Locate balm-cli. MCP stdio subprocesses often have a minimal PATH, so common
+   * global npm bin directories are added to it.
    *
-   * balm-cli uses inquirer for interactive prompts (project name, description, author).
-   * We use spawn with piped stdin to auto-provide values based on the prompt.
-   *
-   * @param {string} templateName - Template name (e.g., 'vue-ui-front', 'vue-ui-back')
-   * @param {string} projectName - Project name (fallback/default)
-   * @param {string} targetDir - Directory to create project in (parent directory)
-   * @param {Object} options - Project options containing metadata
+   * @returns {Promise<{balmBin: string, env: Object}>} the balm binary and the environment to run it in
    */
-  async runBalmInit(templateName, projectName, targetDir, options = {}) {
-    const { spawn, exec } = await import('child_process');
+  async findBalmCli() {
+    const { exec } = await import('child_process');
     const { promisify } = await import('util');
     const execAsync = promisify(exec);
 
-    // Metadata for prompts
-    const projectMetadata = {
-      name: options.name || projectName,
-      description: options.description || `A Vue.js ${options.type || 'frontend'} project`,
-      author: options.author || 'Developer'
-    };
-
-    // Augment PATH with common global npm bin directories
-    // MCP stdio subprocesses often have minimal PATH
     const homedir = (await import('os')).homedir();
     const extraPaths = [
       `${homedir}/.npm-global/bin`,
@@ -264,12 +254,41 @@ export class ProjectManager {
       );
     }
 
+    return { balmBin, env: augmentedEnv };
+  }
+
+  /**
+   * Run balm init command to create project from official template
+   *
+   * balm-cli uses inquirer for interactive prompts (project name, description, author).
+   * We use spawn with piped stdin to auto-provide values based on the prompt.
+   *
+   * @param {string} templateName - Template name (e.g., 'vue-ui-front', 'vue-ui-back')
+   * @param {string} projectName - Project name (fallback/default)
+   * @param {string} targetDir - Directory to create project in (parent directory)
+   * @param {Object} options - Project options containing metadata
+   */
+  async runBalmInit(templateName, projectName, targetDir, options = {}) {
+    const { spawn } = await import('child_process');
+
+    // Metadata for prompts
+    const projectMetadata = {
+      name: options.name || projectName,
+      description: options.description || `A Vue.js ${options.type || 'frontend'} project`,
+      author: options.author || 'Developer'
+    };
+
+    const { balmBin, env: augmentedEnv } = await this.findBalmCli();
+
     // Ensure target directory exists
     if (!this.fileSystemHandler.exists(targetDir)) {
       await this.fileSystemHandler.ensureDirectory(targetDir);
       logger.info(`Created target directory: ${targetDir}`);
     }
 
+    const { signal } = options;
+    throwIfCancelled(signal, { templateName, projectName });
+
     logger.info(`Running: ${balmBin} init ${templateName} ${projectName} in ${targetDir}`);
 
     return new Promise((resolve, reject) => {
@@ -279,6 +298,21 @@ export class ProjectManager {
         stdio: ['pipe', 'pipe', 'pipe']
       });
 
+      // Stop balm init as soon as the client cancels; the caller removes its output
+      const onAbort = () => {
+        logger.info('Cancelling balm init');
+        clearTimeout(timeout);
+        child.kill('SIGTERM');
+        reject(
+          new BalmSharedMCPError(
+            ErrorCodes.OPERATION_CANCELLED,
+            'balm init was cancelled by the client',
+            { templateName, projectName, targetDir }
+          )
+        );
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       let stdout = '';
       let stderr = '';
       let promptCount = 0;
@@ -340,6 +374,7 @@ export class ProjectManager {
 
       child.on('close', code => {
         clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
 
         // Close stdin
         if (!child.stdin.destroyed) {
@@ -405,6 +440,7 @@ export class ProjectManager {
 
       child.on('error', error => {
         clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
 
         if (error.message.includes('ENOENT') || error.code === 'ENOENT') {
           reject(
@@ -669,10 +705,20 @@ export class ProjectManager {
    * @param {string} options.path - Project path (required)
    * @param {string} [options.referenceProject] - Reference project path (optional)
    *   Can be absolute path or relative to WORKSPACE_ROOT
+   * @param {string} [options.description] - package.json description
+   * @param {string} [options.author] - package.json author
+   * @param {string} [options.apiEndpoint] - API path prefix proxied in balmrc.js
+   * @param {boolean} [options.mock] - Keep the mock-server directory (default true)
+   * @param {AbortSignal} [options.signal] - Cancels creation and removes the partial project
+   * @param {Function} [options.onProgress] - Called as (progress, total, message) per step
+   * @param {Function} [options.elicit] - Asks the user for missing metadata, see _elicitProjectOptions
    */
-  async createProject(options) {
+  async createProject(requestedOptions) {
+    const options = await this._elicitProjectOptions(requestedOptions);
+
     try {
-      const { name, type, path: projectPath, referenceProject } = options;
+      const { name, type, path: projectPath, signal, onProgress = () => {} } = options;
+      let { referenceProject } = options;
 
       logger.info(`Creating ${type} project: ${name} at ${projectPath}`);
       if (referenceProject) {
@@ -682,6 +728,11 @@ export class ProjectManager {
       // Validate input options
       this.validateProjectOptions(options);
 
+      // Without balm-cli, offer to copy a reference project instead
+      if (!referenceProject && options.elicit && !this.fileSystemHandler.isDryRun()) {
+        referenceProject = await this._elicitReferenceProjectIfBalmMissing(options);
+      }
+
       // Resolve template info (determines mode: balm-init or copy)
       const templateInfo = this.resolveTemplateInfo(type, referenceProject);
 
@@ -690,9 +741,34 @@ export class ProjectManager {
       if (templateInfo.mode === 'balm-init') {
         // Use balm init command to create project
         const targetDir = path.dirname(projectPath);
-        const initResult = await this.runBalmInit(templateInfo.command, name, targetDir, options);
         templateName = templateInfo.command;
 
+        if (this.fileSystemHandler.isStaging() && !this.fileSystemHandler.isDryRun()) {
+          throw new BalmSharedMCPError(
+            ErrorCodes.PROJECT_CREATION_FAILED,
+            'balm init writes outside the file system handler and cannot run inside a change set',
+            { projectPath }
+          );
+        }
+
+        if (this.fileSystemHandler.isDryRun()) {
+          // balm init runs out of process, so a dry run can only report the project directory
+          await this.fileSystemHandler.ensureDirectory(projectPath);
+          logger.info(`Dry run: balm init ${templateName} would create ${projectPath}`);
+          return {
+            success: true,
+            message: `Project ${name} would be created via balm init`,
+            projectPath,
+            type,
+            template: templateName,
+            mode: templateInfo.mode
+          };
+        }
+
+        onProgress(0, 2, `Running balm init ${templateName}`);
+        const initResult = await this.runBalmInit(templateInfo.command, name, targetDir, options);
+        onProgress(1, 2, 'Verifying project');
+
         // Verify the project was created at the expected path
         if (!this.fileSystemHandler.exists(projectPath)) {
           throw new BalmSharedMCPError(
@@ -709,25 +785,40 @@ export class ProjectManager {
 
         logger.info(`Project created successfully via balm init at: ${projectPath}`);
 
-        // After balm init, the project is created with basic setup
-        // We can optionally apply additional configurations if needed
-        // Note: balm init already sets up the project structure, dependencies, etc.
+        // balm init already sets up the project structure and dependencies;
+        // only the API prefix is adjusted when one was given
+        if (options.apiEndpoint) {
+          await this.configureApiSettings(projectPath, options);
+        }
       } else {
         // Copy mode: use reference project as template
+        const startStep = (progress, message) => {
+          throwIfCancelled(signal, { projectPath });
+          onProgress(progress, 4, message);
+        };
+
+        startStep(0, `Copying ${templateInfo.name}`);
         const variables = this.prepareTemplateVariables(options);
-        await this.copyTemplate(templateInfo.path, projectPath, variables);
+        await this.copyTemplate(templateInfo.path, projectPath, variables, { signal });
         templateName = templateInfo.name;
 
         // Update package.json with project-specific information
+        startStep(1, 'Updating package.json');
         await this.updatePackageJson(projectPath, options);
 
         // Configure shared-project integration
+        startStep(2, 'Configuring shared-project integration');
         await this.configureSharedProjectIntegration(projectPath, options);
 
         // Generate additional project configuration
+        startStep(3, 'Generating project configuration');
         await this.generateProjectConfiguration(projectPath, options);
       }
 
+      if (options.mock === false) {
+        await this._removeMockServer(projectPath);
+      }
+
       const result = {
         success: true,
         message: `Project ${name} created successfully`,
@@ -736,6 +827,7 @@ export class ProjectManager {
         template: templateName,
         mode: templateInfo.mode,
         referenceProject: referenceProject || null,
+        mock: options.mock !== false,
         features: this.getProjectFeatures(type),
         nextSteps: this.getNextSteps(projectPath)
       };
@@ -743,6 +835,10 @@ export class ProjectManager {
       logger.info(`Project creation completed: ${name}`, result);
       return result;
     } catch (error) {
+      if (error.code === ErrorCodes.OPERATION_CANCELLED) {
+        await this._removeCancelledProject(options.path);
+      }
+
       if (error instanceof BalmSharedMCPError) {
         throw error;
       }
@@ -754,6 +850,176 @@ export class ProjectManager {
     }
   }
 
+  /**
+   * Ask the user, through MCP elicitation, for project metadata the caller did
+   * not provide: a valid name and type, description, author, reference
+   * project, API prefix and whether to keep the mock server. Declining the form
+   * keeps the defaults; without `options.elicit` the options are returned as is.
+   */
+  async _elicitProjectOptions(options) {
+    const { elicit } = options;
+    if (!elicit) {
+      return options;
+    }
+
+    const properties = {};
+    const required = [];
+
+    if (!options.name || !/^[a-z0-9-_]+$/.test(options.name)) {
+      properties.name = {
+        type: 'string',
+        title: '项目名称',
+        description: '只能包含小写字母、数字、连字符和下划线'
+      };
+      const suggestedName = this._toProjectName(options.name || path.basename(options.path || ''));
+      if (suggestedName) {
+        properties.name.default = suggestedName;
+      }
+      required.push('name');
+    }
+    if (!['frontend', 'backend'].includes(options.type)) {
+      properties.type = {
+        type: 'string',
+        title: '项目类型',
+        oneOf: [
+          { const: 'frontend', title: '前台项目 (vue-ui-front)' },
+          { const: 'backend', title: '后台管理项目 (vue-ui-back)' }
+        ]
+      };
+      required.push('type');
+    }
+    if (!options.description) {
+      properties.description = { type: 'string', title: '项目描述' };
+    }
+    if (!options.author) {
+      properties.author = { type: 'string', title: '作者' };
+    }
+    if (!options.referenceProject) {
+      properties.referenceProject = {
+        type: 'string',
+        title: '参考项目',
+        description: '(可选) 复制该项目而不是运行 balm init；相对于 WORKSPACE_ROOT 或绝对路径'
+      };
+    }
+    if (!options.apiEndpoint) {
+      properties.apiEndpoint = { type: 'string', title: 'API 前缀', default: '/api' };
+    }
+    if (options.mock === undefined) {
+      properties.mock = { type: 'boolean', title: '启用 mock-server', default: true };
+    }
+
+    if (Object.keys(properties).length === 0) {
+      return options;
+    }
+
+    const answers = await this._elicit(elicit, `完善项目 ${options.name || ''} 的创建信息`, {
+      type: 'object',
+      properties,
+      required
+    });
+    if (!answers) {
+      return options;
+    }
+
+    // Empty strings mean "use the default"
+    const provided = Object.fromEntries(
+      Object.entries(answers).filter(([key, value]) => key in properties && value !== '')
+    );
+    const resolved = { ...options, ...provided };
+
+    // A name chosen in the form also names the project directory
+    if (provided.name && options.path && path.basename(options.path) === options.name) {
+      resolved.path = path.join(path.dirname(options.path), provided.name);
+    }
+
+    logger.info('Project options completed through elicitation', {
+      fields: Object.keys(provided)
+    });
+    return resolved;
+  }
+
+  /**
+   * When balm-cli is missing, ask for a reference project to copy instead.
+   * Returns the reference project, or undefined to let balm init fail as usual.
+   */
+  async _elicitReferenceProjectIfBalmMissing(options) {
+    try {
+      await this.findBalmCli();
+      return undefined;
+    } catch (error) {
+      logger.warn('balm-cli not found, asking for a reference project', { error: error.message });
+    }
+
+    const answers = await this._elicit(
+      options.elicit,
+      '未找到 balm-cli (npm install -g balm-cli)。可以改为复制一个已有项目作为模板：',
+      {
+        type: 'object',
+        properties: {
+          referenceProject: {
+            type: 'string',
+            title: '参考项目',
+            description: '相对于 WORKSPACE_ROOT 或绝对路径'
+          }
+        },
+        required: ['referenceProject']
+      }
+    );
+
+    return answers?.referenceProject || undefined;
+  }
+
+  /**
+   * Send one elicitation request. Declining resolves to null; cancelling throws
+   * OPERATION_CANCELLED; any other failure falls back to the defaults.
+   */
+  async _elicit(elicit, message, requestedSchema) {
+    try {
+      return await elicit(message, requestedSchema);
+    } catch (error) {
+      if (error.code === ErrorCodes.OPERATION_CANCELLED) {
+        throw error;
+      }
+      logger.warn('Elicitation failed, using defaults', { error: error.message });
+      return null;
+    }
+  }
+
+  _toProjectName(value) {
+    return value
+      .toLowerCase()
+      .replace(/[^a-z0-9-_]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Drop the mock server of a project created with `mock: false`
+   */
+  async _removeMockServer(projectPath) {
+    const mockServerPath = path.join(projectPath, 'mock-server');
+    if (this.fileSystemHandler.exists(mockServerPath)) {
+      await this.fileSystemHandler.deleteDirectory(mockServerPath, { recursive: true });
+      logger.info(`Removed mock-server from ${projectPath}`);
+    }
+  }
+
+  /**
+   * Remove what a cancelled createProject left behind. The target directory
+   * did not exist beforehand (validateProjectOptions), so all of it is partial.
+   */
+  async _removeCancelledProject(projectPath) {
+    try {
+      if (this.fileSystemHandler.exists(projectPath)) {
+        await this.fileSystemHandler.deleteDirectory(projectPath, { recursive: true });
+        logger.info(`Removed partially created project: ${projectPath}`);
+      }
+    } catch (error) {
+      logger.warn(`Failed to remove partially created project: ${projectPath}`, {
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Resolve shared project path from configuration or defaults
    */
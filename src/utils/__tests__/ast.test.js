@@ -0,0 +1,37 @@
+/**
+ * Tests for AST Utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parse } from '@babel/parser';
+import { walkAst } from '../ast.js';
+
+describe('AST Utilities', () => {
+  describe('walkAst', () => {
+    const ast = parse('// note\nconst a = [b, c];\nfoo(d);\n', { sourceType: 'module' });
+
+    it('should visit nodes in pre-order and skip comments', () => {
+      const identifiers = [];
+      const stopped = walkAst(ast.program, node => {
+        expect(node.type).not.toBe('CommentLine');
+        if (node.type === 'Identifier') {
+          identifiers.push(node.name);
+        }
+      });
+
+      expect(stopped).toBe(false);
+      expect(identifiers).toEqual(['a', 'b', 'c', 'foo', 'd']);
+    });
+
+    it('should stop when the visitor returns true', () => {
+      const visited = [];
+      const stopped = walkAst(ast.program, node => {
+        visited.push(node.type);
+        return node.type === 'ArrayExpression';
+      });
+
+      expect(stopped).toBe(true);
+      expect(visited).not.toContain('CallExpression');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for Diff Utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createUnifiedDiff, diffLines } from '../diff.js';
+
+describe('Diff Utilities', () => {
+  describe('diffLines', () => {
+    it('should produce a minimal edit script', () => {
+      const ops = diffLines(['a\n', 'b\n', 'c\n'], ['a\n', 'c\n', 'd\n']);
+
+      expect(ops.map(op => `${op.type}${op.line.trim()}`)).toEqual([' a', '-b', ' c', '+d']);
+    });
+  });
+
+  describe('createUnifiedDiff', () => {
+    it('should render a single hunk with context', () => {
+      const diff = createUnifiedDiff('a\nb\nc\n', 'a\nB\nc\n', {
+        oldPath: 'a/index.js',
+        newPath: 'b/index.js'
+      });
+
+      expect(diff).toBe('--- a/index.js\n+++ b/index.js\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+    });
+
+    it('should split distant changes into separate hunks', () => {
+      const lines = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`);
+      const changed = [...lines];
+      changed[1] = 'second';
+      changed[18] = 'nineteenth';
+
+      const diff = createUnifiedDiff(`${lines.join('\n')}\n`, `${changed.join('\n')}\n`);
+
+      expect(diff.match(/^@@/gm)).toHaveLength(2);
+      expect(diff).toContain('@@ -1,5 +1,5 @@');
+      expect(diff).toContain('@@ -16,5 +16,5 @@');
+    });
+
+    it('should use /dev/null for created files', () => {
+      const diff = createUnifiedDiff(null, 'export default [];\n', { newPath: 'b/index.js' });
+
+      expect(diff).toBe('--- /dev/null\n+++ b/index.js\n@@ -0,0 +1 @@\n+export default [];\n');
+    });
+
+    it('should mark a missing trailing newline', () => {
+      const diff = createUnifiedDiff('a', 'a\n');
+
+      expect(diff).toContain('-a\n\\ No newline at end of file\n+a\n');
+    });
+
+    it('should return an empty string when nothing changed', () => {
+      expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+    });
+  });
+});
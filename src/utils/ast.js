@@ -0,0 +1,54 @@
+/**
+ * AST Utilities
+ *
+ * Helpers for walking the ASTs produced by @babel/parser, shared by the AST
+ * handler and the Vue component parser.
+ */
+
+/**
+ * Node properties that hold positions, metadata or comments rather than child nodes
+ */
+export const NON_CHILD_KEYS = new Set([
+  'loc',
+  'start',
+  'end',
+  'extra',
+  'leadingComments',
+  'trailingComments',
+  'innerComments'
+]);
+
+/**
+ * Depth-first pre-order walk over `node` and every node below it; stops when
+ * the visitor returns true
+ *
+ * @param {Object} node
+ * @param {Function} visitor - receives each node
+ * @returns {boolean} whether the visitor stopped the walk
+ */
+export function walkAst(node, visitor) {
+  if (!node || typeof node.type !== 'string') {
+    return false;
+  }
+  if (visitor(node)) {
+    return true;
+  }
+
+  for (const key of Object.keys(node)) {
+    if (NON_CHILD_KEYS.has(key)) {
+      continue;
+    }
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const item of child) {
+        if (walkAst(item, visitor)) {
+          return true;
+        }
+      }
+    } else if (child && typeof child === 'object' && walkAst(child, visitor)) {
+      return true;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,199 @@
+/**
+ * Diff Utilities
+ *
+ * Line-based diffing (Myers' algorithm) rendered as unified diffs, used to
+ * preview file changes before they are written.
+ */
+
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * Split text into lines, keeping each line's terminator so that a missing
+ * final newline shows up as a change
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lines = text.split('\n').map(line => `${line}\n`);
+  const last = lines.pop();
+  if (last !== '\n') {
+    lines.push(last.slice(0, -1));
+  }
+  return lines;
+}
+
+/**
+ * Compute the shortest edit script between two line arrays
+ *
+ * @returns {Array<{type: ' ' | '-' | '+', line: string}>}
+ */
+export function diffLines(oldLines, newLines) {
+  // Common prefix and suffix never need the full search
+  let prefix = 0;
+  while (
+    prefix < oldLines.length &&
+    prefix < newLines.length &&
+    oldLines[prefix] === newLines[prefix]
+  ) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  return [
+    ...oldLines.slice(0, prefix).map(line => ({ type: ' ', line })),
+    ...myers(a, b),
+    ...oldLines.slice(oldLines.length - suffix).map(line => ({ type: ' ', line }))
+  ];
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  outer: for (let d = 0; d <= max; d++) {
+    // Only diagonals -d..d are reachable at step d
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        break outer;
+      }
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d];
+    const at = k => previous[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+
+    if (x === prevX) {
+      ops.push({ type: '+', line: b[--y] });
+    } else {
+      ops.push({ type: '-', line: a[--x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: ' ', line: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+function formatRange(start, length) {
+  // An empty range points at the line before it
+  const first = length === 0 ? start - 1 : start;
+  return length === 1 ? `${first}` : `${first},${length}`;
+}
+
+/**
+ * Render a unified diff between two versions of a file. `null` stands for
+ * a file that does not exist (creation or deletion).
+ *
+ * @returns {string} the diff, or an empty string when nothing changed
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldPath = 'a', newPath = oldPath, context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  if (!ops.some(op => op.type !== ' ')) {
+    return '';
+  }
+
+  // Annotate each op with the line numbers it sits at
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') {
+      oldLine++;
+    }
+    if (op.type !== '-') {
+      newLine++;
+    }
+    return entry;
+  });
+
+  const hunks = [];
+  let current = null;
+  numbered.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+
+    const start = Math.max(0, index - context);
+    if (current && start <= current.end) {
+      current.end = Math.min(numbered.length, index + context + 1);
+    } else {
+      current = { start, end: Math.min(numbered.length, index + context + 1) };
+      hunks.push(current);
+    }
+  });
+
+  const output = [
+    `--- ${oldText === null ? '/dev/null' : oldPath}`,
+    `+++ ${newText === null ? '/dev/null' : newPath}`
+  ];
+
+  for (const hunk of hunks) {
+    const slice = numbered.slice(hunk.start, hunk.end);
+    const oldLength = slice.filter(op => op.type !== '+').length;
+    const newLength = slice.filter(op => op.type !== '-').length;
+
+    output.push(
+      `@@ -${formatRange(slice[0].oldLine, oldLength)} +${formatRange(slice[0].newLine, newLength)} @@`
+    );
+
+    for (const op of slice) {
+      if (op.line.endsWith('\n')) {
+        output.push(`${op.type}${op.line.slice(0, -1)}`);
+      } else {
+        output.push(`${op.type}${op.line}`, NO_NEWLINE_MARKER);
+      }
+    }
+  }
+
+  return `${output.join('\n')}\n`;
+}
@@ -11,6 +11,7 @@ export const ErrorCodes = {
   INVALID_CONFIGURATION: 'INVALID_CONFIGURATION',
   INVALID_REQUEST: 'INVALID_REQUEST',
   VALIDATION_FAILED: 'VALIDATION_FAILED',
+  OPERATION_CANCELLED: 'OPERATION_CANCELLED',
 
   // Project errors
   PROJECT_NOT_FOUND: 'PROJECT_NOT_FOUND',
@@ -28,6 +29,11 @@ export const ErrorCodes = {
   RESTRICTED_PATH: 'RESTRICTED_PATH',
   INVALID_FILE_TYPE: 'INVALID_FILE_TYPE',
 
+  // Change set errors
+  CHANGE_SET_NOT_FOUND: 'CHANGE_SET_NOT_FOUND',
+  CHANGE_SET_CONFLICT: 'CHANGE_SET_CONFLICT',
+  UNDO_CONFLICT: 'UNDO_CONFLICT',
+
   // Template errors
   TEMPLATE_NOT_FOUND: 'TEMPLATE_NOT_FOUND',
   TEMPLATE_RENDER_FAILED: 'TEMPLATE_RENDER_FAILED',
@@ -37,6 +43,8 @@ export const ErrorCodes = {
   // Component errors
   COMPONENT_NOT_FOUND: 'COMPONENT_NOT_FOUND',
   INVALID_COMPONENT_CONFIG: 'INVALID_COMPONENT_CONFIG',
+  RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
+  PROMPT_NOT_FOUND: 'PROMPT_NOT_FOUND',
 
   // Code generation errors
   CODE_GENERATION_FAILED: 'CODE_GENERATION_FAILED',
@@ -46,6 +54,7 @@ export const ErrorCodes = {
   INVALID_TOOL_DEFINITION: 'INVALID_TOOL_DEFINITION',
   TOOL_ALREADY_EXISTS: 'TOOL_ALREADY_EXISTS',
   TOOL_REGISTRATION_FAILED: 'TOOL_REGISTRATION_FAILED',
+  INVALID_TOOL_OUTPUT: 'INVALID_TOOL_OUTPUT',
 
   // Recovery errors
   RECOVERY_FAILED: 'RECOVERY_FAILED',
@@ -84,6 +93,7 @@ export const ErrorMessages = {
     INVALID_CONFIGURATION: '配置无效: {details}',
     INVALID_REQUEST: '请求格式无效: {details}',
     VALIDATION_FAILED: '验证失败: {details}',
+    OPERATION_CANCELLED: '操作已被客户端取消',
 
     // Project errors
     PROJECT_NOT_FOUND: '项目未找到: {path}',
@@ -101,6 +111,11 @@ export const ErrorMessages = {
     RESTRICTED_PATH: '受限路径: {path}',
     INVALID_FILE_TYPE: '文件类型无效: {type}',
 
+    // Change set errors
+    CHANGE_SET_NOT_FOUND: '变更集不存在或已结束: {changeSetId}',
+    CHANGE_SET_CONFLICT: '文件在暂存后被修改: {path}',
+    UNDO_CONFLICT: '文件在操作之后已被修改，无法撤销: {path}',
+
     // Template errors
     TEMPLATE_NOT_FOUND: '模板未找到: {template}',
     TEMPLATE_RENDER_FAILED: '模板渲染失败: {error}',
@@ -110,6 +125,8 @@ export const ErrorMessages = {
     // Component errors
     COMPONENT_NOT_FOUND: '组件未找到: {component}',
     INVALID_COMPONENT_CONFIG: '组件配置无效: {details}',
+    RESOURCE_NOT_FOUND: '资源未找到: {uri}',
+    PROMPT_NOT_FOUND: '提示模板未找到: {name}',
 
     // Code generation errors
     CODE_GENERATION_FAILED: '代码生成失败: {error}',
@@ -119,6 +136,7 @@ export const ErrorMessages = {
     INVALID_TOOL_DEFINITION: '工具定义无效: {details}',
     TOOL_ALREADY_EXISTS: '工具已存在: {toolName}',
     TOOL_REGISTRATION_FAILED: '工具注册失败: {error}',
+    INVALID_TOOL_OUTPUT: '工具输出不符合声明的 outputSchema: {details}',
 
     // Recovery errors
     RECOVERY_FAILED: '错误恢复失败: {error}',
@@ -131,6 +149,7 @@ export const ErrorMessages = {
     INVALID_CONFIGURATION: 'Invalid configuration: {details}',
     INVALID_REQUEST: 'Invalid request format: {details}',
     VALIDATION_FAILED: 'Validation failed: {details}',
+    OPERATION_CANCELLED: 'Operation cancelled by the client',
 
     // Project errors
     PROJECT_NOT_FOUND: 'Project not found: {path}',
@@ -148,6 +167,11 @@ export const ErrorMessages = {
     RESTRICTED_PATH: 'Restricted path: {path}',
     INVALID_FILE_TYPE: 'Invalid file type: {type}',
 
+    // Change set errors
+    CHANGE_SET_NOT_FOUND: 'Change set not found or already closed: {changeSetId}',
+    CHANGE_SET_CONFLICT: 'File changed on disk after it was staged: {path}',
+    UNDO_CONFLICT: 'File changed after the operation and cannot be undone: {path}',
+
     // Template errors
     TEMPLATE_NOT_FOUND: 'Template not found: {template}',
     TEMPLATE_RENDER_FAILED: 'Template render failed: {error}',
@@ -157,6 +181,8 @@ export const ErrorMessages = {
     // Component errors
     COMPONENT_NOT_FOUND: 'Component not found: {component}',
     INVALID_COMPONENT_CONFIG: 'Invalid component configuration: {details}',
+    RESOURCE_NOT_FOUND: 'Resource not found: {uri}',
+    PROMPT_NOT_FOUND: 'Prompt not found: {name}',
 
     // Code generation errors
     CODE_GENERATION_FAILED: 'Code generation failed: {error}',
@@ -166,6 +192,7 @@ export const ErrorMessages = {
     INVALID_TOOL_DEFINITION: 'Invalid tool definition: {details}',
     TOOL_ALREADY_EXISTS: 'Tool already exists: {toolName}',
     TOOL_REGISTRATION_FAILED: 'Tool registration failed: {error}',
+    INVALID_TOOL_OUTPUT: 'Tool output does not match its output schema: {details}',
 
     // Recovery errors
     RECOVERY_FAILED: 'Error recovery failed: {error}',
@@ -391,6 +418,19 @@ export function wrapError(originalError, code, message, details = {}, options =
   return new BalmSharedMCPError(code, message, details, wrappedOptions);
 }
 
+/**
+ * Throw OPERATION_CANCELLED once the client has aborted the request
+ */
+export function throwIfCancelled(signal, details = {}) {
+  if (signal?.aborted) {
+    throw new BalmSharedMCPError(
+      ErrorCodes.OPERATION_CANCELLED,
+      'Operation cancelled by the client',
+      details
+    );
+  }
+}
+
 /**
  * Error handler middleware for async functions
  */
@@ -217,6 +217,70 @@ describe('ToolRegistry', () => {
     });
   });
 
+  describe('Tool Profiles', () => {
+    beforeEach(() => {
+      registry.register('query_tool', 'Query tool', validSchema, mockHandler, {
+        category: 'resource-query',
+        tags: ['query']
+      });
+      registry.register('ast_tool', 'AST tool', validSchema, mockHandler, {
+        category: 'code-generation',
+        tags: ['ast']
+      });
+      registry.register('legacy_tool', 'Legacy tool', validSchema, mockHandler, {
+        category: 'code-generation',
+        tags: ['generation']
+      });
+    });
+
+    it('should list only the tools the profile selects by category, tag or name', () => {
+      registry.setProfile({
+        name: 'agentic',
+        categories: ['resource-query'],
+        tags: ['ast'],
+        exclude: ['query_tool'],
+        include: ['legacy_tool']
+      });
+
+      expect(registry.list().map(tool => tool.name)).toEqual(['ast_tool', 'legacy_tool']);
+      expect(registry.list({ includeDisabled: true })).toHaveLength(3);
+    });
+
+    it('should refuse to execute a tool outside the profile', async () => {
+      registry.setProfile({ name: 'read-only', categories: ['resource-query'] });
+
+      await expect(registry.execute('ast_tool', {})).rejects.toMatchObject({
+        code: ErrorCodes.TOOL_NOT_FOUND,
+        message: "Tool 'ast_tool' is not enabled in the 'read-only' tool profile"
+      });
+      await expect(registry.execute('query_tool', { name: 'x' })).resolves.toHaveProperty(
+        'content'
+      );
+    });
+
+    it('should list annotations and refuse tools that are not read-only in read-only mode', async () => {
+      registry.register('read_tool', 'Read tool', validSchema, mockHandler, {
+        category: 'resource-query',
+        annotations: { readOnlyHint: true }
+      });
+      registry.setProfile({ name: 'all', readOnly: true });
+
+      expect(registry.list()).toEqual([
+        expect.objectContaining({ name: 'read_tool', annotations: { readOnlyHint: true } })
+      ]);
+      await expect(registry.execute('query_tool', { name: 'x' })).rejects.toMatchObject({
+        code: ErrorCodes.PERMISSION_DENIED,
+        message: "Tool 'query_tool' modifies files and is refused in read-only mode"
+      });
+    });
+
+    it('should report whether the set of enabled tools changed', () => {
+      expect(registry.setProfile({ name: 'query', categories: ['resource-query'] })).toBe(true);
+      expect(registry.setProfile({ name: 'queries', tags: ['query'] })).toBe(false);
+      expect(registry.setProfile(null)).toBe(true);
+    });
+  });
+
   describe('Statistics and Validation', () => {
     beforeEach(() => {
       registry.register('stat_tool1', 'Stat tool 1', validSchema, mockHandler);
@@ -18,6 +18,7 @@ describe('CodeGenerator', () => {
       writeFile: vi.fn().mockResolvedValue(true),
       readFile: vi.fn().mockResolvedValue('mock content'),
       exists: vi.fn().mockResolvedValue(true),
+      withChangeSet: vi.fn(callback => callback()),
       getScriptsDir: vi
         .fn()
         .mockImplementation(projectPath => Promise.resolve(path.join(projectPath, 'src/scripts')))
@@ -473,6 +474,38 @@ describe('CodeGenerator', () => {
     });
   });
 
+  describe('Style Index Management', () => {
+    it('should add a page partial to the style index in alphabetical order', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue("@import 'article';\n@import 'user';\n");
+
+      await codeGenerator.updateStyleIndex('/project/app/styles/pages', 'order');
+
+      expect(mockFileSystemHandler.writeFile).toHaveBeenCalledWith(
+        path.join('/project/app/styles/pages', '_index.scss'),
+        "@import 'article';\n@import 'order';\n@import 'user';\n"
+      );
+    });
+
+    it('should not duplicate a partial imported by file name', async () => {
+      mockFileSystemHandler.readFile.mockResolvedValue('@import "_order.scss";\n');
+
+      await codeGenerator.updateStyleIndex('/project/app/styles/pages', 'order');
+
+      expect(mockFileSystemHandler.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should create the style index when missing', async () => {
+      mockFileSystemHandler.exists.mockResolvedValue(false);
+
+      await codeGenerator.updateStyleIndex('/project/app/styles/pages', 'order');
+
+      expect(mockFileSystemHandler.writeFile).toHaveBeenCalledWith(
+        path.join('/project/app/styles/pages', '_index.scss'),
+        "@import 'order';\n"
+      );
+    });
+  });
+
   describe('Built-in Templates', () => {
     it('should render Vue list page template', () => {
       const context = {
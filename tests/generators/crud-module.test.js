@@ -17,6 +17,7 @@ describe('CodeGenerator - CRUD Module', () => {
       writeFile: vi.fn(),
       readFile: vi.fn().mockResolvedValue(''),
       exists: vi.fn().mockResolvedValue(true),
+      withChangeSet: vi.fn(callback => callback()),
       getScriptsDir: vi
         .fn()
         .mockImplementation(projectPath => Promise.resolve(path.join(projectPath, 'src/scripts')))
@@ -111,6 +112,56 @@ describe('CodeGenerator - CRUD Module', () => {
         'Project path does not exist'
       );
     });
+
+    it('should write all files inside a single change set', async () => {
+      let staging = false;
+      mockFileSystemHandler.withChangeSet = vi.fn(async callback => {
+        staging = true;
+        try {
+          return await callback();
+        } finally {
+          staging = false;
+        }
+      });
+      mockFileSystemHandler.writeFile.mockImplementation(() => expect(staging).toBe(true));
+
+      const result = await codeGenerator.generateCrudModule({
+        module: 'user',
+        model: 'user',
+        fields: [{ name: 'name', label: '名称', type: 'string' }],
+        projectPath: '/test/project'
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockFileSystemHandler.withChangeSet).toHaveBeenCalledTimes(1);
+      expect(mockFileSystemHandler.writeFile).toHaveBeenCalled();
+    });
+
+    it('should report progress per step and stop between steps when cancelled', async () => {
+      const controller = new AbortController();
+      const onProgress = vi.fn(progress => {
+        if (progress === 2) {
+          controller.abort();
+        }
+      });
+
+      await expect(
+        codeGenerator.generateCrudModule({
+          module: 'user',
+          model: 'user',
+          fields: [{ name: 'name', label: '名称', type: 'string' }],
+          projectPath: '/test/project',
+          signal: controller.signal,
+          onProgress
+        })
+      ).rejects.toMatchObject({ code: 'OPERATION_CANCELLED' });
+
+      expect(onProgress.mock.calls).toEqual([
+        [0, 7, 'Generating model config'],
+        [1, 7, 'Generating list and detail pages'],
+        [2, 7, 'Generating API config']
+      ]);
+    });
   });
 
   describe('generateApiConfig', () => {
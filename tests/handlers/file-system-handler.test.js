@@ -68,6 +68,40 @@ describe('FileSystemHandler', () => {
       expect(() => handler.validatePath('/path/node_modules/file.js')).toThrow(BalmSharedMCPError);
       expect(() => handler.validatePath('/path/.git/config')).toThrow(BalmSharedMCPError);
     });
+
+    it('should restrict paths to the workspace root', () => {
+      const rootedHandler = new FileSystemHandler({ workspaceRoot: '/workspace', journal: false });
+
+      expect(rootedHandler.validatePath('/workspace/app/file.js')).toBe('/workspace/app/file.js');
+      expect(() => rootedHandler.validatePath('/other/file.js')).toThrow(BalmSharedMCPError);
+    });
+
+    it('should allow paths within any client root instead of the workspace root', () => {
+      const rootedHandler = new FileSystemHandler({ workspaceRoot: '/workspace', journal: false });
+
+      rootedHandler.runWithRoots(['/projects/admin', '/projects/shared'], () => {
+        expect(rootedHandler.validatePath('/projects/admin/app/file.js')).toBe(
+          '/projects/admin/app/file.js'
+        );
+        expect(rootedHandler.validatePath('/projects/shared/index.js')).toBe(
+          '/projects/shared/index.js'
+        );
+        expect(() => rootedHandler.validatePath('/workspace/app/file.js')).toThrow(
+          /one of the workspace roots/
+        );
+      });
+
+      // Outside the callback WORKSPACE_ROOT applies again
+      expect(rootedHandler.getAllowedRoots()).toEqual(['/workspace']);
+    });
+
+    it('should find the innermost root containing a path', () => {
+      handler.runWithRoots(['/projects', '/projects/admin'], () => {
+        expect(handler.findRoot('/projects/admin/app/file.js')).toBe('/projects/admin');
+        expect(handler.findRoot('/projects/shared/file.js')).toBe('/projects');
+        expect(handler.findRoot('/elsewhere/file.js')).toBeNull();
+      });
+    });
   });
 
   describe('isAllowedExtension', () => {
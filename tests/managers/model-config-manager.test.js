@@ -139,6 +139,20 @@ describe('ModelConfigManager', () => {
       expect(validation).toHaveLength(3);
       expect(validation[0]).toEqual({ required: true });
     });
+
+    it('should override rule messages with field messages', () => {
+      const field = {
+        required: true,
+        validation: { email: true, maxLength: 20 },
+        messages: { required: '请输入邮箱', email: '邮箱格式不正确' }
+      };
+      const validation = modelConfigManager.generateValidationConfig(field);
+      expect(validation).toEqual([
+        { required: true, message: '请输入邮箱' },
+        { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: '邮箱格式不正确' },
+        { maxLength: 20, message: '最多输入20个字符' }
+      ]);
+    });
   });
 
   describe('generateModelConfig', () => {
@@ -17,7 +17,9 @@ describe('ProjectManager', () => {
       copyDirectory: vi.fn(),
       updateJsonFile: vi.fn(),
       readFile: vi.fn(),
-      writeFile: vi.fn()
+      writeFile: vi.fn(),
+      isDryRun: vi.fn().mockReturnValue(false),
+      isStaging: vi.fn().mockReturnValue(false)
     };
 
     mockConfig = {
@@ -218,6 +220,72 @@ describe('ProjectManager', () => {
       );
     });
 
+    it('should not run balm init during a dry run', async () => {
+      const options = {
+        name: 'test-project',
+        type: 'frontend',
+        path: '/test/test-project'
+      };
+
+      mockFileSystemHandler.exists.mockReturnValue(false);
+      mockFileSystemHandler.isDryRun = vi.fn().mockReturnValue(true);
+      mockFileSystemHandler.ensureDirectory = vi.fn();
+      projectManager.runBalmInit = vi.fn();
+
+      const result = await projectManager.createProject(options);
+
+      expect(result.success).toBe(true);
+      expect(result.mode).toBe('balm-init');
+      expect(mockFileSystemHandler.ensureDirectory).toHaveBeenCalledWith('/test/test-project');
+      expect(projectManager.runBalmInit).not.toHaveBeenCalled();
+    });
+
+    it('should remove the partial project when balm init is cancelled', async () => {
+      const options = {
+        name: 'test-project',
+        type: 'frontend',
+        path: '/test/test-project',
+        onProgress: vi.fn()
+      };
+
+      mockFileSystemHandler.exists.mockReturnValueOnce(false).mockReturnValue(true);
+      mockFileSystemHandler.deleteDirectory = vi.fn();
+      projectManager.runBalmInit = vi
+        .fn()
+        .mockRejectedValue(new BalmSharedMCPError('OPERATION_CANCELLED', 'cancelled'));
+
+      await expect(projectManager.createProject(options)).rejects.toMatchObject({
+        code: 'OPERATION_CANCELLED'
+      });
+      expect(options.onProgress).toHaveBeenCalledWith(0, 2, 'Running balm init vue-ui-front');
+      expect(mockFileSystemHandler.deleteDirectory).toHaveBeenCalledWith('/test/test-project', {
+        recursive: true
+      });
+    });
+
+    it('should stop copying a reference project when cancelled', async () => {
+      const controller = new AbortController();
+      const options = {
+        name: 'test-project',
+        type: 'frontend',
+        path: '/test/project',
+        referenceProject: '/reference/project',
+        signal: controller.signal
+      };
+
+      mockFileSystemHandler.exists.mockReturnValueOnce(false).mockReturnValue(true);
+      mockFileSystemHandler.deleteDirectory = vi.fn();
+      mockFileSystemHandler.copyDirectory.mockImplementation(async () => controller.abort());
+
+      await expect(projectManager.createProject(options)).rejects.toMatchObject({
+        code: 'OPERATION_CANCELLED'
+      });
+      expect(mockFileSystemHandler.updateJsonFile).not.toHaveBeenCalled();
+      expect(mockFileSystemHandler.deleteDirectory).toHaveBeenCalledWith('/test/project', {
+        recursive: true
+      });
+    });
+
     it('should handle project creation errors', async () => {
       const options = {
         name: 'test-project',
@@ -231,6 +299,126 @@ describe('ProjectManager', () => {
     });
   });
 
+  describe('createProject with elicitation', () => {
+    beforeEach(() => {
+      mockFileSystemHandler.exists.mockReturnValueOnce(false).mockReturnValue(true);
+      mockFileSystemHandler.deleteDirectory = vi.fn();
+      projectManager.findBalmCli = vi.fn().mockResolvedValue({ balmBin: 'balm', env: {} });
+      projectManager.runBalmInit = vi.fn().mockResolvedValue({ success: true });
+      projectManager.configureApiSettings = vi.fn();
+    });
+
+    it('should ask only for the metadata that is missing or invalid', async () => {
+      const elicit = vi.fn().mockResolvedValue({
+        name: 'admin-portal',
+        type: 'backend',
+        description: '',
+        author: 'Jane',
+        referenceProject: '',
+        apiEndpoint: '/gateway',
+        mock: true
+      });
+
+      const result = await projectManager.createProject({
+        name: 'Admin Portal',
+        path: '/test/Admin Portal',
+        description: 'Operations console',
+        elicit
+      });
+
+      const [, requestedSchema] = elicit.mock.calls[0];
+      expect(Object.keys(requestedSchema.properties)).toEqual([
+        'name',
+        'type',
+        'author',
+        'referenceProject',
+        'apiEndpoint',
+        'mock'
+      ]);
+      expect(requestedSchema.properties.name.default).toBe('admin-portal');
+      expect(requestedSchema.required).toEqual(['name', 'type']);
+      expect(projectManager.runBalmInit).toHaveBeenCalledWith(
+        'vue-ui-back',
+        'admin-portal',
+        '/test',
+        expect.objectContaining({
+          description: 'Operations console',
+          author: 'Jane',
+          path: '/test/admin-portal'
+        })
+      );
+      expect(projectManager.configureApiSettings).toHaveBeenCalledWith(
+        '/test/admin-portal',
+        expect.objectContaining({ apiEndpoint: '/gateway' })
+      );
+      expect(result.projectPath).toBe('/test/admin-portal');
+    });
+
+    it('should keep the defaults when the user declines', async () => {
+      const options = {
+        name: 'test-project',
+        type: 'frontend',
+        path: '/test/test-project',
+        elicit: vi.fn().mockResolvedValue(null)
+      };
+
+      const result = await projectManager.createProject(options);
+
+      expect(result.mock).toBe(true);
+      expect(projectManager.runBalmInit).toHaveBeenCalledWith(
+        'vue-ui-front',
+        'test-project',
+        '/test',
+        options
+      );
+      expect(projectManager.configureApiSettings).not.toHaveBeenCalled();
+    });
+
+    it('should stop without creating anything when the user cancels', async () => {
+      const elicit = vi
+        .fn()
+        .mockRejectedValue(new BalmSharedMCPError('OPERATION_CANCELLED', 'cancelled'));
+
+      await expect(
+        projectManager.createProject({ name: 'test-project', path: '/test/test-project', elicit })
+      ).rejects.toMatchObject({ code: 'OPERATION_CANCELLED' });
+      expect(projectManager.runBalmInit).not.toHaveBeenCalled();
+    });
+
+    it('should offer to copy a reference project when balm-cli is missing', async () => {
+      projectManager.findBalmCli.mockRejectedValue(
+        new BalmSharedMCPError('PROJECT_CREATION_FAILED', 'no balm')
+      );
+      projectManager.copyTemplate = vi.fn();
+      projectManager.updatePackageJson = vi.fn();
+      projectManager.configureSharedProjectIntegration = vi.fn();
+      projectManager.generateProjectConfiguration = vi.fn();
+      const elicit = vi
+        .fn()
+        .mockResolvedValueOnce({ author: 'Jane', mock: false })
+        .mockResolvedValueOnce({ referenceProject: '/reference/project' });
+
+      const result = await projectManager.createProject({
+        name: 'test-project',
+        type: 'frontend',
+        path: '/test/project',
+        elicit
+      });
+
+      expect(elicit.mock.calls[1][1].required).toEqual(['referenceProject']);
+      expect(result.mode).toBe('copy');
+      expect(result.referenceProject).toBe('/reference/project');
+      expect(projectManager.runBalmInit).not.toHaveBeenCalled();
+      expect(result.mock).toBe(false);
+      expect(mockFileSystemHandler.deleteDirectory).toHaveBeenCalledWith(
+        '/test/project/mock-server',
+        {
+          recursive: true
+        }
+      );
+    });
+  });
+
   describe('getProjectFeatures', () => {
     it('should return frontend features', () => {
       const features = projectManager.getProjectFeatures('frontend');